@@ -1,9 +1,6 @@
 require('dotenv').config();
-const { Client, GatewayIntentBits } = require('discord.js');
-const genaiModule = require('@google/genai');
-const GoogleGenAI = genaiModule.GoogleGenAI;
+const { Client, GatewayIntentBits, Partials } = require('discord.js');
 const express = require('express');
-const crypto = require('crypto');
 
 // Import new modular services
 const { getDatabase } = require('./src/database/connection');
@@ -12,6 +9,7 @@ const { ConfigManager } = require('./src/services/ConfigManager');
 const { TrelloService } = require('./src/services/TrelloService');
 const { WebhookManager } = require('./src/services/WebhookManager');
 const { CommandRouter } = require('./src/commands/CommandRouter');
+const { SlashCommandRegistry } = require('./src/commands/SlashCommandRegistry');
 const { ValidationUtils } = require('./src/utils/validation');
 const { getCache } = require('./src/utils/cache');
 
@@ -21,23 +19,37 @@ const { AnalyticsManager } = require('./src/services/AnalyticsManager');
 const { AuditLogger } = require('./src/services/AuditLogger');
 const { TemplateManager } = require('./src/services/TemplateManager');
 const { AIEnhancedManager } = require('./src/services/AIEnhancedManager');
+const { ThreadSyncManager } = require('./src/services/ThreadSyncManager');
+const { UserLinkManager } = require('./src/services/UserLinkManager');
+const { ReminderScheduler } = require('./src/services/ReminderScheduler');
+const { NotificationFilterManager } = require('./src/services/NotificationFilterManager');
+const { NotificationBatcher } = require('./src/services/NotificationBatcher');
+const { DigestScheduler } = require('./src/services/DigestScheduler');
+const { PromptTemplateManager } = require('./src/services/PromptTemplateManager');
+const { TrelloEventRenderer } = require('./src/services/TrelloEventRenderer');
+const { WebhookQueue } = require('./src/services/WebhookQueue');
+const { WebhookDeduplicator } = require('./src/services/WebhookDeduplicator');
+const { WebhookSignatureVerifier } = require('./src/services/WebhookSignatureVerifier');
+const { LeaderElection } = require('./src/services/LeaderElection');
+const { AIService } = require('./src/services/AIService');
 
 const client = new Client({
     intents: [
         GatewayIntentBits.Guilds,
         GatewayIntentBits.GuildMessages,
         GatewayIntentBits.MessageContent,
+        GatewayIntentBits.GuildMessageReactions,
     ],
+    // Reactions on messages sent before startup arrive as partials
+    partials: [Partials.Message, Partials.Channel, Partials.Reaction],
 });
 
 // Environment variables
 const DISCORD_BOT_TOKEN = process.env.DISCORD_BOT_TOKEN;
 const COMMAND_PREFIX = process.env.COMMAND_PREFIX || '!t';
-const GEMINI_API_KEY = process.env.GEMINI_API_KEY;
-const GEMINI_MODEL = process.env.GEMINI_MODEL || 'gemini-2.0-flash-001';
 const WEBHOOK_PORT = process.env.WEBHOOK_PORT || 3000;
-const WEBHOOK_SECRET = process.env.WEBHOOK_SECRET;
 const WEBHOOK_URL = process.env.WEBHOOK_URL;
+const SLASH_COMMANDS_ENABLED = process.env.SLASH_COMMANDS_ENABLED !== 'false';
 
 // Initialize services
 let db;
@@ -45,8 +57,8 @@ let configManager;
 let trelloService;
 let webhookManager;
 let commandRouter;
+let slashCommandRegistry;
 let configCache;
-let genAI;
 
 // Phase 3.3 Advanced Services
 let permissionManager;
@@ -54,11 +66,27 @@ let analyticsManager;
 let auditLogger;
 let templateManager;
 let aiEnhancedManager;
+let threadSyncManager;
+let userLinkManager;
+let reminderScheduler;
+let notificationFilterManager;
+let notificationBatcher;
+let digestScheduler;
+let promptTemplateManager;
+let webhookQueue;
+let leaderElection;
 
-// Initialize Gemini AI
-if (GEMINI_API_KEY) {
-    genAI = new GoogleGenAI({ apiKey: GEMINI_API_KEY });
-}
+// AI providers (Gemini, OpenAI-compatible, mock) with per-guild fallback chains
+const aiService = new AIService();
+
+// Embed renderers for Trello webhook actions
+const trelloEventRenderer = new TrelloEventRenderer();
+
+// Drops Trello's redeliveries of the same action and spots out-of-order card updates
+const webhookDeduplicator = new WebhookDeduplicator();
+
+// Trello webhook signatures (app secret over body + registered callback URL)
+const webhookSignatureVerifier = new WebhookSignatureVerifier();
 
 // Initialize Express server for webhooks
 const app = express();
@@ -73,6 +101,7 @@ async function initializeServices() {
         db = getDatabase();
         const migrationManager = new MigrationManager();
         await migrationManager.runMigrations();
+        await webhookSignatureVerifier.initialize();
         
         // Initialize cache
         configCache = getCache();
@@ -87,27 +116,50 @@ async function initializeServices() {
         
         permissionManager = new PermissionManager();
         analyticsManager = new AnalyticsManager();
+        trelloService.setAnalyticsManager(analyticsManager);
+        permissionManager.setConfigCache(configCache);
+        aiService.setPermissionManager(permissionManager);
+        configCache.onRemoteInvalidation(guildId => permissionManager.clearPermissionCache(guildId));
         auditLogger = new AuditLogger();
         templateManager = new TemplateManager(configManager, trelloService);
-        aiEnhancedManager = new AIEnhancedManager(configManager, trelloService, analyticsManager, genAI);
+        aiEnhancedManager = new AIEnhancedManager(configManager, trelloService, analyticsManager, aiService);
+        threadSyncManager = new ThreadSyncManager(trelloService, permissionManager);
+        userLinkManager = new UserLinkManager(trelloService);
+        reminderScheduler = new ReminderScheduler(configManager, trelloService, permissionManager, userLinkManager);
+        notificationFilterManager = new NotificationFilterManager(trelloService, userLinkManager);
+        notificationBatcher = new NotificationBatcher();
+        digestScheduler = new DigestScheduler(trelloService);
+        promptTemplateManager = new PromptTemplateManager(trelloService);
+        webhookQueue = new WebhookQueue();
+        leaderElection = new LeaderElection();
         
         // Initialize enhanced CommandRouter with all Phase 3.3 services
         commandRouter = new CommandRouter(
             configManager, 
             trelloService, 
-            genAI, 
+            aiService, 
             webhookManager,
             {
                 permissionManager,
                 analyticsManager,
                 auditLogger,
                 templateManager,
-                aiEnhancedManager
+                aiEnhancedManager,
+                threadSyncManager,
+                userLinkManager,
+                reminderScheduler,
+                notificationFilterManager,
+                digestScheduler,
+                promptTemplateManager,
+                webhookQueue
             }
         );
         
         console.log('✅ Phase 3.3 services initialized successfully');
         
+        // Slash commands share the CommandRouter handlers through an interaction adapter
+        slashCommandRegistry = new SlashCommandRegistry(commandRouter);
+        
         // Enhanced ConfigManager with caching
         configManager.getChannelMapping = async function(guildId, channelId) {
             // Try cache first
@@ -128,6 +180,16 @@ async function initializeServices() {
             return result;
         }.bind(configManager);
         
+        // Configuration changes drop the guild's cached entries here and on other instances
+        for (const methodName of ['setChannelMapping', 'removeChannelMapping', 'setDefaultConfig']) {
+            const originalMethod = configManager[methodName];
+            configManager[methodName] = async function(guildId, ...args) {
+                const result = await originalMethod.call(this, guildId, ...args);
+                await configCache.invalidateGuild(guildId);
+                return result;
+            }.bind(configManager);
+        }
+        
         // Enhanced TrelloService with caching
         const originalValidateBoardAccess = trelloService.validateBoardAccess;
         trelloService.validateBoardAccess = async function(boardId) {
@@ -163,6 +225,37 @@ async function initializeServices() {
             return result;
         }.bind(trelloService);
         
+        // Read-through cache for board metadata; matching webhook events invalidate entries.
+        // Pass { fresh: true } as the second argument to bypass the cache (e.g. bio checks when linking).
+        const cacheTrelloMethod = (methodName, namespace) => {
+            const originalMethod = trelloService[methodName];
+            trelloService[methodName] = async function(id, options = {}) {
+                if (!options.fresh) {
+                    const cached = await configCache.getTrelloData(namespace, id);
+                    if (cached) {
+                        return cached;
+                    }
+                }
+                
+                const result = await originalMethod.call(this, id);
+                await configCache.setTrelloData(namespace, id, result);
+                
+                return result;
+            }.bind(trelloService);
+        };
+        
+        cacheTrelloMethod('getBoardLabels', 'labels');
+        cacheTrelloMethod('getBoardLists', 'lists');
+        cacheTrelloMethod('getMember', 'members');
+        cacheTrelloMethod('getBoard', 'boards');
+        
+        const originalCreateLabel = trelloService.createLabel;
+        trelloService.createLabel = async function(boardId, name, color) {
+            const label = await originalCreateLabel.call(this, boardId, name, color);
+            await configCache.invalidateTrelloData('labels', boardId);
+            return label;
+        }.bind(trelloService);
+        
         console.log('✅ All services initialized successfully');
         
         // Log system startup
@@ -193,6 +286,7 @@ async function initializeServices() {
         configManager = null;
         trelloService = null;
         commandRouter = null;
+        slashCommandRegistry = null;
         
         // Clear Phase 3.3 services on failure
         permissionManager = null;
@@ -200,6 +294,14 @@ async function initializeServices() {
         auditLogger = null;
         templateManager = null;
         aiEnhancedManager = null;
+        threadSyncManager = null;
+        userLinkManager = null;
+        reminderScheduler = null;
+        notificationFilterManager = null;
+        notificationBatcher = null;
+        digestScheduler = null;
+        promptTemplateManager = null;
+        webhookQueue = null;
     }
 }
 
@@ -296,20 +398,6 @@ async function runHealthChecks() {
     }
 }
 
-// Webhook verification function (unchanged for compatibility)
-function verifyTrelloWebhook(body, signature, secret) {
-    if (!secret || !signature) {
-        return false;
-    }
-    
-    const expectedSignature = crypto
-        .createHmac('sha1', secret)
-        .update(body)
-        .digest('base64');
-    
-    return signature === expectedSignature;
-}
-
 // Discord notification function (unchanged for compatibility)
 async function sendDiscordNotification(channelId, embed) {
     try {
@@ -322,117 +410,241 @@ async function sendDiscordNotification(channelId, embed) {
     }
 }
 
-// Trello event embed creation (unchanged for compatibility)
-function createTrelloEventEmbed(action) {
-    const { type, data, memberCreator, date } = action;
+// Per-channel notification rules; the match context is shared so the card is fetched at most once per action
+function createChannelFilter(action) {
+    if (!notificationFilterManager) return null;
+    
+    const context = notificationFilterManager.createMatchContext(action);
+    return channelId => notificationFilterManager.shouldNotify(channelId, context);
+}
+
+// Buffer notifications per channel and board so bursts of actions arrive as one summary.
+// Buffered sends are collected in pendingDeliveries; unbuffered ones reject here so the caller counts the failure.
+function createNotificationSender(action, pendingDeliveries) {
+    if (!notificationBatcher) return null;
     
-    let embed = {
-        timestamp: date,
-        footer: { text: 'Trello • Discord-Trello Bot' }
+    const boardId = action.data.board ? action.data.board.id : 'unknown';
+    return (channel, embed) => {
+        const delivered = notificationBatcher.enqueue(channel, boardId, action, embed);
+        if (!notificationBatcher.isEnabled()) {
+            return delivered;
+        }
+        pendingDeliveries.push(delivered.then(() => null, error => error));
     };
+}
 
-    switch (type) {
-        case 'createCard':
-            embed.title = '🆕 New Card Created';
-            embed.color = 0x00ff00;
-            embed.fields = [
-                { name: '📝 Card', value: data.card.name, inline: false },
-                { name: '📋 List', value: data.list.name, inline: true },
-                { name: '👤 Created by', value: memberCreator.fullName, inline: true }
-            ];
-            break;
-            
-        case 'updateCard':
-            embed.title = '✏️ Card Updated';
-            embed.color = 0xffa500;
-            embed.fields = [
-                { name: '📝 Card', value: data.card.name, inline: false }
-            ];
+// Settles once every buffered notification of an event was flushed; rejects when none of them could be sent
+async function waitForBufferedDeliveries(pendingDeliveries) {
+    const errors = (await Promise.all(pendingDeliveries)).filter(Boolean);
+    if (errors.length === pendingDeliveries.length) {
+        throw new Error(`Failed to deliver batched notification to ${errors.length} channel(s): ${errors[0].message}`);
+    }
+}
+
+// Fallback delivery to each guild's system channel, respecting that channel's notification rules
+async function broadcastToSystemChannels(embed, channelFilter = null, deliver = null) {
+    for (const guild of client.guilds.cache.values()) {
+        const systemChannel = guild.systemChannel;
+        if (systemChannel && systemChannel.permissionsFor(client.user)?.has('SendMessages')) {
+            if (channelFilter && !(await channelFilter(systemChannel.id))) continue;
             
-            if (data.old && data.card) {
-                if (data.old.name !== data.card.name) {
-                    embed.fields.push({ name: '🔄 Name Changed', value: `${data.old.name} → ${data.card.name}`, inline: false });
-                }
-                if (data.old.desc !== data.card.desc) {
-                    embed.fields.push({ name: '📄 Description Updated', value: 'Description was modified', inline: false });
-                }
-                if (data.old.due !== data.card.due) {
-                    embed.fields.push({ name: '📅 Due Date Changed', value: data.card.due ? formatDate(data.card.due) : 'Due date removed', inline: false });
+            if (deliver) {
+                try {
+                    await deliver(systemChannel, embed);
+                } catch (error) {
+                    console.error(`❌ Error sending notification to system channel ${systemChannel.id}:`, error.message);
                 }
+            } else {
+                await sendDiscordNotification(systemChannel.id, embed);
             }
+        }
+    }
+}
+
+// Trello event embed creation; memberLinks maps Trello member IDs to linked Discord user IDs
+function createTrelloEventEmbed(action, memberLinks = null) {
+    return trelloEventRenderer.render(action, memberLinks);
+}
+
+// Process a Trello webhook payload; throws when delivery should be retried by the queue.
+// With batching on, returns { delivered }, a promise that settles when the buffered notifications are sent.
+async function processTrelloWebhook(payload) {
+    if (!client.isReady()) {
+        throw new Error('Discord client is not ready');
+    }
+    
+    const { action } = payload;
+    
+    console.log(`🔔 Processing webhook: ${action.type} by ${action.memberCreator.fullName}`);
+    
+    // Label, list, member and board changes make cached board metadata stale
+    if (configCache) {
+        await configCache.invalidateForTrelloAction(action);
+    }
+    
+    // Create Discord notification, mentioning linked Discord users
+    const memberLinks = userLinkManager
+        ? await userLinkManager.getDiscordIdsForTrelloMembers(trelloEventRenderer.getMemberIds(action))
+        : null;
+    const embed = createTrelloEventEmbed(action, memberLinks);
+    
+    // A newer update to the same card was already posted; label this one so it isn't read as the current state
+    const newerUpdate = webhookDeduplicator.checkOrder(action);
+    if (newerUpdate) {
+        console.log(`🔀 Out-of-order updateCard ${action.id} for card ${action.data.card.id}`);
+        embed.fields = [
+            ...(embed.fields || []),
+            {
+                name: '⚠️ Out of Order',
+                value: `This change was made <t:${Math.floor(new Date(action.date).getTime() / 1000)}:R>, before an update already posted (<t:${Math.floor(newerUpdate.time / 1000)}:R>). The card may have changed since.`,
+                inline: false
+            }
+        ];
+        if (analyticsManager) {
+            analyticsManager.recordWebhookEvent('outOfOrder');
+        }
+    }
+    
+    const channelFilter = createChannelFilter(action);
+    const pendingDeliveries = [];
+    const deliver = createNotificationSender(action, pendingDeliveries);
+    let failedDeliveries = 0;
+    
+    // Enhanced multi-board notification routing via WebhookManager
+    if (webhookManager && action.data.board) {
+        try {
+            const boardId = action.data.board.id;
+            console.log(`🔀 Routing webhook notification for board: ${boardId}`);
             
-            embed.fields.push({ name: '👤 Updated by', value: memberCreator.fullName, inline: true });
-            break;
-            
-        case 'commentCard':
-            embed.title = '💬 New Comment';
-            embed.color = 0x0099ff;
-            embed.fields = [
-                { name: '📝 Card', value: data.card.name, inline: false },
-                { name: '💬 Comment', value: data.text.length > 200 ? data.text.substring(0, 200) + '...' : data.text, inline: false },
-                { name: '👤 By', value: memberCreator.fullName, inline: true }
-            ];
-            break;
+            // Log webhook event in audit logger
+            if (auditLogger) {
+                await auditLogger.logSystemEvent('webhook_received', {
+                    boardId,
+                    action: action.type,
+                    member: action.memberCreator.fullName,
+                    timestamp: new Date().toISOString()
+                }, 'LOW');
+            }
             
-        case 'addMemberToCard':
-            embed.title = '👥 Member Added to Card';
-            embed.color = 0x9370db;
-            embed.fields = [
-                { name: '📝 Card', value: data.card.name, inline: false },
-                { name: '👤 Member Added', value: data.member.fullName, inline: true },
-                { name: '👤 Added by', value: memberCreator.fullName, inline: true }
-            ];
-            break;
+            const result = await webhookManager.routeNotificationToChannels(boardId, client, embed, channelFilter, deliver);
+            failedDeliveries = result.success && result.notificationsSent === 0 ? result.notificationsFailed || 0 : 0;
             
-        case 'removeMemberFromCard':
-            embed.title = '👥 Member Removed from Card';
-            embed.color = 0xff6347;
-            embed.fields = [
-                { name: '📝 Card', value: data.card.name, inline: false },
-                { name: '👤 Member Removed', value: data.member.fullName, inline: true },
-                { name: '👤 Removed by', value: memberCreator.fullName, inline: true }
-            ];
-            break;
+            if (result.success && result.notificationsSent > 0) {
+                console.log(`✅ Successfully routed webhook notification to ${result.notificationsSent} channels`);
+                
+                // Record analytics for webhook routing
+                if (analyticsManager) {
+                    await analyticsManager.recordSystemMetric('webhook_routing', {
+                        boardId,
+                        channelsNotified: result.notificationsSent,
+                        actionType: action.type,
+                        timestamp: new Date().toISOString()
+                    });
+                }
+            } else if (result.success && result.notificationsSent === 0 && !result.notificationsFiltered && !failedDeliveries) {
+                console.log(`⚠️ No channels configured for board ${boardId}, using fallback notification`);
+                
+                // Log unconfigured board warning
+                if (auditLogger) {
+                    await auditLogger.logSystemEvent('webhook_unconfigured_board', {
+                        boardId,
+                        actionType: action.type,
+                        timestamp: new Date().toISOString()
+                    }, 'MEDIUM');
+                }
+                
+                // Fallback to broadcast to all guilds
+                await broadcastToSystemChannels(embed, channelFilter, deliver);
+            }
+        } catch (error) {
+            console.error('❌ Error in webhook manager routing:', error);
             
-        case 'updateCheckItemStateOnCard':
-            const checkState = data.checkItem.state === 'complete' ? '✅' : '⬜';
-            embed.title = `${checkState} Checklist Item Updated`;
-            embed.color = data.checkItem.state === 'complete' ? 0x00ff00 : 0xffff00;
-            embed.fields = [
-                { name: '📝 Card', value: data.card.name, inline: false },
-                { name: '✅ Item', value: data.checkItem.name, inline: false },
-                { name: '👤 By', value: memberCreator.fullName, inline: true }
-            ];
-            break;
+            // Log webhook routing failure
+            if (auditLogger) {
+                await auditLogger.logSystemEvent('webhook_routing_failure', {
+                    boardId: action.data.board.id,
+                    error: error.message,
+                    timestamp: new Date().toISOString()
+                }, 'HIGH');
+            }
             
-        default:
-            embed.title = '🔔 Trello Activity';
-            embed.color = 0x0079bf;
-            embed.fields = [
-                { name: '📋 Event', value: type, inline: false },
-                { name: '👤 By', value: memberCreator.fullName, inline: true }
-            ];
-            break;
+            // Fallback to original behavior
+            await broadcastToSystemChannels(embed, channelFilter, deliver);
+        }
+    } else {
+        // Fallback when WebhookManager not available or no board data
+        console.log('⚠️ WebhookManager not available or no board data, using broadcast fallback');
+        
+        if (auditLogger) {
+            await auditLogger.logSystemEvent('webhook_fallback', {
+                reason: webhookManager ? 'no_board_data' : 'webhook_manager_unavailable',
+                actionType: action.type,
+                timestamp: new Date().toISOString()
+            }, 'MEDIUM');
+        }
+        
+        await broadcastToSystemChannels(embed, channelFilter, deliver);
+    }
+    
+    // Every mapped channel failed; let the queue retry the whole event
+    if (failedDeliveries > 0) {
+        throw new Error(`Failed to deliver notification to ${failedDeliveries} channel(s)`);
+    }
+    
+    // Mirror Trello comments into synced card threads
+    if (threadSyncManager && action.type === 'commentCard') {
+        await threadSyncManager.handleTrelloComment(action, client);
     }
+    
+    if (pendingDeliveries.length > 0) {
+        return { delivered: waitForBufferedDeliveries(pendingDeliveries) };
+    }
+}
 
-    return embed;
+function acknowledgeDuplicateWebhook(res, action) {
+    console.log(`♻️ Duplicate webhook ignored: ${action.type} ${action.id}`);
+    if (analyticsManager) {
+        analyticsManager.recordWebhookEvent('duplicate');
+    }
+    return res.status(200).send('OK');
 }
 
 // Enhanced webhook endpoint with multi-board support
 app.post('/webhook/trello', async (req, res) => {
     try {
         const signature = req.get('X-Trello-Webhook');
-        const body = req.body;
+        const body = Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0);
+        
+        // The payload names the board (model) whose registered callback URL is part of the signature
+        let payload = null;
+        try {
+            payload = JSON.parse(body.toString());
+        } catch (error) {
+            payload = null;
+        }
         
         // Verify webhook signature if secret is configured
-        if (WEBHOOK_SECRET) {
-            if (!verifyTrelloWebhook(body, signature, WEBHOOK_SECRET)) {
-                console.log('❌ Webhook signature verification failed');
+        if (webhookSignatureVerifier.isEnabled()) {
+            const verification = await webhookSignatureVerifier.verify(body, signature, payload);
+            if (!verification.valid) {
+                console.log(`❌ Webhook signature verification failed: ${verification.reason}`);
+                
+                if (auditLogger) {
+                    await auditLogger.logSecurityEvent('SYSTEM', 'SYSTEM', 'Trello Webhook', 'webhook_signature_failure', {
+                        reason: verification.reason,
+                        boardId: payload?.model?.id || null,
+                        actionType: payload?.action?.type || null,
+                        timestamp: new Date().toISOString()
+                    }, 'HIGH', req.ip);
+                }
                 return res.status(401).send('Unauthorized');
             }
         }
         
-        const payload = JSON.parse(body.toString());
+        if (!payload) {
+            console.error('❌ Invalid webhook payload: body is not valid JSON');
+            return res.status(400).send('Bad Request');
+        }
         
         // Validate webhook payload
         const validation = ValidationUtils.validateWebhookPayload(payload);
@@ -441,101 +653,30 @@ app.post('/webhook/trello', async (req, res) => {
             return res.status(400).send('Bad Request');
         }
         
-        const { action } = payload;
-        
-        console.log(`🔔 Webhook received: ${action.type} by ${action.memberCreator.fullName}`);
-        
-        // Create Discord notification
-        const embed = createTrelloEventEmbed(action);
+        // Trello redelivers actions it considers unacknowledged; the in-memory check is a fast path,
+        // the queue's unique action ID also catches redeliveries across restarts and instances
+        if (webhookDeduplicator.isDuplicate(payload.action)) {
+            return acknowledgeDuplicateWebhook(res, payload.action);
+        }
         
-        // Enhanced multi-board notification routing via WebhookManager
-        if (webhookManager && action.data.board) {
-            try {
-                const boardId = action.data.board.id;
-                console.log(`🔀 Routing webhook notification for board: ${boardId}`);
-                
-                // Log webhook event in audit logger
-                if (auditLogger) {
-                    await auditLogger.logSystemEvent('webhook_received', {
-                        boardId,
-                        action: action.type,
-                        member: action.memberCreator.fullName,
-                        timestamp: new Date().toISOString()
-                    }, 'LOW');
-                }
-                
-                const result = await webhookManager.routeNotificationToChannels(boardId, client, embed);
-                
-                if (result.success && result.notificationsSent > 0) {
-                    console.log(`✅ Successfully routed webhook notification to ${result.notificationsSent} channels`);
-                    
-                    // Record analytics for webhook routing
-                    if (analyticsManager) {
-                        await analyticsManager.recordSystemMetric('webhook_routing', {
-                            boardId,
-                            channelsNotified: result.notificationsSent,
-                            actionType: action.type,
-                            timestamp: new Date().toISOString()
-                        });
-                    }
-                } else if (result.success && result.notificationsSent === 0) {
-                    console.log(`⚠️ No channels configured for board ${boardId}, using fallback notification`);
-                    
-                    // Log unconfigured board warning
-                    if (auditLogger) {
-                        await auditLogger.logSystemEvent('webhook_unconfigured_board', {
-                            boardId,
-                            actionType: action.type,
-                            timestamp: new Date().toISOString()
-                        }, 'MEDIUM');
-                    }
-                    
-                    // Fallback to broadcast to all guilds
-                    client.guilds.cache.forEach(guild => {
-                        const systemChannel = guild.systemChannel;
-                        if (systemChannel && systemChannel.permissionsFor(client.user)?.has('SendMessages')) {
-                            sendDiscordNotification(systemChannel.id, embed);
-                        }
-                    });
-                }
-            } catch (error) {
-                console.error('❌ Error in webhook manager routing:', error);
-                
-                // Log webhook routing failure
-                if (auditLogger) {
-                    await auditLogger.logSystemEvent('webhook_routing_failure', {
-                        boardId: action.data.board.id,
-                        error: error.message,
-                        timestamp: new Date().toISOString()
-                    }, 'HIGH');
-                }
-                
-                // Fallback to original behavior
-                client.guilds.cache.forEach(guild => {
-                    const systemChannel = guild.systemChannel;
-                    if (systemChannel && systemChannel.permissionsFor(client.user)?.has('SendMessages')) {
-                        sendDiscordNotification(systemChannel.id, embed);
-                    }
-                });
+        // Acknowledge once the event is stored; the queue worker sends the notifications
+        if (webhookQueue) {
+            const eventId = await webhookQueue.enqueue(payload);
+            if (!eventId) {
+                webhookDeduplicator.remember(payload.action);
+                return acknowledgeDuplicateWebhook(res, payload.action);
             }
+            console.log(`📥 Webhook queued: #${eventId} ${payload.action.type} by ${payload.action.memberCreator.fullName}`);
         } else {
-            // Fallback when WebhookManager not available or no board data
-            console.log('⚠️ WebhookManager not available or no board data, using broadcast fallback');
-            
-            if (auditLogger) {
-                await auditLogger.logSystemEvent('webhook_fallback', {
-                    reason: webhookManager ? 'no_board_data' : 'webhook_manager_unavailable',
-                    actionType: action.type,
-                    timestamp: new Date().toISOString()
-                }, 'MEDIUM');
+            const result = await processTrelloWebhook(payload);
+            if (result && result.delivered) {
+                result.delivered.catch(error => console.error('❌ Error delivering webhook notification:', error.message));
             }
-            
-            client.guilds.cache.forEach(guild => {
-                const systemChannel = guild.systemChannel;
-                if (systemChannel && systemChannel.permissionsFor(client.user)?.has('SendMessages')) {
-                    sendDiscordNotification(systemChannel.id, embed);
-                }
-            });
+        }
+        
+        webhookDeduplicator.remember(payload.action);
+        if (analyticsManager) {
+            analyticsManager.recordWebhookEvent('received');
         }
         
         res.status(200).send('OK');
@@ -545,6 +686,15 @@ app.post('/webhook/trello', async (req, res) => {
     }
 });
 
+// Trello sends a HEAD request to the callback URL when a webhook is created and expects 200
+app.head('/webhook/trello', (req, res) => {
+    res.status(200).end();
+});
+
+app.all('/webhook/trello', (req, res) => {
+    res.set('Allow', 'HEAD, POST').status(405).send('Method Not Allowed');
+});
+
 // Health check endpoint (enhanced for Phase 3.3)
 app.get('/health', async (req, res) => {
     try {
@@ -564,7 +714,8 @@ app.get('/health', async (req, res) => {
                 analytics_manager: false,
                 audit_logger: false,
                 template_manager: false,
-                ai_enhanced_manager: false
+                ai_enhanced_manager: false,
+                thread_sync_manager: false
             }
         };
         
@@ -582,6 +733,7 @@ app.get('/health', async (req, res) => {
         if (trelloService) {
             const trelloHealth = await trelloService.healthCheck();
             health.services.trello = trelloHealth.healthy;
+            health.trello_api_stats = trelloService.http.getStats();
         }
         
         if (webhookManager) {
@@ -641,6 +793,76 @@ app.get('/health', async (req, res) => {
             };
         }
         
+        health.ai_providers = await aiService.healthCheck();
+        
+        if (threadSyncManager) {
+            const threadHealth = await threadSyncManager.healthCheck();
+            health.services.thread_sync_manager = threadHealth.healthy;
+            health.thread_sync_stats = {
+                syncedThreads: threadHealth.syncedThreads
+            };
+        }
+        
+        if (userLinkManager) {
+            const linkHealth = await userLinkManager.healthCheck();
+            health.services.user_link_manager = linkHealth.healthy;
+            health.user_link_stats = {
+                verifiedLinks: linkHealth.verifiedLinks
+            };
+        }
+        
+        if (reminderScheduler) {
+            const reminderHealth = await reminderScheduler.healthCheck();
+            health.services.reminder_scheduler = reminderHealth.healthy;
+            health.reminder_stats = {
+                running: reminderHealth.running,
+                lastScanAt: reminderHealth.lastScanAt,
+                remindersLast24h: reminderHealth.remindersLast24h
+            };
+        }
+        
+        if (notificationFilterManager) {
+            const filterHealth = await notificationFilterManager.healthCheck();
+            health.services.notification_filter_manager = filterHealth.healthy;
+            health.notification_filter_stats = {
+                filteredChannels: filterHealth.filteredChannels
+            };
+        }
+        
+        if (notificationBatcher) {
+            health.notification_batching = notificationBatcher.getStats();
+        }
+        
+        if (digestScheduler) {
+            const digestHealth = await digestScheduler.healthCheck();
+            health.services.digest_scheduler = digestHealth.healthy;
+            health.digest_stats = {
+                running: digestHealth.running,
+                scheduledDigests: digestHealth.scheduledDigests
+            };
+        }
+        
+        health.webhook_dedupe_stats = webhookDeduplicator.getStats();
+        health.webhook_signature_stats = webhookSignatureVerifier.getStats();
+        
+        if (leaderElection) {
+            const leaderHealth = await leaderElection.healthCheck();
+            health.services.leader_election = leaderHealth.healthy;
+            health.leader_election = leaderHealth;
+        }
+        
+        if (webhookQueue) {
+            const queueHealth = await webhookQueue.healthCheck();
+            health.services.webhook_queue = queueHealth.healthy;
+            health.webhook_queue_stats = {
+                running: queueHealth.running,
+                pending: queueHealth.pending,
+                dead: queueHealth.dead,
+                oldestPendingAt: queueHealth.oldestPendingAt,
+                ...queueHealth.stats
+            };
+        }
+        
         // CommandRouter comprehensive health
         if (commandRouter) {
             const routerHealth = await commandRouter.healthCheck();
@@ -724,22 +946,51 @@ client.once('ready', async () => {
     // Initialize services after Discord client is ready
     await initializeServices();
     
-    if (genAI) {
-        console.log('🧠 Gemini AI integration enabled - Smart card creation active');
+    // Scheduled and webhook work runs on one instance only; another takes over if the leader stops renewing.
+    // Analytics and audit buffers are still flushed by every instance, since each only holds its own entries.
+    if (leaderElection) {
+        leaderElection.registerJob('reminders', {
+            start: () => reminderScheduler.start(client),
+            stop: () => reminderScheduler.stop()
+        });
+        digestScheduler.setClient(client);
+        leaderElection.registerJob('digests', {
+            start: () => digestScheduler.start(client),
+            stop: () => digestScheduler.stop()
+        });
+        
+        // Process stored webhook events, including any left over from before a restart or failover
+        leaderElection.registerJob('webhook-queue', {
+            start: () => webhookQueue.start(processTrelloWebhook),
+            stop: () => webhookQueue.stop()
+        });
+        
+        if (WEBHOOK_URL) {
+            leaderElection.registerJob('webhook-registration', {
+                start: () => registerConfiguredWebhooks()
+            });
+        }
+        
+        leaderElection.start();
+    }
+    
+    if (aiService.hasProviders()) {
+        console.log(`🧠 AI providers enabled (${aiService.defaultChain.join(' → ')}) - Smart card creation active`);
     } else {
-        console.log('📝 Gemini AI not configured - Using basic card creation');
+        console.log('📝 No AI provider configured - Using basic card creation');
     }
     
     // Set activity based on available Phase 3.3 features
     const features = [];
     if (configManager) features.push('Multi-board');
-    if (genAI) features.push('AI');
+    if (aiService.hasProviders()) features.push('AI');
     if (WEBHOOK_URL && webhookManager) features.push('Smart Webhooks');
     if (permissionManager) features.push('Permissions');
     if (analyticsManager) features.push('Analytics');
     if (auditLogger) features.push('Audit');
     if (templateManager) features.push('Templates');
     if (aiEnhancedManager) features.push('AI-Enhanced');
+    if (reminderScheduler) features.push('Reminders');
     
     const activityText = features.length > 0 
         ? `${COMMAND_PREFIX} help • ${features.slice(0, 3).join(', ')}${features.length > 3 ? '...' : ''}`
@@ -747,6 +998,16 @@ client.once('ready', async () => {
     
     client.user.setActivity(activityText, { type: 'LISTENING' });
     
+    // Register /trello slash commands per guild (guild-scoped commands update instantly)
+    if (slashCommandRegistry && SLASH_COMMANDS_ENABLED) {
+        await slashCommandRegistry.syncAllGuilds(client);
+    } else if (slashCommandRegistry) {
+        // Commands registered by earlier runs would otherwise stay visible without a handler
+        for (const guild of client.guilds.cache.values()) {
+            await slashCommandRegistry.unregisterGuildCommands(guild);
+        }
+    }
+    
     // Log successful startup
     if (auditLogger) {
         await auditLogger.logSystemEvent('bot_ready', {
@@ -775,6 +1036,12 @@ client.once('ready', async () => {
 client.on('messageCreate', async (message) => {
     if (message.author.bot) return;
 
+    // Messages in synced card threads become Trello comments
+    if (threadSyncManager && !message.content.startsWith(COMMAND_PREFIX) && message.channel.isThread()) {
+        await threadSyncManager.handleThreadMessage(message);
+        return;
+    }
+
     if (message.content.startsWith(COMMAND_PREFIX)) {
         try {
             if (commandRouter) {
@@ -791,22 +1058,38 @@ client.on('messageCreate', async (message) => {
     }
 });
 
-// Utility function (unchanged for compatibility)
-function formatDate(dateString) {
+// Slash command handling
+client.on('interactionCreate', async (interaction) => {
     try {
-        const date = new Date(dateString);
-        return date.toLocaleDateString('en-US', {
-            weekday: 'short',
-            year: 'numeric',
-            month: 'short',
-            day: 'numeric',
-            hour: '2-digit',
-            minute: '2-digit'
-        });
+        if (slashCommandRegistry && slashCommandRegistry.isHandledInteraction(interaction)) {
+            await slashCommandRegistry.handleInteraction(interaction);
+        } else if (commandRouter && commandRouter.messageCardHandler.isHandledInteraction(interaction)) {
+            await commandRouter.messageCardHandler.handleInteraction(interaction);
+        } else if (commandRouter && commandRouter.cardActionHandler.isHandledInteraction(interaction)) {
+            await commandRouter.cardActionHandler.handleInteraction(interaction);
+        } else if (commandRouter && commandRouter.paginationHandler.isHandledInteraction(interaction)) {
+            await commandRouter.paginationHandler.handleInteraction(interaction);
+        } else if (interaction.isRepliable() && !slashCommandRegistry) {
+            await interaction.reply({ content: '⚠️ Bot services are initializing. Please try again in a moment.', ephemeral: true });
+        }
     } catch (error) {
-        return dateString;
+        console.error('❌ Error in interaction handling:', error);
     }
-}
+});
+
+// The guild's card reaction emoji turns the reacted message into a card
+client.on('messageReactionAdd', async (reaction, user) => {
+    if (commandRouter) {
+        await commandRouter.messageCardHandler.handleReaction(reaction, user);
+    }
+});
+
+// Register slash commands when the bot joins a new guild
+client.on('guildCreate', async (guild) => {
+    if (slashCommandRegistry && SLASH_COMMANDS_ENABLED) {
+        await slashCommandRegistry.syncGuildCommands(guild);
+    }
+});
 
 // Error handling (enhanced)
 client.on('error', (error) => {
@@ -854,8 +1137,39 @@ async function gracefulShutdown(signal) {
             console.log('🧠 AI enhanced manager shutdown');
         }
         
-        // Close webhook services
-        if (webhookManager) {
+        if (reminderScheduler) {
+            reminderScheduler.stop();
+            console.log('⏰ Reminder scheduler stopped');
+        }
+        
+        if (digestScheduler) {
+            digestScheduler.stop();
+            console.log('🗞️ Digest scheduler stopped');
+        }
+        
+        // Unfinished webhook events stay queued and are processed after restart
+        if (webhookQueue) {
+            webhookQueue.stop();
+            console.log('📥 Webhook queue worker stopped');
+        }
+        
+        // Hand the lease over right away instead of letting it expire
+        const wasLeader = !!leaderElection && leaderElection.isLeader;
+        if (leaderElection) {
+            await leaderElection.shutdown();
+            console.log('👑 Leader election stopped');
+        }
+        
+        // Send notifications still waiting in batch buffers, then record their queued events as completed
+        if (notificationBatcher) {
+            await notificationBatcher.flushAll();
+        }
+        if (webhookQueue) {
+            await webhookQueue.waitForDeliveries();
+        }
+        
+        // Close webhook services; registrations are shared, so only the leader tidies them up
+        if (webhookManager && wasLeader) {
             console.log('🧹 Running webhook cleanup...');
             try {
                 await webhookManager.cleanupOrphanedWebhooks();
@@ -866,7 +1180,7 @@ async function gracefulShutdown(signal) {
         
         // Close cache and database
         if (configCache) {
-            configCache.close();
+            await configCache.close();
             console.log('📦 Cache closed');
         }
         
@@ -932,6 +1246,53 @@ async function listTrelloWebhooks() {
     throw new Error('TrelloService not available');
 }
 
+/**
+ * Register Trello webhooks for every configured board; runs on the leader instance only
+ */
+async function registerConfiguredWebhooks() {
+    try {
+        if (webhookManager) {
+            console.log('🚀 Starting auto-registration of webhooks for all configured boards...');
+            const results = await webhookManager.autoRegisterWebhooksForConfiguredBoards(WEBHOOK_URL);
+            
+            if (results.success) {
+                console.log(`✅ Webhook auto-registration completed: ${results.successful}/${results.total} boards`);
+                
+                if (results.successful < results.total) {
+                    console.log('⚠️ Some webhooks failed to register. Check logs above for details.');
+                    console.log('💡 You can manually manage webhooks using config commands.');
+                }
+            } else {
+                console.error('❌ Webhook auto-registration failed:', results.error);
+                console.log('💡 You can manually register webhooks using config commands.');
+            }
+        }
+        
+        // Fallback to legacy behavior if TRELLO_BOARD_ID is set but no multi-board config
+        else if (trelloService && process.env.TRELLO_BOARD_ID) {
+            console.log('📄 Using legacy webhook registration for TRELLO_BOARD_ID...');
+            const existingWebhooks = await listTrelloWebhooks();
+            const botWebhook = existingWebhooks.find(webhook => 
+                webhook.callbackURL === `${WEBHOOK_URL}/webhook/trello`
+            );
+            
+            if (!botWebhook) {
+                console.log('🔧 Registering legacy webhook...');
+                const webhook = await createTrelloWebhook(
+                    `${WEBHOOK_URL}/webhook/trello`,
+                    'Discord-Trello Bot Legacy Auto-registered'
+                );
+                console.log(`✅ Legacy webhook registered: ${webhook.id}`);
+            } else {
+                console.log(`✅ Legacy webhook already exists: ${botWebhook.id}`);
+            }
+        }
+    } catch (error) {
+        console.error('⚠️ Failed to register webhooks:', error.message);
+        console.log('💡 You can manually register webhooks using config commands.');
+    }
+}
+
 // Main initialization
 console.log('🚀 Starting Discord-Trello Bot...');
 validateEnvironmentVariables();
@@ -947,52 +1308,7 @@ const server = app.listen(WEBHOOK_PORT, async () => {
     
     // Initialize webhooks if URL is configured
     if (WEBHOOK_URL) {
-        console.log(`🪝 Webhook URL configured: ${WEBHOOK_URL}`);
-        
-        // Auto-register webhooks for all configured boards
-        setTimeout(async () => {
-            try {
-                if (webhookManager) {
-                    console.log('🚀 Starting auto-registration of webhooks for all configured boards...');
-                    const results = await webhookManager.autoRegisterWebhooksForConfiguredBoards(WEBHOOK_URL);
-                    
-                    if (results.success) {
-                        console.log(`✅ Webhook auto-registration completed: ${results.successful}/${results.total} boards`);
-                        
-                        if (results.successful < results.total) {
-                            console.log('⚠️ Some webhooks failed to register. Check logs above for details.');
-                            console.log('💡 You can manually manage webhooks using config commands.');
-                        }
-                    } else {
-                        console.error('❌ Webhook auto-registration failed:', results.error);
-                        console.log('💡 You can manually register webhooks using config commands.');
-                    }
-                }
-                
-                // Fallback to legacy behavior if TRELLO_BOARD_ID is set but no multi-board config
-                else if (trelloService && process.env.TRELLO_BOARD_ID) {
-                    console.log('📄 Using legacy webhook registration for TRELLO_BOARD_ID...');
-                    const existingWebhooks = await listTrelloWebhooks();
-                    const botWebhook = existingWebhooks.find(webhook => 
-                        webhook.callbackURL === `${WEBHOOK_URL}/webhook/trello`
-                    );
-                    
-                    if (!botWebhook) {
-                        console.log('🔧 Registering legacy webhook...');
-                        const webhook = await createTrelloWebhook(
-                            `${WEBHOOK_URL}/webhook/trello`,
-                            'Discord-Trello Bot Legacy Auto-registered'
-                        );
-                        console.log(`✅ Legacy webhook registered: ${webhook.id}`);
-                    } else {
-                        console.log(`✅ Legacy webhook already exists: ${botWebhook.id}`);
-                    }
-                }
-            } catch (error) {
-                console.error('⚠️ Failed to register webhooks:', error.message);
-                console.log('💡 You can manually register webhooks using config commands.');
-            }
-        }, 8000); // Wait 8 seconds for services to fully initialize
+        console.log(`🪝 Webhook URL configured: ${WEBHOOK_URL} (webhooks are registered by the leader instance)`);
     } else {
         console.log('⚠️ WEBHOOK_URL not configured - webhook notifications disabled');
     }
@@ -3,11 +3,12 @@ const { PermissionManager } = require('../services/PermissionManager');
 const { getDatabase } = require('../database/connection');
 
 class AdminCommands {
-    constructor(configManager, trelloService, webhookManager, permissionManager = null) {
+    constructor(configManager, trelloService, webhookManager, permissionManager = null, webhookQueue = null) {
         this.configManager = configManager;
         this.trelloService = trelloService;
         this.webhookManager = webhookManager;
         this.permissionManager = permissionManager || new PermissionManager();
+        this.webhookQueue = webhookQueue;
         this.db = getDatabase();
         
         // Admin command handlers registry
@@ -95,7 +96,7 @@ class AdminCommands {
                 },
                 {
                     name: '📊 Analytics & Monitoring',
-                    value: '`admin status` - Comprehensive server analytics\n`admin analytics [timeframe]` - Usage analytics dashboard\n`admin webhooks` - Webhook management and health',
+                    value: '`admin status` - Comprehensive server analytics\n`admin analytics [timeframe]` - Usage analytics dashboard\n`admin webhooks` - Webhook management and health\n`admin webhooks queue` - Webhook event queue and dead letters\n`admin webhooks replay <id|since> [confirm]` - Reprocess stored webhook events',
                     inline: false
                 },
                 {
@@ -418,6 +419,12 @@ class AdminCommands {
                 case 'health':
                     await this.checkWebhookHealth(message);
                     break;
+                case 'queue':
+                    await this.showWebhookQueue(message);
+                    break;
+                case 'replay':
+                    await this.replayWebhookEvents(message, args.slice(1));
+                    break;
                 default:
                     await this.showWebhookHelp(message);
             }
@@ -429,6 +436,110 @@ class AdminCommands {
         }
     }
 
+    async showWebhookQueue(message) {
+        if (!this.webhookQueue) {
+            await message.reactions.removeAll();
+            await message.reply('❌ The webhook queue is not available.');
+            return;
+        }
+
+        const boardIds = await this.configManager.getGuildBoardIds(message.guild.id);
+        const health = await this.webhookQueue.healthCheck();
+        const deadLetters = await this.webhookQueue.getDeadLetters(10, boardIds);
+
+        const embed = new EmbedBuilder()
+            .setColor(health.dead > 0 ? 0xffa500 : 0x00ff00)
+            .setTitle('📥 Webhook Event Queue')
+            .addFields(
+                {
+                    name: '📊 Queue',
+                    value: `**Pending**: ${health.pending}\n**Completed**: ${health.completed}\n**Dead**: ${health.dead}\n**Worker**: ${health.running ? 'Running' : 'Stopped'}`,
+                    inline: true
+                },
+                {
+                    name: '☠️ Dead Letters (this server\'s boards)',
+                    value: deadLetters.length > 0
+                        ? deadLetters.map(letter => `\`#${letter.event_id}\` ${letter.action_type} • ${letter.attempts} attempts • ${(letter.last_error || 'Unknown error').substring(0, 60)}`).join('\n').substring(0, 1024)
+                        : 'None',
+                    inline: false
+                }
+            )
+            .setFooter({ text: 'Discord-Trello Bot • admin webhooks replay <id|since> to reprocess' })
+            .setTimestamp();
+
+        await message.reactions.removeAll();
+        await message.react('✅');
+        await message.reply({ embeds: [embed] });
+    }
+
+    /**
+     * Requeue one event by ID, or every event since a duration (30m, 6h, 2d) or date.
+     * Replays above the queue's threshold need a trailing "confirm".
+     */
+    async replayWebhookEvents(message, args) {
+        await message.reactions.removeAll();
+
+        if (!this.webhookQueue) {
+            await message.reply('❌ The webhook queue is not available.');
+            return;
+        }
+
+        const confirmed = args.length > 1 && args[args.length - 1].toLowerCase() === 'confirm';
+        const target = (confirmed ? args.slice(0, -1) : args).join(' ').trim();
+        const since = /^\d+$/.test(target) ? null : this.parseReplaySince(target);
+
+        if (!target || (!/^\d+$/.test(target) && !since)) {
+            await message.reply('❌ Usage: `admin webhooks replay <event-id>` or `admin webhooks replay <since> [confirm]` where since is a duration (`30m`, `6h`, `2d`) or a date (`2024-05-01`)');
+            return;
+        }
+
+        // Only events for boards configured on this server can be replayed from it
+        const boardIds = await this.configManager.getGuildBoardIds(message.guild.id);
+
+        if (!since) {
+            const { requeued, status } = await this.webhookQueue.replayEvent(parseInt(target), boardIds);
+            if (requeued === 0) {
+                await message.react('❌');
+                await message.reply(status
+                    ? `⏳ Webhook event #${target} is still ${status === 'processing' ? 'being processed' : 'queued'}; it can be replayed once it has completed or failed.`
+                    : `❌ Webhook event #${target} was not found for this server's boards.`);
+                return;
+            }
+
+            await message.react('✅');
+            await message.reply(`🔁 Requeued webhook event #${target} for processing.`);
+            return;
+        }
+
+        const matching = await this.webhookQueue.countReplayableSince(since, boardIds);
+        if (matching > this.webhookQueue.replayConfirmThreshold && !confirmed) {
+            await message.react('⚠️');
+            await message.reply(`⚠️ ${matching} webhook events match. Replaying posts each of them again in every channel mapped to these boards, including channels on other servers that share a board. Run \`admin webhooks replay ${target} confirm\` to continue.`);
+            return;
+        }
+
+        const replayed = matching > 0 ? await this.webhookQueue.replaySince(since, boardIds) : 0;
+        if (replayed === 0) {
+            await message.react('❌');
+            await message.reply(`❌ No processed webhook events for this server's boards since <t:${Math.floor(since.getTime() / 1000)}:f>.`);
+            return;
+        }
+
+        await message.react('✅');
+        await message.reply(`🔁 Requeued ${replayed} webhook event(s) for processing.`);
+    }
+
+    parseReplaySince(value) {
+        const duration = /^(\d+)([mhd])$/i.exec(value);
+        if (duration) {
+            const unit = { m: 60, h: 60 * 60, d: 24 * 60 * 60 }[duration[2].toLowerCase()];
+            return new Date(Date.now() - parseInt(duration[1]) * unit * 1000);
+        }
+
+        const date = new Date(value);
+        return Number.isNaN(date.getTime()) ? null : date;
+    }
+
     // Additional helper methods for admin commands...
 
     getBoardPermissionLevel(board) {
@@ -0,0 +1,202 @@
+const { getCache } = require('../utils/cache');
+
+// Discord limits autocomplete responses to 25 choices of at most 100 characters
+const MAX_CHOICES = 25;
+const MAX_CHOICE_LENGTH = 100;
+
+/**
+ * Autocomplete suggestions for slash command arguments.
+ * Suggests Trello boards, lists, cards and templates by name and resolves them
+ * to IDs. Source data is cached per guild so typing doesn't hit the Trello API
+ * on every keystroke.
+ */
+class AutocompleteProvider {
+    constructor(trelloService, templateManager = null, permissionManager = null, configManager = null, cache = null) {
+        this.trelloService = trelloService;
+        this.templateManager = templateManager;
+        this.permissionManager = permissionManager;
+        this.configManager = configManager;
+        this.cache = cache || getCache();
+        this.recentCardLimit = 50;
+
+        // "[group ]<subcommand>:<option>" -> provider
+        this.providers = new Map();
+        this.registerProviders();
+    }
+
+    registerProviders() {
+        this.providers.set('admin config:board', this.requireConfigure(this.suggestBoards.bind(this)));
+        this.providers.set('admin config:list', this.requireConfigure(this.suggestLists.bind(this)));
+        this.providers.set('batch:list', this.suggestLists.bind(this));
+        this.providers.set('update:card', this.suggestCards.bind(this));
+        this.providers.set('comment:card', this.suggestCards.bind(this));
+        this.providers.set('reminders:card', this.suggestCards.bind(this));
+        this.providers.set('admin templates:name', this.suggestTemplates.bind(this));
+
+        for (const subcommand of ['move', 'archive', 'unarchive', 'delete', 'copy']) {
+            this.providers.set(`card ${subcommand}:card`, this.suggestCards.bind(this));
+        }
+        this.providers.set('card move:list', this.suggestGuildLists.bind(this));
+        this.providers.set('card move:board', this.suggestGuildBoards.bind(this));
+        this.providers.set('card copy:list', this.suggestLists.bind(this));
+
+        for (const subcommand of ['add', 'item', 'show', 'check', 'uncheck']) {
+            this.providers.set(`checklist ${subcommand}:card`, this.suggestCards.bind(this));
+        }
+    }
+
+    /**
+     * Respond to an autocomplete interaction for the focused option
+     */
+    async handleAutocomplete(interaction) {
+        try {
+            const group = interaction.options.getSubcommandGroup(false);
+            const subcommand = interaction.options.getSubcommand();
+            const focused = interaction.options.getFocused(true);
+            const provider = this.providers.get(`${group ? `${group} ` : ''}${subcommand}:${focused.name}`);
+
+            if (!provider) {
+                await interaction.respond([]);
+                return;
+            }
+
+            const context = {
+                guildId: interaction.guildId,
+                channelId: interaction.channelId,
+                userId: interaction.user.id,
+                user: interaction.user,
+                channel: interaction.channel,
+                options: interaction.options
+            };
+
+            const choices = await provider(focused.value || '', context);
+            await interaction.respond(choices.slice(0, MAX_CHOICES));
+
+        } catch (error) {
+            console.error('❌ Error handling autocomplete:', error.message);
+            await interaction.respond([]).catch(() => null);
+        }
+    }
+
+    async suggestBoards(query, context) {
+        return this.filterChoices(await this.getBoards(context), query);
+    }
+
+    /**
+     * Boards configured in this guild, for commands that act on them rather than configure them
+     */
+    async suggestGuildBoards(query, context) {
+        if (!this.configManager) return [];
+
+        const boardIds = await this.configManager.getGuildBoardIds(context.guildId);
+        const boards = await this.getBoards(context);
+        return this.filterChoices(boards.filter(board => boardIds.includes(board.id)), query);
+    }
+
+    async suggestGuildLists(query, context) {
+        const boardId = context.options.getString('board');
+        if (boardId) {
+            const boardIds = this.configManager ? await this.configManager.getGuildBoardIds(context.guildId) : [];
+            if (!boardIds.includes(boardId)) return [];
+        }
+
+        return this.suggestLists(query, context);
+    }
+
+    async suggestLists(query, context) {
+        const boardId = context.options.getString('board') || await this.resolveBoardId(context);
+        if (!boardId) return [];
+
+        const lists = await this.getCachedOrFetch(context.guildId, 'lists', boardId, async () => {
+            const boardLists = await this.trelloService.getBoardLists(boardId);
+            return boardLists.map(list => ({ id: list.id, name: list.name }));
+        });
+
+        return this.filterChoices(lists, query);
+    }
+
+    async suggestCards(query, context) {
+        const boardId = await this.resolveBoardId(context);
+        if (!boardId) return [];
+
+        const cards = await this.getCachedOrFetch(context.guildId, 'cards', boardId, async () => {
+            const recentCards = await this.trelloService.getRecentCards(boardId, this.recentCardLimit);
+            return recentCards.map(card => ({ id: card.id, name: card.name }));
+        });
+
+        return this.filterChoices(cards, query);
+    }
+
+    async suggestTemplates(query, context) {
+        if (!this.templateManager) return [];
+
+        const templates = await this.getCachedOrFetch(context.guildId, 'templates', context.userId, async () => {
+            const result = await this.templateManager.listTemplates(true, context.userId);
+            return (result.templates || []).map(template => ({ id: String(template.id), name: template.name }));
+        });
+
+        return this.filterChoices(templates, query);
+    }
+
+    // Helper methods
+
+    async getBoards(context) {
+        return this.getCachedOrFetch(context.guildId, 'boards', 'all', async () => {
+            const userBoards = await this.trelloService.getUserBoards();
+            return userBoards.map(board => ({ id: board.id, name: board.name }));
+        });
+    }
+
+    /**
+     * Only suggest for users who may configure the channel; every board the token can see is listed
+     */
+    requireConfigure(provider) {
+        return async (query, context) => {
+            if (!this.permissionManager || !context.channel) return [];
+            const canConfigure = await this.permissionManager.canConfigureChannel(context.user, context.channel);
+            return canConfigure ? provider(query, context) : [];
+        };
+    }
+
+    async resolveBoardId(context) {
+        const config = await this.trelloService.resolveConfiguration(context.guildId, context.channelId);
+        return config ? config.boardId : null;
+    }
+
+    async getCachedOrFetch(guildId, type, scopeId, fetcher) {
+        const cached = await this.cache.getAutocompleteResults(guildId, type, scopeId);
+        if (cached) return cached;
+
+        const results = await fetcher();
+        await this.cache.setAutocompleteResults(guildId, type, scopeId, results);
+        return results;
+    }
+
+    /**
+     * Match items by name or ID prefix and convert them to autocomplete choices
+     */
+    filterChoices(items, query) {
+        const normalizedQuery = query.trim().toLowerCase();
+
+        const matches = normalizedQuery
+            ? items.filter(item =>
+                item.name.toLowerCase().includes(normalizedQuery) ||
+                item.id.toLowerCase().startsWith(normalizedQuery)
+            )
+            : items;
+
+        return matches.slice(0, MAX_CHOICES).map(item => {
+            const suffix = ` (${item.id.substring(0, 8)})`;
+            return {
+                name: `${this.truncate(item.name, MAX_CHOICE_LENGTH - suffix.length)}${suffix}`,
+                value: item.id
+            };
+        });
+    }
+
+    truncate(text, maxLength = MAX_CHOICE_LENGTH) {
+        return text.length > maxLength ? `${text.substring(0, maxLength - 3)}...` : text;
+    }
+}
+
+module.exports = { AutocompleteProvider };
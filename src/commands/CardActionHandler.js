@@ -0,0 +1,341 @@
+const {
+    ActionRowBuilder,
+    ButtonBuilder,
+    ButtonStyle,
+    EmbedBuilder,
+    StringSelectMenuBuilder
+} = require('discord.js');
+
+const CUSTOM_ID_PREFIX = 'card';
+
+// Discord limits select menus to 25 options of at most 100 characters
+const MAX_SELECT_OPTIONS = 25;
+const MAX_OPTION_LENGTH = 100;
+
+const DUE_PRESETS = [
+    { value: 'today', label: 'Today', days: 0 },
+    { value: 'tomorrow', label: 'Tomorrow', days: 1 },
+    { value: '3days', label: 'In 3 days', days: 3 },
+    { value: 'week', label: 'In 1 week', days: 7 },
+    { value: 'clear', label: 'Remove due date', days: null }
+];
+
+/**
+ * Buttons and select menus attached to created-task embeds.
+ * Component custom IDs have the form `card:<action>:<cardId>:<creatorId>` so
+ * clicks keep working after a restart without any stored state.
+ */
+class CardActionHandler {
+    constructor(commandRouter) {
+        this.commandRouter = commandRouter;
+        this.trelloService = commandRouter.trelloService;
+        this.permissionManager = commandRouter.permissionManager;
+        this.auditLogger = commandRouter.auditLogger;
+
+        // action -> handler returning the updated message payload
+        this.actions = new Map();
+        this.registerActions();
+    }
+
+    registerActions() {
+        this.actions.set('move', this.handleMove.bind(this));
+        this.actions.set('assign', this.handleAssign.bind(this));
+        this.actions.set('due', this.handleDue.bind(this));
+        this.actions.set('label', this.handleLabel.bind(this));
+        this.actions.set('archive', this.handleArchive.bind(this));
+        this.actions.set('undo', this.handleUndo.bind(this));
+    }
+
+    /**
+     * Build the component rows for a created-task embed
+     * List and label menus are omitted if the board can't be read
+     */
+    async buildComponents(card, config, creatorId) {
+        const [lists, labels] = await Promise.all([
+            this.trelloService.getBoardLists(config.boardId).catch(() => []),
+            this.trelloService.getBoardLabels(config.boardId).catch(() => [])
+        ]);
+
+        const rows = [];
+
+        const listOptions = lists
+            .filter(list => list.id !== card.idList)
+            .map(list => ({ label: this.truncate(list.name), value: list.id }));
+
+        if (listOptions.length > 0) {
+            rows.push(new ActionRowBuilder().addComponents(
+                new StringSelectMenuBuilder()
+                    .setCustomId(this.buildCustomId('move', card.id, creatorId))
+                    .setPlaceholder('📂 Move to list…')
+                    .addOptions(listOptions.slice(0, MAX_SELECT_OPTIONS))
+            ));
+        }
+
+        const labelOptions = labels.map(label => ({
+            label: this.truncate(label.name || label.color || 'Unnamed label'),
+            value: label.id
+        }));
+
+        if (labelOptions.length > 0) {
+            rows.push(new ActionRowBuilder().addComponents(
+                new StringSelectMenuBuilder()
+                    .setCustomId(this.buildCustomId('label', card.id, creatorId))
+                    .setPlaceholder('🏷️ Add label…')
+                    .addOptions(labelOptions.slice(0, MAX_SELECT_OPTIONS))
+            ));
+        }
+
+        rows.push(new ActionRowBuilder().addComponents(
+            new StringSelectMenuBuilder()
+                .setCustomId(this.buildCustomId('due', card.id, creatorId))
+                .setPlaceholder('📅 Set due…')
+                .addOptions(DUE_PRESETS.map(preset => ({ label: preset.label, value: preset.value })))
+        ));
+
+        rows.push(new ActionRowBuilder().addComponents(
+            new ButtonBuilder()
+                .setCustomId(this.buildCustomId('assign', card.id, creatorId))
+                .setLabel('Assign me')
+                .setEmoji('🙋')
+                .setStyle(ButtonStyle.Primary),
+            new ButtonBuilder()
+                .setCustomId(this.buildCustomId('archive', card.id, creatorId))
+                .setLabel('Archive')
+                .setEmoji('🗄️')
+                .setStyle(ButtonStyle.Secondary),
+            new ButtonBuilder()
+                .setCustomId(this.buildCustomId('undo', card.id, creatorId))
+                .setLabel('Undo create')
+                .setEmoji('↩️')
+                .setStyle(ButtonStyle.Danger)
+        ));
+
+        return rows;
+    }
+
+    isHandledInteraction(interaction) {
+        return (interaction.isButton() || interaction.isStringSelectMenu()) &&
+            interaction.customId.startsWith(`${CUSTOM_ID_PREFIX}:`);
+    }
+
+    /**
+     * Handle a click on a card action component and update the embed in place
+     */
+    async handleInteraction(interaction) {
+        const { action, cardId, creatorId } = this.parseCustomId(interaction.customId);
+        const handler = this.actions.get(action);
+
+        if (!handler) {
+            await interaction.reply({ content: '❌ This action is no longer supported.', ephemeral: true });
+            return;
+        }
+
+        const requiredLevel = this.getRequiredLevel(action, interaction.user.id, creatorId);
+        const allowed = await this.permissionManager.validateCommandPermission(
+            interaction.user,
+            interaction.guild,
+            interaction.channel,
+            requiredLevel
+        );
+
+        if (!allowed) {
+            await this.recordClick(interaction, action, cardId, { denied: true, requiredLevel }, false);
+            await interaction.reply({
+                content: `❌ Only the task creator or a ${requiredLevel} can use this action.`,
+                ephemeral: true
+            });
+            return;
+        }
+
+        try {
+            // Trello calls can outlast the 3 second interaction window, so acknowledge first
+            await interaction.deferUpdate();
+
+            const { payload, details } = await handler(interaction, cardId);
+            await interaction.editReply(payload);
+            await this.recordClick(interaction, action, cardId, details, true);
+
+        } catch (error) {
+            console.error(`❌ Error handling card action "${action}" for card ${cardId}:`, error.message);
+            await this.recordClick(interaction, action, cardId, { error: error.message }, false);
+
+            const reply = { content: '❌ Failed to update the Trello card. Please try again.', ephemeral: true };
+            if (interaction.replied || interaction.deferred) {
+                await interaction.followUp(reply).catch(() => null);
+            } else {
+                await interaction.reply(reply).catch(() => null);
+            }
+        }
+    }
+
+    async handleMove(interaction, cardId) {
+        const listId = interaction.values[0];
+        const listName = this.getSelectedLabel(interaction, listId);
+
+        await this.trelloService.moveCard(cardId, listId);
+
+        const embed = this.getMessageEmbed(interaction);
+        this.upsertField(embed, '📂 List', listName, true);
+
+        return { payload: { embeds: [embed] }, details: { listId, listName } };
+    }
+
+    /**
+     * Linked users become card members; unlinked users are recorded with a comment
+     */
+    async handleAssign(interaction, cardId) {
+        const userLinkManager = this.commandRouter.userLinkManager;
+        const link = userLinkManager ? await userLinkManager.getVerifiedLink(interaction.user.id) : null;
+
+        if (link) {
+            await this.trelloService.addMemberToCard(cardId, link.trello_member_id);
+        } else {
+            await this.trelloService.addCommentToCard(cardId, `🙋 Assigned to ${interaction.user.tag} from Discord`);
+        }
+
+        const embed = this.getMessageEmbed(interaction);
+        this.appendToField(embed, '🙋 Assigned to', `<@${interaction.user.id}>`);
+
+        return {
+            payload: { embeds: [embed] },
+            details: { assignee: interaction.user.id, trelloMemberId: link ? link.trello_member_id : null }
+        };
+    }
+
+    async handleDue(interaction, cardId) {
+        const presetValue = interaction.values[0];
+        const due = this.resolveDuePreset(presetValue);
+
+        await this.trelloService.setCardDue(cardId, due);
+
+        const embed = this.getMessageEmbed(interaction);
+        this.upsertField(embed, '📅 Due Date', due ? this.commandRouter.formatDate(due) : 'None', true);
+
+        return { payload: { embeds: [embed] }, details: { preset: presetValue, due } };
+    }
+
+    async handleLabel(interaction, cardId) {
+        const labelId = interaction.values[0];
+        const labelName = this.getSelectedLabel(interaction, labelId);
+
+        await this.trelloService.addLabelToCard(cardId, labelId);
+
+        const embed = this.getMessageEmbed(interaction);
+        this.appendToField(embed, '🏷️ Labels', labelName, ', ');
+
+        return { payload: { embeds: [embed] }, details: { labelId, labelName } };
+    }
+
+    async handleArchive(interaction, cardId) {
+        await this.trelloService.archiveCard(cardId);
+
+        const embed = this.getMessageEmbed(interaction)
+            .setTitle('🗄️ Task Archived')
+            .setColor(0x808080);
+        this.upsertField(embed, '🗄️ Archived by', interaction.user.tag, true);
+
+        return { payload: { embeds: [embed], components: [] }, details: null };
+    }
+
+    async handleUndo(interaction, cardId) {
+        await this.trelloService.deleteCard(cardId);
+
+        if (this.commandRouter.threadSyncManager) {
+            await this.commandRouter.threadSyncManager.removeMappingByCard(cardId);
+        }
+
+        const embed = this.getMessageEmbed(interaction)
+            .setTitle('↩️ Task Creation Undone')
+            .setColor(0x808080);
+        embed.spliceFields(0, embed.data.fields ? embed.data.fields.length : 0, {
+            name: '🗑️ Deleted by',
+            value: interaction.user.tag,
+            inline: true
+        });
+
+        return { payload: { embeds: [embed], components: [] }, details: null };
+    }
+
+    // Helper methods
+
+    /**
+     * Archiving and undoing are destructive - only the creator or a moderator may use them
+     */
+    getRequiredLevel(action, userId, creatorId) {
+        if (action === 'archive' || action === 'undo') {
+            return userId === creatorId ? 'user' : 'moderator';
+        }
+        return 'user';
+    }
+
+    async recordClick(interaction, action, cardId, details, success) {
+        if (!this.auditLogger) return;
+
+        await this.auditLogger.logCardAction(
+            interaction.guildId,
+            interaction.user.id,
+            interaction.user.tag,
+            action,
+            cardId,
+            { ...details, channelId: interaction.channelId, messageId: interaction.message?.id },
+            success
+        );
+    }
+
+    buildCustomId(action, cardId, creatorId) {
+        return `${CUSTOM_ID_PREFIX}:${action}:${cardId}:${creatorId}`;
+    }
+
+    parseCustomId(customId) {
+        const [, action, cardId, creatorId] = customId.split(':');
+        return { action, cardId, creatorId };
+    }
+
+    resolveDuePreset(value) {
+        const preset = DUE_PRESETS.find(p => p.value === value);
+        if (!preset || preset.days === null) return null;
+
+        const due = new Date();
+        due.setDate(due.getDate() + preset.days);
+        due.setHours(17, 0, 0, 0);
+        return due.toISOString();
+    }
+
+    getSelectedLabel(interaction, value) {
+        const option = interaction.component?.options?.find(o => o.value === value);
+        return option ? option.label : value;
+    }
+
+    getMessageEmbed(interaction) {
+        const [existing] = interaction.message.embeds;
+        return existing ? EmbedBuilder.from(existing) : new EmbedBuilder();
+    }
+
+    upsertField(embed, name, value, inline = false) {
+        const fields = embed.data.fields || [];
+        const index = fields.findIndex(field => field.name === name);
+
+        if (index >= 0) {
+            embed.spliceFields(index, 1, { name, value, inline });
+        } else {
+            embed.addFields({ name, value, inline });
+        }
+        return embed;
+    }
+
+    appendToField(embed, name, value, separator = ' ') {
+        const existing = (embed.data.fields || []).find(field => field.name === name);
+        const values = existing ? existing.value.split(separator) : [];
+
+        if (!values.includes(value)) {
+            values.push(value);
+        }
+        return this.upsertField(embed, name, values.join(separator), false);
+    }
+
+    truncate(text) {
+        return text.length > MAX_OPTION_LENGTH ? `${text.substring(0, MAX_OPTION_LENGTH - 3)}...` : text;
+    }
+}
+
+module.exports = { CardActionHandler };
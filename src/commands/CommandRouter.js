@@ -1,15 +1,38 @@
 const { ConfigManager } = require('../services/ConfigManager');
 const { TrelloService } = require('../services/TrelloService');
 const { PermissionManager } = require('../services/PermissionManager');
-const { AdminCommands } = require('./AdminCommands');
+const { AttachmentForwarder, MAX_SIZE_LIMIT_MB } = require('../services/AttachmentForwarder');
 const { AnalyticsManager } = require('../services/AnalyticsManager');
 const { AuditLogger } = require('../services/AuditLogger');
+const { AdminCommands } = require('./AdminCommands');
+const { CardActionHandler } = require('./CardActionHandler');
+const { MessageCardHandler } = require('./MessageCardHandler');
+const { PaginationHandler } = require('./PaginationHandler');
+
+const CHECKLIST_FLAG = /(^|\s)--checklist(?=\s|$)/i;
+const USER_MENTION = /<@!?(\d+)>/g;
+const MAX_GENERATED_SUBTASKS = 8;
+const CARDS_PER_PAGE = 10;
+const DUE_SOON_WINDOW = 48 * 60 * 60 * 1000; // 48 hours
+const SNOOZE_DURATION = /^(\d+)(m|h|d)$/i;
+const SEARCH_TOKEN = /\S+:"[^"]*"|"[^"]*"|\S+/g;
+const SEARCH_FILTER = /^(label|due|list|member|is):(.+)$/i;
+const SEARCH_DUE_VALUES = /^(day|week|month|overdue|complete|incomplete|\d+)$/i;
+const SEARCH_IS_VALUES = ['open', 'archived'];
+const SEARCH_RESULT_LIMIT = 100;
+const MAX_SNOOZE_MINUTES = 30 * 24 * 60;
+const BATCH_ATOMIC_FLAG = /(^|\s)--atomic(?=\s|$)/i;
+const BATCH_ITEM_MARKER = /^\s*(?:[-*•+]|\d+[.)]|\[[ xX]?\])\s+/;
+const MAX_BATCH_CARDS = 20;
+const BATCH_COOLDOWN = 30 * 1000; // per user, so a batch can't be spammed against the Trello rate limit
+const AI_TEST_COOLDOWN = 60 * 1000; // per guild, since each test sends a real request through the provider chain
+const DEFAULT_ANALYSIS_CATEGORIES = ['Development', 'Bug', 'Feature', 'Meeting', 'Research', 'Design', 'Admin'];
 
 class CommandRouter {
-    constructor(configManager, trelloService, geminiService = null, webhookManager = null, phase33Services = {}) {
+    constructor(configManager, trelloService, aiService = null, webhookManager = null, phase33Services = {}) {
         this.configManager = configManager || new ConfigManager();
         this.trelloService = trelloService || new TrelloService();
-        this.geminiService = geminiService;
+        this.aiService = aiService;
         this.webhookManager = webhookManager;
         
         // Phase 3.3 services
@@ -18,15 +41,40 @@ class CommandRouter {
         this.auditLogger = phase33Services.auditLogger || null;
         this.templateManager = phase33Services.templateManager || null;
         this.aiEnhancedManager = phase33Services.aiEnhancedManager || null;
+        this.threadSyncManager = phase33Services.threadSyncManager || null;
+        this.userLinkManager = phase33Services.userLinkManager || null;
+        this.reminderScheduler = phase33Services.reminderScheduler || null;
+        this.notificationFilterManager = phase33Services.notificationFilterManager || null;
+        this.digestScheduler = phase33Services.digestScheduler || null;
+        this.promptTemplateManager = phase33Services.promptTemplateManager || null;
         
         // Initialize admin commands with all required services
         this.adminCommands = new AdminCommands(
             this.configManager,
             this.trelloService,
             this.webhookManager,
-            this.permissionManager
+            this.permissionManager,
+            phase33Services.webhookQueue || null
         );
         
+        // Buttons and select menus on created-task embeds
+        this.cardActionHandler = new CardActionHandler(this);
+        
+        // Copies message attachments onto created cards, within the guild's limits
+        this.attachmentForwarder = phase33Services.attachmentForwarder || new AttachmentForwarder(this.trelloService, this.permissionManager);
+        
+        // Cards from existing messages (context menu and reaction emoji)
+        this.messageCardHandler = new MessageCardHandler(this);
+        
+        // Prev/next buttons on multi-page replies
+        this.paginationHandler = new PaginationHandler();
+        
+        // userId -> timestamp of the last batch, for the batch cooldown
+        this.batchCooldowns = new Map();
+        
+        // guildId -> timestamp of the last `ai test`, for its cooldown
+        this.aiTestCooldowns = new Map();
+        
         // Command handlers registry
         this.commands = new Map();
         this.registerDefaultCommands();
@@ -37,7 +85,28 @@ class CommandRouter {
         this.commands.set('help', this.handleHelpCommand.bind(this));
         this.commands.set('status', this.handleStatusCommand.bind(this));
         this.commands.set('list', this.handleListCommand.bind(this));
+        this.commands.set('mine', this.handleMineCommand.bind(this));
+        this.commands.set('search', this.handleSearchCommand.bind(this));
         this.commands.set('update', this.handleUpdateCommand.bind(this));
+        this.commands.set('move', this.handleMoveCommand.bind(this));
+        this.commands.set('archive', this.handleArchiveCommand.bind(this));
+        this.commands.set('unarchive', this.handleUnarchiveCommand.bind(this));
+        this.commands.set('delete', this.handleDeleteCommand.bind(this));
+        this.commands.set('copy', this.handleCopyCommand.bind(this));
+        this.commands.set('batch', this.handleBatchCommand.bind(this));
+        this.commands.set('checklist', this.handleChecklistCommand.bind(this));
+        this.commands.set('check', this.handleCheckCommand.bind(this));
+        this.commands.set('uncheck', this.handleUncheckCommand.bind(this));
+        this.commands.set('comment', this.handleCommentCommand.bind(this));
+        this.commands.set('threads', this.handleThreadsCommand.bind(this));
+        this.commands.set('reaction', this.handleReactionCommand.bind(this));
+        this.commands.set('attachments', this.handleAttachmentsCommand.bind(this));
+        this.commands.set('prompts', this.handlePromptsCommand.bind(this));
+        this.commands.set('ai', this.handleAICommand.bind(this));
+        this.commands.set('reminders', this.handleRemindersCommand.bind(this));
+        this.commands.set('notify', this.handleNotifyCommand.bind(this));
+        this.commands.set('link', this.handleLinkCommand.bind(this));
+        this.commands.set('unlink', this.handleUnlinkCommand.bind(this));
         this.commands.set('config', this.handleConfigCommand.bind(this));
         this.commands.set('admin', this.handleAdminCommand.bind(this));
         
@@ -55,13 +124,29 @@ class CommandRouter {
         if (!message.content.startsWith(commandPrefix)) return;
 
         const fullArgs = message.content.slice(commandPrefix.length).trim();
-        const [command, ...args] = fullArgs.split(' ');
+        // The command may be followed by a newline (e.g. batch lists), so split it off at any whitespace
+        const [command] = fullArgs.split(/\s/, 1);
+        const rest = fullArgs.slice(command.length + 1);
+        const args = rest ? rest.split(' ') : [];
         
+        if (!command && message.attachments.size > 0) {
+            await this.executeCommand(message, '', [], fullArgs);
+            return;
+        }
+
         if (!command) {
             await message.reply('❌ Please provide a command. Use `help` to see available commands.');
             return;
         }
 
+        await this.executeCommand(message, command, args, fullArgs);
+    }
+
+    /**
+     * Dispatch a parsed command to its handler
+     * Shared by text commands and slash commands so both paths behave identically
+     */
+    async executeCommand(message, command, args, fullArgs) {
         const startTime = Date.now();
         let success = true;
         let errorMessage = null;
@@ -124,6 +209,36 @@ class CommandRouter {
                     value: 'Create a new Trello card with AI-powered analysis',
                     inline: false
                 },
+                {
+                    name: `${commandPrefix} <task_description> --checklist`,
+                    value: 'Create a card and let AI break it into a subtasks checklist',
+                    inline: false
+                },
+                {
+                    name: `${commandPrefix} batch [list=<list>] [labels=a,b] [due=<date>] [--atomic]`,
+                    value: `Create up to ${MAX_BATCH_CARDS} cards from the following lines or bullets, analyzed together. \`--atomic\` deletes the created cards if any fail`,
+                    inline: false
+                },
+                {
+                    name: `${commandPrefix} reaction [<emoji>|off]`,
+                    value: 'Show or set the emoji that turns a reacted message into a card (moderators). Any message can also be turned into a card with **Apps → Create Trello card**',
+                    inline: false
+                },
+                {
+                    name: `${commandPrefix} attachments [on|off|size <MB>|types <types>|types reset]`,
+                    value: 'Show or change which message attachments are copied onto new cards (moderators)',
+                    inline: false
+                },
+                {
+                    name: `${commandPrefix} prompts [list|show|create|edit|use|delete] <name>`,
+                    value: 'Manage AI prompt templates with team instructions, labels, categories and output fields, and bind them to this channel or the server (moderators)',
+                    inline: false
+                },
+                {
+                    name: `${commandPrefix} ai [status|use <provider> [fallback...]|reset|test]`,
+                    value: 'Show the AI providers, choose this server\'s provider and fallback order (moderators), or send a test prompt',
+                    inline: false
+                },
                 {
                     name: `${commandPrefix} status`,
                     value: 'Show current board status and statistics',
@@ -139,10 +254,70 @@ class CommandRouter {
                     value: 'Update an existing card (fields: name, desc, due)',
                     inline: false
                 },
+                {
+                    name: `${commandPrefix} move <card-id> <list> [board=<board-id>]`,
+                    value: 'Move a card to another list (by name or ID), optionally on another board',
+                    inline: false
+                },
+                {
+                    name: `${commandPrefix} archive|unarchive <card-id>`,
+                    value: 'Archive or restore a card',
+                    inline: false
+                },
+                {
+                    name: `${commandPrefix} copy <card-id> [list] [name=<new name>]`,
+                    value: 'Copy a card into this channel\'s list or another list',
+                    inline: false
+                },
+                {
+                    name: `${commandPrefix} checklist add|item|show <card-id> ...`,
+                    value: 'Create checklists, add items or show a card\'s checklists',
+                    inline: false
+                },
+                {
+                    name: `${commandPrefix} check|uncheck <card-id> <item>`,
+                    value: 'Complete or reopen a checklist item (by name or number)',
+                    inline: false
+                },
+                {
+                    name: `${commandPrefix} comment <card-id> <text>`,
+                    value: 'Add a comment to a card',
+                    inline: false
+                },
+                {
+                    name: `${commandPrefix} notify [add <type> <value>|remove <rule-id>|clear|digest <daily|weekly|off>]`,
+                    value: 'Filter which Trello notifications this channel receives by action, list, label, member or keyword, or schedule a digest (moderators)',
+                    inline: false
+                },
+                {
+                    name: `${commandPrefix} reminders [snooze <card-id> <30m|2h|1d>]`,
+                    value: 'Show due-date reminder settings or snooze reminders for a card. Moderators: `on|off`, `windows 24h,1h,overdue`, `delivery channel|dm|both`, `channel here|clear`',
+                    inline: false
+                },
+                {
+                    name: `${commandPrefix} search <text> [label:bug] [due:overdue] [list:"In Progress"] [member:@user] [is:archived]`,
+                    value: 'Search cards on this server\'s boards',
+                    inline: false
+                },
+                {
+                    name: `${commandPrefix} mine`,
+                    value: 'Show the cards assigned to you on this server\'s boards (requires a linked account)',
+                    inline: false
+                },
+                {
+                    name: `${commandPrefix} link <trello-username>|verify|status`,
+                    value: 'Link your Discord account to Trello so @mentions assign cards to you',
+                    inline: false
+                },
                 {
                     name: `${commandPrefix} help`,
                     value: 'Show this help message',
                     inline: false
+                },
+                {
+                    name: '/trello <command>',
+                    value: 'All commands are also available as slash commands',
+                    inline: false
                 }
             ],
             footer: {
@@ -153,13 +328,20 @@ class CommandRouter {
 
         // Add permission-appropriate commands
         if (permissionLevel === 'admin' || permissionLevel === 'moderator') {
+            embed.fields.push({
+                name: '🗑️ Card Deletion',
+                value: `\`${commandPrefix} delete <card-id>\` - Permanently delete a card`,
+                inline: false
+            });
+
             embed.fields.push({
                 name: '⚙️ Configuration Commands',
                 value: `\`${commandPrefix} config board <board-id> [list-id]\` - Configure current channel\n` +
                        `\`${commandPrefix} config show\` - Show current channel configuration\n` +
                        `\`${commandPrefix} config list\` - List all server configurations\n` +
                        `\`${commandPrefix} config remove\` - Remove current channel configuration\n` +
-                       `\`${commandPrefix} config default <board-id> <list-id>\` - Set server default`,
+                       `\`${commandPrefix} config default <board-id> <list-id>\` - Set server default\n` +
+                       `\`${commandPrefix} threads on|off|status\` - Sync new cards with Discord threads`,
                 inline: false
             });
 
@@ -312,6 +494,292 @@ class CommandRouter {
         }
     }
 
+    /**
+     * List the open cards assigned to the caller on the boards configured in this guild
+     */
+    async handleMineCommand(message) {
+        const commandPrefix = process.env.COMMAND_PREFIX || '!t';
+
+        try {
+            if (!this.userLinkManager) {
+                await message.reply('❌ Account linking is not available, so assigned cards can\'t be looked up.');
+                return;
+            }
+
+            const link = await this.userLinkManager.getVerifiedLink(message.author.id);
+            if (!link) {
+                await message.reply(`🔗 Link your Trello account first with \`${commandPrefix} link <trello-username>\`.`);
+                return;
+            }
+
+            await message.react('⏳');
+
+            const boardIds = await this.configManager.getGuildBoardIds(message.guild.id);
+            if (boardIds.length === 0) {
+                await message.reactions.removeAll();
+                await message.reply('❌ No boards are configured in this server. Use `config board <board-id> <list-id>` to set one up.');
+                return;
+            }
+
+            const cards = (await this.trelloService.getMemberCards(link.trello_member_id))
+                .filter(card => boardIds.includes(card.idBoard));
+
+            await message.reactions.removeAll();
+            await message.react('✅');
+
+            if (cards.length === 0) {
+                await message.reply(`🎉 No open cards are assigned to **${link.trello_username}** on this server's boards.`);
+                return;
+            }
+
+            const groups = await this.groupCardsByBoardAndList(cards);
+            const pages = this.buildAssignedCardPages(groups, cards, link.trello_username);
+
+            await message.reply(this.paginationHandler.createReply(message.author.id, pages));
+
+        } catch (error) {
+            await message.react('❌');
+            console.error('❌ Error getting assigned cards:', error);
+            await message.reply('❌ Failed to get your assigned cards. Please try again later.');
+        }
+    }
+
+    async handleSearchCommand(message, args) {
+        try {
+            const search = await this.parseSearchQuery(message, args.join(' '));
+            if (search.error) {
+                await message.reply(`❌ ${search.error}`);
+                return;
+            }
+
+            await message.react('⏳');
+
+            const boardIds = await this.configManager.getGuildBoardIds(message.guild.id);
+            if (boardIds.length === 0) {
+                await message.reactions.removeAll();
+                await message.reply('❌ No boards are configured in this server. Use `config board <board-id> <list-id>` to set one up.');
+                return;
+            }
+
+            const cards = await this.trelloService.searchCards(search.query, boardIds, SEARCH_RESULT_LIMIT);
+
+            await message.reactions.removeAll();
+            await message.react('✅');
+
+            if (cards.length === 0) {
+                await message.reply(`🔍 No cards match \`${search.query}\`.`);
+                return;
+            }
+
+            // Keep Trello's relevance order while grouping by board and list
+            const groups = [];
+            for (const card of cards) {
+                const boardName = card.board ? card.board.name : card.idBoard;
+                const listName = card.list ? card.list.name : 'Unknown list';
+                let group = groups.find(g => g.boardName === boardName && g.listName === listName);
+
+                if (!group) {
+                    group = { boardName, listName, cards: [] };
+                    groups.push(group);
+                }
+                group.cards.push(card);
+            }
+
+            const limited = cards.length >= SEARCH_RESULT_LIMIT ? ` (showing the first ${SEARCH_RESULT_LIMIT})` : '';
+            const pages = this.buildCardPages(groups, {
+                title: '🔍 Card Search',
+                description: `\`${search.query}\` • **${cards.length}** matching card${cards.length === 1 ? '' : 's'}${limited}`,
+                color: 0x0079bf
+            });
+
+            await message.reply(this.paginationHandler.createReply(message.author.id, pages));
+
+        } catch (error) {
+            await message.react('❌');
+            console.error('❌ Error searching cards:', error);
+            await message.reply('❌ Failed to search cards. Please try again later.');
+        }
+    }
+
+    /**
+     * Turn search input into a Trello search query
+     * `member:@user` and `member:me` resolve to linked Trello usernames; open cards are searched unless `is:` is given
+     */
+    async parseSearchQuery(message, input) {
+        const terms = [];
+        let hasStatusFilter = false;
+        let hasTerm = false;
+
+        for (const token of input.match(SEARCH_TOKEN) || []) {
+            const filter = SEARCH_FILTER.exec(token);
+            if (!filter) {
+                terms.push(token);
+                hasTerm = true;
+                continue;
+            }
+
+            const key = filter[1].toLowerCase();
+            const value = filter[2];
+
+            switch (key) {
+                case 'due':
+                    if (!SEARCH_DUE_VALUES.test(value)) {
+                        return { error: 'Invalid `due:` filter. Use `due:overdue`, `due:day`, `due:week`, `due:month`, `due:complete`, `due:incomplete` or a number of days.' };
+                    }
+                    terms.push(`due:${value.toLowerCase()}`);
+                    break;
+
+                case 'is':
+                    if (!SEARCH_IS_VALUES.includes(value.toLowerCase())) {
+                        return { error: 'Invalid `is:` filter. Use `is:open` or `is:archived`.' };
+                    }
+                    terms.push(`is:${value.toLowerCase()}`);
+                    hasStatusFilter = true;
+                    break;
+
+                case 'member': {
+                    const username = await this.resolveSearchMember(message, value);
+                    if (!username) {
+                        return { error: `${value} hasn't linked a Trello account. Use \`link <trello-username>\` first.` };
+                    }
+                    terms.push(`member:${username}`);
+                    break;
+                }
+
+                default:
+                    terms.push(`${key}:${value}`);
+            }
+
+            hasTerm = true;
+        }
+
+        if (!hasTerm) {
+            return { error: 'Usage: `search <text> [label:bug] [due:overdue] [list:"In Progress"] [member:@user] [is:archived]`' };
+        }
+
+        if (!hasStatusFilter) {
+            terms.push('is:open');
+        }
+
+        return { query: terms.join(' ') };
+    }
+
+    async resolveSearchMember(message, value) {
+        const mention = /^<@!?(\d+)>$/.exec(value);
+        const discordUserId = value.toLowerCase() === 'me' ? message.author.id : mention ? mention[1] : null;
+
+        if (!discordUserId) {
+            return value.replace(/^@/, '');
+        }
+
+        const link = this.userLinkManager ? await this.userLinkManager.getVerifiedLink(discordUserId) : null;
+        return link ? link.trello_username : null;
+    }
+
+    /**
+     * Group cards by board and list (in board list order), sorted by due date within each list
+     */
+    async groupCardsByBoardAndList(cards) {
+        const boardIds = [...new Set(cards.map(card => card.idBoard))];
+        const groups = [];
+
+        for (const boardId of boardIds) {
+            const [board, lists] = await Promise.all([
+                this.trelloService.getBoard(boardId).catch(() => ({ id: boardId, name: boardId })),
+                this.trelloService.getBoardLists(boardId).catch(() => [])
+            ]);
+
+            const boardCards = cards.filter(card => card.idBoard === boardId);
+            const listIds = [...new Set([...lists.map(list => list.id), ...boardCards.map(card => card.idList)])];
+
+            for (const listId of listIds) {
+                const listCards = boardCards
+                    .filter(card => card.idList === listId)
+                    .sort((a, b) => (a.due ? new Date(a.due).getTime() : Infinity) - (b.due ? new Date(b.due).getTime() : Infinity));
+
+                if (listCards.length === 0) continue;
+
+                const list = lists.find(l => l.id === listId);
+                groups.push({ boardName: board.name, listName: list ? list.name : 'Unknown list', cards: listCards });
+            }
+        }
+
+        return groups;
+    }
+
+    buildAssignedCardPages(groups, cards, trelloUsername) {
+        const overdue = cards.filter(card => this.getDueStatus(card) === 'overdue').length;
+        const dueSoon = cards.filter(card => this.getDueStatus(card) === 'soon').length;
+        const boardCount = new Set(cards.map(card => card.idBoard)).size;
+
+        const description = [
+            `**${cards.length}** open card${cards.length === 1 ? '' : 's'} across **${boardCount}** board${boardCount === 1 ? '' : 's'}`,
+            overdue > 0 ? `🔴 ${overdue} overdue` : null,
+            dueSoon > 0 ? `🟠 ${dueSoon} due within 48h` : null
+        ].filter(Boolean).join(' • ');
+
+        return this.buildCardPages(groups, {
+            title: `🙋 Cards Assigned to ${trelloUsername}`,
+            description,
+            color: overdue > 0 ? 0xff0000 : 0x0079bf
+        });
+    }
+
+    /**
+     * Split grouped cards into embed pages with one field per board and list
+     */
+    buildCardPages(groups, { title, description, color }) {
+        const entries = groups.flatMap(group => group.cards.map(card => ({ group, card })));
+        const pages = [];
+
+        for (let start = 0; start < entries.length; start += CARDS_PER_PAGE) {
+            const fields = [];
+
+            for (const { group, card } of entries.slice(start, start + CARDS_PER_PAGE)) {
+                const name = `📋 ${group.boardName} › ${group.listName}`.substring(0, 256);
+                let field = fields[fields.length - 1];
+
+                if (!field || field.name !== name) {
+                    field = { name, value: '', inline: false };
+                    fields.push(field);
+                }
+                field.value = `${field.value}${this.formatCardLine(card)}\n`;
+            }
+
+            pages.push({
+                color,
+                title,
+                description,
+                fields: fields.map(field => ({ ...field, value: field.value.trim().substring(0, 1024) })),
+                footer: { text: 'Discord-Trello Bot' },
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        return pages;
+    }
+
+    formatCardLine(card) {
+        const status = this.getDueStatus(card);
+        const marker = card.closed ? '🗄️' : status === 'overdue' ? '🔴' : status === 'soon' ? '🟠' : '▫️';
+        const name = card.name.length > 60 ? `${card.name.substring(0, 57)}...` : card.name;
+        const due = card.due ? ` • 📅 ${this.formatDate(card.due)}${card.dueComplete ? ' ✅' : ''}` : '';
+
+        return `${marker} [${name}](${card.shortUrl}) \`${card.id.substring(0, 8)}\`${due}`;
+    }
+
+    /**
+     * Returns 'overdue', 'soon' (within 48 hours) or null
+     */
+    getDueStatus(card) {
+        if (!card.due || card.dueComplete) return null;
+
+        const remaining = new Date(card.due).getTime() - Date.now();
+        if (remaining < 0) return 'overdue';
+        if (remaining <= DUE_SOON_WINDOW) return 'soon';
+        return null;
+    }
+
     async handleUpdateCommand(message, args) {
         try {
             if (args.length < 2) {
@@ -347,36 +815,1485 @@ class CommandRouter {
                     await message.reply('❌ Unsupported field. Use: name, desc, or due');
                     return;
             }
-            
-            const updatedCard = await this.trelloService.updateCardWithContext(
-                message.guild.id, 
-                message.channel.id, 
-                cardId, 
-                updates, 
-                true // Enable board validation
-            );
-            
-            const embed = {
-                color: 0xffa500,
-                title: '✏️ Card Updated Successfully!',
-                fields: [
-                    { name: '📝 Card', value: updatedCard.name, inline: false },
-                    { name: '🔗 Trello Card', value: updatedCard.shortUrl, inline: false },
-                    { name: '👤 Updated by', value: message.author.tag, inline: true }
-                ],
-                footer: { text: 'Discord-Trello Bot' },
-                timestamp: new Date().toISOString()
-            };
-            
-            await message.reactions.removeAll();
-            await message.react('✅');
-            await message.reply({ embeds: [embed] });
-            
+            
+            const updatedCard = await this.trelloService.updateCardWithContext(
+                message.guild.id, 
+                message.channel.id, 
+                cardId, 
+                updates, 
+                true // Enable board validation
+            );
+            
+            const embed = {
+                color: 0xffa500,
+                title: '✏️ Card Updated Successfully!',
+                fields: [
+                    { name: '📝 Card', value: updatedCard.name, inline: false },
+                    { name: '🔗 Trello Card', value: updatedCard.shortUrl, inline: false },
+                    { name: '👤 Updated by', value: message.author.tag, inline: true }
+                ],
+                footer: { text: 'Discord-Trello Bot' },
+                timestamp: new Date().toISOString()
+            };
+            
+            await message.reactions.removeAll();
+            await message.react('✅');
+            await message.reply({ embeds: [embed] });
+            
+        } catch (error) {
+            await message.react('❌');
+            console.error('❌ Error updating card:', error);
+            await message.reply('❌ Failed to update card. Please check the card ID and try again.');
+        }
+    }
+
+    async handleMoveCommand(message, args) {
+        try {
+            const { rest, options } = this.parseOptionArgs(args.slice(1), ['board']);
+            const cardId = args[0];
+
+            if (!cardId || !rest) {
+                await message.reply('❌ Usage: `move <card-id> <list-name-or-id> [board=<board-id>]`\nExample: `move abc12345 In Progress`');
+                return;
+            }
+
+            // Moving a card to another board takes it out of this channel's view
+            if (options.board) {
+                const canConfigure = await this.permissionManager.canConfigureChannel(message.author, message.channel);
+                if (!canConfigure) {
+                    await message.reply('❌ You need moderator permissions to move cards to another board.');
+                    return;
+                }
+            }
+
+            await message.react('⏳');
+
+            const { card, list } = await this.trelloService.moveCardWithContext(
+                message.guild.id,
+                message.channel.id,
+                cardId,
+                rest,
+                options.board || null
+            );
+
+            await this.logCardCommand(message, 'move', cardId, { listId: list.id, boardId: options.board || null });
+
+            const embed = {
+                color: 0x0079bf,
+                title: '📂 Card Moved',
+                fields: [
+                    { name: '📝 Card', value: card.name, inline: false },
+                    { name: '📋 List', value: list.name, inline: true },
+                    { name: '🔗 Trello Card', value: card.shortUrl, inline: false },
+                    { name: '👤 Moved by', value: message.author.tag, inline: true }
+                ],
+                footer: { text: 'Discord-Trello Bot' },
+                timestamp: new Date().toISOString()
+            };
+
+            if (options.board) {
+                embed.fields.splice(2, 0, { name: '🗂️ Board', value: `\`${options.board}\``, inline: true });
+            }
+
+            await message.reactions.removeAll();
+            await message.react('✅');
+            await message.reply({ embeds: [embed] });
+
+        } catch (error) {
+            await message.react('❌');
+            console.error('❌ Error moving card:', error);
+            await message.reply(`❌ Failed to move card. ${this.getCardErrorHint(error)}`);
+        }
+    }
+
+    async handleArchiveCommand(message, args) {
+        await this.handleArchiveToggle(message, args, true);
+    }
+
+    async handleUnarchiveCommand(message, args) {
+        await this.handleArchiveToggle(message, args, false);
+    }
+
+    async handleArchiveToggle(message, args, archive) {
+        const commandName = archive ? 'archive' : 'unarchive';
+
+        try {
+            const cardId = args[0];
+            if (!cardId) {
+                await message.reply(`❌ Usage: \`${commandName} <card-id>\``);
+                return;
+            }
+
+            await message.react('⏳');
+
+            const card = archive
+                ? await this.trelloService.archiveCardWithContext(message.guild.id, message.channel.id, cardId)
+                : await this.trelloService.unarchiveCardWithContext(message.guild.id, message.channel.id, cardId);
+
+            await this.logCardCommand(message, commandName, cardId);
+
+            const embed = {
+                color: archive ? 0x808080 : 0x61bd4f,
+                title: archive ? '🗄️ Card Archived' : '♻️ Card Restored',
+                fields: [
+                    { name: '📝 Card', value: card.name, inline: false },
+                    { name: '🔗 Trello Card', value: card.shortUrl, inline: false },
+                    { name: archive ? '👤 Archived by' : '👤 Restored by', value: message.author.tag, inline: true }
+                ],
+                footer: { text: 'Discord-Trello Bot' },
+                timestamp: new Date().toISOString()
+            };
+
+            await message.reactions.removeAll();
+            await message.react('✅');
+            await message.reply({ embeds: [embed] });
+
+        } catch (error) {
+            await message.react('❌');
+            console.error(`❌ Error running ${commandName} on card:`, error);
+            await message.reply(`❌ Failed to ${commandName} card. ${this.getCardErrorHint(error)}`);
+        }
+    }
+
+    async handleDeleteCommand(message, args) {
+        try {
+            // Deleting is irreversible, so it requires moderator permissions
+            const hasPermission = await this.permissionManager.validateCommandPermission(
+                message.author,
+                message.guild,
+                message.channel,
+                'moderator'
+            );
+            if (!hasPermission) {
+                await message.reply('❌ You need moderator permissions to delete cards. Use `archive` instead.');
+                return;
+            }
+
+            const cardId = args[0];
+            if (!cardId) {
+                await message.reply('❌ Usage: `delete <card-id>`');
+                return;
+            }
+
+            await message.react('⏳');
+
+            const card = await this.trelloService.deleteCardWithContext(message.guild.id, message.channel.id, cardId);
+
+            if (this.threadSyncManager) {
+                await this.threadSyncManager.removeMappingByCard(cardId);
+            }
+
+            await this.logCardCommand(message, 'delete', cardId, { name: card.name });
+
+            const embed = {
+                color: 0xff4444,
+                title: '🗑️ Card Deleted',
+                fields: [
+                    { name: '📝 Card', value: card.name, inline: false },
+                    { name: '👤 Deleted by', value: message.author.tag, inline: true }
+                ],
+                footer: { text: 'Discord-Trello Bot' },
+                timestamp: new Date().toISOString()
+            };
+
+            await message.reactions.removeAll();
+            await message.react('✅');
+            await message.reply({ embeds: [embed] });
+
+        } catch (error) {
+            await message.react('❌');
+            console.error('❌ Error deleting card:', error);
+            await message.reply(`❌ Failed to delete card. ${this.getCardErrorHint(error)}`);
+        }
+    }
+
+    async handleCopyCommand(message, args) {
+        try {
+            const { rest, options } = this.parseOptionArgs(args.slice(1), ['name']);
+            const cardId = args[0];
+
+            if (!cardId) {
+                await message.reply('❌ Usage: `copy <card-id> [list-name-or-id] [name=<new name>]`\nExample: `copy abc12345 Backlog name=Follow-up task`');
+                return;
+            }
+
+            await message.react('⏳');
+
+            const { card } = await this.trelloService.copyCardWithContext(
+                message.guild.id,
+                message.channel.id,
+                cardId,
+                rest || null,
+                options.name || null
+            );
+
+            await this.logCardCommand(message, 'copy', cardId, { copyId: card.id });
+
+            const embed = {
+                color: 0x0079bf,
+                title: '📑 Card Copied',
+                fields: [
+                    { name: '📝 New Card', value: card.name, inline: false },
+                    { name: '🔗 Trello Card', value: card.shortUrl, inline: false },
+                    { name: '👤 Copied by', value: message.author.tag, inline: true }
+                ],
+                footer: { text: 'Discord-Trello Bot' },
+                timestamp: new Date().toISOString()
+            };
+
+            await message.reactions.removeAll();
+            await message.react('✅');
+            await message.reply({ embeds: [embed] });
+
+        } catch (error) {
+            await message.react('❌');
+            console.error('❌ Error copying card:', error);
+            await message.reply(`❌ Failed to copy card. ${this.getCardErrorHint(error)}`);
+        }
+    }
+
+    async handleChecklistCommand(message, args) {
+        const usage = '❌ Usage:\n' +
+            '`checklist add <card-id> <title> [items=first;second;third]`\n' +
+            '`checklist item <card-id> <text> [checklist=<name>]`\n' +
+            '`checklist show <card-id>`';
+
+        try {
+            const [action, cardId, ...rest] = args;
+
+            if (!action || !cardId) {
+                await message.reply(usage);
+                return;
+            }
+
+            switch (action.toLowerCase()) {
+                case 'add': {
+                    const { rest: title, options } = this.parseOptionArgs(rest, ['items']);
+                    if (!title) {
+                        await message.reply(usage);
+                        return;
+                    }
+
+                    await message.react('⏳');
+                    const items = this.splitChecklistItems(options.items);
+                    const { card, checklist } = await this.trelloService.createChecklistWithContext(
+                        message.guild.id,
+                        message.channel.id,
+                        cardId,
+                        title,
+                        items
+                    );
+
+                    await this.logCardCommand(message, 'checklist_add', cardId, { checklistId: checklist.id, items: items.length });
+                    await this.replyWithChecklists(message, card, [checklist], '☑️ Checklist Created');
+                    break;
+                }
+
+                case 'item': {
+                    const { rest: text, options } = this.parseOptionArgs(rest, ['checklist']);
+                    if (!text) {
+                        await message.reply(usage);
+                        return;
+                    }
+
+                    await message.react('⏳');
+                    const { card, checklist } = await this.trelloService.addChecklistItemWithContext(
+                        message.guild.id,
+                        message.channel.id,
+                        cardId,
+                        text,
+                        options.checklist || null
+                    );
+
+                    await this.logCardCommand(message, 'checklist_item', cardId, { checklistId: checklist.id });
+
+                    const { checklists } = await this.trelloService.getCardChecklistsWithContext(
+                        message.guild.id,
+                        message.channel.id,
+                        cardId
+                    );
+                    await this.replyWithChecklists(message, card, checklists, '➕ Checklist Item Added');
+                    break;
+                }
+
+                case 'show': {
+                    await message.react('⏳');
+                    const { card, checklists } = await this.trelloService.getCardChecklistsWithContext(
+                        message.guild.id,
+                        message.channel.id,
+                        cardId
+                    );
+
+                    if (checklists.length === 0) {
+                        await message.reactions.removeAll();
+                        await message.reply(`📝 **${card.name}** has no checklists. Use \`checklist add ${cardId} <title>\` to create one.`);
+                        return;
+                    }
+
+                    await this.replyWithChecklists(message, card, checklists, '☑️ Checklists');
+                    break;
+                }
+
+                default:
+                    await message.reply(usage);
+            }
+
+        } catch (error) {
+            await message.react('❌');
+            console.error('❌ Error in checklist command:', error);
+            await message.reply(`❌ Failed to update checklist. ${this.getCardErrorHint(error)}`);
+        }
+    }
+
+    async handleCheckCommand(message, args) {
+        await this.handleCheckItemToggle(message, args, true);
+    }
+
+    async handleUncheckCommand(message, args) {
+        await this.handleCheckItemToggle(message, args, false);
+    }
+
+    async handleCheckItemToggle(message, args, complete) {
+        const commandName = complete ? 'check' : 'uncheck';
+
+        try {
+            const [cardId, ...itemParts] = args;
+            const itemRef = itemParts.join(' ').trim();
+
+            if (!cardId || !itemRef) {
+                await message.reply(`❌ Usage: \`${commandName} <card-id> <item name or number>\`\nExample: \`${commandName} abc12345 2\``);
+                return;
+            }
+
+            await message.react('⏳');
+
+            const { card } = await this.trelloService.setCheckItemStateWithContext(
+                message.guild.id,
+                message.channel.id,
+                cardId,
+                itemRef,
+                complete
+            );
+
+            await this.logCardCommand(message, commandName, cardId, { item: itemRef });
+
+            const { checklists } = await this.trelloService.getCardChecklistsWithContext(
+                message.guild.id,
+                message.channel.id,
+                cardId
+            );
+            await this.replyWithChecklists(message, card, checklists, complete ? '✅ Item Checked' : '⬜ Item Unchecked');
+
+        } catch (error) {
+            await message.react('❌');
+            console.error(`❌ Error running ${commandName} on checklist item:`, error);
+            await message.reply(`❌ Failed to ${commandName} item. ${this.getCardErrorHint(error)}`);
+        }
+    }
+
+    async replyWithChecklists(message, card, checklists, title) {
+        let position = 0;
+
+        const fields = checklists.slice(0, 10).map(checklist => {
+            const items = checklist.checkItems || [];
+            const completed = items.filter(item => item.state === 'complete').length;
+            const lines = items.map(item => {
+                position++;
+                return `${item.state === 'complete' ? '✅' : '⬜'} \`${position}\` ${item.name}`;
+            });
+
+            let value = lines.join('\n') || '*No items yet*';
+            if (value.length > 1024) {
+                value = value.substring(0, 1020) + '\n…';
+            }
+
+            return {
+                name: `☑️ ${checklist.name} (${completed}/${items.length})`,
+                value,
+                inline: false
+            };
+        });
+
+        const embed = {
+            color: 0x61bd4f,
+            title,
+            description: `**${card.name}**${card.shortUrl ? `\n${card.shortUrl}` : ''}`,
+            fields,
+            footer: { text: 'Discord-Trello Bot' },
+            timestamp: new Date().toISOString()
+        };
+
+        await message.reactions.removeAll();
+        await message.react('✅');
+        await message.reply({ embeds: [embed] });
+    }
+
+    splitChecklistItems(value) {
+        if (!value) return [];
+        return value.split(';').map(item => item.trim()).filter(item => item.length > 0);
+    }
+
+    async handleCommentCommand(message, args) {
+        try {
+            const [cardId, ...textParts] = args;
+            const text = textParts.join(' ').trim();
+
+            if (!cardId || !text) {
+                await message.reply('❌ Usage: `comment <card-id> <text>`\nExample: `comment abc12345 Deployed to staging`');
+                return;
+            }
+
+            await message.react('⏳');
+
+            const { card } = await this.trelloService.addCommentToCardWithContext(
+                message.guild.id,
+                message.channel.id,
+                cardId,
+                `💬 ${message.author.tag} (Discord): ${text}`
+            );
+
+            await this.logCardCommand(message, 'comment', cardId);
+
+            const embed = {
+                color: 0x0099ff,
+                title: '💬 Comment Added',
+                fields: [
+                    { name: '📝 Card', value: card.name, inline: false },
+                    { name: '💬 Comment', value: text.length > 200 ? text.substring(0, 200) + '...' : text, inline: false },
+                    { name: '🔗 Trello Card', value: card.shortUrl, inline: false }
+                ],
+                footer: { text: 'Discord-Trello Bot' },
+                timestamp: new Date().toISOString()
+            };
+
+            await message.reactions.removeAll();
+            await message.react('✅');
+            await message.reply({ embeds: [embed] });
+
+        } catch (error) {
+            await message.react('❌');
+            console.error('❌ Error commenting on card:', error);
+            await message.reply(`❌ Failed to add comment. ${this.getCardErrorHint(error)}`);
+        }
+    }
+
+    async handleThreadsCommand(message, args) {
+        try {
+            if (!this.threadSyncManager) {
+                await message.reply('❌ Thread sync is not available.');
+                return;
+            }
+
+            const canConfigure = await this.permissionManager.canConfigureChannel(message.author, message.channel);
+            if (!canConfigure) {
+                await message.reply('❌ You need moderator permissions to change thread sync settings.');
+                return;
+            }
+
+            const action = (args[0] || 'status').toLowerCase();
+            const wasEnabled = await this.threadSyncManager.isEnabled(message.guild.id);
+
+            switch (action) {
+                case 'on':
+                case 'off': {
+                    const enabled = action === 'on';
+                    await this.threadSyncManager.setEnabled(message.guild.id, enabled);
+
+                    if (this.auditLogger) {
+                        await this.auditLogger.logConfigurationChange(
+                            message.guild.id,
+                            message.author.id,
+                            message.author.tag,
+                            'thread_sync',
+                            wasEnabled,
+                            enabled,
+                            message.channel.id,
+                            true
+                        );
+                    }
+
+                    await message.reply(enabled
+                        ? '🧵 Thread sync enabled. New cards get a Discord thread that stays in sync with Trello comments.'
+                        : '🧵 Thread sync disabled. Existing threads stay linked to their cards.');
+                    break;
+                }
+
+                case 'status':
+                    await message.reply(`🧵 Thread sync is **${wasEnabled ? 'enabled' : 'disabled'}** for this server.`);
+                    break;
+
+                default:
+                    await message.reply('❌ Usage: `threads on|off|status`');
+            }
+
+        } catch (error) {
+            console.error('❌ Error in threads command:', error);
+            await message.reply('❌ Failed to update thread sync settings.');
+        }
+    }
+
+    async handleReactionCommand(message, args) {
+        try {
+            const current = await this.messageCardHandler.getReactionEmoji(message.guild.id);
+            const value = args.join(' ').trim();
+
+            if (!value || value.toLowerCase() === 'status') {
+                await message.reply(current
+                    ? `📌 Reacting with ${current} turns a message into a card on the channel's board. You can also use **Apps → Create Trello card** on any message.`
+                    : '📌 Reaction card creation is **off**. Use **Apps → Create Trello card** on a message, or `reaction <emoji>` to enable it (moderators).');
+                return;
+            }
+
+            const canConfigure = await this.permissionManager.canConfigureChannel(message.author, message.channel);
+            if (!canConfigure) {
+                await message.reply('❌ You need moderator permissions to change the card reaction.');
+                return;
+            }
+
+            const emoji = value.toLowerCase() === 'off' ? null : value;
+            if (emoji && !this.messageCardHandler.isValidEmoji(emoji)) {
+                await message.reply('❌ Usage: `reaction <emoji>|off|status` with a single emoji, e.g. `reaction 📌` or a custom server emoji');
+                return;
+            }
+
+            await this.messageCardHandler.setReactionEmoji(message.guild.id, emoji);
+
+            if (this.auditLogger) {
+                await this.auditLogger.logConfigurationChange(
+                    message.guild.id,
+                    message.author.id,
+                    message.author.tag,
+                    'card_reaction',
+                    current,
+                    emoji,
+                    message.channel.id,
+                    true
+                );
+            }
+
+            await message.reply(emoji
+                ? `📌 Reacting with ${emoji} now turns a message into a card on its channel's board.`
+                : '📌 Reaction card creation disabled.');
+
+        } catch (error) {
+            console.error('❌ Error in reaction command:', error);
+            await message.reply('❌ Failed to update the card reaction.');
+        }
+    }
+
+    async handleAttachmentsCommand(message, args) {
+        const commandPrefix = process.env.COMMAND_PREFIX || '!t';
+
+        try {
+            const action = (args[0] || 'status').toLowerCase();
+            const guildId = message.guild.id;
+            const current = await this.attachmentForwarder.getSettings(guildId);
+
+            if (action === 'status') {
+                await message.reply([
+                    `📎 Attachment forwarding is **${current.enabled ? 'on' : 'off'}**`,
+                    `**Max size:** ${current.maxSizeMb} MB`,
+                    `**Allowed types:** ${current.allowedTypes.join(', ')}`,
+                    `Change with \`${commandPrefix} attachments on|off\`, \`size <MB>\` or \`types <type,...>|reset\` (moderators)`
+                ].join('\n'));
+                return;
+            }
+
+            const canConfigure = await this.permissionManager.canConfigureChannel(message.author, message.channel);
+            if (!canConfigure) {
+                await message.reply('❌ You need moderator permissions to change attachment settings.');
+                return;
+            }
+
+            let changes;
+            if (action === 'on' || action === 'off') {
+                changes = { enabled: action === 'on' };
+            } else if (action === 'size') {
+                const maxSizeMb = parseInt(args[1]);
+                if (!maxSizeMb || maxSizeMb < 1 || maxSizeMb > MAX_SIZE_LIMIT_MB) {
+                    await message.reply(`❌ Usage: \`attachments size <MB>\` with a size from 1 to ${MAX_SIZE_LIMIT_MB}`);
+                    return;
+                }
+                changes = { maxSizeMb };
+            } else if (action === 'types') {
+                const value = args.slice(1).join(' ').trim();
+                if (value.toLowerCase() === 'reset') {
+                    changes = { allowedTypes: null };
+                } else {
+                    const allowedTypes = value ? this.attachmentForwarder.parseTypes(value) : null;
+                    if (!allowedTypes) {
+                        await message.reply('❌ Usage: `attachments types <type,...>|reset`, e.g. `attachments types image/*,text/plain,application/pdf`');
+                        return;
+                    }
+                    changes = { allowedTypes };
+                }
+            } else {
+                await message.reply('❌ Usage: `attachments [status|on|off|size <MB>|types <type,...>|types reset]`');
+                return;
+            }
+
+            const updated = await this.attachmentForwarder.updateSettings(guildId, changes);
+
+            if (this.auditLogger) {
+                await this.auditLogger.logConfigurationChange(
+                    guildId,
+                    message.author.id,
+                    message.author.tag,
+                    'attachment_settings',
+                    current,
+                    updated,
+                    message.channel.id,
+                    true
+                );
+            }
+
+            const summary = action === 'types'
+                ? `allowed types: ${updated.allowedTypes.join(', ')}${changes.allowedTypes === null ? ' (default)' : ''}`
+                : action === 'size'
+                    ? `max size: ${updated.maxSizeMb} MB`
+                    : `forwarding ${updated.enabled ? 'enabled' : 'disabled'}`;
+            await message.reply(`📎 Attachment settings updated — ${summary}.`);
+
+        } catch (error) {
+            console.error('❌ Error in attachments command:', error);
+            await message.reply('❌ Failed to update attachment settings.');
+        }
+    }
+
+    /**
+     * prompts list | show <name> | create|edit <name> + "key: value" lines | use <name>|none [server] | delete <name>
+     */
+    async handlePromptsCommand(message, args) {
+        try {
+            if (!this.promptTemplateManager) {
+                await message.reply('❌ Prompt templates are not available.');
+                return;
+            }
+
+            // The first line holds the action and template name; create and edit read the template from the rest
+            const [firstLine, ...bodyLines] = args.join(' ').split('\n');
+            const [action = 'list', name, ...inlineBody] = firstLine.trim().split(/\s+/).filter(Boolean);
+            const body = [inlineBody.join(' '), ...bodyLines].join('\n').trim();
+            const guildId = message.guild.id;
+            const variables = this.promptTemplateManager.getVariables().map(variable => `{${variable}}`).join(', ');
+            const usage = '❌ Usage: `prompts [list|show <name>|create <name>|edit <name>|use <name>|none [server]|delete <name>]`';
+
+            switch (action.toLowerCase()) {
+                case 'list':
+                    await this.replyWithPromptTemplates(message);
+                    return;
+
+                case 'show': {
+                    const template = name ? await this.promptTemplateManager.getTemplate(guildId, name) : null;
+                    if (!template) {
+                        await message.reply(name ? `❌ No prompt template named "${name}".` : '❌ Usage: `prompts show <name>`');
+                        return;
+                    }
+                    await this.replyWithPromptTemplate(message, template);
+                    return;
+                }
+
+                case 'create':
+                case 'edit':
+                case 'use':
+                case 'delete':
+                    break;
+
+                default:
+                    await message.reply(usage);
+                    return;
+            }
+
+            const canConfigure = await this.permissionManager.canConfigureChannel(message.author, message.channel);
+            if (!canConfigure) {
+                await message.reply('❌ You need moderator permissions to manage prompt templates.');
+                return;
+            }
+
+            if (!name) {
+                await message.reply(usage);
+                return;
+            }
+
+            let auditChange;
+            switch (action.toLowerCase()) {
+                case 'create':
+                case 'edit': {
+                    if (!body) {
+                        await message.reply(`❌ Add the template on the following lines, for example:\n\`\`\`\n${process.env.COMMAND_PREFIX || '!t'} prompts ${action.toLowerCase()} ${name}\ninstructions: We build a mobile app. Mention the platform in the description.\nlabels: bug, ios, android, backend\ncategories: Bug, Feature, Chore\nfields: platform, severity\n\`\`\`\nVariables: ${variables}`);
+                        return;
+                    }
+
+                    const { values, error } = this.promptTemplateManager.parseTemplateBody(body);
+                    if (error) {
+                        await message.reply(`❌ ${error}.`);
+                        return;
+                    }
+
+                    const previous = await this.promptTemplateManager.getTemplate(guildId, name);
+                    const result = action.toLowerCase() === 'create'
+                        ? await this.promptTemplateManager.createTemplate(guildId, name, values, message.author.id)
+                        : await this.promptTemplateManager.updateTemplate(guildId, name, values);
+                    if (!result.success) {
+                        await message.reply(`❌ ${result.error}.`);
+                        return;
+                    }
+
+                    auditChange = { type: 'prompt_template', previous, current: result.template };
+                    await this.replyWithPromptTemplate(message, result.template, action.toLowerCase() === 'create'
+                        ? '✅ Prompt Template Created'
+                        : '✅ Prompt Template Updated');
+                    break;
+                }
+
+                case 'use': {
+                    const scope = (inlineBody[0] || '').toLowerCase();
+                    if (scope && scope !== 'server') {
+                        await message.reply('❌ Usage: `prompts use <name>|none [server]` - binds to this channel, or to the whole server with `server`');
+                        return;
+                    }
+                    const channelId = scope === 'server' ? null : message.channel.id;
+                    const where = channelId ? `<#${channelId}>` : 'this server';
+                    const previous = await this.promptTemplateManager.resolveTemplate(guildId, message.channel.id);
+
+                    if (['none', 'default', 'off'].includes(name.toLowerCase())) {
+                        const removed = await this.promptTemplateManager.unbindTemplate(guildId, channelId);
+                        await message.reply(removed
+                            ? `✅ Removed the prompt template binding for ${where}.`
+                            : `ℹ️ No prompt template is bound to ${where}.`);
+                        if (!removed) return;
+                    } else {
+                        const template = await this.promptTemplateManager.getTemplate(guildId, name);
+                        if (!template) {
+                            await message.reply(`❌ No prompt template named "${name}". See \`prompts list\`.`);
+                            return;
+                        }
+                        await this.promptTemplateManager.bindTemplate(guildId, channelId, template.id, message.author.id);
+                        await message.reply(`✅ Tasks in ${where} are now analyzed with the **${template.name}** prompt template${channelId ? '' : ' (unless a channel has its own)'}.`);
+                    }
+
+                    const current = await this.promptTemplateManager.resolveTemplate(guildId, message.channel.id);
+                    auditChange = {
+                        type: 'prompt_template_binding',
+                        previous: previous ? previous.name : null,
+                        current: current ? current.name : null
+                    };
+                    break;
+                }
+
+                case 'delete': {
+                    const previous = await this.promptTemplateManager.getTemplate(guildId, name);
+                    if (!previous || !(await this.promptTemplateManager.deleteTemplate(guildId, name))) {
+                        await message.reply(`❌ No prompt template named "${name}".`);
+                        return;
+                    }
+                    auditChange = { type: 'prompt_template', previous, current: null };
+                    await message.reply(`🗑️ Deleted the **${previous.name}** prompt template and its channel bindings.`);
+                    break;
+                }
+            }
+
+            if (this.auditLogger && auditChange) {
+                await this.auditLogger.logConfigurationChange(
+                    guildId,
+                    message.author.id,
+                    message.author.tag,
+                    auditChange.type,
+                    auditChange.previous,
+                    auditChange.current,
+                    message.channel.id,
+                    true
+                );
+            }
+
+        } catch (error) {
+            console.error('❌ Error in prompts command:', error);
+            await message.reply('❌ Failed to process prompts command.');
+        }
+    }
+
+    async replyWithPromptTemplates(message) {
+        const templates = await this.promptTemplateManager.listTemplates(message.guild.id);
+        const active = await this.promptTemplateManager.resolveTemplate(message.guild.id, message.channel.id);
+        const commandPrefix = process.env.COMMAND_PREFIX || '!t';
+
+        const embed = {
+            color: templates.length > 0 ? 0x0079bf : 0x808080,
+            title: '🧠 Prompt Templates',
+            description: `This channel uses ${active ? `**${active.name}**` : 'the default prompt'}.` + (templates.length > 0
+                ? ''
+                : `\nNo templates yet - create one with \`${commandPrefix} prompts create <name>\`.`),
+            fields: templates.slice(0, 25).map(template => ({
+                name: template.name,
+                value: [
+                    template.instructions ? template.instructions.replace(/\n/g, ' ').substring(0, 100) : '*No extra instructions*',
+                    `**Used in:** ${template.channels.length > 0
+                        ? template.channels.map(channelId => this.promptTemplateManager.isGuildScope(channelId) ? 'whole server' : `<#${channelId}>`).join(', ')
+                        : 'not bound'}`
+                ].join('\n').substring(0, 1024),
+                inline: false
+            })),
+            footer: { text: `Discord-Trello Bot • ${commandPrefix} prompts show <name> for details` },
+            timestamp: new Date().toISOString()
+        };
+
+        await message.reply({ embeds: [embed] });
+    }
+
+    async replyWithPromptTemplate(message, template, title = null) {
+        const listOrDefault = (list, fallback) => list.length > 0 ? list.join(', ').substring(0, 1024) : fallback;
+
+        const embed = {
+            color: 0x0079bf,
+            title: title || `🧠 Prompt Template: ${template.name}`,
+            description: template.instructions ? template.instructions.substring(0, 4000) : '*No extra instructions*',
+            fields: [
+                { name: '🏷️ Labels', value: listOrDefault(template.labels, 'AI suggestions (default)'), inline: false },
+                { name: '📂 Categories', value: listOrDefault(template.categories, DEFAULT_ANALYSIS_CATEGORIES.join(', ') + ' (default)'), inline: false },
+                { name: '🧩 Output Fields', value: listOrDefault(template.fields, 'None'), inline: false }
+            ],
+            footer: { text: `Discord-Trello Bot • Template: ${template.name}` },
+            timestamp: new Date().toISOString()
+        };
+
+        await message.reply({ embeds: [embed] });
+    }
+
+    /**
+     * ai status | use <provider> [fallback...] | reset | test
+     */
+    async handleAICommand(message, args) {
+        try {
+            if (!this.aiService) {
+                await message.reply('❌ AI providers are not available.');
+                return;
+            }
+
+            const action = (args[0] || 'status').toLowerCase();
+            const guildId = message.guild.id;
+
+            if (action === 'status') {
+                await this.replyWithAIStatus(message);
+                return;
+            }
+
+            const canConfigure = await this.permissionManager.canConfigureChannel(message.author, message.channel);
+            if (!canConfigure) {
+                await message.reply('❌ You need moderator permissions to test or change AI providers.');
+                return;
+            }
+
+            if (action === 'test') {
+                const chain = await this.aiService.getChain(guildId);
+                if (chain.length === 0) {
+                    await message.reply('❌ No AI provider is configured.');
+                    return;
+                }
+
+                const lastTestAt = this.aiTestCooldowns.get(guildId);
+                if (lastTestAt && Date.now() - lastTestAt < AI_TEST_COOLDOWN) {
+                    const seconds = Math.ceil((AI_TEST_COOLDOWN - (Date.now() - lastTestAt)) / 1000);
+                    await message.reply(`⏳ Please wait ${seconds}s before testing the AI providers again.`);
+                    return;
+                }
+                this.aiTestCooldowns.set(guildId, Date.now());
+
+                try {
+                    const response = await this.aiService.generate('Reply with the single word OK.', { guildId });
+                    await message.reply(`✅ **${response.provider}** (${response.label}) answered in ${response.latency}ms: ${response.text.trim().substring(0, 100)}`);
+                } catch (error) {
+                    await message.reply(`❌ ${error.message.substring(0, 1900)}`);
+                }
+                return;
+            }
+
+            const usable = this.aiService.getSelectableProviders().map(provider => provider.name);
+            const previous = await this.aiService.getGuildChain(guildId);
+            let chain;
+
+            if (action === 'use') {
+                const parsed = this.aiService.parseChain(args.slice(1).join(' '), true);
+                if (parsed.chain.length === 0 || parsed.invalid.length > 0) {
+                    await message.reply(`❌ Usage: \`ai use <provider> [fallback...]\` with providers from: ${usable.join(', ') || 'none configured'}${parsed.invalid.length > 0 ? `\nUnknown or unconfigured: ${parsed.invalid.join(', ')}` : ''}`);
+                    return;
+                }
+                chain = parsed.chain;
+            } else if (action === 'reset') {
+                chain = null;
+            } else {
+                await message.reply('❌ Usage: `ai [status|use <provider> [fallback...]|reset|test]`');
+                return;
+            }
+
+            await this.aiService.setGuildChain(guildId, chain);
+
+            if (this.auditLogger) {
+                await this.auditLogger.logConfigurationChange(
+                    guildId,
+                    message.author.id,
+                    message.author.tag,
+                    'ai_providers',
+                    previous,
+                    chain,
+                    message.channel.id,
+                    true
+                );
+            }
+
+            await this.replyWithAIStatus(message, '✅ AI Providers Updated');
+
+        } catch (error) {
+            console.error('❌ Error in ai command:', error);
+            await message.reply('❌ Failed to process ai command.');
+        }
+    }
+
+    async replyWithAIStatus(message, title = '🧠 AI Providers') {
+        const guildChain = await this.aiService.getGuildChain(message.guild.id);
+        const chain = guildChain || this.aiService.defaultChain;
+
+        const embed = {
+            color: chain.length > 0 ? 0x0079bf : 0x808080,
+            title,
+            description: chain.length > 0
+                ? `This server uses **${chain.join(' → ')}**${guildChain ? '' : ' (bot default)'}. If a provider fails or times out, the next one is tried.`
+                : 'No AI provider is configured - cards are created without AI analysis.',
+            fields: this.aiService.describeProviders().map(provider => ({
+                name: `${provider.configured ? '🟢' : '⚪'} ${provider.name}`,
+                value: provider.configured
+                    ? [
+                        `**Model:** ${provider.model} • **Timeout:** ${provider.timeout}s`,
+                        `**Requests:** ${provider.stats.requests} • **Failures:** ${provider.stats.failures} (${provider.stats.timeouts} timeouts)`,
+                        provider.stats.averageLatency !== null ? `**Avg latency:** ${provider.stats.averageLatency}ms` : null
+                    ].filter(Boolean).join('\n')
+                    : 'Not configured',
+                inline: true
+            })),
+            footer: { text: 'Discord-Trello Bot • ai use <provider> [fallback...] to choose, ai reset for the default' },
+            timestamp: new Date().toISOString()
+        };
+
+        await message.reply({ embeds: [embed] });
+    }
+
+    async handleRemindersCommand(message, args) {
+        const commandPrefix = process.env.COMMAND_PREFIX || '!t';
+
+        try {
+            if (!this.reminderScheduler) {
+                await message.reply('❌ Due-date reminders are not available.');
+                return;
+            }
+
+            const action = (args[0] || 'status').toLowerCase();
+            const guildId = message.guild.id;
+
+            if (action === 'status') {
+                await this.replyWithReminderStatus(message);
+                return;
+            }
+
+            if (action === 'snooze' || action === 'unsnooze') {
+                if (!args[1] || (action === 'snooze' && !args[2])) {
+                    await message.reply(`❌ Usage: \`reminders snooze <card-id> <duration>\` (e.g. \`30m\`, \`2h\`, \`1d\`) or \`reminders unsnooze <card-id>\``);
+                    return;
+                }
+
+                const card = await this.trelloService.getCard(args[1]).catch(() => null);
+                const boardIds = await this.configManager.getGuildBoardIds(guildId);
+                if (!card || !boardIds.includes(card.idBoard)) {
+                    await message.reply('❌ Card not found on any board configured in this server.');
+                    return;
+                }
+
+                if (action === 'unsnooze') {
+                    const removed = await this.reminderScheduler.unsnoozeCard(guildId, card.id);
+                    await message.reply(removed
+                        ? `🔔 Reminders resumed for **${card.name}**.`
+                        : `🔔 **${card.name}** was not snoozed.`);
+                    return;
+                }
+
+                const minutes = this.parseSnoozeDuration(args[2]);
+                if (!minutes) {
+                    await message.reply('❌ Invalid duration. Use minutes, hours or days up to 30 days, e.g. `30m`, `2h` or `1d`.');
+                    return;
+                }
+
+                await this.reminderScheduler.snoozeCard(guildId, card.id, minutes, message.author.id);
+                const until = Math.floor((Date.now() + minutes * 60 * 1000) / 1000);
+                await message.reply(`😴 Reminders for **${card.name}** snoozed until <t:${until}:f>.`);
+                return;
+            }
+
+            const canConfigure = await this.permissionManager.canConfigureChannel(message.author, message.channel);
+            if (!canConfigure) {
+                await message.reply('❌ You need moderator permissions to change reminder settings.');
+                return;
+            }
+
+            const previous = await this.reminderScheduler.getSettings(guildId);
+            let changes;
+
+            switch (action) {
+                case 'on':
+                case 'off':
+                    changes = { enabled: action === 'on' };
+                    break;
+
+                case 'windows': {
+                    const windows = (args[1] || '').toLowerCase().split(',').map(w => w.trim()).filter(Boolean);
+                    const validWindows = this.reminderScheduler.getWindowNames();
+                    if (windows.length === 0 || windows.some(w => !validWindows.includes(w))) {
+                        await message.reply(`❌ Usage: \`reminders windows <list>\` with any of: ${validWindows.join(', ')}`);
+                        return;
+                    }
+                    changes = { windows: [...new Set(windows)] };
+                    break;
+                }
+
+                case 'delivery': {
+                    const delivery = (args[1] || '').toLowerCase();
+                    if (!this.reminderScheduler.getDeliveryModes().includes(delivery)) {
+                        await message.reply('❌ Usage: `reminders delivery channel|dm|both`');
+                        return;
+                    }
+                    changes = { delivery };
+                    break;
+                }
+
+                case 'channel': {
+                    const target = (args[1] || '').toLowerCase();
+                    if (target !== 'here' && target !== 'clear') {
+                        await message.reply('❌ Usage: `reminders channel here|clear`');
+                        return;
+                    }
+                    changes = { channelId: target === 'here' ? message.channel.id : null };
+                    break;
+                }
+
+                default:
+                    await message.reply(`❌ Usage: \`${commandPrefix} reminders [status|on|off|windows|delivery|channel|snooze|unsnooze]\``);
+                    return;
+            }
+
+            const updated = await this.reminderScheduler.updateSettings(guildId, changes);
+
+            if (this.auditLogger) {
+                await this.auditLogger.logConfigurationChange(
+                    guildId,
+                    message.author.id,
+                    message.author.tag,
+                    'reminders',
+                    previous,
+                    updated,
+                    message.channel.id,
+                    true
+                );
+            }
+
+            await this.replyWithReminderStatus(message, '✅ Reminder settings updated');
+
+        } catch (error) {
+            console.error('❌ Error in reminders command:', error);
+            await message.reply('❌ Failed to process reminders command.');
+        }
+    }
+
+    async handleNotifyCommand(message, args) {
+        try {
+            if (!this.notificationFilterManager) {
+                await message.reply('❌ Notification filters are not available.');
+                return;
+            }
+
+            const action = (args[0] || 'list').toLowerCase();
+            const channelId = message.channel.id;
+
+            if (action === 'list') {
+                await this.replyWithNotificationRules(message);
+                return;
+            }
+
+            const canConfigure = await this.permissionManager.canConfigureChannel(message.author, message.channel);
+            if (!canConfigure) {
+                await message.reply('❌ You need moderator permissions to change notification filters.');
+                return;
+            }
+
+            if (action === 'digest') {
+                await this.handleDigestCommand(message, args.slice(1));
+                return;
+            }
+
+            const previousRules = (await this.notificationFilterManager.getRules(channelId))
+                .map(rule => `${rule.rule_type}:${rule.display_value}`);
+
+            switch (action) {
+                case 'add': {
+                    const type = (args[1] || '').toLowerCase();
+                    const value = args.slice(2).join(' ').trim().replace(/^"(.*)"$/, '$1');
+                    const ruleTypes = this.notificationFilterManager.getRuleTypes();
+
+                    if (!ruleTypes.includes(type) || !value) {
+                        await message.reply(`❌ Usage: \`notify add <${ruleTypes.join('|')}> <value>\`\nExample: \`notify add action commentCard\` or \`notify add list In Progress\``);
+                        return;
+                    }
+
+                    const config = await this.trelloService.resolveConfiguration(message.guild.id, channelId);
+                    const result = await this.notificationFilterManager.addRule(
+                        message.guild.id,
+                        channelId,
+                        config ? config.boardId : null,
+                        type,
+                        value,
+                        message.author.id
+                    );
+
+                    if (!result.success) {
+                        await message.reply(`❌ ${result.error}.`);
+                        return;
+                    }
+                    break;
+                }
+
+                case 'remove': {
+                    const ruleId = parseInt(args[1]);
+                    if (!ruleId || !(await this.notificationFilterManager.removeRule(channelId, ruleId))) {
+                        await message.reply('❌ Usage: `notify remove <rule-id>` with an ID from `notify list`.');
+                        return;
+                    }
+                    break;
+                }
+
+                case 'clear':
+                    await this.notificationFilterManager.clearRules(channelId);
+                    break;
+
+                default:
+                    await message.reply('❌ Usage: `notify [list|add <type> <value>|remove <rule-id>|clear]`');
+                    return;
+            }
+
+            if (this.auditLogger) {
+                const rules = (await this.notificationFilterManager.getRules(channelId))
+                    .map(rule => `${rule.rule_type}:${rule.display_value}`);
+
+                await this.auditLogger.logConfigurationChange(
+                    message.guild.id,
+                    message.author.id,
+                    message.author.tag,
+                    'notification_rules',
+                    previousRules,
+                    rules,
+                    channelId,
+                    true
+                );
+            }
+
+            await this.replyWithNotificationRules(message, '✅ Notification Filters Updated');
+
+        } catch (error) {
+            console.error('❌ Error in notify command:', error);
+            await message.reply('❌ Failed to process notify command.');
+        }
+    }
+
+    /**
+     * notify digest daily [hour] | weekly [day] [hour] | off | preview
+     */
+    async handleDigestCommand(message, args) {
+        if (!this.digestScheduler) {
+            await message.reply('❌ Digests are not available.');
+            return;
+        }
+
+        const channelId = message.channel.id;
+        const frequency = (args[0] || '').toLowerCase();
+        const usage = '❌ Usage: `notify digest daily [hour]`, `notify digest weekly [mon-sun] [hour]`, `notify digest off` or `notify digest preview` (hours are UTC, 0-23)';
+        const previous = await this.digestScheduler.getDigest(channelId);
+
+        switch (frequency) {
+            case 'daily':
+            case 'weekly': {
+                const weekdays = this.digestScheduler.getWeekdays();
+                const dayArg = frequency === 'weekly' && args[1] && !/^\d+$/.test(args[1]) ? args[1].toLowerCase().substring(0, 3) : null;
+                const hourArg = frequency === 'weekly' && dayArg ? args[2] : args[1];
+
+                const weekday = dayArg ? weekdays.indexOf(dayArg) : 1;
+                const hour = hourArg === undefined ? 9 : parseInt(hourArg);
+
+                if (weekday < 0 || Number.isNaN(hour) || hour < 0 || hour > 23) {
+                    await message.reply(usage);
+                    return;
+                }
+
+                const config = await this.trelloService.resolveConfiguration(message.guild.id, channelId);
+                if (!config) {
+                    await message.reply('❌ No board configuration found for this channel. Use `config board <board-id> <list-id>` to set one up.');
+                    return;
+                }
+
+                const digest = await this.digestScheduler.setDigest(
+                    message.guild.id, channelId, config.boardId, frequency, weekday, hour, message.author.id
+                );
+                await this.logDigestChange(message, previous, this.digestScheduler.describeSchedule(digest));
+                await message.reply(`🗞️ Digest scheduled: **${this.digestScheduler.describeSchedule(digest)}**. It summarizes cards created, completed and overdue on this channel's board.`);
+                break;
+            }
+
+            case 'off': {
+                const removed = await this.digestScheduler.removeDigest(channelId);
+                if (removed) {
+                    await this.logDigestChange(message, previous, null);
+                }
+                await message.reply(removed ? '🗞️ Digest turned off for this channel.' : '🗞️ This channel has no digest scheduled.');
+                break;
+            }
+
+            case 'preview':
+                if (!previous) {
+                    await message.reply('🗞️ This channel has no digest scheduled. Set one up with `notify digest daily` first.');
+                    return;
+                }
+                if (!(await this.digestScheduler.sendDigest(previous))) {
+                    await message.reply('❌ Failed to build the digest. Please try again later.');
+                }
+                break;
+
+            default:
+                await message.reply(usage);
+        }
+    }
+
+    async logDigestChange(message, previous, schedule) {
+        if (!this.auditLogger) return;
+
+        await this.auditLogger.logConfigurationChange(
+            message.guild.id,
+            message.author.id,
+            message.author.tag,
+            'notification_digest',
+            previous ? this.digestScheduler.describeSchedule(previous) : null,
+            schedule,
+            message.channel.id,
+            true
+        );
+    }
+
+    async replyWithNotificationRules(message, title = '🔔 Notification Filters') {
+        const rules = await this.notificationFilterManager.getRules(message.channel.id);
+        const digest = this.digestScheduler ? await this.digestScheduler.getDigest(message.channel.id) : null;
+
+        const embed = {
+            color: rules.length > 0 ? 0x0079bf : 0x808080,
+            title,
+            description: rules.length > 0
+                ? 'This channel only receives Trello notifications that match **every** rule type below (any value within a type).'
+                : 'No filters - this channel receives every Trello notification for its board. Add one with `notify add <type> <value>`.',
+            fields: this.notificationFilterManager.getRuleTypes()
+                .map(type => ({ type, typeRules: rules.filter(rule => rule.rule_type === type) }))
+                .filter(({ typeRules }) => typeRules.length > 0)
+                .map(({ type, typeRules }) => ({
+                    name: `${type.charAt(0).toUpperCase()}${type.slice(1)}`,
+                    value: typeRules.map(rule => `\`#${rule.id}\` ${rule.display_value}`).join('\n').substring(0, 1024),
+                    inline: true
+                })),
+            footer: { text: 'Discord-Trello Bot • notify remove <rule-id> to delete a rule' },
+            timestamp: new Date().toISOString()
+        };
+
+        embed.fields.push({
+            name: '🗞️ Digest',
+            value: digest ? this.digestScheduler.describeSchedule(digest) : 'Off',
+            inline: false
+        });
+
+        await message.reply({ embeds: [embed] });
+    }
+
+    async replyWithReminderStatus(message, title = '⏰ Due-Date Reminders') {
+        const settings = await this.reminderScheduler.getSettings(message.guild.id);
+        const snoozes = await this.reminderScheduler.getActiveSnoozes(message.guild.id);
+
+        const deliveryText = {
+            channel: 'Post in the board\'s channel',
+            dm: 'DM linked assignees (channel if none can be reached)',
+            both: 'Post in the channel and DM linked assignees'
+        }[settings.delivery];
+
+        const embed = {
+            color: settings.enabled ? 0x00ff00 : 0x808080,
+            title,
+            fields: [
+                { name: '🔔 Status', value: settings.enabled ? 'Enabled' : 'Disabled', inline: true },
+                { name: '⏱️ Windows', value: settings.windows.join(', ') || 'None', inline: true },
+                { name: '📬 Delivery', value: deliveryText, inline: false },
+                { name: '📢 Channel', value: settings.channelId ? `<#${settings.channelId}>` : 'Mapped channel for each board', inline: false }
+            ],
+            footer: { text: 'Discord-Trello Bot' },
+            timestamp: new Date().toISOString()
+        };
+
+        if (snoozes.length > 0) {
+            embed.fields.push({
+                name: `😴 Snoozed Cards (${snoozes.length})`,
+                value: snoozes.slice(0, 10).map(snooze => `\`${snooze.card_id.substring(0, 8)}\` until ${this.formatDate(`${snooze.snoozed_until}Z`)}`).join('\n'),
+                inline: false
+            });
+        }
+
+        await message.reply({ embeds: [embed] });
+    }
+
+    /**
+     * Parse a snooze duration like 30m, 2h or 1d into minutes
+     */
+    parseSnoozeDuration(value) {
+        const match = SNOOZE_DURATION.exec(value || '');
+        if (!match) return null;
+
+        const multiplier = { m: 1, h: 60, d: 24 * 60 }[match[2].toLowerCase()];
+        const minutes = parseInt(match[1]) * multiplier;
+
+        return minutes > 0 && minutes <= MAX_SNOOZE_MINUTES ? minutes : null;
+    }
+
+    async handleLinkCommand(message, args) {
+        const commandPrefix = process.env.COMMAND_PREFIX || '!t';
+
+        try {
+            if (!this.userLinkManager) {
+                await message.reply('❌ Account linking is not available.');
+                return;
+            }
+
+            const action = args[0];
+            if (!action) {
+                await message.reply('❌ Usage: `link <trello-username>`, `link verify` or `link status`');
+                return;
+            }
+
+            switch (action.toLowerCase()) {
+                case 'verify': {
+                    const result = await this.userLinkManager.verifyLink(message.author.id);
+                    if (!result.success) {
+                        await message.reply(`❌ ${result.error}.`);
+                        return;
+                    }
+
+                    if (this.auditLogger && !result.alreadyVerified) {
+                        await this.auditLogger.logSecurityEvent(
+                            message.guild.id,
+                            message.author.id,
+                            message.author.tag,
+                            'trello_account_linked',
+                            { trelloMemberId: result.link.trello_member_id, trelloUsername: result.link.trello_username },
+                            'LOW'
+                        );
+                    }
+
+                    await message.reply(`✅ Linked to Trello user **${result.link.trello_username}**. You can remove the code from your Trello bio now.`);
+                    break;
+                }
+
+                case 'status': {
+                    const link = await this.userLinkManager.getLink(message.author.id);
+                    if (!link) {
+                        await message.reply(`🔗 Your account is not linked. Use \`${commandPrefix} link <trello-username>\` to link it.`);
+                    } else if (link.verified) {
+                        await message.reply(`🔗 Linked to Trello user **${link.trello_username}** (${link.trello_full_name}).`);
+                    } else {
+                        await message.reply(`⏳ Link to **${link.trello_username}** is pending. Add \`${link.verification_code}\` to your Trello bio, then run \`${commandPrefix} link verify\`.`);
+                    }
+                    break;
+                }
+
+                default: {
+                    const result = await this.userLinkManager.startLink(message.author, action);
+                    if (!result.success) {
+                        await message.reply(`❌ ${result.error}.`);
+                        return;
+                    }
+
+                    const embed = {
+                        color: 0x0079bf,
+                        title: '🔗 Verify Your Trello Account',
+                        description: `To link to **${result.member.username}** (${result.member.fullName}), prove you own the account:`,
+                        fields: [
+                            { name: '1️⃣ Edit your Trello bio', value: `Add this code anywhere in your bio at https://trello.com/${result.member.username}/profile\n\`${result.code}\``, inline: false },
+                            { name: '2️⃣ Verify', value: `Run \`${commandPrefix} link verify\` within ${result.expiresInMinutes} minutes`, inline: false }
+                        ],
+                        footer: { text: 'Discord-Trello Bot • Account Linking' },
+                        timestamp: new Date().toISOString()
+                    };
+
+                    await message.reply({ embeds: [embed] });
+                }
+            }
+
         } catch (error) {
-            await message.react('❌');
-            console.error('❌ Error updating card:', error);
-            await message.reply('❌ Failed to update card. Please check the card ID and try again.');
+            console.error('❌ Error in link command:', error);
+            await message.reply('❌ Failed to process link command.');
+        }
+    }
+
+    async handleUnlinkCommand(message) {
+        try {
+            if (!this.userLinkManager) {
+                await message.reply('❌ Account linking is not available.');
+                return;
+            }
+
+            const result = await this.userLinkManager.unlink(message.author.id);
+            await message.reply(result.removed
+                ? '🔗 Your Discord account is no longer linked to Trello.'
+                : '🔗 Your account was not linked.');
+
+        } catch (error) {
+            console.error('❌ Error in unlink command:', error);
+            await message.reply('❌ Failed to unlink account.');
+        }
+    }
+
+    /**
+     * Replace <@id> mentions with readable names and collect the mentioned user IDs
+     */
+    resolveMentions(message, text) {
+        const userIds = new Set();
+
+        const resolved = text.replace(USER_MENTION, (match, userId) => {
+            userIds.add(userId);
+            const user = message.client?.users.cache.get(userId);
+            return user ? `@${user.username}` : match;
+        });
+
+        return { text: resolved.replace(/\s+/g, ' ').trim(), userIds: [...userIds] };
+    }
+
+    /**
+     * Add linked Trello members for the mentioned Discord users to a card
+     */
+    async assignMentionedMembers(cardId, userIds) {
+        const result = { assigned: [], unlinked: [] };
+        if (!this.userLinkManager || userIds.length === 0) return result;
+
+        for (const userId of userIds) {
+            const link = await this.userLinkManager.getVerifiedLink(userId);
+            if (!link) {
+                result.unlinked.push(userId);
+                continue;
+            }
+
+            try {
+                await this.trelloService.addMemberToCard(cardId, link.trello_member_id);
+                result.assigned.push(userId);
+            } catch (error) {
+                console.error(`❌ Error assigning linked member for ${userId}:`, error.message);
+            }
         }
+
+        return result;
     }
 
     async handleConfigCommand(message, args) {
@@ -786,26 +2703,40 @@ class CommandRouter {
     async handleCreateCommand(message, fullArgs) {
         try {
             await message.react('⏳');
+
+            // "--checklist" asks the AI to break the task into subtasks attached as a checklist
+            const generateChecklist = CHECKLIST_FLAG.test(fullArgs);
+            const { text: taskText, userIds: mentionedUserIds } = this.resolveMentions(
+                message,
+                fullArgs.replace(CHECKLIST_FLAG, ' ').trim()
+            );
+            // A message with only attachments still makes a card, named after its files
+            const taskInput = taskText || `Attachment from ${message.author.tag}: ${message.attachments.map(attachment => attachment.name).join(', ')}`;
             
-            // Prepare Discord context for Gemini analysis
+            // Prepare Discord context for AI analysis
             const discordContext = {
                 username: message.author.tag,
                 channelName: message.channel.name,
-                guildName: message.guild?.name || 'DM'
+                guildName: message.guild?.name || 'DM',
+                guildId: message.guild?.id,
+                channelId: message.channel.id
             };
             
             let card;
             let analysis = null;
+            let checklist = null;
             let config;
             
-            // Try Gemini analysis first
-            if (this.geminiService) {
-                console.log('🤖 Analyzing task with Gemini...');
-                analysis = await this.analyzeTaskWithGemini(fullArgs, discordContext);
+            // Try AI analysis first
+            if (this.isAIEnabled()) {
+                console.log('🤖 Analyzing task with AI...');
+                analysis = await this.analyzeTaskWithAI(taskInput, discordContext, {
+                    includeSubtasks: generateChecklist
+                });
             }
             
             if (analysis) {
-                // Create rich card with Gemini analysis using context-aware methods
+                // Create rich card with AI analysis using context-aware methods
                 console.log('✨ Creating rich card with analysis:', analysis);
                 
                 const labelIds = await this.trelloService.getOrCreateLabelsWithContext(
@@ -823,7 +2754,7 @@ class CommandRouter {
                     cardOptions.due = analysis.dueDate;
                 }
                 
-                const enrichedDescription = `${analysis.description}\n\n---\n**Created by:** ${message.author.tag}\n**Channel:** #${message.channel.name}\n**Priority:** ${analysis.priority}\n**Estimated Effort:** ${analysis.estimatedEffort}`;
+                const enrichedDescription = `${analysis.description}\n\n---\n**Created by:** ${message.author.tag}\n**Channel:** #${message.channel.name}\n**Priority:** ${analysis.priority}\n**Estimated Effort:** ${analysis.estimatedEffort}${this.formatAnalysisFields(analysis)}`;
                 
                 const cardResult = await this.trelloService.createCardWithContext(
                     message.guild.id, 
@@ -833,18 +2764,30 @@ class CommandRouter {
                     cardOptions
                 );
                 card = cardResult;
+
+                if (generateChecklist && Array.isArray(analysis.subtasks) && analysis.subtasks.length > 0) {
+                    try {
+                        checklist = await this.trelloService.createChecklistWithItems(
+                            card.id,
+                            'Subtasks',
+                            analysis.subtasks.slice(0, MAX_GENERATED_SUBTASKS)
+                        );
+                    } catch (checklistError) {
+                        console.error('❌ Error attaching generated checklist:', checklistError.message);
+                    }
+                }
                 
                 // Get config for embed display
                 config = await this.trelloService.resolveConfiguration(message.guild.id, message.channel.id);
             } else {
                 // Fallback to basic card creation
-                console.log('📝 Creating basic card (Gemini unavailable)');
+                console.log('📝 Creating basic card (AI unavailable)');
                 const taskDescription = `Created by ${message.author.tag} in Discord channel: #${message.channel.name}`;
                 
                 card = await this.trelloService.createCardWithContext(
                     message.guild.id, 
                     message.channel.id, 
-                    fullArgs, 
+                    taskInput, 
                     taskDescription
                 );
                 
@@ -858,12 +2801,44 @@ class CommandRouter {
                 return;
             }
             
+            const assignment = await this.assignMentionedMembers(card.id, mentionedUserIds);
+            const attachmentResult = await this.attachmentForwarder.forwardAttachments(message.guild.id, card.id, message.attachments);
+            
             await message.reactions.removeAll();
             await message.react('✅');
             
-            // Create enhanced embed response
+            // Create enhanced embed response with card action buttons
             const embed = this.createTaskEmbed(card, analysis, message.author.tag, config);
-            await message.reply({ embeds: [embed] });
+            if (assignment.assigned.length > 0 || assignment.unlinked.length > 0) {
+                const lines = assignment.assigned.map(userId => `<@${userId}>`);
+                if (assignment.unlinked.length > 0) {
+                    lines.push(`*Not linked to Trello:* ${assignment.unlinked.map(userId => `<@${userId}>`).join(', ')}`);
+                }
+                embed.fields.push({ name: '👥 Members', value: lines.join('\n'), inline: false });
+            }
+            if (checklist) {
+                embed.fields.push({
+                    name: `☑️ Subtasks (${checklist.checkItems.length})`,
+                    value: checklist.checkItems.map(item => `⬜ ${item.name}`).join('\n').substring(0, 1024),
+                    inline: false
+                });
+            } else if (generateChecklist) {
+                embed.fields.push({
+                    name: '☑️ Subtasks',
+                    value: 'No checklist generated (AI analysis unavailable)',
+                    inline: false
+                });
+            }
+            const attachmentField = this.attachmentForwarder.buildEmbedField(attachmentResult);
+            if (attachmentField) {
+                embed.fields.push(attachmentField);
+            }
+            const components = await this.cardActionHandler.buildComponents(card, config, message.author.id);
+            const confirmation = await message.reply({ embeds: [embed], components });
+
+            if (this.threadSyncManager) {
+                await this.threadSyncManager.createCardThread(confirmation, card, config, message.author.id);
+            }
             
         } catch (error) {
             try {
@@ -882,56 +2857,377 @@ class CommandRouter {
         }
     }
 
-    async analyzeTaskWithGemini(taskInput, discordContext) {
-        if (!this.geminiService) {
-            console.log('Gemini API not configured, falling back to basic card creation');
+    async handleBatchCommand(message, args) {
+        const [header, ...lines] = args.join(' ').split('\n');
+        const atomic = BATCH_ATOMIC_FLAG.test(header);
+        const { rest, options } = this.parseOptionArgs(
+            header.replace(BATCH_ATOMIC_FLAG, ' ').trim().split(' '),
+            ['list', 'labels', 'due']
+        );
+        const tasks = this.parseBatchItems([rest, ...lines]);
+
+        if (tasks.length === 0) {
+            await message.reply('❌ Usage: `batch [list=<list>] [labels=a,b] [due=<date>] [--atomic]` followed by one task per line\nExample:\n```\n!t batch labels=frontend due=2025-07-01\n- Fix the login button\n- Update the footer links\n```');
+            return;
+        }
+        if (tasks.length > MAX_BATCH_CARDS) {
+            await message.reply(`❌ A batch can create at most ${MAX_BATCH_CARDS} cards (got ${tasks.length}). Split it into smaller batches.`);
+            return;
+        }
+
+        const lastBatchAt = this.batchCooldowns.get(message.author.id);
+        if (lastBatchAt && Date.now() - lastBatchAt < BATCH_COOLDOWN) {
+            const seconds = Math.ceil((BATCH_COOLDOWN - (Date.now() - lastBatchAt)) / 1000);
+            await message.reply(`⏳ Please wait ${seconds}s before creating another batch.`);
+            return;
+        }
+
+        let defaultDue = null;
+        if (options.due) {
+            const due = new Date(options.due);
+            if (Number.isNaN(due.getTime())) {
+                await message.reply(`❌ Invalid due date "${options.due}". Use a date like \`2025-07-01\` or \`2025-07-01T17:00\`.`);
+                return;
+            }
+            defaultDue = due.toISOString();
+        }
+        const defaultLabels = options.labels
+            ? options.labels.split(',').map(label => label.trim()).filter(Boolean)
+            : [];
+
+        try {
+            const config = await this.trelloService.resolveConfiguration(message.guild.id, message.channel.id);
+            if (!config) {
+                await message.reply('❌ No board configuration found for this channel. Use `config board <board-id> <list-id>` to set one up.');
+                return;
+            }
+
+            let list = { id: config.listId, name: null };
+            if (options.list) {
+                list = await this.trelloService.findList(config.boardId, options.list);
+                if (!list) {
+                    await message.reply(`❌ List "${options.list}" not found on board \`${config.boardId}\`.`);
+                    return;
+                }
+            }
+
+            this.batchCooldowns.set(message.author.id, Date.now());
+            await message.react('⏳');
+
+            let analyses = null;
+            if (this.isAIEnabled()) {
+                console.log(`🤖 Analyzing ${tasks.length} batch tasks with AI...`);
+                analyses = await this.analyzeBatchWithAI(tasks, {
+                    username: message.author.tag,
+                    channelName: message.channel.name,
+                    guildName: message.guild?.name || 'DM',
+                    guildId: message.guild?.id,
+                    channelId: message.channel.id
+                });
+            }
+
+            const result = await this.createBatchCards(message, tasks, analyses, {
+                boardId: config.boardId,
+                listId: list.id,
+                defaultLabels,
+                defaultDue,
+                atomic
+            });
+
+            await this.logCardCommand(message, 'batch_create', null, {
+                boardId: config.boardId,
+                listId: list.id,
+                requested: tasks.length,
+                created: result.created.map(card => card.id),
+                failed: result.failures.length,
+                rolledBack: result.rolledBack
+            });
+
+            await message.reactions.removeAll();
+            await message.react(result.failures.length === 0 ? '✅' : (result.created.length > 0 ? '⚠️' : '❌'));
+            await message.reply({ embeds: [this.createBatchEmbed(result, tasks.length, list, config, options, analyses ? (analyses.find(Boolean) || {}).aiProvider : null, message.author.tag)] });
+
+        } catch (error) {
+            await message.react('❌');
+            console.error('❌ Error creating batch:', error);
+            await message.reply('❌ Failed to create the batch. Please check the bot configuration and try again.');
+        }
+    }
+
+    /**
+     * One task per non-empty line; bullets, numbering and checkboxes are stripped
+     */
+    parseBatchItems(lines) {
+        return lines
+            .map(line => line.replace(BATCH_ITEM_MARKER, '').trim())
+            .filter(Boolean);
+    }
+
+    /**
+     * Create cards one at a time through the rate-limited Trello client.
+     * In atomic mode the first failure stops the batch and deletes the cards already created.
+     */
+    async createBatchCards(message, tasks, analyses, { boardId, listId, defaultLabels, defaultDue, atomic }) {
+        const created = [];
+        const failures = [];
+        let attempted = 0;
+        let rolledBack = 0;
+
+        for (let i = 0; i < tasks.length; i++) {
+            attempted++;
+            const analysis = analyses ? analyses[i] : null;
+
+            try {
+                const labelNames = [...new Set([...defaultLabels, ...(analysis && Array.isArray(analysis.labels) ? analysis.labels : [])])];
+                const cardOptions = {
+                    idLabels: await this.trelloService.getOrCreateLabels(boardId, labelNames)
+                };
+                const due = (analysis && analysis.dueDate) || defaultDue;
+                if (due) cardOptions.due = due;
+
+                const name = analysis && analysis.title ? analysis.title : tasks[i];
+                const description = analysis
+                    ? `${analysis.description || tasks[i]}\n\n---\n**Created by:** ${message.author.tag} (batch)\n**Channel:** #${message.channel.name}\n**Priority:** ${analysis.priority}\n**Estimated Effort:** ${analysis.estimatedEffort}${this.formatAnalysisFields(analysis)}`
+                    : `${tasks[i]}\n\n---\nCreated by ${message.author.tag} in Discord channel: #${message.channel.name} (batch)`;
+
+                if (analysis && analysis.priority === 'High') cardOptions.pos = 'top';
+
+                created.push(await this.trelloService.createCard(boardId, listId, name, description, cardOptions));
+            } catch (error) {
+                failures.push({ task: tasks[i], error: error.response?.data?.message || error.message });
+                if (atomic) break;
+            }
+        }
+
+        if (atomic && failures.length > 0 && created.length > 0) {
+            const kept = [];
+            for (const card of created) {
+                try {
+                    await this.trelloService.deleteCard(card.id);
+                    rolledBack++;
+                } catch (error) {
+                    kept.push(card);
+                    failures.push({ task: card.name, error: `Could not be rolled back: ${error.message}` });
+                }
+            }
+            created.splice(0, created.length, ...kept);
+        }
+
+        return { created, failures, rolledBack, skipped: tasks.length - attempted };
+    }
+
+    /**
+     * Analyze all batch tasks in one AI call; returns analyses in task order, or null
+     */
+    async analyzeBatchWithAI(tasks, discordContext) {
+        try {
+            const template = await this.getPromptTemplate(discordContext);
+            const systemPrompt = `You are a task analysis assistant that converts natural language task descriptions into structured data for project management. Analyze each of the following tasks independently; they come from one message, so use it as shared context.${this.buildTemplateInstructions(template)}
+
+Return your response as a valid JSON array with exactly ${tasks.length} objects, in the same order as the tasks, each with this exact structure:
+${this.buildAnalysisFormat(template)}
+
+${this.buildAnalysisGuidelines(template)}
+
+Tasks to analyze:
+${tasks.map((task, index) => `${index + 1}. "${task}"`).join('\n')}
+Discord context: User ${discordContext.username} in #${discordContext.channelName}`;
+
+            const response = await this.aiService.generate(systemPrompt, { guildId: discordContext.guildId });
+
+            const jsonMatch = response.text.match(/\[[\s\S]*\]/);
+            if (!jsonMatch) {
+                throw new Error(`No JSON array found in ${response.provider} response`);
+            }
+
+            const analyses = JSON.parse(jsonMatch[0]);
+            if (!Array.isArray(analyses) || analyses.length !== tasks.length) {
+                throw new Error(`Expected ${tasks.length} analyses, got ${Array.isArray(analyses) ? analyses.length : 'none'}`);
+            }
+            return analyses.map(analysis => this.applyPromptTemplate(this.tagAnalysis(analysis, response), template));
+        } catch (error) {
+            console.error('❌ Error analyzing batch with AI:', error);
+            return null;
+        }
+    }
+
+    createBatchEmbed(result, requested, list, config, options, analyzedBy, authorTag) {
+        const { created, failures, rolledBack, skipped } = result;
+        const lines = [
+            ...created.map(card => `✅ [${card.name}](${card.shortUrl})`),
+            ...failures.map(failure => `❌ ${failure.task} — ${failure.error}`)
+        ];
+        if (skipped > 0) {
+            lines.push(`⏭️ ${skipped} remaining task(s) skipped`);
+        }
+
+        let description = lines.join('\n');
+        if (description.length > 4000) {
+            description = description.substring(0, 3990) + '\n…';
+        }
+
+        const title = rolledBack > 0
+            ? `↩️ Batch Rolled Back (${rolledBack} card(s) deleted)`
+            : `📦 Batch Created: ${created.length}/${requested} cards`;
+        const color = failures.length === 0 ? 0x00ff00 : (created.length > 0 ? 0xffaa00 : 0xff0000);
+
+        const fields = [
+            { name: '📋 List', value: list.name || `\`${config.listId}\` *(channel default)*`, inline: true },
+            { name: '👤 Created by', value: authorTag, inline: true }
+        ];
+        if (options.labels) fields.push({ name: '🏷️ Shared Labels', value: options.labels, inline: true });
+        if (options.due) fields.push({ name: '📅 Default Due', value: this.formatDate(options.due), inline: true });
+
+        return {
+            color,
+            title,
+            description,
+            fields,
+            timestamp: new Date().toISOString(),
+            footer: {
+                text: analyzedBy ? `Discord-Trello Bot • Powered by ${analyzedBy}` : 'Discord-Trello Bot'
+            }
+        };
+    }
+
+    async analyzeTaskWithAI(taskInput, discordContext, options = {}) {
+        if (!this.isAIEnabled()) {
+            console.log('No AI provider configured, falling back to basic card creation');
             return null;
         }
 
         try {
-            const systemPrompt = `You are a task analysis assistant that converts natural language task descriptions into structured data for project management. Analyze the following task and extract relevant information.
+            const template = await this.getPromptTemplate(discordContext);
+            const subtaskField = options.includeSubtasks
+                ? ',\n  "subtasks": ["ordered", "list", "of", "subtasks"]'
+                : '';
+            const subtaskGuideline = options.includeSubtasks
+                ? `\n- Break the task into 3-${MAX_GENERATED_SUBTASKS} concrete, ordered subtasks (max 80 chars each)`
+                : '';
+
+            const systemPrompt = `You are a task analysis assistant that converts natural language task descriptions into structured data for project management. Analyze the following task and extract relevant information.${this.buildTemplateInstructions(template)}
 
 Return your response as a valid JSON object with this exact structure:
-{
-  "title": "A clear, concise task title (max 50 chars)",
-  "description": "A detailed description expanding on the task context and requirements",
-  "priority": "High" | "Medium" | "Low",
-  "dueDate": "YYYY-MM-DDTHH:MM:SS.000Z" | null,
-  "labels": ["array", "of", "label", "names"],
-  "estimatedEffort": "Quick" | "Medium" | "Large",
-  "category": "Development" | "Bug" | "Feature" | "Meeting" | "Research" | "Design" | "Admin"
-}
+${this.buildAnalysisFormat(template, subtaskField)}
 
-Guidelines:
-- Extract priority from urgency words (urgent, asap, critical = High; soon, important = Medium; later, whenever = Low)
-- Parse natural language dates ("tomorrow", "next Friday", "in 2 weeks", "by end of month")
-- Suggest relevant labels based on content (bug, feature, urgent, meeting, research, frontend, backend, etc.)
-- Estimate effort based on complexity (Quick: <2h, Medium: 2h-1day, Large: >1day)
-- If no due date mentioned, set to null
-- Keep title concise and actionable
+${this.buildAnalysisGuidelines(template, subtaskGuideline)}
 
 Task to analyze: "${taskInput}"
 Discord context: User ${discordContext.username} in #${discordContext.channelName}`;
 
-            const response = await this.geminiService.models.generateContent({
-                model: process.env.GEMINI_MODEL || 'gemini-2.0-flash-001',
-                contents: systemPrompt
-            });
+            const response = await this.aiService.generate(systemPrompt, { guildId: discordContext.guildId });
             const text = response.text;
             
             // Extract JSON from response (handle potential markdown formatting)
             const jsonMatch = text.match(/\{[\s\S]*\}/);
             if (!jsonMatch) {
-                throw new Error('No JSON found in Gemini response');
+                throw new Error(`No JSON found in ${response.provider} response`);
             }
             
-            return JSON.parse(jsonMatch[0]);
+            return this.applyPromptTemplate(this.tagAnalysis(JSON.parse(jsonMatch[0]), response), template);
+        } catch (error) {
+            console.error('❌ Error analyzing task with AI:', error);
+            return null;
+        }
+    }
+
+    isAIEnabled() {
+        return !!(this.aiService && this.aiService.hasProviders());
+    }
+
+    /**
+     * Record which provider produced an analysis, for the embed footer
+     */
+    tagAnalysis(analysis, response) {
+        if (analysis && typeof analysis === 'object') {
+            analysis.aiProvider = response.label;
+        }
+        return analysis;
+    }
+
+    // Prompt template helpers
+
+    /**
+     * The prompt template bound to the task's channel with its variables filled in, or null for the default prompt
+     */
+    async getPromptTemplate(discordContext) {
+        if (!this.promptTemplateManager || !discordContext.guildId) return null;
+
+        try {
+            const template = await this.promptTemplateManager.resolveTemplate(discordContext.guildId, discordContext.channelId);
+            if (!template) return null;
+
+            const config = await this.trelloService.resolveConfiguration(discordContext.guildId, discordContext.channelId);
+            return await this.promptTemplateManager.renderTemplate(template, {
+                ...discordContext,
+                boardId: config ? config.boardId : null
+            });
         } catch (error) {
-            console.error('❌ Error analyzing task with Gemini:', error);
+            console.error('❌ Error loading prompt template, using the default prompt:', error.message);
             return null;
         }
     }
 
+    buildTemplateInstructions(template) {
+        return template && template.instructions
+            ? `\n\nFollow these team instructions:\n${template.instructions}`
+            : '';
+    }
+
+    /**
+     * JSON structure the model should return; a template can replace the categories and add output fields
+     */
+    buildAnalysisFormat(template, extraFields = '') {
+        const categories = template && template.categories.length > 0 ? template.categories : DEFAULT_ANALYSIS_CATEGORIES;
+        const outputFields = template
+            ? template.fields.map(field => `,\n  "${field}": "The task's ${field}, or null if it isn't mentioned"`).join('')
+            : '';
+
+        return `{
+  "title": "A clear, concise task title (max 50 chars)",
+  "description": "A detailed description expanding on the task context and requirements",
+  "priority": "High" | "Medium" | "Low",
+  "dueDate": "YYYY-MM-DDTHH:MM:SS.000Z" | null,
+  "labels": ["array", "of", "label", "names"],
+  "estimatedEffort": "Quick" | "Medium" | "Large",
+  "category": ${categories.map(category => JSON.stringify(category)).join(' | ')}${outputFields}${extraFields}
+}`;
+    }
+
+    buildAnalysisGuidelines(template, extraGuidelines = '') {
+        const labelGuideline = template && template.labels.length > 0
+            ? `- Choose labels only from this list: ${template.labels.join(', ')}`
+            : '- Suggest relevant labels based on content (bug, feature, urgent, meeting, research, frontend, backend, etc.)';
+
+        return `Guidelines:
+- Extract priority from urgency words (urgent, asap, critical = High; soon, important = Medium; later, whenever = Low)
+- Parse natural language dates ("tomorrow", "next Friday", "in 2 weeks", "by end of month")
+${labelGuideline}
+- Estimate effort based on complexity (Quick: <2h, Medium: 2h-1day, Large: >1day)
+- If no due date mentioned, set to null
+- Keep titles concise and actionable${extraGuidelines}`;
+    }
+
+    applyPromptTemplate(analysis, template) {
+        return template ? this.promptTemplateManager.applyToAnalysis(analysis, template) : analysis;
+    }
+
+    /**
+     * Description lines for a template's output fields, empty when the analysis has none
+     */
+    formatAnalysisFields(analysis) {
+        if (!analysis || !analysis.fields) return '';
+
+        return Object.entries(analysis.fields)
+            .map(([field, value]) => `\n**${this.formatFieldName(field)}:** ${value}`)
+            .join('');
+    }
+
+    formatFieldName(field) {
+        const words = field.replace(/_/g, ' ').replace(/([a-z])([A-Z])/g, '$1 $2');
+        return words.charAt(0).toUpperCase() + words.slice(1);
+    }
+
     createTaskEmbed(card, analysis, authorTag, config) {
         const embed = {
             color: analysis ? this.getPriorityColor(analysis.priority) : 0x0099ff,
@@ -960,7 +3256,7 @@ Discord context: User ${discordContext.username} in #${discordContext.channelNam
             ],
             timestamp: new Date().toISOString(),
             footer: {
-                text: analysis ? 'Discord-Trello Bot • Powered by Gemini AI' : 'Discord-Trello Bot'
+                text: analysis ? `Discord-Trello Bot • Powered by ${analysis.aiProvider || 'AI'}` : 'Discord-Trello Bot'
             }
         };
 
@@ -1002,6 +3298,18 @@ Discord context: User ${discordContext.username} in #${discordContext.channelNam
                     inline: true
                 });
             }
+
+            for (const [field, value] of Object.entries(analysis.fields || {})) {
+                embed.fields.push({
+                    name: this.formatFieldName(field),
+                    value: value.substring(0, 1024),
+                    inline: true
+                });
+            }
+
+            if (analysis.promptTemplate) {
+                embed.footer.text += ` • Prompt: ${analysis.promptTemplate}`;
+            }
         }
 
         return embed;
@@ -1041,11 +3349,59 @@ Discord context: User ${discordContext.username} in #${discordContext.channelNam
         }
     }
 
+    /**
+     * Split trailing `key=value` options off free-text arguments
+     * e.g. ['In', 'Progress', 'board=abc'] -> { rest: 'In Progress', options: { board: 'abc' } }
+     */
+    parseOptionArgs(args, keys) {
+        const text = args.join(' ');
+        const pattern = new RegExp(`(?:^|\\s)(${keys.join('|')})=`, 'g');
+        const matches = [...text.matchAll(pattern)];
+        const options = {};
+
+        matches.forEach((match, index) => {
+            const end = index + 1 < matches.length ? matches[index + 1].index : text.length;
+            options[match[1]] = text.slice(match.index + match[0].length, end).trim();
+        });
+
+        const rest = matches.length > 0 ? text.slice(0, matches[0].index) : text;
+        return { rest: rest.trim(), options };
+    }
+
+    getCardErrorHint(error) {
+        if (error.message.includes('does not belong')) {
+            return 'That card is not on the board configured for this channel.';
+        }
+        if (error.message.includes('not found on board') || error.message.includes('is not configured in this server')) {
+            return error.message + '.';
+        }
+        if (error.message.includes('No board configuration')) {
+            return 'No board configuration found for this channel. Use `config board <board-id> <list-id>` to set one up.';
+        }
+        if (error.message.includes('no checklists') || error.message.includes('not found on card')) {
+            return error.message + '.';
+        }
+        return 'Please check the card ID and try again.';
+    }
+
+    async logCardCommand(message, action, cardId, details = null) {
+        if (!this.auditLogger) return;
+
+        await this.auditLogger.logCardAction(
+            message.guild.id,
+            message.author.id,
+            message.author.tag,
+            action,
+            cardId,
+            { ...details, channelId: message.channel.id, source: 'command' }
+        );
+    }
+
     // Phase 3.3 Helper methods
 
     getFooterText() {
         const features = [];
-        if (this.geminiService) features.push('AI');
+        if (this.isAIEnabled()) features.push('AI');
         if (this.analyticsManager) features.push('Analytics');
         if (this.auditLogger) features.push('Audit');
         if (this.templateManager) features.push('Templates');
@@ -1159,8 +3515,13 @@ Discord context: User ${discordContext.username} in #${discordContext.channelNam
                 auditLogger: !!this.auditLogger,
                 templateManager: !!this.templateManager,
                 aiEnhancedManager: !!this.aiEnhancedManager,
-                geminiService: !!this.geminiService,
-                webhookManager: !!this.webhookManager
+                aiService: this.isAIEnabled(),
+                webhookManager: !!this.webhookManager,
+                threadSyncManager: !!this.threadSyncManager,
+                userLinkManager: !!this.userLinkManager,
+                reminderScheduler: !!this.reminderScheduler,
+                notificationFilterManager: !!this.notificationFilterManager,
+                digestScheduler: !!this.digestScheduler
             },
             commands: {
                 registered: this.commands.size,
@@ -1173,7 +3534,12 @@ Discord context: User ${discordContext.username} in #${discordContext.channelNam
                 auditLogging: !!this.auditLogger,
                 templates: !!this.templateManager,
                 aiSuggestions: !!this.aiEnhancedManager,
-                permissionSystem: !!this.permissionManager
+                permissionSystem: !!this.permissionManager,
+                threadSync: !!this.threadSyncManager,
+                userLinks: !!this.userLinkManager,
+                reminders: !!this.reminderScheduler,
+                notificationFilters: !!this.notificationFilterManager,
+                digests: !!this.digestScheduler
             }
         };
 
@@ -1265,8 +3631,13 @@ Discord context: User ${discordContext.username} in #${discordContext.channelNam
             templates: !!this.templateManager,
             aiEnhancements: !!this.aiEnhancedManager,
             adminCommands: !!this.adminCommands,
-            geminiAI: !!this.geminiService,
-            webhooks: !!this.webhookManager
+            aiProviders: this.isAIEnabled(),
+            webhooks: !!this.webhookManager,
+            threadSync: !!this.threadSyncManager,
+            userLinks: !!this.userLinkManager,
+            reminders: !!this.reminderScheduler,
+            notificationFilters: !!this.notificationFilterManager,
+            digests: !!this.digestScheduler
         };
     }
 }
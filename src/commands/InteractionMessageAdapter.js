@@ -0,0 +1,62 @@
+const { Collection } = require('discord.js');
+
+/**
+ * Wraps a Discord interaction so it can be passed to the message-based
+ * command handlers unchanged. The first reply edits the deferred response,
+ * later replies are sent as follow-ups.
+ */
+class InteractionMessageAdapter {
+    constructor(interaction, content = '') {
+        this.interaction = interaction;
+        this.isInteraction = true;
+
+        this.id = interaction.id;
+        this.client = interaction.client;
+        this.content = content;
+        this.author = interaction.user;
+        this.member = interaction.member;
+        this.guild = interaction.guild;
+        this.channel = interaction.channel;
+        this.channelId = interaction.channelId;
+        this.createdTimestamp = interaction.createdTimestamp;
+        this.attachments = new Collection();
+
+        this.replied = false;
+
+        // Interactions have no reactions - progress is shown by the deferred reply instead
+        this.reactions = {
+            removeAll: async () => null
+        };
+    }
+
+    /**
+     * Acknowledge the interaction so long-running handlers don't hit the 3s timeout
+     */
+    async defer(options = {}) {
+        if (!this.interaction.deferred && !this.interaction.replied) {
+            await this.interaction.deferReply(options);
+        }
+    }
+
+    async reply(payload) {
+        const options = typeof payload === 'string' ? { content: payload } : payload;
+
+        if (!this.replied) {
+            this.replied = true;
+
+            if (this.interaction.deferred) {
+                return await this.interaction.editReply(options);
+            }
+
+            return await this.interaction.reply({ ...options, fetchReply: true });
+        }
+
+        return await this.interaction.followUp(options);
+    }
+
+    async react() {
+        return null;
+    }
+}
+
+module.exports = { InteractionMessageAdapter };
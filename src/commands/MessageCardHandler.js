@@ -0,0 +1,272 @@
+const { ApplicationCommandType, ContextMenuCommandBuilder } = require('discord.js');
+const { InteractionMessageAdapter } = require('./InteractionMessageAdapter');
+
+const CONTEXT_MENU_NAME = 'Create Trello card';
+const MAX_REMEMBERED_MESSAGES = 1000;
+const CUSTOM_EMOJI = /^<a?:\w{2,32}:(\d{17,20})>$/;
+// Unicode emoji, including skin tones, ZWJ sequences, flags and keycaps
+const UNICODE_EMOJI_CHARS = /^[\p{Extended_Pictographic}\p{Emoji_Component}\u200d\ufe0f\u20e3]+$/u;
+const UNICODE_EMOJI_BASE = /\p{Extended_Pictographic}|\p{Regional_Indicator}|\u20e3/u;
+
+/**
+ * Turns an existing Discord message into a Trello card, either from the
+ * "Create Trello card" message context menu or when someone adds the guild's
+ * configured reaction emoji. The message goes through the same AI
+ * analysis as `!t <task>`, the card links back to the original message and
+ * its author, and the message's attachments are copied onto the card.
+ */
+class MessageCardHandler {
+    constructor(commandRouter) {
+        this.commandRouter = commandRouter;
+        this.trelloService = commandRouter.trelloService;
+        this.permissionManager = commandRouter.permissionManager;
+        this.auditLogger = commandRouter.auditLogger;
+
+        // messageId -> card (null while the card is being created), so a message becomes one card
+        this.messageCards = new Map();
+    }
+
+    buildContextMenuDefinition() {
+        return new ContextMenuCommandBuilder()
+            .setName(CONTEXT_MENU_NAME)
+            .setType(ApplicationCommandType.Message)
+            .setDMPermission(false)
+            .toJSON();
+    }
+
+    isHandledInteraction(interaction) {
+        return interaction.isMessageContextMenuCommand() && interaction.commandName === CONTEXT_MENU_NAME;
+    }
+
+    async handleInteraction(interaction) {
+        const target = new InteractionMessageAdapter(interaction);
+
+        try {
+            await target.defer();
+            await this.createCardFromMessage(interaction.targetMessage, interaction.user, target, 'context_menu');
+        } catch (error) {
+            console.error('❌ Error handling message context menu:', error);
+            await target.reply('❌ Failed to create a Trello card from this message.').catch(() => null);
+        }
+    }
+
+    // Reaction settings methods
+
+    async getReactionEmoji(guildId) {
+        const settings = await this.permissionManager.getGuildSettings(guildId);
+        return settings.cardReactionEmoji || null;
+    }
+
+    async setReactionEmoji(guildId, emoji) {
+        await this.permissionManager.updateGuildSettings(guildId, { cardReactionEmoji: emoji });
+    }
+
+    /**
+     * Whether a value is a single unicode emoji or a custom emoji (<:name:id>)
+     */
+    isValidEmoji(value) {
+        if (CUSTOM_EMOJI.test(value)) return true;
+        return UNICODE_EMOJI_CHARS.test(value) && UNICODE_EMOJI_BASE.test(value) &&
+            [...new Intl.Segmenter().segment(value)].length === 1;
+    }
+
+    /**
+     * Create a card when the guild's configured emoji is added to a message
+     */
+    async handleReaction(reaction, user) {
+        try {
+            if (user.bot) return;
+
+            // The emoji and guild are known even for partials, so other reactions cost no API calls
+            const guildId = reaction.message.guildId;
+            if (!guildId) return;
+
+            const emoji = await this.getReactionEmoji(guildId);
+            if (!emoji || !this.matchesEmoji(reaction.emoji, emoji)) return;
+
+            // Reactions on messages from before the bot started arrive as partials
+            if (reaction.partial) await reaction.fetch();
+            if (reaction.message.partial) await reaction.message.fetch();
+
+            await this.createCardFromMessage(reaction.message, user, reaction.message, 'reaction');
+        } catch (error) {
+            console.error('❌ Error handling card reaction:', error);
+        }
+    }
+
+    /**
+     * Custom emoji are stored as <:name:id> and matched by ID; unicode emoji are compared directly
+     */
+    matchesEmoji(reactionEmoji, configured) {
+        const customMatch = configured.match(CUSTOM_EMOJI);
+        if (customMatch) {
+            return reactionEmoji.id === customMatch[1];
+        }
+        return !reactionEmoji.id && reactionEmoji.name === configured;
+    }
+
+    // Card creation methods
+
+    /**
+     * Analyze and create a card for a message; the confirmation is sent through target.reply
+     */
+    async createCardFromMessage(source, requester, target, trigger) {
+        if (this.messageCards.has(source.id)) {
+            const existing = this.messageCards.get(source.id);
+            // Only the context menu answers; repeated reactions are ignored silently
+            if (trigger === 'context_menu') {
+                await target.reply(existing
+                    ? `ℹ️ This message is already on Trello: ${existing.shortUrl}`
+                    : 'ℹ️ A card for this message is already being created.');
+            }
+            return null;
+        }
+
+        const taskInput = this.getTaskInput(source);
+        if (!taskInput) {
+            if (trigger === 'context_menu') {
+                await target.reply('❌ This message has no text or attachments to turn into a card.');
+            }
+            return null;
+        }
+
+        const config = await this.trelloService.resolveConfiguration(source.guild.id, source.channel.id);
+        if (!config) {
+            await target.reply('❌ No board configuration found for this channel. Use `config board <board-id> <list-id>` to set one up.');
+            return null;
+        }
+
+        this.rememberMessage(source.id, null);
+
+        try {
+            let analysis = null;
+            if (this.commandRouter.isAIEnabled()) {
+                console.log('🤖 Analyzing message with AI...');
+                analysis = await this.commandRouter.analyzeTaskWithAI(taskInput, {
+                    username: source.author.tag,
+                    channelName: source.channel.name,
+                    guildName: source.guild.name,
+                    guildId: source.guild.id,
+                    channelId: source.channel.id
+                });
+            }
+
+            const cardOptions = {};
+            if (analysis) {
+                cardOptions.pos = analysis.priority === 'High' ? 'top' : 'bottom';
+                cardOptions.idLabels = await this.trelloService.getOrCreateLabelsWithContext(
+                    source.guild.id,
+                    source.channel.id,
+                    analysis.labels
+                );
+                if (analysis.dueDate) {
+                    cardOptions.due = analysis.dueDate;
+                }
+            }
+
+            const card = await this.trelloService.createCardWithContext(
+                source.guild.id,
+                source.channel.id,
+                analysis ? analysis.title : this.truncate(taskInput.split('\n')[0], 100),
+                this.buildDescription(source, requester, analysis, taskInput),
+                cardOptions
+            );
+            this.rememberMessage(source.id, card);
+
+            const attachmentResult = await this.commandRouter.attachmentForwarder.forwardAttachments(
+                source.guild.id,
+                card.id,
+                source.attachments
+            );
+
+            if (this.auditLogger) {
+                await this.auditLogger.logCardAction(
+                    source.guild.id,
+                    requester.id,
+                    requester.tag,
+                    'create_from_message',
+                    card.id,
+                    { channelId: source.channel.id, messageId: source.id, authorId: source.author.id, source: trigger }
+                );
+            }
+
+            const embed = this.commandRouter.createTaskEmbed(card, analysis, requester.tag, config);
+            embed.fields.push({
+                name: '💬 Original Message',
+                value: `[Jump to message](${source.url}) by <@${source.author.id}>`,
+                inline: false
+            });
+            const attachmentField = this.commandRouter.attachmentForwarder.buildEmbedField(attachmentResult);
+            if (attachmentField) {
+                embed.fields.push(attachmentField);
+            }
+
+            const components = await this.commandRouter.cardActionHandler.buildComponents(card, config, requester.id);
+            const confirmation = await target.reply({ embeds: [embed], components, allowedMentions: { parse: [] } });
+
+            if (this.commandRouter.threadSyncManager && confirmation) {
+                await this.commandRouter.threadSyncManager.createCardThread(confirmation, card, config, requester.id);
+            }
+            return card;
+
+        } catch (error) {
+            this.messageCards.delete(source.id);
+            console.error('❌ Error creating card from message:', error);
+            await target.reply('❌ Failed to create a Trello card from this message. Please check the bot configuration and try again.');
+            return null;
+        }
+    }
+
+    getTaskInput(source) {
+        const content = (source.content || '').trim();
+        if (content) return content;
+
+        return source.attachments.size > 0
+            ? `Attachment from ${source.author.tag}: ${source.attachments.map(attachment => attachment.name).join(', ')}`
+            : null;
+    }
+
+    buildDescription(source, requester, analysis, taskInput) {
+        const lines = [
+            analysis ? analysis.description : taskInput,
+            '',
+            '---',
+            `**Original message:** ${source.url}`,
+            `**Author:** ${source.author.tag}`,
+            `**Created by:** ${requester.tag}`,
+            `**Channel:** #${source.channel.name}`
+        ];
+
+        if (analysis) {
+            lines.push(`**Priority:** ${analysis.priority}`, `**Estimated Effort:** ${analysis.estimatedEffort}`);
+            lines.push(...Object.entries(analysis.fields || {}).map(([field, value]) => (
+                `**${this.commandRouter.formatFieldName(field)}:** ${value}`
+            )));
+        }
+        if (analysis && taskInput !== analysis.description) {
+            lines.push('', '**Original text:**', ...taskInput.split('\n').map(line => `> ${line}`));
+        }
+        if (source.attachments.size > 0) {
+            lines.push('', '**Attachments:**', ...source.attachments.map(attachment => `- [${attachment.name}](${attachment.url})`));
+        }
+
+        return lines.join('\n');
+    }
+
+    // Helper methods
+
+    rememberMessage(messageId, card) {
+        this.messageCards.delete(messageId);
+        this.messageCards.set(messageId, card);
+
+        while (this.messageCards.size > MAX_REMEMBERED_MESSAGES) {
+            this.messageCards.delete(this.messageCards.keys().next().value);
+        }
+    }
+
+    truncate(text, maxLength) {
+        return text.length > maxLength ? text.substring(0, maxLength - 1) + '…' : text;
+    }
+}
+
+module.exports = { MessageCardHandler, CONTEXT_MENU_NAME };
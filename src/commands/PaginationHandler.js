@@ -0,0 +1,100 @@
+const crypto = require('crypto');
+const { ActionRowBuilder, ButtonBuilder, ButtonStyle } = require('discord.js');
+
+const CUSTOM_ID_PREFIX = 'page';
+
+/**
+ * Prev/next button paging for multi-page embed replies.
+ * Pages are kept in memory for a short time under a session ID carried in the
+ * button custom IDs (`page:<sessionId>:<pageIndex>`); only the user who ran the
+ * command can turn the pages.
+ */
+class PaginationHandler {
+    constructor() {
+        this.sessions = new Map();
+        this.sessionTtl = 15 * 60 * 1000; // 15 minutes
+    }
+
+    /**
+     * Build the reply payload for a list of embeds, storing them when there is more than one page
+     */
+    createReply(ownerId, pages) {
+        if (pages.length <= 1) {
+            return { embeds: pages, components: [] };
+        }
+
+        this.pruneSessions();
+
+        const sessionId = crypto.randomBytes(4).toString('hex');
+        this.sessions.set(sessionId, {
+            ownerId,
+            pages,
+            expiresAt: Date.now() + this.sessionTtl
+        });
+
+        return this.buildPage(sessionId, pages, 0);
+    }
+
+    isHandledInteraction(interaction) {
+        return interaction.isButton() && interaction.customId.startsWith(`${CUSTOM_ID_PREFIX}:`);
+    }
+
+    async handleInteraction(interaction) {
+        const [, sessionId, pageValue] = interaction.customId.split(':');
+        const session = this.sessions.get(sessionId);
+
+        if (!session || session.expiresAt < Date.now()) {
+            this.sessions.delete(sessionId);
+            await interaction.update({ components: [] });
+            await interaction.followUp({ content: '⌛ These results have expired. Run the command again.', ephemeral: true });
+            return;
+        }
+
+        if (interaction.user.id !== session.ownerId) {
+            await interaction.reply({ content: '❌ Only the user who ran this command can change pages.', ephemeral: true });
+            return;
+        }
+
+        const pageIndex = Math.min(Math.max(parseInt(pageValue) || 0, 0), session.pages.length - 1);
+        session.expiresAt = Date.now() + this.sessionTtl;
+
+        await interaction.update(this.buildPage(sessionId, session.pages, pageIndex));
+    }
+
+    // Helper methods
+
+    buildPage(sessionId, pages, pageIndex) {
+        const embed = {
+            ...pages[pageIndex],
+            footer: { text: `Page ${pageIndex + 1}/${pages.length} • Discord-Trello Bot` }
+        };
+
+        const row = new ActionRowBuilder().addComponents(
+            new ButtonBuilder()
+                .setCustomId(`${CUSTOM_ID_PREFIX}:${sessionId}:${pageIndex - 1}`)
+                .setLabel('Previous')
+                .setEmoji('◀️')
+                .setStyle(ButtonStyle.Secondary)
+                .setDisabled(pageIndex === 0),
+            new ButtonBuilder()
+                .setCustomId(`${CUSTOM_ID_PREFIX}:${sessionId}:${pageIndex + 1}`)
+                .setLabel('Next')
+                .setEmoji('▶️')
+                .setStyle(ButtonStyle.Secondary)
+                .setDisabled(pageIndex === pages.length - 1)
+        );
+
+        return { embeds: [embed], components: [row] };
+    }
+
+    pruneSessions() {
+        const now = Date.now();
+        for (const [sessionId, session] of this.sessions) {
+            if (session.expiresAt < now) {
+                this.sessions.delete(sessionId);
+            }
+        }
+    }
+}
+
+module.exports = { PaginationHandler };
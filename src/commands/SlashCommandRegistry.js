@@ -0,0 +1,845 @@
+const { SlashCommandBuilder } = require('discord.js');
+const { InteractionMessageAdapter } = require('./InteractionMessageAdapter');
+const { AutocompleteProvider } = require('./AutocompleteProvider');
+
+const ROOT_COMMAND = 'trello';
+
+/**
+ * Key for the invoked subcommand, prefixed by its group if it has one (e.g. "admin config")
+ */
+function getSubcommandKey(options) {
+    const group = options.getSubcommandGroup(false);
+    const subcommand = options.getSubcommand();
+    return group ? `${group} ${subcommand}` : subcommand;
+}
+
+/**
+ * Native slash command layer for the bot.
+ * Every /trello subcommand is converted into the same (command, args) pair the
+ * text parser produces and dispatched through CommandRouter, so text and slash
+ * commands share handlers, permission checks and analytics.
+ */
+class SlashCommandRegistry {
+    constructor(commandRouter) {
+        this.commandRouter = commandRouter;
+        this.commandPrefix = process.env.COMMAND_PREFIX || '!t';
+        this.autocompleteProvider = new AutocompleteProvider(
+            commandRouter.trelloService,
+            commandRouter.templateManager,
+            commandRouter.permissionManager,
+            commandRouter.configManager
+        );
+
+        // Subcommand name -> converter from interaction options to text-style args
+        this.argumentBuilders = new Map();
+        this.registerArgumentBuilders();
+    }
+
+    registerArgumentBuilders() {
+        this.argumentBuilders.set('task', options => ({
+            command: 'task',
+            args: [],
+            fullArgs: options.getBoolean('checklist')
+                ? `${options.getString('description', true)} --checklist`
+                : options.getString('description', true)
+        }));
+
+        // Slash options are single-line, so tasks are separated by ";" and passed on as one task per line
+        this.argumentBuilders.set('batch', options => ({
+            command: 'batch',
+            args: this.compactArgs([
+                options.getString('list') ? `list=${options.getString('list')}` : null,
+                options.getString('labels') ? `labels=${options.getString('labels')}` : null,
+                options.getString('due') ? `due=${options.getString('due')}` : null,
+                options.getBoolean('atomic') ? '--atomic' : null,
+                this.toLines(options.getString('tasks', true).split(';'))
+            ])
+        }));
+
+        this.argumentBuilders.set('list', options => ({
+            command: 'list',
+            args: this.compactArgs([options.getInteger('limit')])
+        }));
+
+        this.argumentBuilders.set('update', options => ({
+            command: 'update',
+            args: [
+                options.getString('card', true),
+                `${options.getString('field', true)}=${options.getString('value', true)}`
+            ]
+        }));
+
+        this.argumentBuilders.set('card move', options => ({
+            command: 'move',
+            args: this.compactArgs([
+                options.getString('card', true),
+                options.getString('list', true),
+                options.getString('board') ? `board=${options.getString('board')}` : null
+            ])
+        }));
+
+        this.argumentBuilders.set('card archive', options => ({
+            command: 'archive',
+            args: [options.getString('card', true)]
+        }));
+
+        this.argumentBuilders.set('card unarchive', options => ({
+            command: 'unarchive',
+            args: [options.getString('card', true)]
+        }));
+
+        this.argumentBuilders.set('card delete', options => ({
+            command: 'delete',
+            args: [options.getString('card', true)]
+        }));
+
+        this.argumentBuilders.set('card copy', options => ({
+            command: 'copy',
+            args: this.compactArgs([
+                options.getString('card', true),
+                options.getString('list'),
+                options.getString('name') ? `name=${options.getString('name')}` : null
+            ])
+        }));
+
+        this.argumentBuilders.set('checklist add', options => ({
+            command: 'checklist',
+            args: this.compactArgs([
+                'add',
+                options.getString('card', true),
+                options.getString('title', true),
+                options.getString('items') ? `items=${options.getString('items')}` : null
+            ])
+        }));
+
+        this.argumentBuilders.set('checklist item', options => ({
+            command: 'checklist',
+            args: this.compactArgs([
+                'item',
+                options.getString('card', true),
+                options.getString('text', true),
+                options.getString('checklist') ? `checklist=${options.getString('checklist')}` : null
+            ])
+        }));
+
+        this.argumentBuilders.set('checklist show', options => ({
+            command: 'checklist',
+            args: ['show', options.getString('card', true)]
+        }));
+
+        this.argumentBuilders.set('checklist check', options => ({
+            command: 'check',
+            args: [options.getString('card', true), options.getString('item', true)]
+        }));
+
+        this.argumentBuilders.set('checklist uncheck', options => ({
+            command: 'uncheck',
+            args: [options.getString('card', true), options.getString('item', true)]
+        }));
+
+        this.argumentBuilders.set('comment', options => ({
+            command: 'comment',
+            args: [options.getString('card', true), ...this.splitArgs(options.getString('text', true))]
+        }));
+
+        this.argumentBuilders.set('threads', options => ({
+            command: 'threads',
+            args: this.compactArgs([options.getString('action')])
+        }));
+
+        this.argumentBuilders.set('notify', options => ({
+            command: 'notify',
+            args: this.compactArgs([
+                options.getString('action'),
+                options.getString('type'),
+                ...this.splitArgs(options.getString('value'))
+            ])
+        }));
+
+        this.argumentBuilders.set('reminders', options => ({
+            command: 'reminders',
+            args: this.compactArgs([
+                options.getString('action'),
+                options.getString('card'),
+                options.getString('value')
+            ])
+        }));
+
+        this.argumentBuilders.set('reaction', options => ({
+            command: 'reaction',
+            args: this.compactArgs([options.getString('emoji')])
+        }));
+
+        this.argumentBuilders.set('attachments', options => ({
+            command: 'attachments',
+            args: this.compactArgs([
+                options.getString('action'),
+                ...this.splitArgs(options.getString('value'))
+            ])
+        }));
+
+        // Template fields become the "key: value" lines the text command reads after the first line
+        this.argumentBuilders.set('prompts', options => ({
+            command: 'prompts',
+            args: this.compactArgs([
+                options.getString('action'),
+                options.getString('name'),
+                options.getBoolean('server') ? 'server' : null,
+                this.toLines(['instructions', 'labels', 'categories', 'fields']
+                    .filter(key => options.getString(key))
+                    .map(key => `${key}: ${options.getString(key)}`))
+            ])
+        }));
+
+        this.argumentBuilders.set('ai', options => ({
+            command: 'ai',
+            args: this.compactArgs([
+                options.getString('action'),
+                ...this.splitArgs(options.getString('providers'))
+            ])
+        }));
+
+        this.argumentBuilders.set('search', options => ({
+            command: 'search',
+            args: this.splitArgs(options.getString('query', true))
+        }));
+
+        this.argumentBuilders.set('mine', () => ({
+            command: 'mine',
+            args: []
+        }));
+
+        this.argumentBuilders.set('link', options => {
+            const username = options.getString('username');
+            const action = options.getString('action') || (username ? 'start' : 'status');
+
+            if (action === 'unlink') {
+                return { command: 'unlink', args: [] };
+            }
+            return {
+                command: 'link',
+                args: action === 'start' ? this.compactArgs([username]) : [action]
+            };
+        });
+
+        this.argumentBuilders.set('status', () => ({
+            command: 'status',
+            args: []
+        }));
+
+        this.argumentBuilders.set('admin config', options => ({
+            command: 'config',
+            args: this.compactArgs([
+                options.getString('action', true),
+                options.getString('board'),
+                options.getString('list')
+            ])
+        }));
+
+        this.argumentBuilders.set('admin panel', options => ({
+            command: 'admin',
+            args: this.compactArgs([
+                options.getString('subcommand'),
+                ...this.splitArgs(options.getString('arguments'))
+            ])
+        }));
+
+        this.argumentBuilders.set('admin analytics', options => ({
+            command: 'analytics',
+            args: this.compactArgs([options.getString('timeframe')])
+        }));
+
+        this.argumentBuilders.set('admin audit', options => ({
+            command: 'audit',
+            args: this.compactArgs([options.getString('filter')])
+        }));
+
+        this.argumentBuilders.set('admin templates', options => ({
+            command: 'templates',
+            args: this.compactArgs([
+                options.getString('action'),
+                options.getString('name'),
+                ...this.splitArgs(options.getString('description'))
+            ])
+        }));
+
+        this.argumentBuilders.set('admin suggest', () => ({
+            command: 'suggest',
+            args: []
+        }));
+
+        this.argumentBuilders.set('admin permissions', options => {
+            const role = options.getRole('role');
+            return {
+                command: 'permissions',
+                args: this.compactArgs([
+                    options.getString('action'),
+                    role ? role.id : null,
+                    options.getString('level')
+                ])
+            };
+        });
+    }
+
+    /**
+     * Build the /trello command definition with typed options for every subcommand
+     */
+    buildCommandDefinitions() {
+        const command = new SlashCommandBuilder()
+            .setName(ROOT_COMMAND)
+            .setDescription('Discord-Trello Bot commands')
+            .setDMPermission(false)
+            .addSubcommand(sub => sub
+                .setName('task')
+                .setDescription('Create a new Trello card with AI-powered analysis')
+                .addStringOption(option => option
+                    .setName('description')
+                    .setDescription('Task description, e.g. "Fix login bug by Friday - urgent"')
+                    .setRequired(true)
+                    .setMaxLength(1000))
+                .addBooleanOption(option => option
+                    .setName('checklist')
+                    .setDescription('Let AI break the task into a subtasks checklist')))
+            .addSubcommand(sub => sub
+                .setName('batch')
+                .setDescription('Create several cards at once, one per task')
+                .addStringOption(option => option
+                    .setName('tasks')
+                    .setDescription('Tasks separated by ";", e.g. Fix the login button; Update the footer links')
+                    .setRequired(true)
+                    .setMaxLength(2000))
+                .addStringOption(option => option
+                    .setName('list')
+                    .setDescription('Target list (default: this channel\'s list)')
+                    .setAutocomplete(true))
+                .addStringOption(option => option
+                    .setName('labels')
+                    .setDescription('Labels added to every card, separated by commas'))
+                .addStringOption(option => option
+                    .setName('due')
+                    .setDescription('Due date for every card, e.g. 2025-07-01'))
+                .addBooleanOption(option => option
+                    .setName('atomic')
+                    .setDescription('Delete the created cards if any card fails')))
+            .addSubcommand(sub => sub
+                .setName('list')
+                .setDescription('Show recent cards')
+                .addIntegerOption(option => option
+                    .setName('limit')
+                    .setDescription('Number of cards to show (default: 5)')
+                    .setMinValue(1)
+                    .setMaxValue(20)))
+            .addSubcommand(sub => sub
+                .setName('update')
+                .setDescription('Update an existing card')
+                .addStringOption(option => option
+                    .setName('card')
+                    .setDescription('Card name or ID')
+                    .setRequired(true)
+                    .setAutocomplete(true))
+                .addStringOption(option => option
+                    .setName('field')
+                    .setDescription('Field to update')
+                    .setRequired(true)
+                    .addChoices(
+                        { name: 'name', value: 'name' },
+                        { name: 'description', value: 'desc' },
+                        { name: 'due date', value: 'due' }
+                    ))
+                .addStringOption(option => option
+                    .setName('value')
+                    .setDescription('New value')
+                    .setRequired(true)))
+            .addSubcommandGroup(group => group
+                .setName('card')
+                .setDescription('Move, archive, delete or copy cards')
+                .addSubcommand(sub => sub
+                    .setName('move')
+                    .setDescription('Move a card to another list, optionally on another board')
+                    .addStringOption(option => this.addCardOption(option))
+                    .addStringOption(option => option
+                        .setName('list')
+                        .setDescription('Target list')
+                        .setRequired(true)
+                        .setAutocomplete(true))
+                    .addStringOption(option => option
+                        .setName('board')
+                        .setDescription('Target board (default: this channel\'s board)')
+                        .setAutocomplete(true)))
+                .addSubcommand(sub => sub
+                    .setName('archive')
+                    .setDescription('Archive a card')
+                    .addStringOption(option => this.addCardOption(option)))
+                .addSubcommand(sub => sub
+                    .setName('unarchive')
+                    .setDescription('Restore an archived card')
+                    .addStringOption(option => this.addCardOption(option)))
+                .addSubcommand(sub => sub
+                    .setName('delete')
+                    .setDescription('Permanently delete a card (moderators only)')
+                    .addStringOption(option => this.addCardOption(option)))
+                .addSubcommand(sub => sub
+                    .setName('copy')
+                    .setDescription('Copy a card')
+                    .addStringOption(option => this.addCardOption(option))
+                    .addStringOption(option => option
+                        .setName('list')
+                        .setDescription('Target list (default: this channel\'s list)')
+                        .setAutocomplete(true))
+                    .addStringOption(option => option
+                        .setName('name')
+                        .setDescription('Name for the copy (default: same name)'))))
+            .addSubcommandGroup(group => group
+                .setName('checklist')
+                .setDescription('Manage card checklists')
+                .addSubcommand(sub => sub
+                    .setName('add')
+                    .setDescription('Create a checklist on a card')
+                    .addStringOption(option => this.addCardOption(option))
+                    .addStringOption(option => option
+                        .setName('title')
+                        .setDescription('Checklist title')
+                        .setRequired(true))
+                    .addStringOption(option => option
+                        .setName('items')
+                        .setDescription('Initial items, separated by ";"')))
+                .addSubcommand(sub => sub
+                    .setName('item')
+                    .setDescription('Add an item to a checklist')
+                    .addStringOption(option => this.addCardOption(option))
+                    .addStringOption(option => option
+                        .setName('text')
+                        .setDescription('Item text')
+                        .setRequired(true))
+                    .addStringOption(option => option
+                        .setName('checklist')
+                        .setDescription('Checklist name (default: most recent checklist)')))
+                .addSubcommand(sub => sub
+                    .setName('show')
+                    .setDescription('Show the checklists on a card')
+                    .addStringOption(option => this.addCardOption(option)))
+                .addSubcommand(sub => sub
+                    .setName('check')
+                    .setDescription('Complete a checklist item')
+                    .addStringOption(option => this.addCardOption(option))
+                    .addStringOption(option => option
+                        .setName('item')
+                        .setDescription('Item name or number')
+                        .setRequired(true)))
+                .addSubcommand(sub => sub
+                    .setName('uncheck')
+                    .setDescription('Reopen a checklist item')
+                    .addStringOption(option => this.addCardOption(option))
+                    .addStringOption(option => option
+                        .setName('item')
+                        .setDescription('Item name or number')
+                        .setRequired(true))))
+            .addSubcommand(sub => sub
+                .setName('comment')
+                .setDescription('Add a comment to a card')
+                .addStringOption(option => this.addCardOption(option))
+                .addStringOption(option => option
+                    .setName('text')
+                    .setDescription('Comment text')
+                    .setRequired(true)
+                    .setMaxLength(1000)))
+            .addSubcommand(sub => sub
+                .setName('threads')
+                .setDescription('Sync new cards with Discord threads')
+                .addStringOption(option => option
+                    .setName('action')
+                    .setDescription('Thread sync action (default: status)')
+                    .addChoices(
+                        { name: 'on', value: 'on' },
+                        { name: 'off', value: 'off' },
+                        { name: 'status', value: 'status' }
+                    )))
+            .addSubcommand(sub => sub
+                .setName('notify')
+                .setDescription('Filter which Trello notifications this channel receives')
+                .addStringOption(option => option
+                    .setName('action')
+                    .setDescription('Filter action (default: list)')
+                    .addChoices(
+                        { name: 'list', value: 'list' },
+                        { name: 'add', value: 'add' },
+                        { name: 'remove', value: 'remove' },
+                        { name: 'clear', value: 'clear' },
+                        { name: 'digest', value: 'digest' }
+                    ))
+                .addStringOption(option => option
+                    .setName('type')
+                    .setDescription('Rule type to add')
+                    .addChoices(
+                        { name: 'action', value: 'action' },
+                        { name: 'list', value: 'list' },
+                        { name: 'label', value: 'label' },
+                        { name: 'member', value: 'member' },
+                        { name: 'keyword', value: 'keyword' }
+                    ))
+                .addStringOption(option => option
+                    .setName('value')
+                    .setDescription('Rule value (commentCard, In Progress, @user), rule ID, or digest schedule (weekly mon 9)')
+                    .setMaxLength(100)))
+            .addSubcommand(sub => sub
+                .setName('reminders')
+                .setDescription('Configure due-date reminders or snooze them for a card')
+                .addStringOption(option => option
+                    .setName('action')
+                    .setDescription('Reminder action (default: status)')
+                    .addChoices(
+                        { name: 'status', value: 'status' },
+                        { name: 'on', value: 'on' },
+                        { name: 'off', value: 'off' },
+                        { name: 'windows', value: 'windows' },
+                        { name: 'delivery', value: 'delivery' },
+                        { name: 'channel', value: 'channel' },
+                        { name: 'snooze', value: 'snooze' },
+                        { name: 'unsnooze', value: 'unsnooze' }
+                    ))
+                .addStringOption(option => option
+                    .setName('card')
+                    .setDescription('Card to snooze or unsnooze')
+                    .setAutocomplete(true))
+                .addStringOption(option => option
+                    .setName('value')
+                    .setDescription('Snooze duration (2h), windows (24h,1h,overdue), delivery (channel|dm|both) or channel (here|clear)')
+                    .setMaxLength(100)))
+            .addSubcommand(sub => sub
+                .setName('reaction')
+                .setDescription('Set the emoji that turns a message into a card when added as a reaction')
+                .addStringOption(option => option
+                    .setName('emoji')
+                    .setDescription('Emoji to use, "off" to disable, or "status" (default)')
+                    .setMaxLength(64)))
+            .addSubcommand(sub => sub
+                .setName('attachments')
+                .setDescription('Configure which message attachments are copied onto cards')
+                .addStringOption(option => option
+                    .setName('action')
+                    .setDescription('Attachment action (default: status)')
+                    .addChoices(
+                        { name: 'status', value: 'status' },
+                        { name: 'on', value: 'on' },
+                        { name: 'off', value: 'off' },
+                        { name: 'size', value: 'size' },
+                        { name: 'types', value: 'types' }
+                    ))
+                .addStringOption(option => option
+                    .setName('value')
+                    .setDescription('Size limit in MB, MIME types (image/*,application/pdf) or "reset"')
+                    .setMaxLength(200)))
+            .addSubcommand(sub => sub
+                .setName('prompts')
+                .setDescription('Manage the AI prompt templates used to analyze tasks')
+                .addStringOption(option => option
+                    .setName('action')
+                    .setDescription('Template action (default: list)')
+                    .addChoices(
+                        { name: 'list', value: 'list' },
+                        { name: 'show', value: 'show' },
+                        { name: 'create', value: 'create' },
+                        { name: 'edit', value: 'edit' },
+                        { name: 'use', value: 'use' },
+                        { name: 'delete', value: 'delete' }
+                    ))
+                .addStringOption(option => option
+                    .setName('name')
+                    .setDescription('Template name, or "none" with use to remove the binding')
+                    .setMaxLength(32))
+                .addBooleanOption(option => option
+                    .setName('server')
+                    .setDescription('With use: bind for the whole server instead of this channel'))
+                .addStringOption(option => option
+                    .setName('instructions')
+                    .setDescription('With create/edit: extra instructions for the AI')
+                    .setMaxLength(1000))
+                .addStringOption(option => option
+                    .setName('labels')
+                    .setDescription('With create/edit: labels the AI may choose from, separated by commas'))
+                .addStringOption(option => option
+                    .setName('categories')
+                    .setDescription('With create/edit: categories the AI may choose from, separated by commas'))
+                .addStringOption(option => option
+                    .setName('fields')
+                    .setDescription('With create/edit: extra fields the AI fills in, separated by commas')))
+            .addSubcommand(sub => sub
+                .setName('ai')
+                .setDescription('Show or choose the AI providers used for task analysis')
+                .addStringOption(option => option
+                    .setName('action')
+                    .setDescription('AI action (default: status)')
+                    .addChoices(
+                        { name: 'status', value: 'status' },
+                        { name: 'use', value: 'use' },
+                        { name: 'reset', value: 'reset' },
+                        { name: 'test', value: 'test' }
+                    ))
+                .addStringOption(option => option
+                    .setName('providers')
+                    .setDescription('With use: providers in fallback order, e.g. openai gemini')
+                    .setMaxLength(100)))
+            .addSubcommand(sub => sub
+                .setName('search')
+                .setDescription('Search cards on this server\'s boards')
+                .addStringOption(option => option
+                    .setName('query')
+                    .setDescription('Text and filters, e.g. login label:bug due:overdue list:"In Progress" member:me')
+                    .setRequired(true)
+                    .setMaxLength(500)))
+            .addSubcommand(sub => sub
+                .setName('mine')
+                .setDescription('Show the cards assigned to you on this server\'s boards'))
+            .addSubcommand(sub => sub
+                .setName('link')
+                .setDescription('Link your Discord account to a Trello member')
+                .addStringOption(option => option
+                    .setName('username')
+                    .setDescription('Trello username to link')
+                    .setMaxLength(100))
+                .addStringOption(option => option
+                    .setName('action')
+                    .setDescription('Link action (default: start with a username, otherwise status)')
+                    .addChoices(
+                        { name: 'start', value: 'start' },
+                        { name: 'verify', value: 'verify' },
+                        { name: 'status', value: 'status' },
+                        { name: 'unlink', value: 'unlink' }
+                    )))
+            .addSubcommand(sub => sub
+                .setName('status')
+                .setDescription('Show current board status and statistics'))
+            // Discord allows 25 top-level subcommands and groups, so setup commands share one group
+            .addSubcommandGroup(group => group
+                .setName('admin')
+                .setDescription('Server configuration and administration')
+                .addSubcommand(sub => sub
+                    .setName('config')
+                    .setDescription('Configure the Trello board for this channel')
+                    .addStringOption(option => option
+                        .setName('action')
+                        .setDescription('Configuration action')
+                        .setRequired(true)
+                        .addChoices(
+                            { name: 'board', value: 'board' },
+                            { name: 'show', value: 'show' },
+                            { name: 'list', value: 'list' },
+                            { name: 'remove', value: 'remove' },
+                            { name: 'default', value: 'default' },
+                            { name: 'help', value: 'help' }
+                        ))
+                    .addStringOption(option => option
+                        .setName('board')
+                        .setDescription('Board (for board/default)')
+                        .setAutocomplete(true))
+                    .addStringOption(option => option
+                        .setName('list')
+                        .setDescription('List (for board/default)')
+                        .setAutocomplete(true)))
+                .addSubcommand(sub => sub
+                    .setName('panel')
+                    .setDescription('Access the admin control panel')
+                    .addStringOption(option => option
+                        .setName('subcommand')
+                        .setDescription('Admin subcommand')
+                        .addChoices(
+                            { name: 'boards', value: 'boards' },
+                            { name: 'reset', value: 'reset' },
+                            { name: 'status', value: 'status' },
+                            { name: 'webhooks', value: 'webhooks' },
+                            { name: 'permissions', value: 'permissions' },
+                            { name: 'analytics', value: 'analytics' },
+                            { name: 'export', value: 'export' },
+                            { name: 'import', value: 'import' },
+                            { name: 'templates', value: 'templates' },
+                            { name: 'suggest', value: 'suggest' },
+                            { name: 'migrate', value: 'migrate' },
+                            { name: 'settings', value: 'settings' }
+                        ))
+                    .addStringOption(option => option
+                        .setName('arguments')
+                        .setDescription('Additional arguments, separated by spaces')))
+                .addSubcommand(sub => sub
+                    .setName('analytics')
+                    .setDescription('View the usage analytics dashboard')
+                    .addStringOption(option => option
+                        .setName('timeframe')
+                        .setDescription('Timeframe (default: 7d)')
+                        .addChoices(
+                            { name: '1 day', value: '1d' },
+                            { name: '7 days', value: '7d' },
+                            { name: '30 days', value: '30d' },
+                            { name: '90 days', value: '90d' }
+                        )))
+                .addSubcommand(sub => sub
+                    .setName('audit')
+                    .setDescription('View audit logs')
+                    .addStringOption(option => option
+                        .setName('filter')
+                        .setDescription('"summary" or an action filter')))
+                .addSubcommand(sub => sub
+                    .setName('templates')
+                    .setDescription('Manage configuration templates')
+                    .addStringOption(option => option
+                        .setName('action')
+                        .setDescription('Template action (default: list)')
+                        .addChoices(
+                            { name: 'list', value: 'list' },
+                            { name: 'apply', value: 'apply' },
+                            { name: 'create', value: 'create' }
+                        ))
+                    .addStringOption(option => option
+                        .setName('name')
+                        .setDescription('Template ID or name')
+                        .setAutocomplete(true))
+                    .addStringOption(option => option
+                        .setName('description')
+                        .setDescription('Template description (for create)')))
+                .addSubcommand(sub => sub
+                    .setName('suggest')
+                    .setDescription('Get AI-powered configuration suggestions'))
+                .addSubcommand(sub => sub
+                    .setName('permissions')
+                    .setDescription('Manage role permissions')
+                    .addStringOption(option => option
+                        .setName('action')
+                        .setDescription('Permission action (default: list)')
+                        .addChoices(
+                            { name: 'list', value: 'list' },
+                            { name: 'set', value: 'set' },
+                            { name: 'remove', value: 'remove' }
+                        ))
+                    .addRoleOption(option => option
+                        .setName('role')
+                        .setDescription('Role to update'))
+                    .addStringOption(option => option
+                        .setName('level')
+                        .setDescription('Permission level')
+                        .addChoices(
+                            { name: 'admin', value: 'admin' },
+                            { name: 'moderator', value: 'moderator' },
+                            { name: 'user', value: 'user' }
+                        ))));
+
+        return [command.toJSON(), this.commandRouter.messageCardHandler.buildContextMenuDefinition()];
+    }
+
+    /**
+     * Register (or overwrite) the bot's slash commands for a single guild
+     */
+    async syncGuildCommands(guild) {
+        try {
+            const definitions = this.buildCommandDefinitions();
+            const registered = await guild.commands.set(definitions);
+
+            console.log(`⚡ Synced ${registered.size} slash commands for guild ${guild.id}`);
+            return { success: true, guildId: guild.id, registered: registered.size };
+
+        } catch (error) {
+            console.error(`❌ Error syncing slash commands for guild ${guild.id}:`, error.message);
+            return { success: false, guildId: guild.id, error: error.message };
+        }
+    }
+
+    /**
+     * Register slash commands for every guild the client is in
+     */
+    async syncAllGuilds(client) {
+        const results = [];
+
+        for (const guild of client.guilds.cache.values()) {
+            results.push(await this.syncGuildCommands(guild));
+        }
+
+        const successful = results.filter(r => r.success).length;
+        console.log(`⚡ Slash commands synced for ${successful}/${results.length} guilds`);
+
+        return { success: true, results, total: results.length, successful };
+    }
+
+    /**
+     * Remove every slash command this bot registered in a guild
+     */
+    async unregisterGuildCommands(guild) {
+        try {
+            await guild.commands.set([]);
+            console.log(`🗑️ Removed all slash commands from guild ${guild.id}`);
+            return { success: true, guildId: guild.id };
+
+        } catch (error) {
+            console.error(`❌ Error removing slash commands for guild ${guild.id}:`, error.message);
+            return { success: false, guildId: guild.id, error: error.message };
+        }
+    }
+
+    isHandledInteraction(interaction) {
+        return (interaction.isChatInputCommand() || interaction.isAutocomplete()) &&
+            interaction.commandName === ROOT_COMMAND;
+    }
+
+    /**
+     * Handle a /trello interaction by adapting it to the text command handlers
+     */
+    async handleInteraction(interaction) {
+        if (interaction.isAutocomplete()) {
+            await this.autocompleteProvider.handleAutocomplete(interaction);
+            return;
+        }
+
+        const subcommand = getSubcommandKey(interaction.options);
+        const builder = this.argumentBuilders.get(subcommand);
+
+        if (!builder) {
+            await interaction.reply({ content: `❌ Unknown command: \`${subcommand}\``, ephemeral: true });
+            return;
+        }
+
+        const { command, args, fullArgs } = builder(interaction.options);
+        const text = fullArgs !== undefined ? fullArgs : [command, ...args].join(' ');
+        const message = new InteractionMessageAdapter(interaction, `${this.commandPrefix} ${text}`);
+
+        try {
+            await message.defer();
+            await this.commandRouter.executeCommand(message, command, args, text);
+
+            // Handlers that only react (no reply) would leave the deferred response pending
+            if (!message.replied) {
+                await message.reply('✅ Done.');
+            }
+
+        } catch (error) {
+            console.error(`❌ Error handling slash command /${ROOT_COMMAND} ${subcommand}:`, error);
+            await message.reply('❌ An error occurred processing your command. Please try again.').catch(() => null);
+        }
+    }
+
+    // Helper methods
+
+    addCardOption(option) {
+        return option
+            .setName('card')
+            .setDescription('Card name or ID')
+            .setRequired(true)
+            .setAutocomplete(true);
+    }
+
+    compactArgs(values) {
+        return values
+            .filter(value => value !== null && value !== undefined && value !== '')
+            .map(value => String(value));
+    }
+
+    splitArgs(value) {
+        return value ? value.trim().split(/\s+/) : [];
+    }
+
+    /**
+     * Join values into lines after the command's first line; null when there are none
+     */
+    toLines(values) {
+        const lines = values.map(value => value.trim()).filter(Boolean);
+        return lines.length > 0 ? `\n${lines.join('\n')}` : null;
+    }
+}
+
+module.exports = { SlashCommandRegistry, ROOT_COMMAND };
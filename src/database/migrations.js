@@ -13,6 +13,46 @@ class MigrationManager {
                 version: '1.2.0',
                 description: 'Phase 3.3 Advanced Features - Role permissions, audit logging, analytics, templates',
                 applied: false
+            },
+            {
+                version: '1.3.0',
+                description: 'Card thread sync - Discord thread to Trello card mappings',
+                applied: false
+            },
+            {
+                version: '1.4.0',
+                description: 'User identity links - Discord users linked to Trello members',
+                applied: false
+            },
+            {
+                version: '1.5.0',
+                description: 'Due-date reminders - sent reminder log and snoozes',
+                applied: false
+            },
+            {
+                version: '1.6.0',
+                description: 'Notification filters - per-channel webhook subscription rules',
+                applied: false
+            },
+            {
+                version: '1.7.0',
+                description: 'Notification digests - scheduled daily/weekly channel summaries',
+                applied: false
+            },
+            {
+                version: '1.8.0',
+                description: 'Webhook event queue - durable processing with retries and dead letters',
+                applied: false
+            },
+            {
+                version: '1.9.0',
+                description: 'Leader leases - singleton jobs run on one instance at a time',
+                applied: false
+            },
+            {
+                version: '1.10.0',
+                description: 'AI prompt templates - per-guild instructions and vocabularies bound to channels',
+                applied: false
             }
             // Future migrations will be added here
         ];
@@ -95,6 +135,30 @@ class MigrationManager {
             case '1.2.0':
                 await this.applyPhase33Migration();
                 break;
+            case '1.3.0':
+                await this.applyCardThreadsMigration();
+                break;
+            case '1.4.0':
+                await this.applyUserLinksMigration();
+                break;
+            case '1.5.0':
+                await this.applyRemindersMigration();
+                break;
+            case '1.6.0':
+                await this.applyNotificationRulesMigration();
+                break;
+            case '1.7.0':
+                await this.applyNotificationDigestsMigration();
+                break;
+            case '1.8.0':
+                await this.applyWebhookQueueMigration();
+                break;
+            case '1.9.0':
+                await this.applyLeaderLeasesMigration();
+                break;
+            case '1.10.0':
+                await this.applyPromptTemplatesMigration();
+                break;
             default:
                 console.log(`⚠️ No migration logic for version ${migration.version}`);
         }
@@ -208,6 +272,247 @@ class MigrationManager {
         console.log('✅ Phase 3.3 database schema extensions applied successfully');
     }
 
+    async applyCardThreadsMigration() {
+        console.log('🔧 Applying card thread sync schema...');
+
+        // One Discord thread per bot-created card
+        await this.db.runQuery(`
+            CREATE TABLE IF NOT EXISTS card_threads (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                guild_id TEXT NOT NULL,
+                channel_id TEXT NOT NULL,
+                thread_id TEXT NOT NULL UNIQUE,
+                message_id TEXT,
+                card_id TEXT NOT NULL UNIQUE,
+                board_id TEXT,
+                created_by TEXT,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+
+        await this.db.runQuery(`CREATE INDEX IF NOT EXISTS idx_card_threads_guild ON card_threads(guild_id)`);
+
+        // Trello comment actions created from thread messages; their webhook echo is not posted back
+        await this.db.runQuery(`
+            CREATE TABLE IF NOT EXISTS synced_comments (
+                action_id TEXT PRIMARY KEY,
+                card_id TEXT NOT NULL,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+
+        await this.db.runQuery(`CREATE INDEX IF NOT EXISTS idx_synced_comments_created ON synced_comments(created_at)`);
+
+        console.log('✅ Card thread sync schema applied successfully');
+    }
+
+    async applyUserLinksMigration() {
+        console.log('🔧 Applying user identity link schema...');
+
+        // Discord user -> Trello member, verified with a code in the Trello bio
+        await this.db.runQuery(`
+            CREATE TABLE IF NOT EXISTS user_links (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                discord_user_id TEXT NOT NULL UNIQUE,
+                discord_tag TEXT,
+                trello_member_id TEXT NOT NULL,
+                trello_username TEXT NOT NULL,
+                trello_full_name TEXT,
+                verified BOOLEAN NOT NULL DEFAULT 0,
+                verification_code TEXT,
+                verification_expires_at DATETIME,
+                verified_at DATETIME,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+
+        await this.db.runQuery(`CREATE INDEX IF NOT EXISTS idx_user_links_trello_member ON user_links(trello_member_id, verified)`);
+
+        console.log('✅ User identity link schema applied successfully');
+    }
+
+    async applyRemindersMigration() {
+        console.log('🔧 Applying due-date reminder schema...');
+
+        // One row per reminder sent; keyed on the due date so a changed due date reminds again
+        await this.db.runQuery(`
+            CREATE TABLE IF NOT EXISTS card_reminders (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                guild_id TEXT NOT NULL,
+                card_id TEXT NOT NULL,
+                reminder_window TEXT NOT NULL,
+                due_at TEXT NOT NULL,
+                channel_id TEXT,
+                dm_count INTEGER DEFAULT 0,
+                sent_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                UNIQUE(guild_id, card_id, reminder_window, due_at)
+            )
+        `);
+
+        await this.db.runQuery(`
+            CREATE TABLE IF NOT EXISTS reminder_snoozes (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                guild_id TEXT NOT NULL,
+                card_id TEXT NOT NULL,
+                snoozed_until DATETIME NOT NULL,
+                snoozed_by TEXT NOT NULL,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                UNIQUE(guild_id, card_id)
+            )
+        `);
+
+        await this.db.runQuery(`CREATE INDEX IF NOT EXISTS idx_card_reminders_sent ON card_reminders(sent_at)`);
+
+        console.log('✅ Due-date reminder schema applied successfully');
+    }
+
+    async applyNotificationRulesMigration() {
+        console.log('🔧 Applying notification filter schema...');
+
+        // rule_value holds the Trello ID for list/label/member rules, display_value the name shown to users
+        await this.db.runQuery(`
+            CREATE TABLE IF NOT EXISTS notification_rules (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                guild_id TEXT NOT NULL,
+                channel_id TEXT NOT NULL,
+                rule_type TEXT NOT NULL,
+                rule_value TEXT NOT NULL,
+                display_value TEXT,
+                created_by TEXT,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                UNIQUE(channel_id, rule_type, rule_value)
+            )
+        `);
+
+        await this.db.runQuery(`CREATE INDEX IF NOT EXISTS idx_notification_rules_channel ON notification_rules(channel_id)`);
+
+        console.log('✅ Notification filter schema applied successfully');
+    }
+
+    async applyNotificationDigestsMigration() {
+        console.log('🔧 Applying notification digest schema...');
+
+        // Schedule times are UTC; weekday is 0 (Sunday) - 6 and only used for weekly digests
+        await this.db.runQuery(`
+            CREATE TABLE IF NOT EXISTS notification_digests (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                guild_id TEXT NOT NULL,
+                channel_id TEXT NOT NULL UNIQUE,
+                board_id TEXT NOT NULL,
+                frequency TEXT NOT NULL CHECK (frequency IN ('daily', 'weekly')),
+                weekday INTEGER DEFAULT 1,
+                hour INTEGER NOT NULL DEFAULT 9,
+                last_sent_at DATETIME,
+                created_by TEXT,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+
+        console.log('✅ Notification digest schema applied successfully');
+    }
+
+    async applyWebhookQueueMigration() {
+        console.log('🔧 Applying webhook queue schema...');
+
+        // Raw Trello payloads are stored as received; status is pending, processing, completed or dead
+        await this.db.runQuery(`
+            CREATE TABLE IF NOT EXISTS webhook_events (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                action_id TEXT,
+                action_type TEXT,
+                board_id TEXT,
+                payload TEXT NOT NULL,
+                status TEXT NOT NULL DEFAULT 'pending',
+                attempts INTEGER NOT NULL DEFAULT 0,
+                next_attempt_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                last_error TEXT,
+                received_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                processing_started_at DATETIME,
+                processed_at DATETIME,
+                UNIQUE(action_id)
+            )
+        `);
+
+        await this.db.runQuery(`
+            CREATE TABLE IF NOT EXISTS webhook_dead_letters (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                event_id INTEGER NOT NULL UNIQUE,
+                action_id TEXT,
+                action_type TEXT,
+                board_id TEXT,
+                attempts INTEGER NOT NULL,
+                last_error TEXT,
+                failed_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (event_id) REFERENCES webhook_events(id) ON DELETE CASCADE
+            )
+        `);
+
+        await this.db.runQuery(`CREATE INDEX IF NOT EXISTS idx_webhook_events_status ON webhook_events(status, next_attempt_at)`);
+        await this.db.runQuery(`CREATE INDEX IF NOT EXISTS idx_webhook_events_received ON webhook_events(received_at)`);
+
+        console.log('✅ Webhook queue schema applied successfully');
+    }
+
+    async applyLeaderLeasesMigration() {
+        console.log('🔧 Applying leader lease schema...');
+
+        // One row per lease; times are epoch milliseconds so expiry compares exactly across instances
+        await this.db.runQuery(`
+            CREATE TABLE IF NOT EXISTS leader_leases (
+                name TEXT PRIMARY KEY,
+                holder_id TEXT NOT NULL,
+                acquired_at INTEGER NOT NULL,
+                renewed_at INTEGER NOT NULL,
+                expires_at INTEGER NOT NULL
+            )
+        `);
+
+        console.log('✅ Leader lease schema applied successfully');
+    }
+
+    async applyPromptTemplatesMigration() {
+        console.log('🔧 Applying prompt template schema...');
+
+        // labels, categories and output_fields are JSON arrays; an empty array keeps the default prompt's values
+        await this.db.runQuery(`
+            CREATE TABLE IF NOT EXISTS prompt_templates (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                guild_id TEXT NOT NULL,
+                name TEXT NOT NULL,
+                instructions TEXT,
+                labels TEXT NOT NULL DEFAULT '[]',
+                categories TEXT NOT NULL DEFAULT '[]',
+                output_fields TEXT NOT NULL DEFAULT '[]',
+                created_by TEXT,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                UNIQUE(guild_id, name)
+            )
+        `);
+
+        // channel_id '*' binds a template to the whole guild; a channel binding takes precedence
+        await this.db.runQuery(`
+            CREATE TABLE IF NOT EXISTS prompt_template_bindings (
+                guild_id TEXT NOT NULL,
+                channel_id TEXT NOT NULL,
+                template_id INTEGER NOT NULL,
+                created_by TEXT,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                PRIMARY KEY (guild_id, channel_id),
+                FOREIGN KEY (template_id) REFERENCES prompt_templates(id) ON DELETE CASCADE
+            )
+        `);
+
+        await this.db.runQuery(`
+            CREATE INDEX IF NOT EXISTS idx_prompt_template_bindings_template
+            ON prompt_template_bindings(template_id)
+        `);
+
+        console.log('✅ Prompt template schema applied successfully');
+    }
+
     async insertDefaultTemplates() {
         const defaultTemplates = [
             {
@@ -319,7 +624,10 @@ class MigrationManager {
             const requiredTables = [
                 'channel_mappings', 'default_configs', 'webhook_registrations', 'db_metadata',
                 'role_permissions', 'audit_log', 'usage_analytics', 'configuration_templates',
-                'admin_settings', 'system_statistics'
+                'admin_settings', 'system_statistics', 'card_threads', 'user_links',
+                'card_reminders', 'reminder_snoozes', 'notification_rules', 'notification_digests',
+                'webhook_events', 'webhook_dead_letters', 'leader_leases', 'prompt_templates',
+                'prompt_template_bindings', 'synced_comments'
             ];
             
             for (const table of requiredTables) {
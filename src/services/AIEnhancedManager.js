@@ -1,11 +1,11 @@
 const { EmbedBuilder } = require('discord.js');
 
 class AIEnhancedManager {
-    constructor(configManager, trelloService, analyticsManager, geminiService = null) {
+    constructor(configManager, trelloService, analyticsManager, aiService = null) {
         this.configManager = configManager;
         this.trelloService = trelloService;
         this.analyticsManager = analyticsManager;
-        this.geminiService = geminiService;
+        this.aiService = aiService;
         this.analysisCache = new Map();
         this.cacheTimeout = 30 * 60 * 1000; // 30 minutes
     }
@@ -15,7 +15,7 @@ class AIEnhancedManager {
      */
     async generateConfigurationSuggestions(guildId, channels = [], options = {}) {
         try {
-            if (!this.geminiService) {
+            if (!this.isAIEnabled()) {
                 return this.getFallbackSuggestions(guildId, channels);
             }
 
@@ -83,7 +83,7 @@ class AIEnhancedManager {
      */
     async suggestBoardOrganization(guildId, options = {}) {
         try {
-            if (!this.geminiService) {
+            if (!this.isAIEnabled()) {
                 return this.getBasicBoardSuggestions(guildId);
             }
 
@@ -101,7 +101,7 @@ class AIEnhancedManager {
             });
 
             // Generate AI-powered suggestions
-            const suggestions = await this.generateBoardOrganizationSuggestions(boardData);
+            const suggestions = await this.generateBoardOrganizationSuggestions(boardData, guildId);
 
             return {
                 suggestions,
@@ -124,7 +124,7 @@ class AIEnhancedManager {
         try {
             const migrationAnalysis = await this.performMigrationAnalysis(guildId);
             
-            if (!this.geminiService) {
+            if (!this.isAIEnabled()) {
                 return {
                     ...migrationAnalysis,
                     aiSuggestions: null,
@@ -133,7 +133,7 @@ class AIEnhancedManager {
             }
 
             // Generate AI-enhanced migration plan
-            const aiSuggestions = await this.generateMigrationPlan(migrationAnalysis);
+            const aiSuggestions = await this.generateMigrationPlan(migrationAnalysis, guildId);
 
             return {
                 ...migrationAnalysis,
@@ -159,7 +159,7 @@ class AIEnhancedManager {
      */
     async suggestWorkflowAutomation(guildId, boardId = null) {
         try {
-            if (!this.geminiService) {
+            if (!this.isAIEnabled()) {
                 return this.getBasicWorkflowSuggestions(guildId);
             }
 
@@ -186,7 +186,7 @@ class AIEnhancedManager {
      */
     async predictTaskMetadata(taskDescription, contextData = {}) {
         try {
-            if (!this.geminiService) {
+            if (!this.isAIEnabled()) {
                 return this.getBasicTaskMetadata(taskDescription);
             }
 
@@ -210,14 +210,15 @@ class AIEnhancedManager {
 
     // Core AI interaction methods
 
+    isAIEnabled() {
+        return !!(this.aiService && this.aiService.hasProviders());
+    }
+
     async generateAISuggestions(contextData, options) {
         try {
             const prompt = this.buildConfigurationPrompt(contextData, options);
             
-            const response = await this.geminiService.models.generateContent({
-                model: process.env.GEMINI_MODEL || 'gemini-2.0-flash-001',
-                contents: prompt
-            });
+            const response = await this.aiService.generate(prompt, { guildId: contextData.guildId });
 
             const suggestions = this.parseAIResponse(response.text);
             
@@ -236,14 +237,11 @@ class AIEnhancedManager {
         }
     }
 
-    async generateBoardOrganizationSuggestions(boardData) {
+    async generateBoardOrganizationSuggestions(boardData, guildId = null) {
         try {
             const prompt = this.buildBoardOrganizationPrompt(boardData);
             
-            const response = await this.geminiService.models.generateContent({
-                model: process.env.GEMINI_MODEL || 'gemini-2.0-flash-001',
-                contents: prompt
-            });
+            const response = await this.aiService.generate(prompt, { guildId });
 
             const suggestions = this.parseAIResponse(response.text);
             
@@ -262,14 +260,11 @@ class AIEnhancedManager {
         }
     }
 
-    async generateMigrationPlan(migrationAnalysis) {
+    async generateMigrationPlan(migrationAnalysis, guildId = null) {
         try {
             const prompt = this.buildMigrationPrompt(migrationAnalysis);
             
-            const response = await this.geminiService.models.generateContent({
-                model: process.env.GEMINI_MODEL || 'gemini-2.0-flash-001',
-                contents: prompt
-            });
+            const response = await this.aiService.generate(prompt, { guildId });
 
             const plan = this.parseAIResponse(response.text);
             
@@ -912,7 +907,7 @@ Provide a migration plan as JSON:
     async healthCheck() {
         return {
             healthy: true,
-            aiEnabled: !!this.geminiService,
+            aiEnabled: this.isAIEnabled(),
             cacheSize: this.analysisCache.size,
             features: {
                 configurationSuggestions: true,
@@ -920,7 +915,7 @@ Provide a migration plan as JSON:
                 boardOrganization: true,
                 migrationAnalysis: true,
                 workflowAutomation: true,
-                taskMetadataPrediction: !!this.geminiService
+                taskMetadataPrediction: this.isAIEnabled()
             }
         };
     }
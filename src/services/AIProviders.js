@@ -0,0 +1,205 @@
+const axios = require('axios');
+const { GoogleGenAI } = require('@google/genai');
+
+const DEFAULT_TIMEOUT = 20; // seconds
+
+const timeoutFromEnv = name => (parseInt(process.env[name]) || parseInt(process.env.AI_TIMEOUT) || DEFAULT_TIMEOUT) * 1000;
+
+/**
+ * Base class for text generation backends. Subclasses implement complete();
+ * generate() adds the provider's timeout, aborting the request when it expires.
+ */
+class AIProvider {
+    constructor(name, options = {}) {
+        this.name = name;
+        this.model = options.model || null;
+        this.timeout = options.timeout || DEFAULT_TIMEOUT * 1000;
+    }
+
+    /**
+     * Name shown to users, e.g. in embed footers
+     */
+    get label() {
+        return this.name;
+    }
+
+    isConfigured() {
+        return false;
+    }
+
+    async complete(prompt, signal) {
+        throw new Error(`AI provider ${this.name} does not implement complete()`);
+    }
+
+    async generate(prompt) {
+        const controller = new AbortController();
+        let timer;
+
+        const timeout = new Promise((resolve, reject) => {
+            timer = setTimeout(() => {
+                controller.abort();
+                const error = new Error(`${this.name} did not respond within ${this.timeout / 1000}s`);
+                error.code = 'AI_TIMEOUT';
+                reject(error);
+            }, this.timeout);
+        });
+
+        try {
+            const text = await Promise.race([this.complete(prompt, controller.signal), timeout]);
+            if (!text || !text.trim()) {
+                throw new Error(`${this.name} returned an empty response`);
+            }
+            return text;
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+}
+
+class GeminiProvider extends AIProvider {
+    constructor(options = {}) {
+        super('gemini', {
+            model: options.model || process.env.GEMINI_MODEL || 'gemini-2.0-flash-001',
+            timeout: options.timeout || timeoutFromEnv('GEMINI_TIMEOUT')
+        });
+
+        const apiKey = options.apiKey !== undefined ? options.apiKey : process.env.GEMINI_API_KEY;
+        this.client = options.client || (apiKey ? new GoogleGenAI({ apiKey }) : null);
+    }
+
+    get label() {
+        return 'Gemini AI';
+    }
+
+    isConfigured() {
+        return !!this.client;
+    }
+
+    async complete(prompt, signal) {
+        const response = await this.client.models.generateContent({
+            model: this.model,
+            contents: prompt,
+            config: { abortSignal: signal }
+        });
+        return response.text;
+    }
+}
+
+/**
+ * Any server speaking the OpenAI chat completions API: OpenAI itself, or a
+ * local model server (Ollama, llama.cpp, vLLM, LM Studio) via OPENAI_BASE_URL
+ */
+class OpenAICompatibleProvider extends AIProvider {
+    constructor(options = {}) {
+        super('openai', {
+            model: options.model || process.env.OPENAI_MODEL || 'gpt-4o-mini',
+            timeout: options.timeout || timeoutFromEnv('OPENAI_TIMEOUT')
+        });
+
+        this.apiKey = options.apiKey !== undefined ? options.apiKey : process.env.OPENAI_API_KEY || null;
+        // Local servers usually need no key, so an explicit base URL is enough to enable the provider
+        this.customBaseUrl = options.baseUrl !== undefined ? options.baseUrl : process.env.OPENAI_BASE_URL || null;
+        this.baseUrl = (this.customBaseUrl || 'https://api.openai.com/v1').replace(/\/+$/, '');
+    }
+
+    get label() {
+        return this.model;
+    }
+
+    isConfigured() {
+        return !!(this.apiKey || this.customBaseUrl);
+    }
+
+    async complete(prompt, signal) {
+        const headers = { 'Content-Type': 'application/json' };
+        if (this.apiKey) {
+            headers.Authorization = `Bearer ${this.apiKey}`;
+        }
+
+        const response = await axios.post(`${this.baseUrl}/chat/completions`, {
+            model: this.model,
+            messages: [{ role: 'user', content: prompt }],
+            temperature: 0.2
+        }, { headers, signal, timeout: this.timeout });
+
+        const choice = response.data && Array.isArray(response.data.choices) ? response.data.choices[0] : null;
+        return choice && choice.message ? choice.message.content : null;
+    }
+}
+
+/**
+ * Deterministic provider for tests and local development. It recognizes the
+ * task analysis prompts and answers with keyword-based analyses, so the same
+ * input always produces the same card. A custom responder can replace it.
+ */
+class MockAIProvider extends AIProvider {
+    constructor(options = {}) {
+        super('mock', { model: 'mock', timeout: options.timeout });
+        this.responder = options.responder || null;
+    }
+
+    get label() {
+        return 'Mock AI';
+    }
+
+    isConfigured() {
+        return true;
+    }
+
+    async complete(prompt) {
+        if (this.responder) {
+            return await this.responder(prompt);
+        }
+
+        const category = (prompt.match(/"category": "([^"]+)"/) || [])[1] || 'Development';
+
+        const batch = prompt.match(/Tasks to analyze:\n([\s\S]*?)\nDiscord context:/);
+        if (batch) {
+            const tasks = batch[1].split('\n').map(line => line.replace(/^\d+\.\s*"/, '').replace(/"$/, ''));
+            return JSON.stringify(tasks.map(task => this.analyzeTask(task, category)));
+        }
+
+        const single = prompt.match(/Task to analyze: "([\s\S]*?)"\nDiscord context:/);
+        if (single) {
+            return JSON.stringify(this.analyzeTask(single[1], category));
+        }
+
+        return JSON.stringify({ response: 'mock', promptLength: prompt.length });
+    }
+
+    analyzeTask(task, category) {
+        const text = task.toLowerCase();
+        const priority = /urgent|asap|critical/.test(text) ? 'High' : /later|whenever/.test(text) ? 'Low' : 'Medium';
+        const labels = ['bug', 'feature', 'meeting', 'research', 'frontend', 'backend'].filter(label => text.includes(label));
+        if (priority === 'High') labels.unshift('urgent');
+
+        return {
+            title: task.length > 50 ? `${task.substring(0, 47)}...` : task,
+            description: task,
+            priority,
+            dueDate: null,
+            labels,
+            estimatedEffort: task.length < 40 ? 'Quick' : task.length < 120 ? 'Medium' : 'Large',
+            category
+        };
+    }
+}
+
+/**
+ * All known providers, in default fallback order; unconfigured ones are skipped by AIService
+ */
+function createAIProviders() {
+    return [
+        new GeminiProvider(),
+        new OpenAICompatibleProvider(),
+        new MockAIProvider()
+    ];
+}
+
+module.exports = {
+    AIProvider,
+    GeminiProvider,
+    OpenAICompatibleProvider,
+    MockAIProvider,
+    createAIProviders
+};
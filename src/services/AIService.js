@@ -0,0 +1,172 @@
+const { createAIProviders } = require('./AIProviders');
+
+const TEST_ONLY_PROVIDERS = ['mock'];
+
+/**
+ * Routes AI prompts to a chain of providers. Each guild can pick its own chain
+ * (stored in its admin settings); otherwise AI_PROVIDERS, or every configured
+ * provider in registration order, is used. A provider that errors or times out
+ * passes the prompt to the next one in the chain.
+ */
+class AIService {
+    constructor(providers = createAIProviders()) {
+        this.providers = new Map(providers.map(provider => [provider.name, provider]));
+        this.permissionManager = null;
+        // Test-only providers answer without a real model, so servers can't pick them in production
+        this.allowTestProviders = process.env.AI_ALLOW_MOCK === 'true';
+
+        this.stats = {};
+        for (const name of this.providers.keys()) {
+            this.stats[name] = { requests: 0, successes: 0, failures: 0, timeouts: 0, fallbacks: 0, totalLatency: 0 };
+        }
+
+        this.defaultChain = [...this.providers.values()]
+            .filter(provider => provider.isConfigured() && !TEST_ONLY_PROVIDERS.includes(provider.name))
+            .map(provider => provider.name);
+
+        if (process.env.AI_PROVIDERS) {
+            const { chain, invalid } = this.parseChain(process.env.AI_PROVIDERS);
+            if (invalid.length > 0) {
+                console.log(`⚠️ Ignoring unknown or unconfigured AI providers in AI_PROVIDERS: ${invalid.join(', ')}`);
+            }
+            this.defaultChain = chain;
+        }
+    }
+
+    setPermissionManager(permissionManager) {
+        this.permissionManager = permissionManager;
+    }
+
+    /**
+     * Whether AI analysis is enabled at all; guilds can only reorder or narrow what's configured
+     */
+    hasProviders() {
+        return this.defaultChain.length > 0;
+    }
+
+    getProvider(name) {
+        return this.providers.get(name) || null;
+    }
+
+    getUsableProviders() {
+        return [...this.providers.values()].filter(provider => provider.isConfigured());
+    }
+
+    /**
+     * Providers a guild may put in its chain; test-only ones need AI_ALLOW_MOCK=true
+     */
+    getSelectableProviders() {
+        return this.getUsableProviders().filter(provider => this.isSelectable(provider.name));
+    }
+
+    isSelectable(name) {
+        const provider = this.providers.get(name);
+        return !!provider && provider.isConfigured() &&
+            (this.allowTestProviders || !TEST_ONLY_PROVIDERS.includes(name));
+    }
+
+    /**
+     * Parse a comma or space separated provider list, keeping only configured providers.
+     * A guild's list is also limited to selectable providers.
+     * @returns {{chain: string[], invalid: string[]}}
+     */
+    parseChain(value, forGuild = false) {
+        const names = [...new Set(value.toLowerCase().split(/[\s,]+/).filter(Boolean))];
+        const usable = names.filter(name => forGuild
+            ? this.isSelectable(name)
+            : this.providers.has(name) && this.providers.get(name).isConfigured());
+        const invalid = names.filter(name => !usable.includes(name));
+        return { chain: usable, invalid };
+    }
+
+    // Guild selection methods
+
+    async getGuildChain(guildId) {
+        if (!guildId || !this.permissionManager) return null;
+
+        const settings = await this.permissionManager.getGuildSettings(guildId);
+        if (!Array.isArray(settings.aiProviders)) return null;
+
+        // Providers removed from the environment (or no longer allowed) since the guild chose them are skipped
+        const chain = settings.aiProviders.filter(name => this.isSelectable(name));
+        return chain.length > 0 ? chain : null;
+    }
+
+    async getChain(guildId) {
+        return (await this.getGuildChain(guildId)) || this.defaultChain;
+    }
+
+    async setGuildChain(guildId, chain) {
+        await this.permissionManager.updateGuildSettings(guildId, { aiProviders: chain });
+    }
+
+    // Generation methods
+
+    /**
+     * Send a prompt through the guild's provider chain
+     * @returns {Promise<{text: string, provider: string, label: string, latency: number}>}
+     */
+    async generate(prompt, options = {}) {
+        const chain = await this.getChain(options.guildId);
+        if (chain.length === 0) {
+            throw new Error('No AI provider is configured');
+        }
+
+        const errors = [];
+        for (const [index, name] of chain.entries()) {
+            const provider = this.providers.get(name);
+            const stats = this.stats[name];
+            const startTime = Date.now();
+            stats.requests++;
+
+            try {
+                const text = await provider.generate(prompt);
+                const latency = Date.now() - startTime;
+
+                stats.successes++;
+                stats.totalLatency += latency;
+                if (index > 0) stats.fallbacks++;
+
+                return { text, provider: name, label: provider.label, latency };
+
+            } catch (error) {
+                stats.failures++;
+                if (error.code === 'AI_TIMEOUT') stats.timeouts++;
+                errors.push(`${name}: ${error.message}`);
+
+                const next = chain[index + 1];
+                console.error(`❌ AI provider ${name} failed${next ? `, falling back to ${next}` : ''}:`, error.message);
+            }
+        }
+
+        throw new Error(`All AI providers failed (${errors.join('; ')})`);
+    }
+
+    describeProviders() {
+        return [...this.providers.values()].map(provider => {
+            const stats = this.stats[provider.name];
+            return {
+                name: provider.name,
+                label: provider.label,
+                model: provider.model,
+                timeout: provider.timeout / 1000,
+                configured: provider.isConfigured(),
+                inDefaultChain: this.defaultChain.includes(provider.name),
+                stats: {
+                    ...stats,
+                    averageLatency: stats.successes > 0 ? Math.round(stats.totalLatency / stats.successes) : null
+                }
+            };
+        });
+    }
+
+    async healthCheck() {
+        return {
+            healthy: this.hasProviders(),
+            defaultChain: this.defaultChain,
+            providers: this.describeProviders()
+        };
+    }
+}
+
+module.exports = { AIService };
@@ -12,6 +12,12 @@ class AnalyticsManager {
             errorCounts: new Map(),
             lastFlush: Date.now()
         };
+        this.webhookMetrics = {
+            received: 0,
+            duplicatesDropped: 0,
+            outOfOrder: 0
+        };
+        this.apiMetrics = new Map(); // 'service METHOD /path' -> { count, errors, totalTime, maxTime, lastStatus }
         
         // Start periodic flush
         this.startPeriodicFlush();
@@ -55,6 +61,39 @@ class AnalyticsManager {
         }
     }
 
+    /**
+     * Count an incoming Trello webhook event by outcome (received, duplicate or outOfOrder)
+     */
+    recordWebhookEvent(outcome) {
+        switch (outcome) {
+            case 'received':
+                this.webhookMetrics.received++;
+                break;
+            case 'duplicate':
+                this.webhookMetrics.duplicatesDropped++;
+                break;
+            case 'outOfOrder':
+                this.webhookMetrics.outOfOrder++;
+                break;
+        }
+    }
+
+    /**
+     * Record latency and outcome of an outgoing API request, grouped per endpoint
+     */
+    recordApiRequest(service, endpoint, duration, success, status = null) {
+        const key = `${service} ${endpoint}`;
+        const metrics = this.apiMetrics.get(key) || { count: 0, errors: 0, totalTime: 0, maxTime: 0, lastStatus: null };
+
+        metrics.count++;
+        metrics.totalTime += duration;
+        metrics.maxTime = Math.max(metrics.maxTime, duration);
+        metrics.lastStatus = status;
+        if (!success) metrics.errors++;
+
+        this.apiMetrics.set(key, metrics);
+    }
+
     /**
      * Update in-memory performance metrics for real-time monitoring
      */
@@ -267,6 +306,8 @@ class AnalyticsManager {
             lastFlush: this.performanceMetrics.lastFlush,
             topCommands: this.getTopCommands(5),
             topErrors: this.getTopErrors(5),
+            webhooks: { ...this.webhookMetrics },
+            apiEndpoints: this.getTopApiEndpoints(10),
             timestamp: Date.now()
         };
     }
@@ -458,6 +499,21 @@ class AnalyticsManager {
             .map(([command, count]) => ({ command, count }));
     }
 
+    getTopApiEndpoints(limit = 10) {
+        return Array.from(this.apiMetrics.entries())
+            .sort((a, b) => b[1].count - a[1].count)
+            .slice(0, limit)
+            .map(([endpoint, metrics]) => ({
+                endpoint,
+                count: metrics.count,
+                errors: metrics.errors,
+                errorRate: Math.round((metrics.errors / metrics.count) * 10000) / 100,
+                averageLatency: Math.round(metrics.totalTime / metrics.count),
+                maxLatency: metrics.maxTime,
+                lastStatus: metrics.lastStatus
+            }));
+    }
+
     getTopErrors(limit = 5) {
         return Array.from(this.performanceMetrics.errorCounts.entries())
             .sort((a, b) => b[1] - a[1])
@@ -0,0 +1,152 @@
+const axios = require('axios');
+
+const DEFAULT_MAX_SIZE_MB = 10; // Trello's per-file limit on free workspaces
+const MAX_SIZE_LIMIT_MB = 250; // Trello's per-file limit on paid workspaces
+const DEFAULT_ALLOWED_TYPES = [
+    'image/*',
+    'video/*',
+    'text/*',
+    'application/pdf',
+    'application/json',
+    'application/zip'
+];
+const MIME_TYPE_PATTERN = /^([a-z0-9][a-z0-9.+-]*|\*)\/([a-z0-9][a-z0-9.+-]*|\*)$/;
+
+/**
+ * Copies the attachments of a Discord message onto a Trello card. Files are
+ * downloaded from Discord and uploaded to Trello, so the card keeps them after
+ * Discord's CDN links expire; if an upload fails, the file is linked by URL
+ * instead. Each guild sets a size limit and the MIME types it allows, stored
+ * in its admin settings.
+ */
+class AttachmentForwarder {
+    constructor(trelloService, permissionManager) {
+        this.trelloService = trelloService;
+        this.permissionManager = permissionManager;
+        this.downloadTimeout = 30000;
+    }
+
+    // Settings methods
+
+    async getSettings(guildId) {
+        const settings = await this.permissionManager.getGuildSettings(guildId);
+        const stored = settings.attachments || {};
+
+        return {
+            enabled: stored.enabled !== false,
+            maxSizeMb: stored.maxSizeMb || parseInt(process.env.ATTACHMENT_MAX_SIZE_MB) || DEFAULT_MAX_SIZE_MB,
+            allowedTypes: Array.isArray(stored.allowedTypes) && stored.allowedTypes.length > 0
+                ? stored.allowedTypes
+                : DEFAULT_ALLOWED_TYPES
+        };
+    }
+
+    /**
+     * Merge changes into the guild's attachment settings; returns the resulting settings
+     */
+    async updateSettings(guildId, changes) {
+        await this.permissionManager.updateGuildSettings(guildId, { attachments: changes });
+        return this.getSettings(guildId);
+    }
+
+    /**
+     * Parse a comma or space separated list of MIME types; returns null if any entry is invalid
+     */
+    parseTypes(value) {
+        const types = value.toLowerCase().split(/[\s,]+/).filter(Boolean);
+        if (types.length === 0 || !types.every(type => MIME_TYPE_PATTERN.test(type))) {
+            return null;
+        }
+        return [...new Set(types)];
+    }
+
+    isAllowedType(contentType, allowedTypes) {
+        const [type, subtype] = (contentType || 'application/octet-stream').split(';')[0].trim().toLowerCase().split('/');
+
+        return allowedTypes.some(allowed => {
+            const [allowedType, allowedSubtype] = allowed.split('/');
+            return (allowedType === '*' || allowedType === type) && (allowedSubtype === '*' || allowedSubtype === subtype);
+        });
+    }
+
+    // Forwarding methods
+
+    /**
+     * Forward a message's attachments to a card; failures are reported per file and never thrown
+     * @returns {Promise<{uploaded: Array, linked: Array, skipped: Array<{name: string, reason: string}>}>}
+     */
+    async forwardAttachments(guildId, cardId, attachments) {
+        const result = { uploaded: [], linked: [], skipped: [] };
+        if (!attachments || attachments.size === 0) return result;
+
+        const settings = await this.getSettings(guildId);
+        if (!settings.enabled) {
+            result.skipped.push(...attachments.map(attachment => ({ name: attachment.name, reason: 'forwarding disabled' })));
+            return result;
+        }
+
+        const maxBytes = settings.maxSizeMb * 1024 * 1024;
+
+        for (const attachment of attachments.values()) {
+            if (attachment.size > maxBytes) {
+                result.skipped.push({ name: attachment.name, reason: `larger than ${settings.maxSizeMb} MB` });
+                continue;
+            }
+            if (!this.isAllowedType(attachment.contentType, settings.allowedTypes)) {
+                result.skipped.push({ name: attachment.name, reason: `type ${attachment.contentType || 'unknown'} not allowed` });
+                continue;
+            }
+
+            try {
+                const data = await this.download(attachment.url, maxBytes);
+                await this.trelloService.uploadAttachment(
+                    cardId,
+                    data,
+                    attachment.name,
+                    attachment.contentType || 'application/octet-stream'
+                );
+                result.uploaded.push(attachment);
+            } catch (uploadError) {
+                console.error(`❌ Error uploading ${attachment.name} to card ${cardId}, linking it instead:`, uploadError.message);
+
+                try {
+                    await this.trelloService.addUrlAttachment(cardId, attachment.url, attachment.name);
+                    result.linked.push(attachment);
+                } catch (linkError) {
+                    result.skipped.push({ name: attachment.name, reason: 'upload failed' });
+                }
+            }
+        }
+
+        return result;
+    }
+
+    async download(url, maxBytes) {
+        const response = await axios.get(url, {
+            responseType: 'arraybuffer',
+            timeout: this.downloadTimeout,
+            maxContentLength: maxBytes
+        });
+        return Buffer.from(response.data);
+    }
+
+    /**
+     * Embed field summarizing a forward result, or null when the message had no attachments
+     */
+    buildEmbedField(result) {
+        const lines = [
+            ...result.uploaded.map(attachment => `✅ ${attachment.name}`),
+            ...result.linked.map(attachment => `🔗 ${attachment.name} (linked)`),
+            ...result.skipped.map(skipped => `⚠️ ${skipped.name}: ${skipped.reason}`)
+        ];
+        if (lines.length === 0) return null;
+
+        return {
+            name: `📎 Attachments (${result.uploaded.length + result.linked.length}/${lines.length})`,
+            value: lines.join('\n').substring(0, 1024),
+            inline: false
+        };
+    }
+}
+
+module.exports = { AttachmentForwarder, DEFAULT_ALLOWED_TYPES, MAX_SIZE_LIMIT_MB };
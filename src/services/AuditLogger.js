@@ -132,6 +132,24 @@ class AuditLogger {
         });
     }
 
+    /**
+     * Log card action triggered from a Discord component (button or select menu)
+     */
+    async logCardAction(guildId, userId, userTag, cardAction, cardId, details = null, success = true) {
+        return await this.logAuditEvent({
+            guild_id: guildId,
+            user_id: userId,
+            user_tag: userTag,
+            action: `card_${cardAction}`,
+            target_type: 'card',
+            target_id: cardId,
+            details: details ? JSON.stringify(details) : null,
+            success: success ? 1 : 0,
+            severity: success ? this.severityLevels.LOW : this.severityLevels.MEDIUM,
+            category: 'card'
+        });
+    }
+
     /**
      * Log system event
      */
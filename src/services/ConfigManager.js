@@ -212,6 +212,23 @@ class ConfigManager {
         }
     }
 
+    /**
+     * Get the distinct board IDs configured in a guild (channel mappings and default)
+     */
+    async getGuildBoardIds(guildId) {
+        const { defaultConfig, channelMappings } = await this.getAllMappings(guildId);
+        const boardIds = new Set(channelMappings.map(mapping => mapping.boardId));
+
+        if (defaultConfig) {
+            boardIds.add(defaultConfig.boardId);
+        }
+        if (boardIds.size === 0 && process.env.TRELLO_BOARD_ID) {
+            boardIds.add(process.env.TRELLO_BOARD_ID);
+        }
+
+        return [...boardIds];
+    }
+
     async validateBoardAccess(boardId, listId) {
         // This method can be used to validate that the bot has access to the specified board/list
         // For now, we'll implement a basic structure that can be expanded with actual Trello API calls
@@ -0,0 +1,258 @@
+const { getDatabase } = require('../database/connection');
+
+const DAY = 24 * 60 * 60 * 1000;
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const COMPLETED_LIST = /\b(done|complete|completed|finished)\b/i;
+
+/**
+ * Scheduled daily or weekly digests per channel summarizing cards created,
+ * completed and overdue on the channel's board. Schedules are stored in
+ * SQLite and use UTC hours; a digest missed while the bot was offline is sent
+ * on the next check.
+ */
+class DigestScheduler {
+    constructor(trelloService) {
+        this.trelloService = trelloService;
+        this.db = getDatabase();
+
+        this.checkInterval = 10 * 60 * 1000; // 10 minutes
+        this.maxCardsPerSection = 10;
+
+        this.client = null;
+        this.timer = null;
+        this.checking = false;
+    }
+
+    /**
+     * Previews can be sent from any instance, even when the schedule runs elsewhere
+     */
+    setClient(client) {
+        this.client = client;
+    }
+
+    start(client) {
+        this.setClient(client);
+        this.stop();
+
+        this.timer = setInterval(() => this.runChecks(), this.checkInterval);
+        this.runChecks();
+
+        console.log('🗞️ Digest scheduler started');
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    getWeekdays() {
+        return [...WEEKDAYS];
+    }
+
+    // Schedule methods
+
+    async setDigest(guildId, channelId, boardId, frequency, weekday, hour, createdBy) {
+        await this.db.runQuery(`
+            INSERT INTO notification_digests (guild_id, channel_id, board_id, frequency, weekday, hour, created_by)
+            VALUES (?, ?, ?, ?, ?, ?, ?)
+            ON CONFLICT(channel_id) DO UPDATE SET
+                board_id = excluded.board_id,
+                frequency = excluded.frequency,
+                weekday = excluded.weekday,
+                hour = excluded.hour,
+                updated_at = datetime('now')
+        `, [guildId, channelId, boardId, frequency, weekday, hour, createdBy]);
+
+        return await this.getDigest(channelId);
+    }
+
+    async removeDigest(channelId) {
+        const result = await this.db.runQuery('DELETE FROM notification_digests WHERE channel_id = ?', [channelId]);
+        return result.changes > 0;
+    }
+
+    async getDigest(channelId) {
+        return await this.db.getQuery('SELECT * FROM notification_digests WHERE channel_id = ?', [channelId]);
+    }
+
+    describeSchedule(digest) {
+        const time = `${String(digest.hour).padStart(2, '0')}:00 UTC`;
+        return digest.frequency === 'weekly'
+            ? `Weekly on ${WEEKDAYS[digest.weekday]} at ${time}`
+            : `Daily at ${time}`;
+    }
+
+    // Scheduling
+
+    async runChecks() {
+        if (this.checking || !this.client) return;
+        this.checking = true;
+
+        try {
+            const digests = await this.db.allQuery('SELECT * FROM notification_digests');
+            const now = new Date();
+
+            for (const digest of digests) {
+                const slot = this.getLatestSlot(digest, now);
+                // Changing a schedule doesn't trigger a digest for a slot that has already passed
+                const lastRun = Math.max(
+                    this.parseTimestamp(digest.last_sent_at),
+                    this.parseTimestamp(digest.updated_at)
+                );
+
+                if (slot > lastRun) {
+                    // A digest that couldn't be sent stays due, so the next check retries it
+                    const sent = await this.sendDigest(digest, digest.last_sent_at ? this.parseTimestamp(digest.last_sent_at) : null);
+                    if (!sent) continue;
+
+                    await this.db.runQuery(
+                        'UPDATE notification_digests SET last_sent_at = ? WHERE id = ?',
+                        [now.toISOString(), digest.id]
+                    );
+                }
+            }
+        } catch (error) {
+            console.error('❌ Error running digest checks:', error);
+        } finally {
+            this.checking = false;
+        }
+    }
+
+    /**
+     * Most recent scheduled time at or before now
+     */
+    getLatestSlot(digest, now = new Date()) {
+        const slot = new Date(now);
+        slot.setUTCHours(digest.hour, 0, 0, 0);
+
+        if (digest.frequency === 'weekly') {
+            slot.setUTCDate(slot.getUTCDate() - ((slot.getUTCDay() - digest.weekday + 7) % 7));
+        }
+        if (slot > now) {
+            slot.setUTCDate(slot.getUTCDate() - (digest.frequency === 'weekly' ? 7 : 1));
+        }
+
+        return slot;
+    }
+
+    /**
+     * Build and post a digest; covers the time since `since` or one period back
+     */
+    async sendDigest(digest, since = null) {
+        try {
+            const channel = await this.client.channels.fetch(digest.channel_id).catch(() => null);
+            if (!channel || !channel.isTextBased()) {
+                console.log(`⚠️ Digest channel ${digest.channel_id} is not available`);
+                return false;
+            }
+
+            const periodStart = since || new Date(Date.now() - (digest.frequency === 'weekly' ? 7 : 1) * DAY);
+            const embed = await this.createDigestEmbed(digest, periodStart);
+
+            await channel.send({ embeds: [embed] });
+            console.log(`🗞️ Sent ${digest.frequency} digest to channel ${digest.channel_id}`);
+            return true;
+
+        } catch (error) {
+            console.error(`❌ Error sending digest to channel ${digest.channel_id}:`, error.message);
+            return false;
+        }
+    }
+
+    async createDigestEmbed(digest, periodStart) {
+        const [board, actions, dueCards] = await Promise.all([
+            this.trelloService.getBoard(digest.board_id).catch(() => ({ name: digest.board_id })),
+            this.trelloService.getBoardActions(digest.board_id, 'createCard,copyCard,updateCard', periodStart.toISOString()),
+            this.trelloService.getDueCards(digest.board_id)
+        ]);
+
+        const created = this.uniqueCards(actions.filter(action => action.type === 'createCard' || action.type === 'copyCard'));
+        const completed = this.uniqueCards(actions.filter(action => this.isCompletion(action)));
+        const overdue = dueCards
+            .filter(card => new Date(card.due).getTime() < Date.now())
+            .sort((a, b) => new Date(a.due) - new Date(b.due));
+
+        const periodLabel = digest.frequency === 'weekly' ? 'Weekly' : 'Daily';
+
+        return {
+            color: overdue.length > 0 ? 0xffa500 : 0x00ff00,
+            title: `🗞️ ${periodLabel} Digest: ${board.name}`,
+            description: `Activity since <t:${Math.floor(periodStart.getTime() / 1000)}:f>`,
+            fields: [
+                this.createSection(`🆕 Created (${created.length})`, created),
+                this.createSection(`✅ Completed (${completed.length})`, completed),
+                this.createSection(`🔴 Overdue (${overdue.length})`, overdue, card => ` • due <t:${Math.floor(new Date(card.due).getTime() / 1000)}:R>`)
+            ],
+            footer: { text: `${this.describeSchedule(digest)} • Discord-Trello Bot` },
+            timestamp: new Date().toISOString()
+        };
+    }
+
+    // Helper methods
+
+    /**
+     * A card counts as completed when its due date is marked complete or it moves to a Done-style list
+     */
+    isCompletion(action) {
+        if (action.type !== 'updateCard') return false;
+
+        const data = action.data || {};
+        if (data.old && data.old.dueComplete === false && data.card && data.card.dueComplete) return true;
+        return !!(data.listAfter && COMPLETED_LIST.test(data.listAfter.name));
+    }
+
+    uniqueCards(actions) {
+        const cards = new Map();
+        for (const action of actions) {
+            const card = action.data && action.data.card;
+            if (card && !cards.has(card.id)) {
+                cards.set(card.id, { ...card, shortUrl: card.shortLink ? `https://trello.com/c/${card.shortLink}` : null });
+            }
+        }
+        return [...cards.values()];
+    }
+
+    createSection(name, cards, suffix = () => '') {
+        if (cards.length === 0) {
+            return { name, value: 'None', inline: false };
+        }
+
+        const lines = cards.slice(0, this.maxCardsPerSection).map(card => {
+            const title = card.name.length > 60 ? `${card.name.substring(0, 57)}...` : card.name;
+            return `• ${card.shortUrl ? `[${title}](${card.shortUrl})` : title}${suffix(card)}`;
+        });
+        if (cards.length > this.maxCardsPerSection) {
+            lines.push(`*…and ${cards.length - this.maxCardsPerSection} more*`);
+        }
+
+        return { name, value: lines.join('\n').substring(0, 1024), inline: false };
+    }
+
+    /**
+     * Parse an ISO timestamp or a SQLite UTC datetime ("YYYY-MM-DD HH:MM:SS")
+     */
+    parseTimestamp(value) {
+        if (!value) return new Date(0);
+        return new Date(value.includes('T') ? value : `${value.replace(' ', 'T')}Z`);
+    }
+
+    async healthCheck() {
+        try {
+            const result = await this.db.getQuery('SELECT COUNT(*) as count FROM notification_digests');
+            return {
+                healthy: true,
+                running: !!this.timer,
+                scheduledDigests: result ? result.count : 0
+            };
+        } catch (error) {
+            return {
+                healthy: false,
+                error: error.message
+            };
+        }
+    }
+}
+
+module.exports = { DigestScheduler };
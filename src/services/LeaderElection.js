@@ -0,0 +1,182 @@
+const crypto = require('crypto');
+const os = require('os');
+const { getDatabase } = require('../database/connection');
+
+/**
+ * Lease-based leader election over the shared database. Every instance tries
+ * to take or renew the lease on an interval; the holder runs the registered
+ * singleton jobs. If the leader stops renewing (crash, network split, stuck
+ * event loop), the lease expires and another instance takes over and starts
+ * the jobs there.
+ */
+class LeaderElection {
+    constructor(leaseName = 'singleton-jobs') {
+        this.db = getDatabase();
+        this.leaseName = leaseName;
+        this.instanceId = process.env.INSTANCE_ID || `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString('hex')}`;
+
+        this.leaseDuration = (parseInt(process.env.LEADER_LEASE_TTL) || 30) * 1000; // 30 seconds default
+        this.renewInterval = Math.max(Math.floor(this.leaseDuration / 3), 1000);
+
+        this.jobs = [];
+        this.timer = null;
+        this.ticking = false;
+        this.isLeader = false;
+        this.leaderSince = null;
+        this.lastRenewedAt = null;
+        this.stats = {
+            elections: 0,
+            stepDowns: 0,
+            renewalErrors: 0
+        };
+    }
+
+    /**
+     * Register a job that only runs on the leader; start runs on election, stop on losing the lease
+     */
+    registerJob(name, { start, stop = null }) {
+        this.jobs.push({ name, start, stop });
+    }
+
+    start() {
+        this.stop();
+
+        this.timer = setInterval(() => this.tick(), this.renewInterval);
+        this.tick();
+
+        console.log(`👑 Leader election started as ${this.instanceId} (lease ${this.leaseDuration / 1000}s)`);
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    /**
+     * Stop leader jobs and give up the lease so another instance can take over without waiting for expiry
+     */
+    async shutdown() {
+        this.stop();
+        if (!this.isLeader) return;
+
+        this.stepDown('shutting down');
+        try {
+            await this.db.runQuery(
+                'DELETE FROM leader_leases WHERE name = ? AND holder_id = ?',
+                [this.leaseName, this.instanceId]
+            );
+        } catch (error) {
+            console.error('❌ Error releasing leader lease:', error.message);
+        }
+    }
+
+    async tick() {
+        if (this.ticking) return;
+        this.ticking = true;
+
+        try {
+            const acquired = await this.tryAcquire();
+
+            if (acquired) {
+                this.lastRenewedAt = Date.now();
+                if (!this.isLeader) this.becomeLeader();
+            } else if (this.isLeader) {
+                this.stepDown('lease taken over by another instance');
+            }
+        } catch (error) {
+            this.stats.renewalErrors++;
+            console.error('❌ Error renewing leader lease:', error.message);
+
+            // Without a successful renewal we can't be sure the lease is still ours
+            if (this.isLeader && Date.now() - this.lastRenewedAt >= this.leaseDuration) {
+                this.stepDown('lease could not be renewed');
+            }
+        } finally {
+            this.ticking = false;
+        }
+    }
+
+    /**
+     * Take the lease if it's free or expired, or extend it if already held; returns whether this instance holds it
+     */
+    async tryAcquire() {
+        const now = Date.now();
+        const result = await this.db.runQuery(`
+            INSERT INTO leader_leases (name, holder_id, acquired_at, renewed_at, expires_at)
+            VALUES (?, ?, ?, ?, ?)
+            ON CONFLICT(name) DO UPDATE SET
+                holder_id = excluded.holder_id,
+                acquired_at = CASE WHEN leader_leases.holder_id = excluded.holder_id
+                    THEN leader_leases.acquired_at ELSE excluded.acquired_at END,
+                renewed_at = excluded.renewed_at,
+                expires_at = excluded.expires_at
+            WHERE leader_leases.holder_id = excluded.holder_id OR leader_leases.expires_at <= ?
+        `, [this.leaseName, this.instanceId, now, now, now + this.leaseDuration, now]);
+
+        return result.changes > 0;
+    }
+
+    becomeLeader() {
+        this.isLeader = true;
+        this.leaderSince = new Date();
+        this.stats.elections++;
+        console.log(`👑 ${this.instanceId} is now the leader; starting ${this.jobs.length} singleton job(s)`);
+
+        // Jobs start in the background so slow startups don't delay lease renewal
+        for (const job of this.jobs) {
+            Promise.resolve()
+                .then(() => job.start())
+                .catch(error => console.error(`❌ Error starting leader job ${job.name}:`, error.message));
+        }
+    }
+
+    stepDown(reason) {
+        this.isLeader = false;
+        this.leaderSince = null;
+        this.stats.stepDowns++;
+        console.log(`👑 ${this.instanceId} stepped down as leader (${reason}); stopping singleton jobs`);
+
+        for (const job of this.jobs) {
+            if (!job.stop) continue;
+            try {
+                job.stop();
+            } catch (error) {
+                console.error(`❌ Error stopping leader job ${job.name}:`, error.message);
+            }
+        }
+    }
+
+    async getLeader() {
+        const lease = await this.db.getQuery('SELECT * FROM leader_leases WHERE name = ?', [this.leaseName]);
+        if (!lease || lease.expires_at <= Date.now()) return null;
+
+        return {
+            instanceId: lease.holder_id,
+            since: new Date(lease.acquired_at).toISOString(),
+            expiresAt: new Date(lease.expires_at).toISOString()
+        };
+    }
+
+    async healthCheck() {
+        try {
+            return {
+                healthy: true,
+                instanceId: this.instanceId,
+                isLeader: this.isLeader,
+                leaderSince: this.leaderSince ? this.leaderSince.toISOString() : null,
+                leader: await this.getLeader(),
+                jobs: this.jobs.map(job => job.name),
+                stats: { ...this.stats }
+            };
+        } catch (error) {
+            return {
+                healthy: false,
+                error: error.message
+            };
+        }
+    }
+}
+
+module.exports = { LeaderElection };
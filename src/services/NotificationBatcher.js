@@ -0,0 +1,142 @@
+/**
+ * Buffers Trello notifications per channel and board for a short window.
+ * A single event is sent as its normal embed; bursts (bulk moves, imports)
+ * are collapsed into one summary embed instead of one message per action.
+ */
+class NotificationBatcher {
+    constructor() {
+        const batchWindow = parseInt(process.env.NOTIFICATION_BATCH_WINDOW);
+        this.windowMs = (Number.isNaN(batchWindow) ? 10 : batchWindow) * 1000; // 10 seconds default, 0 disables
+        this.maxBatchSize = 50;
+        this.maxSummaryLines = 15;
+
+        // `${channelId}:${boardId}` -> { channel, boardName, events, timer }
+        this.buffers = new Map();
+        this.stats = {
+            eventsBuffered: 0,
+            batchesSent: 0,
+            summariesSent: 0
+        };
+    }
+
+    isEnabled() {
+        return this.windowMs > 0;
+    }
+
+    /**
+     * Queue an event for a channel; sends immediately when batching is disabled.
+     * Returns a promise that settles once the event's message is sent, rejecting if the send failed.
+     */
+    enqueue(channel, boardId, action, embed) {
+        if (!this.isEnabled()) {
+            return channel.send({ embeds: [embed] }).then(() => undefined);
+        }
+
+        const key = `${channel.id}:${boardId}`;
+        let buffer = this.buffers.get(key);
+
+        if (!buffer) {
+            buffer = {
+                channel,
+                boardName: action.data.board ? action.data.board.name : boardId,
+                events: [],
+                timer: setTimeout(() => this.flush(key), this.windowMs)
+            };
+            this.buffers.set(key, buffer);
+        }
+
+        const delivered = new Promise((resolve, reject) => {
+            buffer.events.push({ action, embed, resolve, reject });
+        });
+        this.stats.eventsBuffered++;
+
+        if (buffer.events.length >= this.maxBatchSize) {
+            this.flush(key);
+        }
+
+        return delivered;
+    }
+
+    async flush(key) {
+        const buffer = this.buffers.get(key);
+        if (!buffer) return;
+
+        clearTimeout(buffer.timer);
+        this.buffers.delete(key);
+
+        try {
+            const embed = buffer.events.length === 1
+                ? buffer.events[0].embed
+                : this.createSummaryEmbed(buffer.boardName, buffer.events);
+
+            await buffer.channel.send({ embeds: [embed] });
+
+            this.stats.batchesSent++;
+            if (buffer.events.length > 1) {
+                this.stats.summariesSent++;
+                console.log(`📦 Sent summary of ${buffer.events.length} Trello events to channel ${buffer.channel.id}`);
+            }
+            buffer.events.forEach(event => event.resolve());
+        } catch (error) {
+            console.error(`❌ Error sending batched notifications to channel ${buffer.channel.id}:`, error.message);
+            buffer.events.forEach(event => event.reject(error));
+        }
+    }
+
+    async flushAll() {
+        for (const key of [...this.buffers.keys()]) {
+            await this.flush(key);
+        }
+    }
+
+    createSummaryEmbed(boardName, events) {
+        const counts = new Map();
+        for (const { embed } of events) {
+            counts.set(embed.title, (counts.get(embed.title) || 0) + 1);
+        }
+
+        const countLine = [...counts].map(([title, count]) => `${title} ×${count}`).join(' • ');
+        const lines = events.slice(0, this.maxSummaryLines).map(({ action, embed }) => `• ${this.describeEvent(action, embed)}`);
+        if (events.length > this.maxSummaryLines) {
+            lines.push(`*…and ${events.length - this.maxSummaryLines} more*`);
+        }
+
+        const actors = [...new Set(events.map(({ action }) => action.memberCreator && action.memberCreator.fullName).filter(Boolean))];
+
+        return {
+            title: `📦 ${events.length} Trello Updates`,
+            color: 0x0079bf,
+            description: `**${boardName}**\n${countLine}\n\n${lines.join('\n')}`.substring(0, 4096),
+            fields: actors.length > 0
+                ? [{ name: '👤 By', value: actors.slice(0, 10).join(', ').substring(0, 1024), inline: false }]
+                : [],
+            footer: { text: 'Trello • Discord-Trello Bot' },
+            timestamp: events[events.length - 1].action.date || new Date().toISOString()
+        };
+    }
+
+    describeEvent(action, embed) {
+        const data = action.data || {};
+        const cardName = data.card ? `**${data.card.name}**` : null;
+
+        if (action.type === 'updateCard' && data.listBefore && data.listAfter) {
+            return `📂 ${cardName} moved ${data.listBefore.name} → ${data.listAfter.name}`;
+        }
+        if (action.type === 'updateCard' && data.old && 'closed' in data.old) {
+            return `🗄️ ${cardName} ${data.card.closed ? 'archived' : 'restored'}`;
+        }
+
+        return cardName ? `${embed.title}: ${cardName}` : embed.title;
+    }
+
+    getStats() {
+        return {
+            ...this.stats,
+            enabled: this.isEnabled(),
+            windowSeconds: this.windowMs / 1000,
+            pendingBuffers: this.buffers.size
+        };
+    }
+}
+
+module.exports = { NotificationBatcher };
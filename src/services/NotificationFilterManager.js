@@ -0,0 +1,247 @@
+const { getDatabase } = require('../database/connection');
+
+const RULE_TYPES = ['action', 'list', 'label', 'member', 'keyword'];
+
+/**
+ * Per-channel subscription rules for Trello webhook notifications.
+ * A channel without rules receives everything. Otherwise a notification is
+ * delivered when, for every rule type the channel uses, at least one rule of
+ * that type matches (types are ANDed, values of the same type are ORed).
+ */
+class NotificationFilterManager {
+    constructor(trelloService, userLinkManager = null) {
+        this.trelloService = trelloService;
+        this.userLinkManager = userLinkManager;
+        this.db = getDatabase();
+    }
+
+    getRuleTypes() {
+        return [...RULE_TYPES];
+    }
+
+    async getRules(channelId) {
+        return await this.db.allQuery(
+            'SELECT * FROM notification_rules WHERE channel_id = ? ORDER BY rule_type, id',
+            [channelId]
+        );
+    }
+
+    /**
+     * Add a rule for a channel; list, label and member values are resolved to Trello IDs
+     */
+    async addRule(guildId, channelId, boardId, type, value, createdBy) {
+        try {
+            const resolved = await this.resolveRuleValue(boardId, type, value);
+            if (resolved.error) {
+                return { success: false, error: resolved.error };
+            }
+
+            const result = await this.db.runQuery(`
+                INSERT OR IGNORE INTO notification_rules
+                (guild_id, channel_id, rule_type, rule_value, display_value, created_by)
+                VALUES (?, ?, ?, ?, ?, ?)
+            `, [guildId, channelId, type, resolved.value, resolved.display, createdBy]);
+
+            if (result.changes === 0) {
+                return { success: false, error: `This channel already has the ${type} rule "${resolved.display}"` };
+            }
+
+            return {
+                success: true,
+                rule: { id: result.id, rule_type: type, rule_value: resolved.value, display_value: resolved.display }
+            };
+
+        } catch (error) {
+            console.error('❌ Error adding notification rule:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    async removeRule(channelId, ruleId) {
+        const result = await this.db.runQuery(
+            'DELETE FROM notification_rules WHERE channel_id = ? AND id = ?',
+            [channelId, ruleId]
+        );
+        return result.changes > 0;
+    }
+
+    async clearRules(channelId) {
+        const result = await this.db.runQuery('DELETE FROM notification_rules WHERE channel_id = ?', [channelId]);
+        return result.changes;
+    }
+
+    /**
+     * Per-action match state; the full card is only fetched if a rule needs it
+     */
+    createMatchContext(action) {
+        let cardPromise = null;
+
+        return {
+            action,
+            getCard: () => {
+                const cardId = action.data && action.data.card ? action.data.card.id : null;
+                if (!cardId) return Promise.resolve(null);
+
+                if (!cardPromise) {
+                    cardPromise = this.trelloService.getCard(cardId).catch(() => null);
+                }
+                return cardPromise;
+            }
+        };
+    }
+
+    /**
+     * Check a channel's rules against a webhook action
+     */
+    async shouldNotify(channelId, context) {
+        try {
+            const rules = await this.getRules(channelId);
+            if (rules.length === 0) return true;
+
+            const rulesByType = new Map();
+            for (const rule of rules) {
+                if (!rulesByType.has(rule.rule_type)) rulesByType.set(rule.rule_type, []);
+                rulesByType.get(rule.rule_type).push(rule);
+            }
+
+            for (const [type, typeRules] of rulesByType) {
+                if (!(await this.matchesType(type, typeRules, context))) {
+                    return false;
+                }
+            }
+
+            return true;
+
+        } catch (error) {
+            // Deliver rather than silently drop notifications if the rules can't be read
+            console.error(`❌ Error checking notification rules for channel ${channelId}:`, error.message);
+            return true;
+        }
+    }
+
+    async matchesType(type, rules, context) {
+        const { action } = context;
+        const data = action.data || {};
+        const values = rules.map(rule => rule.rule_value);
+
+        switch (type) {
+            case 'action':
+                return values.includes(action.type.toLowerCase());
+
+            case 'list': {
+                const listIds = [data.list, data.listAfter, data.listBefore]
+                    .filter(Boolean)
+                    .map(list => list.id);
+
+                if (listIds.length === 0) {
+                    const card = await context.getCard();
+                    if (card) listIds.push(card.idList);
+                }
+                return listIds.some(id => values.includes(id));
+            }
+
+            case 'label': {
+                if (data.label && values.includes(data.label.id)) return true;
+
+                const card = await context.getCard();
+                return !!card && (card.idLabels || []).some(id => values.includes(id));
+            }
+
+            case 'member': {
+                const memberIds = [
+                    action.idMemberCreator,
+                    action.memberCreator && action.memberCreator.id,
+                    data.idMember,
+                    data.member && data.member.id
+                ].filter(Boolean);
+                if (memberIds.some(id => values.includes(id))) return true;
+
+                const card = await context.getCard();
+                return !!card && (card.idMembers || []).some(id => values.includes(id));
+            }
+
+            case 'keyword': {
+                const text = [
+                    data.card && data.card.name,
+                    data.text,
+                    data.checkItem && data.checkItem.name,
+                    data.checklist && data.checklist.name
+                ].filter(Boolean).join('\n').toLowerCase();
+
+                return values.some(keyword => text.includes(keyword));
+            }
+
+            default:
+                return true;
+        }
+    }
+
+    // Helper methods
+
+    async resolveRuleValue(boardId, type, value) {
+        switch (type) {
+            case 'action':
+                if (!/^[a-z]+$/i.test(value)) {
+                    return { error: 'Action types are Trello action names like `createCard` or `commentCard`' };
+                }
+                return { value: value.toLowerCase(), display: value };
+
+            case 'keyword':
+                return { value: value.toLowerCase(), display: value };
+
+            case 'list': {
+                if (!boardId) return { error: 'This channel has no board configured, so lists can\'t be looked up' };
+
+                const list = await this.trelloService.findList(boardId, value);
+                if (!list) return { error: `List "${value}" was not found on this channel's board` };
+                return { value: list.id, display: list.name };
+            }
+
+            case 'label': {
+                if (!boardId) return { error: 'This channel has no board configured, so labels can\'t be looked up' };
+
+                const labels = await this.trelloService.getBoardLabels(boardId);
+                const normalized = value.toLowerCase();
+                const label = labels.find(l => l.id === value) ||
+                    labels.find(l => (l.name || '').toLowerCase() === normalized) ||
+                    labels.find(l => !l.name && l.color === normalized);
+
+                if (!label) return { error: `Label "${value}" was not found on this channel's board` };
+                return { value: label.id, display: label.name || label.color };
+            }
+
+            case 'member': {
+                const mention = /^<@!?(\d+)>$/.exec(value);
+                if (mention) {
+                    const link = this.userLinkManager ? await this.userLinkManager.getVerifiedLink(mention[1]) : null;
+                    if (!link) return { error: 'That Discord user hasn\'t linked a Trello account' };
+                    return { value: link.trello_member_id, display: link.trello_username };
+                }
+
+                const member = await this.trelloService.getMember(value.replace(/^@/, '')).catch(() => null);
+                if (!member) return { error: `Trello user "${value}" was not found` };
+                return { value: member.id, display: member.username };
+            }
+
+            default:
+                return { error: `Unknown rule type "${type}". Use one of: ${RULE_TYPES.join(', ')}` };
+        }
+    }
+
+    async healthCheck() {
+        try {
+            const result = await this.db.getQuery('SELECT COUNT(DISTINCT channel_id) as count FROM notification_rules');
+            return {
+                healthy: true,
+                filteredChannels: result ? result.count : 0
+            };
+        } catch (error) {
+            return {
+                healthy: false,
+                error: error.message
+            };
+        }
+    }
+}
+
+module.exports = { NotificationFilterManager };
@@ -6,6 +6,14 @@ class PermissionManager {
         this.db = getDatabase();
         this.permissionCache = new Map();
         this.cacheTimeout = 5 * 60 * 1000; // 5 minutes
+        this.configCache = null;
+    }
+
+    /**
+     * Shared config cache used to tell other instances about permission changes
+     */
+    setConfigCache(configCache) {
+        this.configCache = configCache;
     }
 
     /**
@@ -191,7 +199,7 @@ class PermissionManager {
             `, [guildId, roleId, permissionLevel]);
 
             // Clear related caches
-            this.clearPermissionCache(guildId);
+            await this.invalidateGuildCaches(guildId);
 
             return true;
 
@@ -212,7 +220,7 @@ class PermissionManager {
             `, [guildId, roleId]);
 
             // Clear related caches
-            this.clearPermissionCache(guildId);
+            await this.invalidateGuildCaches(guildId);
 
             return true;
 
@@ -288,7 +296,7 @@ class PermissionManager {
             ]);
 
             // Clear related caches
-            this.clearPermissionCache(guildId);
+            await this.invalidateGuildCaches(guildId);
 
             return true;
 
@@ -298,6 +306,48 @@ class PermissionManager {
         }
     }
 
+    /**
+     * Get feature settings stored in admin_settings.settings_data for a guild
+     */
+    async getGuildSettings(guildId) {
+        const adminSettings = await this.getAdminSettings(guildId);
+        if (!adminSettings || !adminSettings.settings_data) return {};
+
+        try {
+            return JSON.parse(adminSettings.settings_data) || {};
+        } catch (error) {
+            console.error(`❌ Invalid settings data for guild ${guildId}:`, error.message);
+            return {};
+        }
+    }
+
+    /**
+     * Merge changes into admin_settings.settings_data without touching role settings.
+     * The merge runs in SQL (JSON merge patch) so concurrent updates to different keys don't
+     * overwrite each other; nested objects are merged and keys set to null are removed.
+     */
+    async updateGuildSettings(guildId, changes) {
+        try {
+            const patch = JSON.stringify(changes);
+
+            await this.db.runQuery(`
+                INSERT INTO admin_settings (guild_id, settings_data) VALUES (?, json_patch('{}', ?))
+                ON CONFLICT(guild_id) DO UPDATE SET
+                    settings_data = json_patch(
+                        CASE WHEN json_valid(settings_data) THEN settings_data ELSE '{}' END,
+                        ?
+                    ),
+                    updated_at = datetime('now')
+            `, [guildId, patch, patch]);
+
+            return await this.getGuildSettings(guildId);
+
+        } catch (error) {
+            console.error('❌ Error updating guild settings:', error);
+            throw error;
+        }
+    }
+
     /**
      * Validate permission level for command execution
      */
@@ -359,6 +409,16 @@ class PermissionManager {
         });
     }
 
+    /**
+     * Clear this guild's permissions here and broadcast the change to other instances
+     */
+    async invalidateGuildCaches(guildId) {
+        this.clearPermissionCache(guildId);
+        if (this.configCache) {
+            await this.configCache.invalidateGuild(guildId);
+        }
+    }
+
     clearPermissionCache(guildId = null) {
         if (guildId) {
             for (const [key] of this.permissionCache) {
@@ -0,0 +1,366 @@
+const { getDatabase } = require('../database/connection');
+
+const GUILD_SCOPE = '*';
+const TEMPLATE_KEYS = ['instructions', 'labels', 'categories', 'fields'];
+const TEMPLATE_VARIABLES = ['channel', 'user', 'guild', 'date', 'boardLabels', 'boardLists'];
+const VARIABLE_PATTERN = /\{(\w+)\}/g;
+const TEMPLATE_NAME = /^[a-z0-9][a-z0-9_-]{0,31}$/i;
+const FIELD_NAME = /^[a-z][a-z0-9_]{0,29}$/i;
+// Keys the analysis already uses, including the ones the bot adds after parsing (fields, aiProvider, promptTemplate)
+const RESERVED_FIELDS = [
+    'title', 'description', 'priority', 'dueDate', 'labels', 'estimatedEffort', 'category', 'subtasks',
+    'fields', 'aiProvider', 'promptTemplate'
+];
+// Names every object inherits (toString, constructor, ...) would read the prototype instead of the AI's output
+const PROTOTYPE_FIELDS = Object.getOwnPropertyNames(Object.prototype);
+const MAX_INSTRUCTIONS_LENGTH = 2000;
+const MAX_LABELS = 30;
+const MAX_CATEGORIES = 15;
+const MAX_OUTPUT_FIELDS = 5;
+
+/**
+ * Guild-defined AI prompt templates. A template adds a team's instructions to
+ * the task analysis prompt and can replace the label vocabulary and category
+ * set or ask for extra output fields. Templates are bound to a channel or to
+ * the whole guild; the channel binding wins. Instructions and vocabularies may
+ * use variables such as {channel}, {user} and {boardLabels}, filled in when a
+ * task is analyzed.
+ */
+class PromptTemplateManager {
+    constructor(trelloService) {
+        this.trelloService = trelloService;
+        this.db = getDatabase();
+    }
+
+    getVariables() {
+        return [...TEMPLATE_VARIABLES];
+    }
+
+    // Template methods
+
+    async listTemplates(guildId) {
+        const templates = await this.db.allQuery(
+            'SELECT * FROM prompt_templates WHERE guild_id = ? ORDER BY name',
+            [guildId]
+        );
+        const bindings = await this.db.allQuery(
+            'SELECT channel_id, template_id FROM prompt_template_bindings WHERE guild_id = ?',
+            [guildId]
+        );
+
+        return templates.map(row => ({
+            ...this.parseRow(row),
+            channels: bindings
+                .filter(binding => binding.template_id === row.id)
+                .map(binding => binding.channel_id)
+        }));
+    }
+
+    async getTemplate(guildId, name) {
+        const row = await this.db.getQuery(
+            'SELECT * FROM prompt_templates WHERE guild_id = ? AND name = ? COLLATE NOCASE',
+            [guildId, name]
+        );
+        return row ? this.parseRow(row) : null;
+    }
+
+    /**
+     * Create a template from a parsed body (see parseTemplateBody)
+     */
+    async createTemplate(guildId, name, values, createdBy) {
+        try {
+            if (!TEMPLATE_NAME.test(name)) {
+                return { success: false, error: 'Template names use up to 32 letters, numbers, `-` or `_`' };
+            }
+            if (await this.getTemplate(guildId, name)) {
+                return { success: false, error: `A prompt template named "${name}" already exists. Use \`prompts edit\` to change it` };
+            }
+
+            const result = await this.db.runQuery(`
+                INSERT INTO prompt_templates (guild_id, name, instructions, labels, categories, output_fields, created_by)
+                VALUES (?, ?, ?, ?, ?, ?, ?)
+            `, [
+                guildId,
+                name,
+                values.instructions || null,
+                JSON.stringify(values.labels || []),
+                JSON.stringify(values.categories || []),
+                JSON.stringify(values.fields || []),
+                createdBy
+            ]);
+
+            return { success: true, template: await this.getTemplateById(result.id) };
+
+        } catch (error) {
+            console.error('❌ Error creating prompt template:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Update the parts of a template present in values; other parts are kept
+     */
+    async updateTemplate(guildId, name, values) {
+        try {
+            const template = await this.getTemplate(guildId, name);
+            if (!template) {
+                return { success: false, error: `No prompt template named "${name}"` };
+            }
+
+            const merged = {
+                instructions: values.instructions !== undefined ? values.instructions : template.instructions,
+                labels: values.labels || template.labels,
+                categories: values.categories || template.categories,
+                fields: values.fields || template.fields
+            };
+
+            await this.db.runQuery(`
+                UPDATE prompt_templates
+                SET instructions = ?, labels = ?, categories = ?, output_fields = ?, updated_at = datetime('now')
+                WHERE id = ?
+            `, [
+                merged.instructions || null,
+                JSON.stringify(merged.labels),
+                JSON.stringify(merged.categories),
+                JSON.stringify(merged.fields),
+                template.id
+            ]);
+
+            return { success: true, template: await this.getTemplateById(template.id) };
+
+        } catch (error) {
+            console.error('❌ Error updating prompt template:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    async deleteTemplate(guildId, name) {
+        const template = await this.getTemplate(guildId, name);
+        if (!template) return false;
+
+        await this.db.runQuery('DELETE FROM prompt_template_bindings WHERE template_id = ?', [template.id]);
+        await this.db.runQuery('DELETE FROM prompt_templates WHERE id = ?', [template.id]);
+        return true;
+    }
+
+    async getTemplateById(templateId) {
+        const row = await this.db.getQuery('SELECT * FROM prompt_templates WHERE id = ?', [templateId]);
+        return row ? this.parseRow(row) : null;
+    }
+
+    parseRow(row) {
+        const parseList = value => {
+            try {
+                const list = JSON.parse(value || '[]');
+                return Array.isArray(list) ? list : [];
+            } catch (error) {
+                return [];
+            }
+        };
+
+        return {
+            id: row.id,
+            guildId: row.guild_id,
+            name: row.name,
+            instructions: row.instructions || null,
+            labels: parseList(row.labels),
+            categories: parseList(row.categories),
+            fields: parseList(row.output_fields),
+            createdBy: row.created_by,
+            updatedAt: row.updated_at
+        };
+    }
+
+    // Binding methods
+
+    /**
+     * Bind a template to a channel, or to the whole guild when channelId is null
+     */
+    async bindTemplate(guildId, channelId, templateId, createdBy) {
+        await this.db.runQuery(`
+            INSERT INTO prompt_template_bindings (guild_id, channel_id, template_id, created_by)
+            VALUES (?, ?, ?, ?)
+            ON CONFLICT(guild_id, channel_id) DO UPDATE SET
+                template_id = excluded.template_id,
+                created_by = excluded.created_by,
+                created_at = CURRENT_TIMESTAMP
+        `, [guildId, channelId || GUILD_SCOPE, templateId, createdBy]);
+    }
+
+    async unbindTemplate(guildId, channelId) {
+        const result = await this.db.runQuery(
+            'DELETE FROM prompt_template_bindings WHERE guild_id = ? AND channel_id = ?',
+            [guildId, channelId || GUILD_SCOPE]
+        );
+        return result.changes > 0;
+    }
+
+    /**
+     * The template used for a channel: its own binding, else the guild's, else null
+     */
+    async resolveTemplate(guildId, channelId) {
+        const row = await this.db.getQuery(`
+            SELECT t.* FROM prompt_template_bindings b
+            JOIN prompt_templates t ON t.id = b.template_id
+            WHERE b.guild_id = ? AND b.channel_id IN (?, ?)
+            ORDER BY CASE WHEN b.channel_id = ? THEN 0 ELSE 1 END
+            LIMIT 1
+        `, [guildId, channelId, GUILD_SCOPE, channelId]);
+
+        return row ? this.parseRow(row) : null;
+    }
+
+    isGuildScope(channelId) {
+        return channelId === GUILD_SCOPE;
+    }
+
+    // Parsing and rendering methods
+
+    /**
+     * Parse "key: value" lines (instructions, labels, categories, fields) into template values.
+     * Lines without a key continue the previous key, so instructions can span several lines.
+     * @returns {{values: Object, error: string|null}}
+     */
+    parseTemplateBody(body) {
+        const raw = {};
+        let currentKey = null;
+
+        for (const line of body.split('\n')) {
+            const keyMatch = line.match(/^\s*(\w+)\s*:\s*(.*)$/);
+            if (keyMatch && TEMPLATE_KEYS.includes(keyMatch[1].toLowerCase())) {
+                currentKey = keyMatch[1].toLowerCase();
+                raw[currentKey] = keyMatch[2];
+            } else if (currentKey) {
+                raw[currentKey] += `\n${line}`;
+            } else if (line.trim()) {
+                return { values: null, error: `Unknown line "${line.trim().substring(0, 50)}". Start lines with ${TEMPLATE_KEYS.map(key => `\`${key}:\``).join(', ')}` };
+            }
+        }
+
+        const values = {};
+        if (raw.instructions !== undefined) {
+            values.instructions = raw.instructions.trim() || null;
+            if (values.instructions && values.instructions.length > MAX_INSTRUCTIONS_LENGTH) {
+                return { values: null, error: `Instructions can be at most ${MAX_INSTRUCTIONS_LENGTH} characters` };
+            }
+        }
+        if (raw.labels !== undefined) values.labels = this.splitList(raw.labels);
+        if (raw.categories !== undefined) values.categories = this.splitList(raw.categories);
+        if (raw.fields !== undefined) values.fields = this.splitList(raw.fields);
+
+        if (values.labels && values.labels.length > MAX_LABELS) {
+            return { values: null, error: `A template can list at most ${MAX_LABELS} labels` };
+        }
+        if (values.categories && values.categories.length > MAX_CATEGORIES) {
+            return { values: null, error: `A template can list at most ${MAX_CATEGORIES} categories` };
+        }
+        if (values.fields) {
+            if (values.fields.length > MAX_OUTPUT_FIELDS) {
+                return { values: null, error: `A template can add at most ${MAX_OUTPUT_FIELDS} output fields` };
+            }
+            const invalid = values.fields.find(field => !FIELD_NAME.test(field) || this.isReservedField(field));
+            if (invalid) {
+                return { values: null, error: `"${invalid}" can't be used as an output field. Use a letter followed by letters, numbers or \`_\`, other than ${RESERVED_FIELDS.join(', ')} and built-in object properties such as toString` };
+            }
+        }
+
+        const unknownVariable = this.findUnknownVariable([values.instructions, ...(values.labels || []), ...(values.categories || [])]);
+        if (unknownVariable) {
+            return { values: null, error: `Unknown variable {${unknownVariable}}. Available: ${TEMPLATE_VARIABLES.map(name => `{${name}}`).join(', ')}` };
+        }
+
+        if (Object.keys(values).length === 0) {
+            return { values: null, error: 'The template is empty' };
+        }
+        return { values, error: null };
+    }
+
+    splitList(value) {
+        return [...new Set(value.split(/[,\n]/).map(item => item.trim()).filter(Boolean))];
+    }
+
+    /**
+     * Output fields are keys on the analysis object, so names that differ only in case are rejected too
+     */
+    isReservedField(field) {
+        return [...RESERVED_FIELDS, ...PROTOTYPE_FIELDS].some(reserved => reserved.toLowerCase() === field.toLowerCase());
+    }
+
+    findUnknownVariable(texts) {
+        for (const text of texts) {
+            if (!text) continue;
+            for (const match of text.matchAll(VARIABLE_PATTERN)) {
+                if (!TEMPLATE_VARIABLES.includes(match[1])) return match[1];
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Fill in a template's variables for one analysis; board lookups only happen if a variable needs them
+     * @param {Object} context - { username, channelName, guildName, boardId }
+     */
+    async renderTemplate(template, context) {
+        const texts = [template.instructions || '', ...template.labels, ...template.categories].join('\n');
+        const variables = {
+            channel: `#${context.channelName}`,
+            user: context.username,
+            guild: context.guildName,
+            date: new Date().toISOString().split('T')[0]
+        };
+
+        if (context.boardId && texts.includes('{boardLabels}')) {
+            const labels = await this.trelloService.getBoardLabels(context.boardId);
+            variables.boardLabels = labels.map(label => label.name).filter(Boolean).join(', ');
+        }
+        if (context.boardId && texts.includes('{boardLists}')) {
+            const lists = await this.trelloService.getBoardLists(context.boardId);
+            variables.boardLists = lists.map(list => list.name).join(', ');
+        }
+
+        const render = text => text.replace(VARIABLE_PATTERN, (match, name) => (
+            variables[name] !== undefined ? variables[name] : ''
+        ));
+        // A list entry like {boardLabels} expands to several entries
+        const renderList = list => this.splitList(list.map(render).join(','));
+
+        return {
+            name: template.name,
+            instructions: template.instructions ? render(template.instructions) : null,
+            labels: renderList(template.labels),
+            categories: renderList(template.categories),
+            fields: template.fields
+        };
+    }
+
+    /**
+     * Fit a parsed analysis to a rendered template: labels outside its vocabulary are dropped
+     * and its output fields are collected under analysis.fields
+     */
+    applyToAnalysis(analysis, rendered) {
+        if (!analysis || !rendered) return analysis;
+
+        if (rendered.labels.length > 0 && Array.isArray(analysis.labels)) {
+            const vocabulary = new Map(rendered.labels.map(label => [label.toLowerCase(), label]));
+            analysis.labels = analysis.labels
+                .map(label => vocabulary.get(String(label).toLowerCase()))
+                .filter(Boolean);
+        }
+
+        if (rendered.fields.length > 0) {
+            analysis.fields = {};
+            for (const field of rendered.fields) {
+                const value = Object.hasOwn(analysis, field) ? analysis[field] : undefined;
+                if (value !== undefined && value !== null && value !== '') {
+                    analysis.fields[field] = Array.isArray(value) ? value.join(', ') : String(value);
+                }
+                delete analysis[field];
+            }
+        }
+
+        analysis.promptTemplate = rendered.name;
+        return analysis;
+    }
+}
+
+module.exports = { PromptTemplateManager };
@@ -0,0 +1,368 @@
+const { getDatabase } = require('../database/connection');
+
+const HOUR = 60 * 60 * 1000;
+
+// Most urgent first; a card gets the most urgent enabled window it has reached
+const REMINDER_WINDOWS = [
+    { name: 'overdue', label: '🔴 Overdue', threshold: 0 },
+    { name: '1h', label: '🟠 Due within 1 hour', threshold: HOUR },
+    { name: '24h', label: '🟡 Due within 24 hours', threshold: 24 * HOUR }
+];
+
+const DELIVERY_MODES = ['channel', 'dm', 'both'];
+
+const DEFAULT_SETTINGS = {
+    enabled: false,
+    windows: ['24h', '1h', 'overdue'],
+    delivery: 'channel',
+    channelId: null
+};
+
+/**
+ * Periodically scans the boards configured in each guild for cards with
+ * upcoming or missed due dates and sends reminders to the mapped channel
+ * and/or DMs linked assignees. Sent reminders and snoozes are stored in
+ * SQLite, so restarts neither repeat nor lose reminders.
+ */
+class ReminderScheduler {
+    constructor(configManager, trelloService, permissionManager, userLinkManager = null) {
+        this.configManager = configManager;
+        this.trelloService = trelloService;
+        this.permissionManager = permissionManager;
+        this.userLinkManager = userLinkManager;
+        this.db = getDatabase();
+
+        this.checkInterval = (parseInt(process.env.REMINDER_CHECK_INTERVAL) || 300) * 1000; // 5 minutes default
+        this.overdueLookback = 7 * 24 * HOUR; // Don't remind about cards overdue for more than a week
+        this.maxCardsPerMessage = 10;
+
+        this.client = null;
+        this.timer = null;
+        this.scanning = false;
+        this.lastScanAt = null;
+    }
+
+    start(client) {
+        this.client = client;
+        this.stop();
+
+        this.timer = setInterval(() => this.runScan(), this.checkInterval);
+        this.runScan();
+
+        console.log(`⏰ Reminder scheduler started (every ${this.checkInterval / 1000}s)`);
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    // Settings methods
+
+    async getSettings(guildId) {
+        const settings = await this.permissionManager.getGuildSettings(guildId);
+        return { ...DEFAULT_SETTINGS, ...(settings.reminders || {}) };
+    }
+
+    async updateSettings(guildId, changes) {
+        await this.permissionManager.updateGuildSettings(guildId, { reminders: changes });
+        return this.getSettings(guildId);
+    }
+
+    getWindowNames() {
+        return REMINDER_WINDOWS.map(window => window.name);
+    }
+
+    getDeliveryModes() {
+        return [...DELIVERY_MODES];
+    }
+
+    // Snooze methods
+
+    async snoozeCard(guildId, cardId, minutes, userId) {
+        await this.db.runQuery(`
+            INSERT INTO reminder_snoozes (guild_id, card_id, snoozed_until, snoozed_by)
+            VALUES (?, ?, datetime('now', ?), ?)
+            ON CONFLICT(guild_id, card_id) DO UPDATE SET
+                snoozed_until = excluded.snoozed_until,
+                snoozed_by = excluded.snoozed_by,
+                created_at = datetime('now')
+        `, [guildId, cardId, `+${minutes} minutes`, userId]);
+
+        // Forget what was already sent so the card is reminded again when the snooze ends
+        await this.db.runQuery('DELETE FROM card_reminders WHERE guild_id = ? AND card_id = ?', [guildId, cardId]);
+
+        return await this.db.getQuery(
+            'SELECT * FROM reminder_snoozes WHERE guild_id = ? AND card_id = ?',
+            [guildId, cardId]
+        );
+    }
+
+    async unsnoozeCard(guildId, cardId) {
+        const result = await this.db.runQuery(
+            'DELETE FROM reminder_snoozes WHERE guild_id = ? AND card_id = ?',
+            [guildId, cardId]
+        );
+        return result.changes > 0;
+    }
+
+    async getActiveSnoozes(guildId) {
+        return await this.db.allQuery(`
+            SELECT * FROM reminder_snoozes
+            WHERE guild_id = ? AND snoozed_until > datetime('now')
+            ORDER BY snoozed_until ASC
+        `, [guildId]);
+    }
+
+    // Scanning
+
+    async runScan() {
+        if (this.scanning || !this.client) return;
+        this.scanning = true;
+
+        try {
+            let sent = 0;
+            for (const guild of this.client.guilds.cache.values()) {
+                sent += await this.scanGuild(guild);
+            }
+
+            await this.db.runQuery(`DELETE FROM card_reminders WHERE sent_at < datetime('now', '-30 days')`);
+            await this.db.runQuery(`DELETE FROM reminder_snoozes WHERE snoozed_until < datetime('now', '-1 day')`);
+
+            this.lastScanAt = new Date().toISOString();
+            if (sent > 0) {
+                console.log(`⏰ Sent ${sent} due-date reminder(s)`);
+            }
+        } catch (error) {
+            console.error('❌ Error running reminder scan:', error);
+        } finally {
+            this.scanning = false;
+        }
+    }
+
+    /**
+     * Send any due reminders for one guild; returns the number of cards reminded
+     */
+    async scanGuild(guild) {
+        try {
+            const settings = await this.getSettings(guild.id);
+            if (!settings.enabled) return 0;
+
+            const windows = REMINDER_WINDOWS.filter(window => settings.windows.includes(window.name));
+            if (windows.length === 0) return 0;
+
+            const snoozed = new Set((await this.getActiveSnoozes(guild.id)).map(snooze => snooze.card_id));
+            const targets = await this.getBoardTargets(guild, settings);
+            const pending = [];
+
+            for (const [boardId, channelId] of targets) {
+                const cards = await this.trelloService.getDueCards(boardId).catch(() => []);
+
+                for (const card of cards) {
+                    if (snoozed.has(card.id)) continue;
+
+                    const window = this.getReminderWindow(card, windows);
+                    if (!window || await this.wasReminded(guild.id, card.id, window.name, card.due)) continue;
+
+                    pending.push({ card, window, channelId });
+                }
+            }
+
+            if (pending.length === 0) return 0;
+
+            return await this.deliverReminders(guild, pending, settings);
+
+        } catch (error) {
+            console.error(`❌ Error scanning reminders for guild ${guild.id}:`, error.message);
+            return 0;
+        }
+    }
+
+    /**
+     * Map each configured board to the channel its reminders are posted in
+     */
+    async getBoardTargets(guild, settings) {
+        const { defaultConfig, channelMappings } = await this.configManager.getAllMappings(guild.id);
+        const fallbackChannelId = settings.channelId || guild.systemChannelId || null;
+        const targets = new Map();
+
+        for (const mapping of channelMappings) {
+            if (!targets.has(mapping.boardId)) {
+                targets.set(mapping.boardId, settings.channelId || mapping.channelId);
+            }
+        }
+
+        if (defaultConfig && !targets.has(defaultConfig.boardId)) {
+            targets.set(defaultConfig.boardId, fallbackChannelId);
+        }
+
+        if (targets.size === 0 && process.env.TRELLO_BOARD_ID) {
+            targets.set(process.env.TRELLO_BOARD_ID, fallbackChannelId);
+        }
+
+        return targets;
+    }
+
+    getReminderWindow(card, windows) {
+        const remaining = new Date(card.due).getTime() - Date.now();
+        if (Number.isNaN(remaining) || remaining < -this.overdueLookback) return null;
+
+        return windows.find(window => window.name === 'overdue'
+            ? remaining < 0
+            : remaining >= 0 && remaining <= window.threshold) || null;
+    }
+
+    async wasReminded(guildId, cardId, windowName, dueAt) {
+        const row = await this.db.getQuery(`
+            SELECT 1 AS sent FROM card_reminders
+            WHERE guild_id = ? AND card_id = ? AND reminder_window = ? AND due_at = ?
+        `, [guildId, cardId, windowName, dueAt]);
+        return !!row;
+    }
+
+    async deliverReminders(guild, pending, settings) {
+        const memberLinks = this.userLinkManager
+            ? await this.userLinkManager.getDiscordIdsForTrelloMembers(pending.flatMap(({ card }) => card.idMembers || []))
+            : new Map();
+
+        const byChannel = new Map();
+        let reminded = 0;
+
+        for (const reminder of pending) {
+            const assigneeIds = (reminder.card.idMembers || [])
+                .map(memberId => memberLinks.get(memberId))
+                .filter(Boolean);
+
+            let dmCount = 0;
+            if (settings.delivery !== 'channel') {
+                dmCount = await this.sendDirectReminders(assigneeIds, reminder, guild);
+            }
+
+            // DM-only reminders still go to the channel when no assignee could be reached
+            const postToChannel = settings.delivery !== 'dm' || dmCount === 0;
+            if (postToChannel && reminder.channelId) {
+                if (!byChannel.has(reminder.channelId)) byChannel.set(reminder.channelId, []);
+                byChannel.get(reminder.channelId).push({ ...reminder, assigneeIds, dmCount });
+            } else if (dmCount > 0) {
+                await this.recordReminder(guild.id, reminder, null, dmCount);
+                reminded++;
+            }
+        }
+
+        // Reminders are recorded only once delivered, so failed sends are retried on the next check
+        for (const [channelId, reminders] of byChannel) {
+            const sent = await this.sendChannelReminders(channelId, reminders);
+
+            for (const reminder of reminders) {
+                const posted = sent.has(reminder);
+                if (posted || reminder.dmCount > 0) {
+                    await this.recordReminder(guild.id, reminder, posted ? channelId : null, reminder.dmCount);
+                    reminded++;
+                }
+            }
+        }
+
+        return reminded;
+    }
+
+    /**
+     * Post reminders to a channel, several cards per message
+     * @returns {Promise<Set<Object>>} the reminders whose message was sent
+     */
+    async sendChannelReminders(channelId, reminders) {
+        const sent = new Set();
+
+        try {
+            const channel = await this.client.channels.fetch(channelId).catch(() => null);
+            if (!channel || !channel.isTextBased()) {
+                console.log(`⚠️ Reminder channel ${channelId} is not available`);
+                return sent;
+            }
+
+            for (let start = 0; start < reminders.length; start += this.maxCardsPerMessage) {
+                const batch = reminders.slice(start, start + this.maxCardsPerMessage);
+
+                await channel.send({
+                    embeds: [this.createReminderEmbed(batch)],
+                    allowedMentions: { users: [...new Set(batch.flatMap(reminder => reminder.assigneeIds))] }
+                });
+                batch.forEach(reminder => sent.add(reminder));
+            }
+        } catch (error) {
+            console.error(`❌ Error sending reminders to channel ${channelId}:`, error.message);
+        }
+
+        return sent;
+    }
+
+    async sendDirectReminders(userIds, reminder, guild) {
+        let sent = 0;
+
+        for (const userId of userIds) {
+            try {
+                const user = await this.client.users.fetch(userId);
+                const embed = this.createReminderEmbed([reminder]);
+                embed.footer = { text: `${guild.name} • Discord-Trello Bot` };
+
+                await user.send({ embeds: [embed] });
+                sent++;
+            } catch (error) {
+                console.log(`⚠️ Could not DM reminder to ${userId}: ${error.message}`);
+            }
+        }
+
+        return sent;
+    }
+
+    createReminderEmbed(reminders) {
+        const hasOverdue = reminders.some(reminder => reminder.window.name === 'overdue');
+
+        return {
+            color: hasOverdue ? 0xff0000 : 0xffa500,
+            title: '⏰ Due Date Reminder',
+            fields: reminders.map(({ card, window, assigneeIds = [] }) => {
+                const dueTimestamp = Math.floor(new Date(card.due).getTime() / 1000);
+                const assignees = assigneeIds.length > 0 ? `\n👤 ${assigneeIds.map(id => `<@${id}>`).join(' ')}` : '';
+
+                return {
+                    name: `${window.label}: ${card.name}`.substring(0, 256),
+                    value: `📅 Due <t:${dueTimestamp}:R> • [Open card](${card.shortUrl}) • \`${card.id.substring(0, 8)}\`${assignees}`,
+                    inline: false
+                };
+            }),
+            footer: { text: 'Discord-Trello Bot • Snooze with "reminders snooze <card> <duration>"' },
+            timestamp: new Date().toISOString()
+        };
+    }
+
+    async recordReminder(guildId, reminder, channelId, dmCount) {
+        await this.db.runQuery(`
+            INSERT OR IGNORE INTO card_reminders
+            (guild_id, card_id, reminder_window, due_at, channel_id, dm_count)
+            VALUES (?, ?, ?, ?, ?, ?)
+        `, [guildId, reminder.card.id, reminder.window.name, reminder.card.due, channelId, dmCount]);
+    }
+
+    async healthCheck() {
+        try {
+            const sent = await this.db.getQuery(
+                `SELECT COUNT(*) as count FROM card_reminders WHERE sent_at > datetime('now', '-1 day')`
+            );
+            return {
+                healthy: true,
+                running: !!this.timer,
+                lastScanAt: this.lastScanAt,
+                remindersLast24h: sent ? sent.count : 0
+            };
+        } catch (error) {
+            return {
+                healthy: false,
+                error: error.message
+            };
+        }
+    }
+}
+
+module.exports = { ReminderScheduler };
@@ -0,0 +1,199 @@
+const { getDatabase } = require('../database/connection');
+
+// Comments posted from a thread start with this, so their webhook echo is recognized even
+// when it is processed before the comment's action ID has been stored
+const DISCORD_COMMENT_PREFIX = /^💬 .+ \(Discord\): /u;
+
+/**
+ * Two-way sync between bot-created Trello cards and Discord threads.
+ * When enabled for a guild, each created card gets a thread on its confirmation
+ * message. Thread messages become Trello comments and Trello comments on the
+ * card are posted back into the thread.
+ */
+class ThreadSyncManager {
+    constructor(trelloService, permissionManager) {
+        this.trelloService = trelloService;
+        this.permissionManager = permissionManager;
+        this.db = getDatabase();
+
+        // Comment actions we posted from Discord are stored so their webhook echo is skipped,
+        // including redeliveries and queue replays after a restart
+        this.syncedCommentRetentionDays = 7;
+        this.threadAutoArchiveMinutes = 1440;
+    }
+
+    /**
+     * Check whether thread sync is enabled for a guild
+     */
+    async isEnabled(guildId) {
+        const settings = await this.permissionManager.getGuildSettings(guildId);
+        return settings.threadSync === true;
+    }
+
+    async setEnabled(guildId, enabled) {
+        await this.permissionManager.updateGuildSettings(guildId, { threadSync: enabled });
+        return enabled;
+    }
+
+    /**
+     * Start a thread on a card confirmation message and store the mapping
+     */
+    async createCardThread(confirmationMessage, card, config, createdBy) {
+        try {
+            if (!confirmationMessage || !confirmationMessage.guild) return null;
+            if (!(await this.isEnabled(confirmationMessage.guild.id))) return null;
+
+            const thread = await confirmationMessage.startThread({
+                name: this.truncate(`📝 ${card.name}`, 100),
+                autoArchiveDuration: this.threadAutoArchiveMinutes
+            });
+
+            await this.db.runQuery(`
+                INSERT OR REPLACE INTO card_threads
+                (guild_id, channel_id, thread_id, message_id, card_id, board_id, created_by)
+                VALUES (?, ?, ?, ?, ?, ?, ?)
+            `, [
+                confirmationMessage.guild.id,
+                confirmationMessage.channel.id,
+                thread.id,
+                confirmationMessage.id,
+                card.id,
+                config ? config.boardId : null,
+                createdBy
+            ]);
+
+            await thread.send('🔄 Messages in this thread are posted as comments on the Trello card, and Trello comments show up here.');
+
+            console.log(`🧵 Created sync thread ${thread.id} for card ${card.id}`);
+            return thread;
+
+        } catch (error) {
+            console.error(`❌ Error creating sync thread for card ${card.id}:`, error.message);
+            return null;
+        }
+    }
+
+    async getMappingByThread(threadId) {
+        return await this.db.getQuery('SELECT * FROM card_threads WHERE thread_id = ?', [threadId]);
+    }
+
+    async getMappingByCard(cardId) {
+        return await this.db.getQuery('SELECT * FROM card_threads WHERE card_id = ?', [cardId]);
+    }
+
+    /**
+     * Post a message from a synced thread as a Trello comment
+     * Returns true if the message belonged to a synced thread
+     */
+    async handleThreadMessage(message) {
+        try {
+            if (!message.channel.isThread || !message.channel.isThread()) return false;
+
+            const mapping = await this.getMappingByThread(message.channel.id);
+            if (!mapping) return false;
+
+            // Threads created while sync was on stay mapped; they stop syncing when it is turned off
+            if (!(await this.isEnabled(mapping.guild_id))) return false;
+
+            const attachmentLines = message.attachments.map(attachment => attachment.url);
+            const text = [`💬 ${message.author.tag} (Discord): ${message.content}`, ...attachmentLines]
+                .join('\n')
+                .trim();
+
+            const commentAction = await this.trelloService.addCommentToCard(mapping.card_id, text);
+            await this.rememberSyncedComment(commentAction.id, mapping.card_id);
+
+            await message.react('✅').catch(() => null);
+            return true;
+
+        } catch (error) {
+            console.error(`❌ Error syncing thread message ${message.id} to Trello:`, error.message);
+            await message.react('❌').catch(() => null);
+            return true;
+        }
+    }
+
+    /**
+     * Post a Trello comment (from a webhook commentCard action) into the card's thread
+     */
+    async handleTrelloComment(action, client) {
+        try {
+            if (action.type !== 'commentCard' || !action.data.card) return false;
+
+            if (DISCORD_COMMENT_PREFIX.test(action.data.text || '') || await this.isSyncedComment(action.id)) {
+                console.log(`🔁 Skipping echo of Discord comment ${action.id}`);
+                return false;
+            }
+
+            const mapping = await this.getMappingByCard(action.data.card.id);
+            if (!mapping || !(await this.isEnabled(mapping.guild_id))) return false;
+
+            const thread = await client.channels.fetch(mapping.thread_id).catch(() => null);
+            if (!thread) {
+                console.log(`⚠️ Sync thread ${mapping.thread_id} for card ${mapping.card_id} no longer exists`);
+                return false;
+            }
+
+            if (thread.archived) {
+                await thread.setArchived(false);
+            }
+
+            const author = action.memberCreator ? action.memberCreator.fullName : 'Someone';
+            await thread.send({
+                content: this.truncate(`💬 **${author}** on Trello:\n${action.data.text}`, 2000),
+                allowedMentions: { parse: [] }
+            });
+
+            return true;
+
+        } catch (error) {
+            console.error('❌ Error posting Trello comment to sync thread:', error.message);
+            return false;
+        }
+    }
+
+    async removeMappingByCard(cardId) {
+        await this.db.runQuery('DELETE FROM card_threads WHERE card_id = ?', [cardId]);
+    }
+
+    // Helper methods
+
+    async rememberSyncedComment(actionId, cardId) {
+        if (!actionId) return;
+
+        await this.db.runQuery(
+            'INSERT OR IGNORE INTO synced_comments (action_id, card_id) VALUES (?, ?)',
+            [actionId, cardId]
+        );
+        await this.db.runQuery(
+            `DELETE FROM synced_comments WHERE created_at < datetime('now', ?)`,
+            [`-${this.syncedCommentRetentionDays} days`]
+        );
+    }
+
+    async isSyncedComment(actionId) {
+        const row = await this.db.getQuery('SELECT action_id FROM synced_comments WHERE action_id = ?', [actionId]);
+        return !!row;
+    }
+
+    truncate(text, maxLength) {
+        return text.length > maxLength ? `${text.substring(0, maxLength - 3)}...` : text;
+    }
+
+    async healthCheck() {
+        try {
+            const result = await this.db.getQuery('SELECT COUNT(*) as count FROM card_threads');
+            return {
+                healthy: true,
+                syncedThreads: result ? result.count : 0
+            };
+        } catch (error) {
+            return {
+                healthy: false,
+                error: error.message
+            };
+        }
+    }
+}
+
+module.exports = { ThreadSyncManager };
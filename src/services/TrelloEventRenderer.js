@@ -0,0 +1,404 @@
+const LABEL_COLORS = {
+    green: 0x61bd4f,
+    yellow: 0xf2d600,
+    orange: 0xff9f1a,
+    red: 0xeb5a46,
+    purple: 0xc377e0,
+    blue: 0x0079bf,
+    sky: 0x00c2e0,
+    lime: 0x51e898,
+    pink: 0xff78cb,
+    black: 0x344563
+};
+
+const BOARD_ROLES = {
+    makeAdminOfBoard: 'Admin',
+    makeNormalMemberOfBoard: 'Normal member',
+    makeObserverOfBoard: 'Observer'
+};
+
+/**
+ * Builds Discord embeds for Trello webhook actions from a registry of
+ * renderers keyed by action type. A renderer gets `(action, context)` and
+ * returns `{ title, color, fields }`, or null to let the next renderer for the
+ * type handle it. Renderers registered later are tried first, so a specific
+ * case (e.g. an updateCard list move) can be layered over a general one.
+ */
+class TrelloEventRenderer {
+    constructor() {
+        this.renderers = new Map();
+        this.registerDefaultRenderers();
+    }
+
+    register(type, renderer) {
+        if (!this.renderers.has(type)) {
+            this.renderers.set(type, []);
+        }
+        this.renderers.get(type).unshift(renderer);
+        return this;
+    }
+
+    getRegisteredTypes() {
+        return [...this.renderers.keys()];
+    }
+
+    /**
+     * Render an action; memberLinks maps Trello member IDs to linked Discord user IDs
+     */
+    render(action, memberLinks = null) {
+        const context = {
+            creator: this.formatMember(action.memberCreator, memberLinks),
+            formatMember: member => this.formatMember(member, memberLinks),
+            formatDate: value => this.formatDate(value)
+        };
+
+        let content = null;
+        for (const renderer of this.renderers.get(action.type) || []) {
+            try {
+                content = renderer(action, context);
+            } catch (error) {
+                console.error(`❌ Error rendering Trello ${action.type} event:`, error.message);
+            }
+            if (content) break;
+        }
+
+        const embed = {
+            ...(content || this.renderGeneric(action, context)),
+            timestamp: action.date,
+            footer: { text: 'Trello • Discord-Trello Bot' }
+        };
+
+        const card = action.data && action.data.card;
+        if (!embed.url && card && card.shortLink) {
+            embed.url = `https://trello.com/c/${card.shortLink}`;
+        }
+
+        return embed;
+    }
+
+    renderGeneric(action, { creator }) {
+        return {
+            title: '🔔 Trello Activity',
+            color: 0x0079bf,
+            fields: [
+                { name: '📋 Event', value: action.type, inline: false },
+                { name: '👤 By', value: creator, inline: true }
+            ]
+        };
+    }
+
+    registerDefaultRenderers() {
+        // Cards
+
+        this.register('createCard', ({ data }, { creator }) => ({
+            title: '🆕 New Card Created',
+            color: 0x00ff00,
+            fields: [
+                { name: '📝 Card', value: data.card.name, inline: false },
+                { name: '📋 List', value: data.list.name, inline: true },
+                { name: '👤 Created by', value: creator, inline: true }
+            ]
+        }));
+
+        this.register('copyCard', ({ data }, { creator }) => ({
+            title: '📑 Card Copied',
+            color: 0x00ff00,
+            fields: [
+                { name: '📝 Card', value: data.card.name, inline: false },
+                { name: '📋 List', value: data.list ? data.list.name : 'Unknown', inline: true },
+                { name: '👤 Copied by', value: creator, inline: true }
+            ]
+        }));
+
+        this.register('updateCard', ({ data }, { creator, formatDate }) => {
+            const fields = [{ name: '📝 Card', value: data.card.name, inline: false }];
+
+            if (data.old && data.card) {
+                if ('name' in data.old && data.old.name !== data.card.name) {
+                    fields.push({ name: '🔄 Name Changed', value: `${data.old.name} → ${data.card.name}`, inline: false });
+                }
+                if ('desc' in data.old && data.old.desc !== data.card.desc) {
+                    fields.push({ name: '📄 Description Updated', value: 'Description was modified', inline: false });
+                }
+                if ('due' in data.old && data.old.due !== data.card.due) {
+                    fields.push({ name: '📅 Due Date Changed', value: data.card.due ? formatDate(data.card.due) : 'Due date removed', inline: false });
+                }
+            }
+
+            fields.push({ name: '👤 Updated by', value: creator, inline: true });
+            return { title: '✏️ Card Updated', color: 0xffa500, fields };
+        });
+
+        this.register('updateCard', ({ data }, { creator }) => {
+            if (!data.old || !('dueComplete' in data.old)) return null;
+
+            const complete = !!data.card.dueComplete;
+            return {
+                title: complete ? '☑️ Due Date Completed' : '↩️ Due Date Marked Incomplete',
+                color: complete ? 0x00ff00 : 0xffff00,
+                fields: [
+                    { name: '📝 Card', value: data.card.name, inline: false },
+                    { name: '👤 By', value: creator, inline: true }
+                ]
+            };
+        });
+
+        this.register('updateCard', ({ data }, { creator }) => {
+            if (!data.old || !('closed' in data.old)) return null;
+
+            const archived = !!data.card.closed;
+            return {
+                title: archived ? '🗄️ Card Archived' : '♻️ Card Restored',
+                color: archived ? 0x808080 : 0x00ff00,
+                fields: [
+                    { name: '📝 Card', value: data.card.name, inline: false },
+                    ...(data.list ? [{ name: '📋 List', value: data.list.name, inline: true }] : []),
+                    { name: `👤 ${archived ? 'Archived' : 'Restored'} by`, value: creator, inline: true }
+                ]
+            };
+        });
+
+        this.register('updateCard', ({ data }, { creator }) => {
+            if (!data.listBefore || !data.listAfter) return null;
+
+            return {
+                title: '📂 Card Moved',
+                color: 0x0079bf,
+                fields: [
+                    { name: '📝 Card', value: data.card.name, inline: false },
+                    { name: '📋 List', value: `${data.listBefore.name} → ${data.listAfter.name}`, inline: true },
+                    { name: '👤 Moved by', value: creator, inline: true }
+                ]
+            };
+        });
+
+        this.register('commentCard', ({ data }, { creator }) => ({
+            title: '💬 New Comment',
+            color: 0x0099ff,
+            fields: [
+                { name: '📝 Card', value: data.card.name, inline: false },
+                { name: '💬 Comment', value: data.text.length > 200 ? data.text.substring(0, 200) + '...' : data.text, inline: false },
+                { name: '👤 By', value: creator, inline: true }
+            ]
+        }));
+
+        this.register('addMemberToCard', ({ data }, { creator, formatMember }) => ({
+            title: '👥 Member Added to Card',
+            color: 0x9370db,
+            fields: [
+                { name: '📝 Card', value: data.card.name, inline: false },
+                { name: '👤 Member Added', value: formatMember(data.member), inline: true },
+                { name: '👤 Added by', value: creator, inline: true }
+            ]
+        }));
+
+        this.register('removeMemberFromCard', ({ data }, { creator, formatMember }) => ({
+            title: '👥 Member Removed from Card',
+            color: 0xff6347,
+            fields: [
+                { name: '📝 Card', value: data.card.name, inline: false },
+                { name: '👤 Member Removed', value: formatMember(data.member), inline: true },
+                { name: '👤 Removed by', value: creator, inline: true }
+            ]
+        }));
+
+        // Labels and attachments
+
+        this.register('addLabelToCard', ({ data }, { creator }) => ({
+            title: '🏷️ Label Added',
+            color: LABEL_COLORS[data.label.color] || 0x0079bf,
+            fields: [
+                { name: '📝 Card', value: data.card.name, inline: false },
+                { name: '🏷️ Label', value: this.formatLabel(data.label), inline: true },
+                { name: '👤 By', value: creator, inline: true }
+            ]
+        }));
+
+        this.register('removeLabelFromCard', ({ data }, { creator }) => ({
+            title: '🏷️ Label Removed',
+            color: 0x808080,
+            fields: [
+                { name: '📝 Card', value: data.card.name, inline: false },
+                { name: '🏷️ Label', value: this.formatLabel(data.label), inline: true },
+                { name: '👤 By', value: creator, inline: true }
+            ]
+        }));
+
+        this.register('addAttachmentToCard', ({ data }, { creator }) => {
+            const { attachment } = data;
+            const name = attachment.name || 'Attachment';
+
+            return {
+                title: '📎 Attachment Added',
+                color: 0x0099ff,
+                fields: [
+                    { name: '📝 Card', value: data.card.name, inline: false },
+                    { name: '📎 File', value: attachment.url ? `[${name}](${attachment.url})` : name, inline: true },
+                    { name: '👤 By', value: creator, inline: true }
+                ],
+                ...(attachment.previewUrl ? { thumbnail: { url: attachment.previewUrl } } : {})
+            };
+        });
+
+        this.register('deleteAttachmentFromCard', ({ data }, { creator }) => ({
+            title: '📎 Attachment Removed',
+            color: 0xff6347,
+            fields: [
+                { name: '📝 Card', value: data.card.name, inline: false },
+                { name: '📎 File', value: data.attachment.name || 'Attachment', inline: true },
+                { name: '👤 By', value: creator, inline: true }
+            ]
+        }));
+
+        // Checklists
+
+        this.register('addChecklistToCard', ({ data }, { creator }) => ({
+            title: '☑️ Checklist Added',
+            color: 0x00ff00,
+            fields: [
+                { name: '📝 Card', value: data.card.name, inline: false },
+                { name: '☑️ Checklist', value: data.checklist.name, inline: true },
+                { name: '👤 By', value: creator, inline: true }
+            ]
+        }));
+
+        this.register('updateCheckItemStateOnCard', ({ data }, { creator }) => {
+            const complete = data.checkItem.state === 'complete';
+            return {
+                title: `${complete ? '✅' : '⬜'} Checklist Item Updated`,
+                color: complete ? 0x00ff00 : 0xffff00,
+                fields: [
+                    { name: '📝 Card', value: data.card.name, inline: false },
+                    { name: '✅ Item', value: data.checkItem.name, inline: false },
+                    { name: '👤 By', value: creator, inline: true }
+                ]
+            };
+        });
+
+        // Lists
+
+        this.register('createList', ({ data }, { creator }) => ({
+            title: '📋 List Created',
+            color: 0x00ff00,
+            fields: [
+                { name: '📋 List', value: data.list.name, inline: true },
+                { name: '👤 Created by', value: creator, inline: true }
+            ]
+        }));
+
+        this.register('updateList', ({ data }, { creator }) => {
+            if (!data.old) return null;
+
+            if ('name' in data.old) {
+                return {
+                    title: '📋 List Renamed',
+                    color: 0xffa500,
+                    fields: [
+                        { name: '🔄 Name', value: `${data.old.name} → ${data.list.name}`, inline: false },
+                        { name: '👤 Renamed by', value: creator, inline: true }
+                    ]
+                };
+            }
+
+            if ('closed' in data.old) {
+                const archived = !!data.list.closed;
+                return {
+                    title: archived ? '🗄️ List Archived' : '♻️ List Restored',
+                    color: archived ? 0x808080 : 0x00ff00,
+                    fields: [
+                        { name: '📋 List', value: data.list.name, inline: true },
+                        { name: '👤 By', value: creator, inline: true }
+                    ]
+                };
+            }
+
+            return null;
+        });
+
+        // Board membership
+
+        this.register('addMemberToBoard', (action, { creator, formatMember }) => ({
+            title: '👥 Member Joined Board',
+            color: 0x9370db,
+            fields: [
+                { name: '👤 Member', value: formatMember(this.getAffectedMember(action)), inline: true },
+                { name: '👤 Added by', value: creator, inline: true }
+            ]
+        }));
+
+        this.register('removeMemberFromBoard', (action, { creator, formatMember }) => ({
+            title: '👥 Member Left Board',
+            color: 0xff6347,
+            fields: [
+                { name: '👤 Member', value: formatMember(this.getAffectedMember(action)), inline: true },
+                { name: '👤 Removed by', value: creator, inline: true }
+            ]
+        }));
+
+        for (const [type, role] of Object.entries(BOARD_ROLES)) {
+            this.register(type, (action, { creator, formatMember }) => ({
+                title: '👥 Board Role Changed',
+                color: 0x9370db,
+                fields: [
+                    { name: '👤 Member', value: formatMember(this.getAffectedMember(action)), inline: true },
+                    { name: '🔑 Role', value: role, inline: true },
+                    { name: '👤 Changed by', value: creator, inline: true }
+                ]
+            }));
+        }
+    }
+
+    // Helper methods
+
+    /**
+     * Show a linked Discord user as a mention, otherwise the Trello display name
+     */
+    formatMember(member, memberLinks) {
+        if (!member) return 'Unknown';
+        const discordUserId = memberLinks && memberLinks.get(member.id);
+        return discordUserId ? `<@${discordUserId}>` : (member.fullName || member.username || 'Unknown');
+    }
+
+    formatLabel(label) {
+        return label.name ? `${label.name}${label.color ? ` (${label.color})` : ''}` : (label.color || 'No name');
+    }
+
+    formatDate(dateString) {
+        try {
+            const date = new Date(dateString);
+            return date.toLocaleDateString('en-US', {
+                weekday: 'short',
+                year: 'numeric',
+                month: 'short',
+                day: 'numeric',
+                hour: '2-digit',
+                minute: '2-digit'
+            });
+        } catch (error) {
+            return dateString;
+        }
+    }
+
+    /**
+     * The member a board membership action is about (Trello puts it on the action, older payloads in data)
+     */
+    getAffectedMember(action) {
+        const data = action.data || {};
+        return action.member || data.member || (data.idMemberAdded ? { id: data.idMemberAdded } : null);
+    }
+
+    /**
+     * Trello member IDs mentioned by an action, for resolving linked Discord users
+     */
+    getMemberIds(action) {
+        const data = action.data || {};
+        const affected = this.getAffectedMember(action);
+        return [
+            action.memberCreator && action.memberCreator.id,
+            data.member && data.member.id,
+            affected && affected.id
+        ].filter(Boolean);
+    }
+}
+
+module.exports = { TrelloEventRenderer };
@@ -0,0 +1,208 @@
+const axios = require('axios');
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Shared HTTP layer for Trello API calls. Requests pass through a token
+ * bucket sized for Trello's per-token limit (100 requests per 10 seconds).
+ * Rate-limited (429) requests are retried after Retry-After; GETs are also
+ * retried on 5xx and network errors. Writes aren't retried then, because
+ * Trello may already have applied them. Identical GETs already in flight share
+ * one request. Each request's latency and outcome is reported per endpoint.
+ */
+class TrelloHttpClient {
+    constructor(options = {}) {
+        this.capacity = parseInt(process.env.TRELLO_RATE_LIMIT) || 90; // requests per 10 seconds, below Trello's 100
+        this.refillPerMs = this.capacity / 10000;
+        this.tokens = this.capacity;
+        this.lastRefill = Date.now();
+        this.queue = Promise.resolve();
+        this.waiting = 0;
+
+        this.maxRetries = options.maxRetries !== undefined ? options.maxRetries : 3;
+        this.baseRetryDelay = 1000;
+        this.maxRetryDelay = 30000;
+        this.timeout = options.timeout || 30000;
+
+        this.inFlight = new Map();
+        this.analyticsManager = null;
+        this.stats = {
+            requests: 0,
+            throttled: 0,
+            retries: 0,
+            rateLimited: 0,
+            coalesced: 0,
+            failures: 0
+        };
+    }
+
+    setAnalyticsManager(analyticsManager) {
+        this.analyticsManager = analyticsManager;
+    }
+
+    // axios-compatible request methods
+
+    async get(url, config = {}) {
+        const key = `${url}?${this.serializeParams(config.params)}`;
+        if (this.inFlight.has(key)) {
+            this.stats.coalesced++;
+            return this.inFlight.get(key);
+        }
+
+        const request = this.request({ ...config, method: 'get', url })
+            .finally(() => this.inFlight.delete(key));
+        this.inFlight.set(key, request);
+        return request;
+    }
+
+    async post(url, data = null, config = {}) {
+        return this.request({ ...config, method: 'post', url, data });
+    }
+
+    async put(url, data = null, config = {}) {
+        return this.request({ ...config, method: 'put', url, data });
+    }
+
+    async delete(url, config = {}) {
+        return this.request({ ...config, method: 'delete', url });
+    }
+
+    async request(config) {
+        const endpoint = `${config.method.toUpperCase()} ${this.normalizeEndpoint(config.url)}`;
+        const startTime = Date.now();
+        this.stats.requests++;
+
+        for (let attempt = 0; ; attempt++) {
+            await this.acquireToken();
+
+            try {
+                const response = await axios.request({ timeout: this.timeout, ...config });
+                this.recordRequest(endpoint, startTime, true, response.status);
+                return response;
+
+            } catch (error) {
+                const status = error.response ? error.response.status : null;
+                if (status === 429) {
+                    this.stats.rateLimited++;
+                    this.tokens = 0; // Back off everything queued behind this request too
+                }
+
+                if (attempt < this.maxRetries && this.isRetryable(config.method, error)) {
+                    const delay = this.getRetryDelay(error, attempt);
+                    this.stats.retries++;
+                    console.log(`⚠️ Trello ${endpoint} failed (${status || error.code || error.message}), retrying in ${Math.round(delay / 1000)}s`);
+                    await sleep(delay);
+                    continue;
+                }
+
+                this.stats.failures++;
+                this.recordRequest(endpoint, startTime, false, status);
+                throw error;
+            }
+        }
+    }
+
+    // Rate limiting
+
+    /**
+     * Wait for a request slot; callers are served in order
+     */
+    acquireToken() {
+        this.refill();
+        if (this.waiting === 0 && this.tokens >= 1) {
+            this.tokens -= 1;
+            return Promise.resolve();
+        }
+
+        this.waiting++;
+        this.stats.throttled++;
+
+        const slot = this.queue.then(async () => {
+            this.refill();
+            while (this.tokens < 1) {
+                await sleep(Math.ceil((1 - this.tokens) / this.refillPerMs));
+                this.refill();
+            }
+            this.tokens -= 1;
+        });
+
+        this.queue = slot.finally(() => this.waiting--);
+        return slot;
+    }
+
+    refill() {
+        const now = Date.now();
+        this.tokens = Math.min(this.capacity, this.tokens + (now - this.lastRefill) * this.refillPerMs);
+        this.lastRefill = now;
+    }
+
+    // Retry helpers
+
+    isRetryable(method, error) {
+        const status = error.response ? error.response.status : null;
+        if (status === 429) return true;
+        if (method !== 'get') return false;
+
+        return status ? status >= 500 : !!error.code && error.code !== 'ERR_CANCELED';
+    }
+
+    /**
+     * Retry-After (seconds or HTTP date) when present, otherwise exponential backoff with jitter
+     */
+    getRetryDelay(error, attempt) {
+        const retryAfter = error.response && error.response.headers ? error.response.headers['retry-after'] : null;
+
+        if (retryAfter) {
+            const seconds = Number(retryAfter);
+            const delay = Number.isNaN(seconds) ? new Date(retryAfter).getTime() - Date.now() : seconds * 1000;
+            if (!Number.isNaN(delay)) {
+                return Math.min(Math.max(delay, 0), this.maxRetryDelay);
+            }
+        }
+
+        const backoff = this.baseRetryDelay * Math.pow(2, attempt);
+        return Math.min(backoff + Math.floor(Math.random() * this.baseRetryDelay), this.maxRetryDelay);
+    }
+
+    // Metrics helpers
+
+    recordRequest(endpoint, startTime, success, status) {
+        if (this.analyticsManager) {
+            this.analyticsManager.recordApiRequest('trello', endpoint, Date.now() - startTime, success, status);
+        }
+    }
+
+    /**
+     * Collapse IDs in a Trello URL so metrics group by endpoint (/cards/:id/checklists)
+     */
+    normalizeEndpoint(url) {
+        const path = url.replace(/^https?:\/\/[^/]+\/1/, '').split('?')[0];
+
+        return path.split('/').map((segment, index) => {
+            if (index === 2 && segment !== 'me') return ':id';
+            if (index > 2 && (/^[0-9a-f]{24}$|^[0-9a-f]{64}$/i.test(segment) || (index % 2 === 0 && /\d/.test(segment)))) {
+                return ':id';
+            }
+            return segment;
+        }).join('/');
+    }
+
+    serializeParams(params = {}) {
+        return Object.keys(params || {})
+            .sort()
+            .map(key => `${key}=${params[key]}`)
+            .join('&');
+    }
+
+    getStats() {
+        return {
+            ...this.stats,
+            availableTokens: Math.floor(this.tokens),
+            queuedRequests: this.waiting,
+            inFlightGets: this.inFlight.size,
+            limitPer10s: this.capacity
+        };
+    }
+}
+
+module.exports = { TrelloHttpClient };
@@ -1,4 +1,4 @@
-const axios = require('axios');
+const { TrelloHttpClient } = require('./TrelloHttpClient');
 
 class TrelloService {
     constructor(configManager = null) {
@@ -6,12 +6,20 @@ class TrelloService {
         this.apiToken = process.env.TRELLO_API_TOKEN;
         this.baseUrl = 'https://api.trello.com/1';
         this.configManager = configManager;
+        this.http = new TrelloHttpClient();
         
         if (!this.apiKey || !this.apiToken) {
             throw new Error('Trello API credentials not configured');
         }
     }
 
+    /**
+     * Report per-endpoint API latency and errors to analytics
+     */
+    setAnalyticsManager(analyticsManager) {
+        this.http.setAnalyticsManager(analyticsManager);
+    }
+
     getAuthParams() {
         return {
             key: this.apiKey,
@@ -36,7 +44,7 @@ class TrelloService {
                 params.idLabels = options.idLabels.join(',');
             }
 
-            const response = await axios.post(url, null, { params });
+            const response = await this.http.post(url, null, { params });
             return response.data;
         } catch (error) {
             console.error(`❌ Error creating Trello card on board ${boardId}:`, error.response?.data || error.message);
@@ -46,7 +54,7 @@ class TrelloService {
 
     async updateCard(cardId, updates) {
         try {
-            const response = await axios.put(`${this.baseUrl}/cards/${cardId}`, null, {
+            const response = await this.http.put(`${this.baseUrl}/cards/${cardId}`, null, {
                 params: {
                     ...this.getAuthParams(),
                     ...updates
@@ -61,7 +69,7 @@ class TrelloService {
 
     async getCard(cardId) {
         try {
-            const response = await axios.get(`${this.baseUrl}/cards/${cardId}`, {
+            const response = await this.http.get(`${this.baseUrl}/cards/${cardId}`, {
                 params: this.getAuthParams()
             });
             return response.data;
@@ -71,9 +79,300 @@ class TrelloService {
         }
     }
 
+    // Card lifecycle methods
+    /**
+     * Move card to another list, optionally on another board
+     */
+    async moveCard(cardId, listId, boardId = null) {
+        try {
+            const params = {
+                ...this.getAuthParams(),
+                idList: listId
+            };
+            if (boardId) params.idBoard = boardId;
+
+            const response = await this.http.put(`${this.baseUrl}/cards/${cardId}`, null, { params });
+            return response.data;
+        } catch (error) {
+            console.error(`❌ Error moving Trello card ${cardId} to list ${listId}:`, error.response?.data || error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Copy card into a list, keeping checklists, labels, attachments and due date
+     */
+    async copyCard(cardId, listId, name = null) {
+        try {
+            const params = {
+                ...this.getAuthParams(),
+                idCardSource: cardId,
+                idList: listId,
+                keepFromSource: 'all'
+            };
+            if (name) params.name = name;
+
+            const response = await this.http.post(`${this.baseUrl}/cards`, null, { params });
+            return response.data;
+        } catch (error) {
+            console.error(`❌ Error copying Trello card ${cardId} to list ${listId}:`, error.response?.data || error.message);
+            throw error;
+        }
+    }
+
+    async setCardDue(cardId, due) {
+        try {
+            const response = await this.http.put(`${this.baseUrl}/cards/${cardId}`, null, {
+                params: {
+                    ...this.getAuthParams(),
+                    due: due || 'null'
+                }
+            });
+            return response.data;
+        } catch (error) {
+            console.error(`❌ Error setting due date on Trello card ${cardId}:`, error.response?.data || error.message);
+            throw error;
+        }
+    }
+
+    async addLabelToCard(cardId, labelId) {
+        try {
+            const response = await this.http.post(`${this.baseUrl}/cards/${cardId}/idLabels`, null, {
+                params: {
+                    ...this.getAuthParams(),
+                    value: labelId
+                }
+            });
+            return response.data;
+        } catch (error) {
+            console.error(`❌ Error adding label ${labelId} to Trello card ${cardId}:`, error.response?.data || error.message);
+            throw error;
+        }
+    }
+
+    async addCommentToCard(cardId, text) {
+        try {
+            const response = await this.http.post(`${this.baseUrl}/cards/${cardId}/actions/comments`, null, {
+                params: {
+                    ...this.getAuthParams(),
+                    text: text
+                }
+            });
+            return response.data;
+        } catch (error) {
+            console.error(`❌ Error commenting on Trello card ${cardId}:`, error.response?.data || error.message);
+            throw error;
+        }
+    }
+
+    async addUrlAttachment(cardId, url, name = null) {
+        try {
+            const params = {
+                ...this.getAuthParams(),
+                url: url
+            };
+            if (name) params.name = name;
+
+            const response = await this.http.post(`${this.baseUrl}/cards/${cardId}/attachments`, null, { params });
+            return response.data;
+        } catch (error) {
+            console.error(`❌ Error attaching URL to Trello card ${cardId}:`, error.response?.data || error.message);
+            throw error;
+        }
+    }
+
+    async uploadAttachment(cardId, data, fileName, mimeType) {
+        try {
+            const form = new FormData();
+            form.append('file', new Blob([data], { type: mimeType }), fileName);
+            form.append('name', fileName);
+            form.append('mimeType', mimeType);
+
+            const response = await this.http.post(`${this.baseUrl}/cards/${cardId}/attachments`, form, {
+                params: this.getAuthParams(),
+                maxBodyLength: Infinity
+            });
+            return response.data;
+        } catch (error) {
+            console.error(`❌ Error uploading attachment to Trello card ${cardId}:`, error.response?.data || error.message);
+            throw error;
+        }
+    }
+
+    async archiveCard(cardId) {
+        try {
+            const response = await this.http.put(`${this.baseUrl}/cards/${cardId}`, null, {
+                params: {
+                    ...this.getAuthParams(),
+                    closed: true
+                }
+            });
+            return response.data;
+        } catch (error) {
+            console.error(`❌ Error archiving Trello card ${cardId}:`, error.response?.data || error.message);
+            throw error;
+        }
+    }
+
+    async unarchiveCard(cardId) {
+        try {
+            const response = await this.http.put(`${this.baseUrl}/cards/${cardId}`, null, {
+                params: {
+                    ...this.getAuthParams(),
+                    closed: false
+                }
+            });
+            return response.data;
+        } catch (error) {
+            console.error(`❌ Error unarchiving Trello card ${cardId}:`, error.response?.data || error.message);
+            throw error;
+        }
+    }
+
+    async deleteCard(cardId) {
+        try {
+            await this.http.delete(`${this.baseUrl}/cards/${cardId}`, {
+                params: this.getAuthParams()
+            });
+            return true;
+        } catch (error) {
+            console.error(`❌ Error deleting Trello card ${cardId}:`, error.response?.data || error.message);
+            throw error;
+        }
+    }
+
+    // Member methods
+    async getMember(usernameOrId) {
+        try {
+            const response = await this.http.get(`${this.baseUrl}/members/${encodeURIComponent(usernameOrId)}`, {
+                params: {
+                    ...this.getAuthParams(),
+                    fields: 'id,username,fullName,bio'
+                }
+            });
+            return response.data;
+        } catch (error) {
+            console.error(`❌ Error getting Trello member ${usernameOrId}:`, error.response?.data || error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Get the open cards a member is assigned to, across all boards
+     */
+    async getMemberCards(memberId) {
+        try {
+            const response = await this.http.get(`${this.baseUrl}/members/${encodeURIComponent(memberId)}/cards`, {
+                params: {
+                    ...this.getAuthParams(),
+                    filter: 'open',
+                    fields: 'id,name,idBoard,idList,due,dueComplete,shortUrl,dateLastActivity'
+                }
+            });
+            return response.data;
+        } catch (error) {
+            console.error(`❌ Error getting cards for Trello member ${memberId}:`, error.response?.data || error.message);
+            throw error;
+        }
+    }
+
+    async addMemberToCard(cardId, memberId) {
+        try {
+            const response = await this.http.post(`${this.baseUrl}/cards/${cardId}/idMembers`, null, {
+                params: {
+                    ...this.getAuthParams(),
+                    value: memberId
+                }
+            });
+            return response.data;
+        } catch (error) {
+            console.error(`❌ Error adding member ${memberId} to Trello card ${cardId}:`, error.response?.data || error.message);
+            throw error;
+        }
+    }
+
+    // Checklist methods
+    async getCardChecklists(cardId) {
+        try {
+            const response = await this.http.get(`${this.baseUrl}/cards/${cardId}/checklists`, {
+                params: this.getAuthParams()
+            });
+            return response.data;
+        } catch (error) {
+            console.error(`❌ Error getting checklists for Trello card ${cardId}:`, error.response?.data || error.message);
+            throw error;
+        }
+    }
+
+    async createChecklist(cardId, name) {
+        try {
+            const response = await this.http.post(`${this.baseUrl}/checklists`, null, {
+                params: {
+                    ...this.getAuthParams(),
+                    idCard: cardId,
+                    name: name
+                }
+            });
+            return response.data;
+        } catch (error) {
+            console.error(`❌ Error creating checklist "${name}" on Trello card ${cardId}:`, error.response?.data || error.message);
+            throw error;
+        }
+    }
+
+    async addChecklistItem(checklistId, name, checked = false) {
+        try {
+            const response = await this.http.post(`${this.baseUrl}/checklists/${checklistId}/checkItems`, null, {
+                params: {
+                    ...this.getAuthParams(),
+                    name: name,
+                    checked: checked
+                }
+            });
+            return response.data;
+        } catch (error) {
+            console.error(`❌ Error adding item to checklist ${checklistId}:`, error.response?.data || error.message);
+            throw error;
+        }
+    }
+
+    async setCheckItemState(cardId, checkItemId, complete) {
+        try {
+            const response = await this.http.put(`${this.baseUrl}/cards/${cardId}/checkItem/${checkItemId}`, null, {
+                params: {
+                    ...this.getAuthParams(),
+                    state: complete ? 'complete' : 'incomplete'
+                }
+            });
+            return response.data;
+        } catch (error) {
+            console.error(`❌ Error updating check item ${checkItemId} on Trello card ${cardId}:`, error.response?.data || error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Create a checklist and add its items in order
+     * Items that fail to add are skipped so a partial checklist is still created
+     */
+    async createChecklistWithItems(cardId, name, items) {
+        const checklist = await this.createChecklist(cardId, name);
+        const checkItems = [];
+
+        for (const item of items) {
+            try {
+                checkItems.push(await this.addChecklistItem(checklist.id, item));
+            } catch (itemError) {
+                console.error(`❌ Error adding checklist item "${item}":`, itemError.message);
+            }
+        }
+
+        return { ...checklist, checkItems };
+    }
+
     async getBoardStatus(boardId) {
         try {
-            const boardResponse = await axios.get(`${this.baseUrl}/boards/${boardId}`, {
+            const boardResponse = await this.http.get(`${this.baseUrl}/boards/${boardId}`, {
                 params: {
                     ...this.getAuthParams(),
                     lists: 'open',
@@ -81,7 +380,7 @@ class TrelloService {
                 }
             });
             
-            const listsResponse = await axios.get(`${this.baseUrl}/boards/${boardId}/lists`, {
+            const listsResponse = await this.http.get(`${this.baseUrl}/boards/${boardId}/lists`, {
                 params: {
                     ...this.getAuthParams(),
                     cards: 'open'
@@ -100,7 +399,7 @@ class TrelloService {
 
     async getRecentCards(boardId, limit = 10) {
         try {
-            const response = await axios.get(`${this.baseUrl}/boards/${boardId}/cards`, {
+            const response = await this.http.get(`${this.baseUrl}/boards/${boardId}/cards`, {
                 params: {
                     ...this.getAuthParams(),
                     limit: limit,
@@ -114,9 +413,47 @@ class TrelloService {
         }
     }
 
+    /**
+     * Get the open cards on a board that have an incomplete due date
+     */
+    async getDueCards(boardId) {
+        try {
+            const response = await this.http.get(`${this.baseUrl}/boards/${boardId}/cards/open`, {
+                params: {
+                    ...this.getAuthParams(),
+                    fields: 'id,name,due,dueComplete,idMembers,idList,idBoard,shortUrl'
+                }
+            });
+            return response.data.filter(card => card.due && !card.dueComplete);
+        } catch (error) {
+            console.error(`❌ Error getting due cards for board ${boardId}:`, error.response?.data || error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Get board actions of the given types since a date (newest first)
+     */
+    async getBoardActions(boardId, filter, since, limit = 1000) {
+        try {
+            const response = await this.http.get(`${this.baseUrl}/boards/${boardId}/actions`, {
+                params: {
+                    ...this.getAuthParams(),
+                    filter,
+                    since,
+                    limit
+                }
+            });
+            return response.data;
+        } catch (error) {
+            console.error(`❌ Error getting actions for board ${boardId}:`, error.response?.data || error.message);
+            throw error;
+        }
+    }
+
     async getBoardLabels(boardId) {
         try {
-            const response = await axios.get(`${this.baseUrl}/boards/${boardId}/labels`, {
+            const response = await this.http.get(`${this.baseUrl}/boards/${boardId}/labels`, {
                 params: this.getAuthParams()
             });
             return response.data;
@@ -128,7 +465,7 @@ class TrelloService {
 
     async createLabel(boardId, name, color) {
         try {
-            const response = await axios.post(`${this.baseUrl}/labels`, null, {
+            const response = await this.http.post(`${this.baseUrl}/labels`, null, {
                 params: {
                     ...this.getAuthParams(),
                     name: name,
@@ -185,7 +522,7 @@ class TrelloService {
 
     async validateBoardAccess(boardId) {
         try {
-            const response = await axios.get(`${this.baseUrl}/boards/${boardId}`, {
+            const response = await this.http.get(`${this.baseUrl}/boards/${boardId}`, {
                 params: this.getAuthParams()
             });
             return {
@@ -202,7 +539,7 @@ class TrelloService {
 
     async validateListAccess(listId) {
         try {
-            const response = await axios.get(`${this.baseUrl}/lists/${listId}`, {
+            const response = await this.http.get(`${this.baseUrl}/lists/${listId}`, {
                 params: this.getAuthParams()
             });
             return {
@@ -219,7 +556,7 @@ class TrelloService {
 
     async getBoardLists(boardId) {
         try {
-            const response = await axios.get(`${this.baseUrl}/boards/${boardId}/lists`, {
+            const response = await this.http.get(`${this.baseUrl}/boards/${boardId}/lists`, {
                 params: {
                     ...this.getAuthParams(),
                     filter: 'open'
@@ -235,7 +572,7 @@ class TrelloService {
     // Webhook management methods
     async createWebhook(callbackURL, boardId, description) {
         try {
-            const response = await axios.post(`${this.baseUrl}/webhooks`, null, {
+            const response = await this.http.post(`${this.baseUrl}/webhooks`, null, {
                 params: {
                     ...this.getAuthParams(),
                     callbackURL: callbackURL,
@@ -252,7 +589,7 @@ class TrelloService {
 
     async deleteWebhook(webhookId) {
         try {
-            await axios.delete(`${this.baseUrl}/webhooks/${webhookId}`, {
+            await this.http.delete(`${this.baseUrl}/webhooks/${webhookId}`, {
                 params: this.getAuthParams()
             });
             console.log(`🗑️ Webhook ${webhookId} deleted successfully`);
@@ -264,7 +601,7 @@ class TrelloService {
 
     async listWebhooks() {
         try {
-            const response = await axios.get(`${this.baseUrl}/tokens/${this.apiToken}/webhooks`, {
+            const response = await this.http.get(`${this.baseUrl}/tokens/${this.apiToken}/webhooks`, {
                 params: this.getAuthParams()
             });
             return response.data;
@@ -288,7 +625,7 @@ class TrelloService {
     async healthCheck() {
         try {
             // Try to get user information to verify API access
-            const response = await axios.get(`${this.baseUrl}/members/me`, {
+            const response = await this.http.get(`${this.baseUrl}/members/me`, {
                 params: this.getAuthParams()
             });
             return {
@@ -305,9 +642,24 @@ class TrelloService {
     }
 
     // Board discovery methods
+    async getBoard(boardId) {
+        try {
+            const response = await this.http.get(`${this.baseUrl}/boards/${boardId}`, {
+                params: {
+                    ...this.getAuthParams(),
+                    fields: 'id,name,url'
+                }
+            });
+            return response.data;
+        } catch (error) {
+            console.error(`❌ Error getting board ${boardId}:`, error.response?.data || error.message);
+            throw error;
+        }
+    }
+
     async getUserBoards() {
         try {
-            const response = await axios.get(`${this.baseUrl}/members/me/boards`, {
+            const response = await this.http.get(`${this.baseUrl}/members/me/boards`, {
                 params: {
                     ...this.getAuthParams(),
                     filter: 'open'
@@ -333,6 +685,31 @@ class TrelloService {
         }
     }
 
+    /**
+     * Search cards on the given boards using Trello search operators (label:, due:, list:, member:, is:)
+     */
+    async searchCards(query, boardIds, limit = 100) {
+        try {
+            const response = await this.http.get(`${this.baseUrl}/search`, {
+                params: {
+                    ...this.getAuthParams(),
+                    query,
+                    idBoards: boardIds.join(','),
+                    modelTypes: 'cards',
+                    card_fields: 'id,name,idBoard,idList,due,dueComplete,shortUrl,closed',
+                    card_board: true,
+                    card_list: true,
+                    cards_limit: limit,
+                    partial: true
+                }
+            });
+            return response.data.cards || [];
+        } catch (error) {
+            console.error(`❌ Error searching cards for "${query}":`, error.response?.data || error.message);
+            throw error;
+        }
+    }
+
     // ====================================================================
     // PHASE 3.2: DYNAMIC CONTEXT-AWARE METHODS
     // These methods resolve board/list configurations dynamically
@@ -484,6 +861,231 @@ class TrelloService {
         }
     }
 
+    /**
+     * Move card with board context validation
+     * The card must belong to the channel's board; the target list defaults to that board
+     * unless a target board is given, which must be one of the guild's configured boards
+     */
+    async moveCardWithContext(guildId, channelId, cardId, listRef, targetBoardId = null) {
+        try {
+            const { config } = await this.getContextCard(guildId, channelId, cardId);
+            const boardId = targetBoardId || config.boardId;
+
+            if (boardId !== config.boardId) {
+                const guildBoardIds = await this.configManager.getGuildBoardIds(guildId);
+                if (!guildBoardIds.includes(boardId)) {
+                    throw new Error(`Board ${boardId} is not configured in this server`);
+                }
+            }
+
+            const list = await this.findList(boardId, listRef);
+            if (!list) {
+                throw new Error(`List "${listRef}" not found on board ${boardId}`);
+            }
+
+            const card = await this.moveCard(cardId, list.id, targetBoardId);
+            return { card, list, config };
+        } catch (error) {
+            console.error(`❌ Error moving card with context (guild: ${guildId}, channel: ${channelId}):`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Archive card with board context validation
+     */
+    async archiveCardWithContext(guildId, channelId, cardId) {
+        try {
+            await this.getContextCard(guildId, channelId, cardId);
+            return await this.archiveCard(cardId);
+        } catch (error) {
+            console.error(`❌ Error archiving card with context (guild: ${guildId}, channel: ${channelId}):`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Unarchive card with board context validation
+     */
+    async unarchiveCardWithContext(guildId, channelId, cardId) {
+        try {
+            await this.getContextCard(guildId, channelId, cardId);
+            return await this.unarchiveCard(cardId);
+        } catch (error) {
+            console.error(`❌ Error unarchiving card with context (guild: ${guildId}, channel: ${channelId}):`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Delete card with board context validation
+     * Returns the deleted card so callers can report what was removed
+     */
+    async deleteCardWithContext(guildId, channelId, cardId) {
+        try {
+            const { card } = await this.getContextCard(guildId, channelId, cardId);
+            await this.deleteCard(cardId);
+            return card;
+        } catch (error) {
+            console.error(`❌ Error deleting card with context (guild: ${guildId}, channel: ${channelId}):`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Copy card with board context validation
+     * Copies into the channel's configured list unless another list is given
+     */
+    async copyCardWithContext(guildId, channelId, cardId, listRef = null, name = null) {
+        try {
+            const { config } = await this.getContextCard(guildId, channelId, cardId);
+
+            let listId = config.listId;
+            if (listRef) {
+                const list = await this.findList(config.boardId, listRef);
+                if (!list) {
+                    throw new Error(`List "${listRef}" not found on board ${config.boardId}`);
+                }
+                listId = list.id;
+            }
+
+            const card = await this.copyCard(cardId, listId, name);
+            return { card, config };
+        } catch (error) {
+            console.error(`❌ Error copying card with context (guild: ${guildId}, channel: ${channelId}):`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Comment on card with board context validation
+     */
+    async addCommentToCardWithContext(guildId, channelId, cardId, text) {
+        try {
+            const { card } = await this.getContextCard(guildId, channelId, cardId);
+            const comment = await this.addCommentToCard(cardId, text);
+            return { card, comment };
+        } catch (error) {
+            console.error(`❌ Error commenting on card with context (guild: ${guildId}, channel: ${channelId}):`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get card checklists with board context validation
+     */
+    async getCardChecklistsWithContext(guildId, channelId, cardId) {
+        try {
+            const { card } = await this.getContextCard(guildId, channelId, cardId);
+            const checklists = await this.getCardChecklists(cardId);
+            return { card, checklists };
+        } catch (error) {
+            console.error(`❌ Error getting checklists with context (guild: ${guildId}, channel: ${channelId}):`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Create checklist with board context validation
+     */
+    async createChecklistWithContext(guildId, channelId, cardId, name, items = []) {
+        try {
+            const { card } = await this.getContextCard(guildId, channelId, cardId);
+            const checklist = await this.createChecklistWithItems(cardId, name, items);
+            return { card, checklist };
+        } catch (error) {
+            console.error(`❌ Error creating checklist with context (guild: ${guildId}, channel: ${channelId}):`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Add an item to the card's most recent checklist (or a named one) with board context validation
+     */
+    async addChecklistItemWithContext(guildId, channelId, cardId, itemName, checklistName = null) {
+        try {
+            const { card, checklists } = await this.getCardChecklistsWithContext(guildId, channelId, cardId);
+            if (checklists.length === 0) {
+                throw new Error(`Card ${cardId} has no checklists`);
+            }
+
+            const checklist = checklistName
+                ? checklists.find(c => c.name.toLowerCase() === checklistName.toLowerCase())
+                : checklists[checklists.length - 1];
+            if (!checklist) {
+                throw new Error(`Checklist "${checklistName}" not found on card ${cardId}`);
+            }
+
+            const checkItem = await this.addChecklistItem(checklist.id, itemName);
+            return { card, checklist, checkItem };
+        } catch (error) {
+            console.error(`❌ Error adding checklist item with context (guild: ${guildId}, channel: ${channelId}):`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Check or uncheck an item with board context validation
+     * Items are matched by ID, 1-based position across all checklists, or name
+     */
+    async setCheckItemStateWithContext(guildId, channelId, cardId, itemRef, complete) {
+        try {
+            const { card, checklists } = await this.getCardChecklistsWithContext(guildId, channelId, cardId);
+
+            const checkItem = this.findCheckItem(checklists, itemRef);
+            if (!checkItem) {
+                throw new Error(`Checklist item "${itemRef}" not found on card ${cardId}`);
+            }
+
+            await this.setCheckItemState(cardId, checkItem.id, complete);
+            return { card, checkItem: { ...checkItem, state: complete ? 'complete' : 'incomplete' } };
+        } catch (error) {
+            console.error(`❌ Error updating checklist item with context (guild: ${guildId}, channel: ${channelId}):`, error);
+            throw error;
+        }
+    }
+
+    findCheckItem(checklists, itemRef) {
+        const items = checklists.flatMap(checklist => checklist.checkItems || []);
+        const normalized = itemRef.toLowerCase();
+        const position = /^\d+$/.test(itemRef) ? parseInt(itemRef) : null;
+
+        return items.find(item => item.id === itemRef) ||
+            (position && position <= items.length ? items[position - 1] : null) ||
+            items.find(item => item.name.toLowerCase() === normalized) ||
+            items.find(item => item.name.toLowerCase().includes(normalized)) ||
+            null;
+    }
+
+    /**
+     * Resolve the channel's board and verify the card belongs to it
+     */
+    async getContextCard(guildId, channelId, cardId) {
+        const config = await this.resolveConfiguration(guildId, channelId);
+        if (!config) {
+            throw new Error('No board configuration found for this channel');
+        }
+
+        const card = await this.getCard(cardId);
+        if (card.idBoard !== config.boardId) {
+            throw new Error(`Card ${cardId} does not belong to the configured board for this channel`);
+        }
+
+        return { config, card };
+    }
+
+    /**
+     * Find an open list on a board by ID or case-insensitive name
+     */
+    async findList(boardId, listRef) {
+        const lists = await this.getBoardLists(boardId);
+        const normalized = listRef.toLowerCase();
+
+        return lists.find(list => list.id === listRef) ||
+            lists.find(list => list.name.toLowerCase() === normalized) ||
+            null;
+    }
+
     /**
      * Resolve configuration with fallback support
      * This method provides backward compatibility with environment variables
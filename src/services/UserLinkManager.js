@@ -0,0 +1,192 @@
+const crypto = require('crypto');
+const { getDatabase } = require('../database/connection');
+
+/**
+ * Links Discord users to Trello members.
+ * A link starts unverified with a one-time code; the user proves ownership of
+ * the Trello account by adding the code to their Trello bio, then verifies.
+ * Only verified links are used for card membership and mentions.
+ */
+class UserLinkManager {
+    constructor(trelloService) {
+        this.trelloService = trelloService;
+        this.db = getDatabase();
+        this.verificationTtlMinutes = 30;
+    }
+
+    /**
+     * Start (or restart) linking a Discord user to a Trello username
+     */
+    async startLink(discordUser, trelloUsername) {
+        try {
+            const username = trelloUsername.replace(/^@/, '');
+            const member = await this.trelloService.getMember(username).catch(() => null);
+
+            if (!member) {
+                return { success: false, error: `Trello user "${username}" was not found` };
+            }
+
+            const existingOwner = await this.getLinkByTrelloMember(member.id);
+            if (existingOwner && existingOwner.discord_user_id !== discordUser.id) {
+                return { success: false, error: `Trello user "${member.username}" is already linked to another Discord account` };
+            }
+
+            const code = this.generateVerificationCode();
+
+            await this.db.runQuery(`
+                INSERT INTO user_links
+                (discord_user_id, discord_tag, trello_member_id, trello_username, trello_full_name,
+                 verified, verification_code, verification_expires_at, updated_at)
+                VALUES (?, ?, ?, ?, ?, 0, ?, datetime('now', ?), datetime('now'))
+                ON CONFLICT(discord_user_id) DO UPDATE SET
+                    discord_tag = excluded.discord_tag,
+                    trello_member_id = excluded.trello_member_id,
+                    trello_username = excluded.trello_username,
+                    trello_full_name = excluded.trello_full_name,
+                    verified = 0,
+                    verification_code = excluded.verification_code,
+                    verification_expires_at = excluded.verification_expires_at,
+                    verified_at = NULL,
+                    updated_at = datetime('now')
+            `, [
+                discordUser.id,
+                discordUser.tag,
+                member.id,
+                member.username,
+                member.fullName,
+                code,
+                `+${this.verificationTtlMinutes} minutes`
+            ]);
+
+            return {
+                success: true,
+                code,
+                member,
+                expiresInMinutes: this.verificationTtlMinutes
+            };
+
+        } catch (error) {
+            console.error('❌ Error starting user link:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Verify a pending link by checking the Trello bio for the verification code
+     */
+    async verifyLink(discordUserId) {
+        try {
+            const link = await this.getLink(discordUserId);
+
+            if (!link) {
+                return { success: false, error: 'No pending link. Use `link <trello-username>` first' };
+            }
+            if (link.verified) {
+                return { success: true, alreadyVerified: true, link };
+            }
+
+            const expired = await this.db.getQuery(
+                `SELECT 1 AS expired FROM user_links WHERE discord_user_id = ? AND verification_expires_at < datetime('now')`,
+                [discordUserId]
+            );
+            if (expired) {
+                return { success: false, error: 'Verification code expired. Run `link <trello-username>` again' };
+            }
+
+            // The bio was just edited, so skip the member cache
+            const member = await this.trelloService.getMember(link.trello_member_id, { fresh: true });
+            if (!member.bio || !member.bio.includes(link.verification_code)) {
+                return {
+                    success: false,
+                    error: `Code \`${link.verification_code}\` not found in the Trello bio of ${link.trello_username}`
+                };
+            }
+
+            await this.db.runQuery(`
+                UPDATE user_links
+                SET verified = 1, verification_code = NULL, verification_expires_at = NULL,
+                    verified_at = datetime('now'), updated_at = datetime('now')
+                WHERE discord_user_id = ?
+            `, [discordUserId]);
+
+            return { success: true, link: await this.getLink(discordUserId) };
+
+        } catch (error) {
+            console.error('❌ Error verifying user link:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    async unlink(discordUserId) {
+        try {
+            const result = await this.db.runQuery('DELETE FROM user_links WHERE discord_user_id = ?', [discordUserId]);
+            return { success: true, removed: result.changes > 0 };
+        } catch (error) {
+            console.error('❌ Error removing user link:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    async getLink(discordUserId) {
+        return await this.db.getQuery('SELECT * FROM user_links WHERE discord_user_id = ?', [discordUserId]);
+    }
+
+    async getVerifiedLink(discordUserId) {
+        return await this.db.getQuery(
+            'SELECT * FROM user_links WHERE discord_user_id = ? AND verified = 1',
+            [discordUserId]
+        );
+    }
+
+    async getLinkByTrelloMember(trelloMemberId) {
+        return await this.db.getQuery(
+            'SELECT * FROM user_links WHERE trello_member_id = ? AND verified = 1',
+            [trelloMemberId]
+        );
+    }
+
+    /**
+     * Map Trello member IDs to linked Discord user IDs (verified links only)
+     */
+    async getDiscordIdsForTrelloMembers(trelloMemberIds) {
+        const ids = [...new Set(trelloMemberIds.filter(Boolean))];
+        const links = new Map();
+        if (ids.length === 0) return links;
+
+        try {
+            const placeholders = ids.map(() => '?').join(', ');
+            const rows = await this.db.allQuery(
+                `SELECT trello_member_id, discord_user_id FROM user_links
+                 WHERE verified = 1 AND trello_member_id IN (${placeholders})`,
+                ids
+            );
+
+            rows.forEach(row => links.set(row.trello_member_id, row.discord_user_id));
+        } catch (error) {
+            console.error('❌ Error resolving linked Discord users:', error.message);
+        }
+
+        return links;
+    }
+
+    generateVerificationCode() {
+        return `dtb-${crypto.randomBytes(3).toString('hex')}`;
+    }
+
+    async healthCheck() {
+        try {
+            const result = await this.db.getQuery('SELECT COUNT(*) as count FROM user_links WHERE verified = 1');
+            return {
+                healthy: true,
+                verifiedLinks: result ? result.count : 0
+            };
+        } catch (error) {
+            return {
+                healthy: false,
+                error: error.message
+            };
+        }
+    }
+}
+
+module.exports = { UserLinkManager };
@@ -0,0 +1,103 @@
+/**
+ * Bounded in-memory store of keys that expire after a TTL. When full, the
+ * oldest entries are evicted first.
+ */
+class TtlStore {
+    constructor(ttlMs, maxEntries) {
+        this.ttlMs = ttlMs;
+        this.maxEntries = maxEntries;
+        this.entries = new Map(); // key -> { value, expiresAt }, in insertion order
+    }
+
+    get(key) {
+        const entry = this.entries.get(key);
+        if (!entry) return undefined;
+
+        if (entry.expiresAt <= Date.now()) {
+            this.entries.delete(key);
+            return undefined;
+        }
+        return entry.value;
+    }
+
+    set(key, value) {
+        // Re-inserting moves the key to the end so eviction stays oldest-first
+        this.entries.delete(key);
+        this.entries.set(key, { value, expiresAt: Date.now() + this.ttlMs });
+
+        while (this.entries.size > this.maxEntries) {
+            this.entries.delete(this.entries.keys().next().value);
+        }
+    }
+
+    get size() {
+        return this.entries.size;
+    }
+}
+
+/**
+ * Guards the webhook pipeline against Trello's redelivery of the same action
+ * (deduplicated on action.id) and spots updateCard actions that arrive after a
+ * newer update to the same card, so their embeds can be labelled.
+ */
+class WebhookDeduplicator {
+    constructor() {
+        const ttlMs = (parseInt(process.env.WEBHOOK_DEDUPE_TTL) || 3600) * 1000; // 1 hour default
+        this.seenActions = new TtlStore(ttlMs, 10000);
+        this.latestCardUpdates = new TtlStore(ttlMs, 5000);
+
+        this.stats = {
+            checked: 0,
+            duplicatesDropped: 0,
+            outOfOrder: 0
+        };
+    }
+
+    /**
+     * Whether the same action was already accepted within the TTL
+     */
+    isDuplicate(action) {
+        this.stats.checked++;
+        if (!action.id || !this.seenActions.get(action.id)) return false;
+
+        this.stats.duplicatesDropped++;
+        return true;
+    }
+
+    /**
+     * Remember an action once it has been accepted; failed deliveries aren't remembered so Trello's retry gets through
+     */
+    remember(action) {
+        if (action.id) {
+            this.seenActions.set(action.id, true);
+        }
+    }
+
+    /**
+     * For updateCard actions, returns the newer update already seen for the card, or null when in order
+     */
+    checkOrder(action) {
+        const card = action.data && action.data.card;
+        const actionTime = new Date(action.date).getTime();
+        if (action.type !== 'updateCard' || !card || Number.isNaN(actionTime)) return null;
+
+        const latest = this.latestCardUpdates.get(card.id);
+        if (latest && latest.time > actionTime && latest.actionId !== action.id) {
+            this.stats.outOfOrder++;
+            return latest;
+        }
+
+        this.latestCardUpdates.set(card.id, { time: actionTime, actionId: action.id, date: action.date });
+        return null;
+    }
+
+    getStats() {
+        return {
+            ...this.stats,
+            trackedActions: this.seenActions.size,
+            trackedCards: this.latestCardUpdates.size
+        };
+    }
+}
+
+module.exports = { WebhookDeduplicator };
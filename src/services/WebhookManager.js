@@ -123,11 +123,15 @@ class WebhookManager {
 
     /**
      * Route notification to all channels configured for a board
+     * channelFilter(channelId) can veto delivery to individual channels (notification rules)
+     * deliver(channel, embed) replaces the direct send (notification batching)
      */
-    async routeNotificationToChannels(boardId, discordClient, embed) {
+    async routeNotificationToChannels(boardId, discordClient, embed, channelFilter = null, deliver = null) {
         try {
             const channels = await this.getChannelsForBoard(boardId);
             let notificationsSent = 0;
+            let notificationsFiltered = 0;
+            let notificationsFailed = 0;
 
             // Send to specific channel mappings
             for (const mapping of channels.channelMappings) {
@@ -136,12 +140,17 @@ class WebhookManager {
                     if (guild) {
                         const channel = guild.channels.cache.get(mapping.channel_id);
                         if (channel && channel.permissionsFor(discordClient.user)?.has('SendMessages')) {
-                            await channel.send({ embeds: [embed] });
+                            if (channelFilter && !(await channelFilter(channel.id))) {
+                                notificationsFiltered++;
+                                continue;
+                            }
+                            await (deliver ? deliver(channel, embed) : channel.send({ embeds: [embed] }));
                             notificationsSent++;
                         }
                     }
                 } catch (error) {
                     console.error(`❌ Error sending notification to channel ${mapping.channel_id}:`, error);
+                    notificationsFailed++;
                 }
             }
 
@@ -156,17 +165,22 @@ class WebhookManager {
                                 ch.type === 0 && ch.permissionsFor(discordClient.user)?.has('SendMessages')
                             );
                         if (targetChannel) {
-                            await targetChannel.send({ embeds: [embed] });
+                            if (channelFilter && !(await channelFilter(targetChannel.id))) {
+                                notificationsFiltered++;
+                                continue;
+                            }
+                            await (deliver ? deliver(targetChannel, embed) : targetChannel.send({ embeds: [embed] }));
                             notificationsSent++;
                         }
                     }
                 } catch (error) {
                     console.error(`❌ Error sending notification to guild ${config.guild_id}:`, error);
+                    notificationsFailed++;
                 }
             }
 
-            console.log(`📤 Sent ${notificationsSent} notifications for board ${boardId}`);
-            return { success: true, notificationsSent };
+            console.log(`📤 Sent ${notificationsSent} notifications for board ${boardId}${notificationsFiltered > 0 ? ` (${notificationsFiltered} filtered)` : ''}`);
+            return { success: true, notificationsSent, notificationsFiltered, notificationsFailed };
 
         } catch (error) {
             console.error(`❌ Error routing notifications for board ${boardId}:`, error);
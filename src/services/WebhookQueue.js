@@ -0,0 +1,335 @@
+const { getDatabase } = require('../database/connection');
+
+/**
+ * SQLite-backed queue for incoming Trello webhook payloads. The HTTP handler
+ * only stores the payload and acknowledges it; a worker processes events in
+ * order, retries failures with exponential backoff and moves events that keep
+ * failing to the dead-letter table, from where they can be replayed.
+ */
+class WebhookQueue {
+    constructor() {
+        this.db = getDatabase();
+
+        this.maxAttempts = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 8;
+        this.baseDelay = 15; // seconds, doubled after each failed attempt
+        this.maxDelay = 60 * 60; // 1 hour
+        this.pollInterval = 5 * 1000; // 5 seconds
+        this.batchSize = 20;
+        this.retentionDays = 7;
+        this.replayConfirmThreshold = 25; // larger replays must be confirmed, they re-post to every mapped channel
+        this.processingTimeout = 5 * 60; // seconds before a claimed event is assumed abandoned
+
+        this.processor = null;
+        this.timer = null;
+        this.processing = false;
+        this.deferredDeliveries = new Set();
+        this.lastPrunedAt = 0;
+        this.stats = {
+            processed: 0,
+            retried: 0,
+            deadLettered: 0
+        };
+    }
+
+    /**
+     * Start the worker; processor receives the parsed payload and throws to request a retry.
+     * It may return { delivered }: the event stays in processing until that promise settles.
+     */
+    async start(processor) {
+        this.stop();
+        this.processor = processor;
+
+        await this.recoverStalled();
+
+        this.timer = setInterval(() => this.processPending(), this.pollInterval);
+        this.processPending();
+
+        console.log(`📥 Webhook queue worker started (max ${this.maxAttempts} attempts)`);
+    }
+
+    /**
+     * Stop the worker; events enqueued afterwards are stored but left for the instance running the worker
+     */
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+        this.processor = null;
+    }
+
+    /**
+     * Persist a validated payload; returns the queued event ID, or null when the action was already queued
+     */
+    async enqueue(payload) {
+        const { action } = payload;
+        const result = await this.db.runQuery(`
+            INSERT OR IGNORE INTO webhook_events (action_id, action_type, board_id, payload)
+            VALUES (?, ?, ?, ?)
+        `, [action.id || null, action.type, action.data && action.data.board ? action.data.board.id : null, JSON.stringify(payload)]);
+
+        if (result.changes === 0) {
+            return null;
+        }
+
+        setImmediate(() => this.processPending());
+        return result.id;
+    }
+
+    /**
+     * Return events whose processing was interrupted (the instance stopped or crashed) to the queue.
+     * Recently claimed events are left alone, they may still be in flight on another instance.
+     */
+    async recoverStalled() {
+        const recovered = await this.db.runQuery(`
+            UPDATE webhook_events SET status = 'pending', processing_started_at = NULL
+            WHERE status = 'processing'
+            AND (processing_started_at IS NULL OR processing_started_at <= datetime('now', ?))
+        `, [`-${this.processingTimeout} seconds`]);
+
+        if (recovered.changes > 0) {
+            console.log(`📥 Recovered ${recovered.changes} interrupted webhook event(s)`);
+        }
+    }
+
+    async processPending() {
+        if (this.processing || !this.processor || !this.timer) return;
+        this.processing = true;
+
+        try {
+            await this.recoverStalled();
+
+            let events;
+            do {
+                events = await this.db.allQuery(`
+                    SELECT * FROM webhook_events
+                    WHERE status = 'pending' AND next_attempt_at <= datetime('now')
+                    ORDER BY id ASC
+                    LIMIT ?
+                `, [this.batchSize]);
+
+                for (const event of events) {
+                    await this.processEvent(event);
+                }
+            } while (events.length === this.batchSize && this.timer);
+
+            await this.pruneCompleted();
+        } catch (error) {
+            console.error('❌ Error processing webhook queue:', error);
+        } finally {
+            this.processing = false;
+        }
+    }
+
+    async processEvent(event) {
+        const attempts = event.attempts + 1;
+
+        // Claim the event; another instance may have picked it up since it was selected
+        const claim = await this.db.runQuery(`
+            UPDATE webhook_events SET status = 'processing', attempts = ?, processing_started_at = datetime('now')
+            WHERE id = ? AND status = 'pending'
+        `, [attempts, event.id]);
+        if (claim.changes === 0) return;
+
+        try {
+            const result = await this.processor(JSON.parse(event.payload), event);
+
+            // Batched notifications are sent later; completing the event now would lose them on a crash
+            if (result && result.delivered) {
+                const deferred = result.delivered
+                    .then(() => this.completeEvent(event), error => this.handleFailure(event, attempts, error))
+                    .catch(error => console.error(`❌ Error finishing webhook event #${event.id}:`, error))
+                    .finally(() => this.deferredDeliveries.delete(deferred));
+                this.deferredDeliveries.add(deferred);
+                return;
+            }
+
+            await this.completeEvent(event);
+
+        } catch (error) {
+            await this.handleFailure(event, attempts, error);
+        }
+    }
+
+    async completeEvent(event) {
+        await this.db.runQuery(`
+            UPDATE webhook_events
+            SET status = 'completed', last_error = NULL, processed_at = datetime('now')
+            WHERE id = ?
+        `, [event.id]);
+        this.stats.processed++;
+    }
+
+    /**
+     * Wait for events whose notifications are still buffered to be completed or rescheduled
+     */
+    async waitForDeliveries() {
+        await Promise.all([...this.deferredDeliveries]);
+    }
+
+    async handleFailure(event, attempts, error) {
+        const message = error && error.message ? error.message : String(error);
+
+        if (attempts >= this.maxAttempts) {
+            await this.db.runQuery(
+                `UPDATE webhook_events SET status = 'dead', last_error = ? WHERE id = ?`,
+                [message, event.id]
+            );
+            await this.db.runQuery(`
+                INSERT INTO webhook_dead_letters (event_id, action_id, action_type, board_id, attempts, last_error)
+                VALUES (?, ?, ?, ?, ?, ?)
+                ON CONFLICT(event_id) DO UPDATE SET
+                    attempts = excluded.attempts,
+                    last_error = excluded.last_error,
+                    failed_at = datetime('now')
+            `, [event.id, event.action_id, event.action_type, event.board_id, attempts, message]);
+
+            this.stats.deadLettered++;
+            console.error(`❌ Webhook event #${event.id} (${event.action_type}) failed ${attempts} times, moved to dead letters: ${message}`);
+            return;
+        }
+
+        const delay = this.getRetryDelay(attempts);
+        await this.db.runQuery(`
+            UPDATE webhook_events
+            SET status = 'pending', last_error = ?, next_attempt_at = datetime('now', ?)
+            WHERE id = ?
+        `, [message, `+${delay} seconds`, event.id]);
+
+        this.stats.retried++;
+        console.log(`⚠️ Webhook event #${event.id} (${event.action_type}) failed, retrying in ${delay}s: ${message}`);
+    }
+
+    getRetryDelay(attempts) {
+        return Math.min(this.baseDelay * Math.pow(2, attempts - 1), this.maxDelay);
+    }
+
+    // Replay methods
+
+    /**
+     * Requeue a single finished or dead event, optionally limited to the given boards
+     * @returns {Promise<{requeued: number, status: string|null}>} status is null when the event wasn't found
+     */
+    async replayEvent(eventId, boardIds = null) {
+        const event = await this.db.getQuery('SELECT * FROM webhook_events WHERE id = ?', [eventId]);
+        if (!event || (boardIds && !boardIds.includes(event.board_id))) {
+            return { requeued: 0, status: null };
+        }
+
+        return { requeued: await this.requeue('id = ?', [eventId]), status: event.status };
+    }
+
+    /**
+     * Count the finished or dead events a replaySince call would requeue
+     */
+    async countReplayableSince(since, boardIds = null) {
+        const filter = this.buildSinceFilter(since, boardIds);
+        if (!filter) return 0;
+
+        const row = await this.db.getQuery(
+            `SELECT COUNT(*) as count FROM webhook_events WHERE ${filter.where} AND status IN ('completed', 'dead')`,
+            filter.params
+        );
+        return row ? row.count : 0;
+    }
+
+    /**
+     * Requeue every finished or dead event received since a date, optionally limited to the given boards
+     */
+    async replaySince(since, boardIds = null) {
+        const filter = this.buildSinceFilter(since, boardIds);
+        return filter ? await this.requeue(filter.where, filter.params) : 0;
+    }
+
+    buildSinceFilter(since, boardIds) {
+        const conditions = [`received_at >= ?`];
+        const params = [since.toISOString().replace('T', ' ').substring(0, 19)];
+
+        if (boardIds) {
+            if (boardIds.length === 0) return null;
+            conditions.push(`board_id IN (${boardIds.map(() => '?').join(', ')})`);
+            params.push(...boardIds);
+        }
+
+        return { where: conditions.join(' AND '), params };
+    }
+
+    /**
+     * Only finished or dead events are requeued; pending and in-flight events would be processed twice
+     */
+    async requeue(where, params) {
+        const replayable = `(${where}) AND status IN ('completed', 'dead')`;
+
+        await this.db.runQuery(
+            `DELETE FROM webhook_dead_letters WHERE event_id IN (SELECT id FROM webhook_events WHERE ${replayable})`,
+            params
+        );
+        const result = await this.db.runQuery(`
+            UPDATE webhook_events
+            SET status = 'pending', attempts = 0, last_error = NULL, next_attempt_at = datetime('now'), processed_at = NULL
+            WHERE ${replayable}
+        `, params);
+
+        if (result.changes > 0) {
+            setImmediate(() => this.processPending());
+        }
+        return result.changes;
+    }
+
+    async getDeadLetters(limit = 10, boardIds = null) {
+        if (boardIds && boardIds.length === 0) return [];
+
+        const boardFilter = boardIds ? `WHERE board_id IN (${boardIds.map(() => '?').join(', ')})` : '';
+        return await this.db.allQuery(`
+            SELECT * FROM webhook_dead_letters
+            ${boardFilter}
+            ORDER BY failed_at DESC, id DESC
+            LIMIT ?
+        `, [...(boardIds || []), limit]);
+    }
+
+    // Helper methods
+
+    async pruneCompleted() {
+        if (Date.now() - this.lastPrunedAt < 60 * 60 * 1000) return;
+        this.lastPrunedAt = Date.now();
+
+        await this.db.runQuery(
+            `DELETE FROM webhook_events WHERE status = 'completed' AND processed_at < datetime('now', ?)`,
+            [`-${this.retentionDays} days`]
+        );
+    }
+
+    async getQueueCounts() {
+        const rows = await this.db.allQuery('SELECT status, COUNT(*) as count FROM webhook_events GROUP BY status');
+        const counts = { pending: 0, processing: 0, completed: 0, dead: 0 };
+        for (const row of rows) {
+            counts[row.status] = row.count;
+        }
+        return counts;
+    }
+
+    async healthCheck() {
+        try {
+            const counts = await this.getQueueCounts();
+            const oldest = await this.db.getQuery(
+                `SELECT MIN(received_at) as received_at FROM webhook_events WHERE status = 'pending'`
+            );
+
+            return {
+                healthy: true,
+                running: !!this.timer,
+                ...counts,
+                oldestPendingAt: oldest ? oldest.received_at : null,
+                stats: { ...this.stats }
+            };
+        } catch (error) {
+            return {
+                healthy: false,
+                error: error.message
+            };
+        }
+    }
+}
+
+module.exports = { WebhookQueue };
@@ -0,0 +1,163 @@
+const crypto = require('crypto');
+const { getDatabase } = require('../database/connection');
+
+const HOUR = 60 * 60 * 1000;
+
+/**
+ * Verifies the X-Trello-Webhook header. Trello signs each delivery with the
+ * app secret as base64(HMAC-SHA1(secret, body + callbackURL)), where
+ * callbackURL is the exact URL the webhook was registered with. After
+ * WEBHOOK_SECRET changes, WEBHOOK_SECRET_PREVIOUS is still accepted for a
+ * grace period counted from the first start with the new secret.
+ */
+class WebhookSignatureVerifier {
+    constructor() {
+        this.db = getDatabase();
+
+        this.secret = process.env.WEBHOOK_SECRET || null;
+        this.previousSecret = process.env.WEBHOOK_SECRET_PREVIOUS || null;
+        this.gracePeriod = (parseInt(process.env.WEBHOOK_SECRET_GRACE_HOURS) || 24) * HOUR;
+        this.defaultCallbackUrl = process.env.WEBHOOK_URL ? `${process.env.WEBHOOK_URL}/webhook/trello` : null;
+
+        this.rotatedAt = null;
+        this.stats = {
+            verified: 0,
+            verifiedWithPreviousSecret: 0,
+            rejected: 0
+        };
+    }
+
+    isEnabled() {
+        return !!this.secret;
+    }
+
+    /**
+     * Record when the current secret was first seen, so the previous secret's grace period survives restarts
+     */
+    async initialize() {
+        if (!this.secret) return;
+
+        try {
+            const fingerprint = crypto.createHash('sha256').update(this.secret).digest('hex').substring(0, 16);
+            const stored = await this.db.getQuery(`SELECT value FROM db_metadata WHERE key = 'webhook_secret_fingerprint'`);
+
+            if (!stored || stored.value !== fingerprint) {
+                const now = new Date().toISOString();
+                await this.db.runQuery(
+                    `INSERT OR REPLACE INTO db_metadata (key, value, updated_at) VALUES ('webhook_secret_fingerprint', ?, datetime('now'))`,
+                    [fingerprint]
+                );
+                await this.db.runQuery(
+                    `INSERT OR REPLACE INTO db_metadata (key, value, updated_at) VALUES ('webhook_secret_rotated_at', ?, datetime('now'))`,
+                    [now]
+                );
+                this.rotatedAt = new Date(now);
+
+                if (stored) {
+                    console.log('🔑 Webhook secret rotated; previous secret accepted until ' +
+                        new Date(this.rotatedAt.getTime() + this.gracePeriod).toISOString());
+                }
+            } else {
+                const rotated = await this.db.getQuery(`SELECT value FROM db_metadata WHERE key = 'webhook_secret_rotated_at'`);
+                this.rotatedAt = rotated ? new Date(rotated.value) : null;
+            }
+        } catch (error) {
+            console.error('❌ Error loading webhook secret rotation state:', error.message);
+        }
+    }
+
+    /**
+     * Check a delivery; returns { valid, reason }
+     */
+    async verify(body, signature, payload) {
+        if (!signature) {
+            return this.reject('missing_signature');
+        }
+
+        const callbackUrls = await this.getCallbackUrls(payload);
+        if (callbackUrls.length === 0) {
+            return this.reject('unknown_callback_url');
+        }
+
+        for (const { secret, previous } of this.getActiveSecrets()) {
+            for (const callbackUrl of callbackUrls) {
+                if (this.signaturesMatch(this.computeSignature(secret, body, callbackUrl), signature)) {
+                    this.stats.verified++;
+                    if (previous) this.stats.verifiedWithPreviousSecret++;
+                    return { valid: true, previousSecret: previous, callbackUrl };
+                }
+            }
+        }
+
+        return this.reject('signature_mismatch');
+    }
+
+    computeSignature(secret, body, callbackUrl) {
+        return crypto
+            .createHmac('sha1', secret)
+            .update(body)
+            .update(callbackUrl)
+            .digest('base64');
+    }
+
+    // Helper methods
+
+    getActiveSecrets() {
+        const secrets = [{ secret: this.secret, previous: false }];
+
+        if (this.previousSecret && this.isWithinGracePeriod()) {
+            secrets.push({ secret: this.previousSecret, previous: true });
+        }
+        return secrets;
+    }
+
+    isWithinGracePeriod() {
+        return !!this.rotatedAt && Date.now() < this.rotatedAt.getTime() + this.gracePeriod;
+    }
+
+    /**
+     * Callback URLs the board's webhook may have been registered with
+     */
+    async getCallbackUrls(payload) {
+        const urls = [];
+        const modelId = payload && payload.model ? payload.model.id : null;
+
+        if (modelId) {
+            try {
+                const registration = await this.db.getQuery(
+                    'SELECT callback_url FROM webhook_registrations WHERE board_id = ?',
+                    [modelId]
+                );
+                if (registration) urls.push(registration.callback_url);
+            } catch (error) {
+                console.error('❌ Error looking up webhook registration:', error.message);
+            }
+        }
+
+        if (this.defaultCallbackUrl && !urls.includes(this.defaultCallbackUrl)) {
+            urls.push(this.defaultCallbackUrl);
+        }
+        return urls;
+    }
+
+    signaturesMatch(expected, actual) {
+        const expectedBuffer = Buffer.from(expected);
+        const actualBuffer = Buffer.from(String(actual));
+        return expectedBuffer.length === actualBuffer.length && crypto.timingSafeEqual(expectedBuffer, actualBuffer);
+    }
+
+    reject(reason) {
+        this.stats.rejected++;
+        return { valid: false, reason };
+    }
+
+    getStats() {
+        return {
+            enabled: this.isEnabled(),
+            previousSecretActive: !!this.previousSecret && this.isWithinGracePeriod(),
+            ...this.stats
+        };
+    }
+}
+
+module.exports = { WebhookSignatureVerifier };
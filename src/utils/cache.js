@@ -1,19 +1,41 @@
-const NodeCache = require('node-cache');
+const crypto = require('crypto');
+const os = require('os');
+const { createCacheBackend } = require('./cacheBackends');
+
+// Trello board metadata namespaces and their TTLs in seconds; webhook events invalidate entries early
+const TRELLO_NAMESPACES = {
+    labels: 900,   // board ID -> labels
+    lists: 900,    // board ID -> open lists
+    members: 3600, // username or member ID -> member
+    boards: 3600   // board ID -> board info
+};
+
+// Trello action types that change cached metadata
+const INVALIDATING_ACTIONS = {
+    labels: ['createLabel', 'updateLabel', 'deleteLabel'],
+    lists: ['createList', 'updateList', 'moveListToBoard', 'moveListFromBoard'],
+    members: ['addMemberToBoard', 'removeMemberFromBoard', 'makeAdminOfBoard', 'makeNormalMemberOfBoard', 'makeObserverOfBoard', 'updateMember'],
+    boards: ['updateBoard']
+};
 
 class ConfigCache {
     constructor(options = {}) {
         this.ttl = parseInt(process.env.CONFIG_CACHE_TTL) || 300; // 5 minutes default
         this.maxKeys = options.maxKeys || 1000;
         this.checkPeriod = options.checkPeriod || 120; // Check for expired keys every 2 minutes
+        this.autocompleteTtl = parseInt(process.env.AUTOCOMPLETE_CACHE_TTL) || 60; // 1 minute default
         
-        this.cache = new NodeCache({
-            stdTTL: this.ttl,
+        // Storage backend selected by CACHE_BACKEND; see cacheBackends.js
+        this.cache = options.backend || createCacheBackend({
+            ttl: this.ttl,
             maxKeys: this.maxKeys,
-            checkperiod: this.checkPeriod,
-            useClones: false, // For better performance
-            deleteOnExpire: true
+            checkPeriod: this.checkPeriod
         });
 
+        // Guild invalidations are broadcast so other instances drop their copies too
+        this.instanceId = `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString('hex')}`;
+        this.remoteInvalidationListeners = [];
+
         // Statistics tracking
         this.stats = {
             hits: 0,
@@ -22,23 +44,26 @@ class ConfigCache {
             deletes: 0,
             errors: 0
         };
+        this.namespaceStats = this.createNamespaceStats();
 
         // Bind event listeners
-        this.cache.on('set', (key, value) => {
+        this.cache.on('set', (key) => {
             this.stats.sets++;
             console.log(`📦 Cache SET: ${this.maskKey(key)}`);
         });
 
-        this.cache.on('del', (key, value) => {
+        this.cache.on('del', (key) => {
             this.stats.deletes++;
             console.log(`🗑️ Cache DEL: ${this.maskKey(key)}`);
         });
 
-        this.cache.on('expired', (key, value) => {
+        this.cache.on('expired', (key) => {
             console.log(`⏰ Cache EXPIRED: ${this.maskKey(key)}`);
         });
 
-        console.log(`🔧 ConfigCache initialized: TTL=${this.ttl}s, MaxKeys=${this.maxKeys}`);
+        this.cache.subscribe(message => this.handleInvalidationMessage(message));
+
+        console.log(`🔧 ConfigCache initialized: backend=${this.cache.type}, TTL=${this.ttl}s, MaxKeys=${this.maxKeys}`);
     }
 
     // Generate cache keys
@@ -58,12 +83,20 @@ class ConfigCache {
         return `list:${listId}`;
     }
 
+    generateAutocompleteKey(guildId, type, scopeId = 'all') {
+        return `autocomplete:${guildId}:${type}:${scopeId}`;
+    }
+
+    generateTrelloKey(namespace, id) {
+        return `trello:${namespace}:${id}`;
+    }
+
     // Channel mapping cache methods
     async getChannelMapping(guildId, channelId) {
         const key = this.generateChannelKey(guildId, channelId);
         
         try {
-            const cached = this.cache.get(key);
+            const cached = await this.cache.get(key);
             if (cached !== undefined) {
                 this.stats.hits++;
                 console.log(`💨 Cache HIT: ${this.maskKey(key)}`);
@@ -91,7 +124,7 @@ class ConfigCache {
                 cache_ttl: this.ttl
             };
             
-            this.cache.set(key, cachedMapping);
+            await this.cache.set(key, cachedMapping);
             return true;
         } catch (error) {
             this.stats.errors++;
@@ -104,7 +137,7 @@ class ConfigCache {
         const key = this.generateChannelKey(guildId, channelId);
         
         try {
-            this.cache.del(key);
+            await this.cache.del(key);
             return true;
         } catch (error) {
             this.stats.errors++;
@@ -118,7 +151,7 @@ class ConfigCache {
         const key = this.generateDefaultKey(guildId);
         
         try {
-            const cached = this.cache.get(key);
+            const cached = await this.cache.get(key);
             if (cached !== undefined) {
                 this.stats.hits++;
                 console.log(`💨 Cache HIT: ${this.maskKey(key)}`);
@@ -144,7 +177,7 @@ class ConfigCache {
                 cache_ttl: this.ttl
             };
             
-            this.cache.set(key, cachedConfig);
+            await this.cache.set(key, cachedConfig);
             return true;
         } catch (error) {
             this.stats.errors++;
@@ -157,7 +190,7 @@ class ConfigCache {
         const key = this.generateDefaultKey(guildId);
         
         try {
-            this.cache.del(key);
+            await this.cache.del(key);
             return true;
         } catch (error) {
             this.stats.errors++;
@@ -171,7 +204,7 @@ class ConfigCache {
         const key = this.generateBoardKey(boardId);
         
         try {
-            const cached = this.cache.get(key);
+            const cached = await this.cache.get(key);
             if (cached !== undefined) {
                 this.stats.hits++;
                 return cached;
@@ -191,7 +224,7 @@ class ConfigCache {
         
         try {
             // Cache board validation for longer (1 hour) as boards don't change often
-            this.cache.set(key, validation, 3600);
+            await this.cache.set(key, validation, 3600);
             return true;
         } catch (error) {
             this.stats.errors++;
@@ -205,7 +238,7 @@ class ConfigCache {
         const key = this.generateListKey(listId);
         
         try {
-            const cached = this.cache.get(key);
+            const cached = await this.cache.get(key);
             if (cached !== undefined) {
                 this.stats.hits++;
                 return cached;
@@ -225,7 +258,78 @@ class ConfigCache {
         
         try {
             // Cache list validation for longer (1 hour) as lists don't change often
-            this.cache.set(key, validation, 3600);
+            await this.cache.set(key, validation, 3600);
+            return true;
+        } catch (error) {
+            this.stats.errors++;
+            console.error(`❌ Cache SET error for ${this.maskKey(key)}:`, error.message);
+            return false;
+        }
+    }
+
+    // Autocomplete results cache methods (per guild, short-lived)
+    async getAutocompleteResults(guildId, type, scopeId = 'all') {
+        const key = this.generateAutocompleteKey(guildId, type, scopeId);
+        
+        try {
+            const cached = await this.cache.get(key);
+            if (cached !== undefined) {
+                this.stats.hits++;
+                return cached;
+            }
+            
+            this.stats.misses++;
+            return null;
+        } catch (error) {
+            this.stats.errors++;
+            console.error(`❌ Cache GET error for ${this.maskKey(key)}:`, error.message);
+            return null;
+        }
+    }
+
+    async setAutocompleteResults(guildId, type, scopeId = 'all', results = []) {
+        const key = this.generateAutocompleteKey(guildId, type, scopeId);
+        
+        try {
+            // Keep autocomplete data short-lived so new boards/cards show up quickly
+            await this.cache.set(key, results, this.autocompleteTtl);
+            return true;
+        } catch (error) {
+            this.stats.errors++;
+            console.error(`❌ Cache SET error for ${this.maskKey(key)}:`, error.message);
+            return false;
+        }
+    }
+
+    // Trello metadata cache methods (labels, lists, members, boards)
+    async getTrelloData(namespace, id) {
+        const key = this.generateTrelloKey(namespace, id);
+        const stats = this.namespaceStats[namespace];
+
+        try {
+            const cached = await this.cache.get(key);
+            if (cached !== undefined) {
+                this.stats.hits++;
+                stats.hits++;
+                return cached;
+            }
+
+            this.stats.misses++;
+            stats.misses++;
+            return null;
+        } catch (error) {
+            this.stats.errors++;
+            console.error(`❌ Cache GET error for ${this.maskKey(key)}:`, error.message);
+            return null;
+        }
+    }
+
+    async setTrelloData(namespace, id, value) {
+        const key = this.generateTrelloKey(namespace, id);
+
+        try {
+            await this.cache.set(key, value, TRELLO_NAMESPACES[namespace]);
+            this.namespaceStats[namespace].sets++;
             return true;
         } catch (error) {
             this.stats.errors++;
@@ -234,47 +338,177 @@ class ConfigCache {
         }
     }
 
+    async invalidateTrelloData(namespace, id) {
+        try {
+            const removed = await this.cache.del(this.generateTrelloKey(namespace, id));
+            this.namespaceStats[namespace].invalidations += removed;
+            return removed;
+        } catch (error) {
+            this.stats.errors++;
+            console.error(`❌ Cache DEL error for ${namespace}:${id}:`, error.message);
+            return 0;
+        }
+    }
+
+    /**
+     * Drop cached metadata changed by a Trello webhook action; returns the number of keys removed
+     */
+    async invalidateForTrelloAction(action) {
+        const data = action.data || {};
+        const boardIds = [data.board, data.boardSource, data.boardTarget]
+            .filter(Boolean)
+            .map(board => board.id);
+        let removed = 0;
+
+        try {
+            removed += await this.removeActionKeys(action, data, boardIds);
+        } catch (error) {
+            this.stats.errors++;
+            console.error(`❌ Cache invalidation error for Trello ${action.type}:`, error.message);
+        }
+
+        if (removed > 0) {
+            console.log(`🧹 Cache invalidated by Trello ${action.type}: ${removed} keys removed`);
+        }
+        return removed;
+    }
+
+    async removeActionKeys(action, data, boardIds) {
+        let removed = 0;
+
+        for (const boardId of boardIds) {
+            if (INVALIDATING_ACTIONS.labels.includes(action.type)) {
+                removed += await this.invalidateTrelloData('labels', boardId);
+            }
+            if (INVALIDATING_ACTIONS.lists.includes(action.type)) {
+                removed += await this.invalidateTrelloData('lists', boardId);
+            }
+            if (INVALIDATING_ACTIONS.boards.includes(action.type)) {
+                removed += await this.invalidateTrelloData('boards', boardId);
+                removed += await this.cache.del(this.generateBoardKey(boardId));
+            }
+        }
+
+        if (INVALIDATING_ACTIONS.lists.includes(action.type) && data.list) {
+            removed += await this.cache.del(this.generateListKey(data.list.id));
+        }
+
+        if (INVALIDATING_ACTIONS.members.includes(action.type)) {
+            const memberId = (action.member && action.member.id) || data.idMember || (data.member && data.member.id);
+            if (memberId) {
+                removed += await this.invalidateTrelloMember(memberId);
+            }
+        }
+        return removed;
+    }
+
+    /**
+     * Members are cached under whatever username or ID was looked up, so match on the cached member's ID
+     */
+    async invalidateTrelloMember(memberId) {
+        const prefix = this.generateTrelloKey('members', '');
+        const keys = [];
+
+        try {
+            for (const key of await this.cache.keys(prefix)) {
+                const member = await this.cache.get(key);
+                if (key === `${prefix}${memberId}` || (member && member.id === memberId)) {
+                    keys.push(key);
+                }
+            }
+
+            const removed = keys.length > 0 ? await this.cache.del(keys) : 0;
+            this.namespaceStats.members.invalidations += removed;
+            return removed;
+        } catch (error) {
+            this.stats.errors++;
+            console.error(`❌ Cache DEL error for members:${memberId}:`, error.message);
+            return 0;
+        }
+    }
+
     // Guild-wide invalidation methods
-    async invalidateGuild(guildId) {
+    async invalidateGuild(guildId, options = {}) {
+        let removed = 0;
+
         try {
             // Get all keys and filter for this guild
-            const allKeys = this.cache.keys();
-            const guildKeys = allKeys.filter(key => 
-                key.startsWith(`channel:${guildId}:`) || 
-                key.startsWith(`default:${guildId}`)
-            );
+            const guildKeys = [
+                ...await this.cache.keys(`channel:${guildId}:`),
+                ...await this.cache.keys(`default:${guildId}`),
+                ...await this.cache.keys(`autocomplete:${guildId}:`)
+            ];
             
             // Delete all guild-related keys
-            for (const key of guildKeys) {
-                this.cache.del(key);
+            if (guildKeys.length > 0) {
+                removed = await this.cache.del(guildKeys);
             }
             
-            console.log(`🧹 Cache invalidated for guild ${guildId}: ${guildKeys.length} keys removed`);
-            return guildKeys.length;
+            console.log(`🧹 Cache invalidated for guild ${guildId}: ${removed} keys removed`);
         } catch (error) {
             this.stats.errors++;
             console.error(`❌ Cache guild invalidation error for ${guildId}:`, error.message);
-            return 0;
+        }
+
+        // Other instances may hold their own copies (and permission caches) even if the local delete failed
+        if (options.broadcast !== false) {
+            try {
+                await this.cache.publish({ type: 'guild', guildId, origin: this.instanceId });
+            } catch (error) {
+                this.stats.errors++;
+                console.error(`❌ Cache invalidation broadcast error for ${guildId}:`, error.message);
+            }
+        }
+        return removed;
+    }
+
+    /**
+     * Register a listener for guild invalidations made by other instances, e.g. to clear in-process permission caches
+     */
+    onRemoteInvalidation(listener) {
+        this.remoteInvalidationListeners.push(listener);
+    }
+
+    async handleInvalidationMessage(message) {
+        if (!message || message.origin === this.instanceId || message.type !== 'guild') return;
+
+        console.log(`📡 Cache invalidation for guild ${message.guildId} received from ${message.origin}`);
+        await this.invalidateGuild(message.guildId, { broadcast: false });
+
+        for (const listener of this.remoteInvalidationListeners) {
+            try {
+                await listener(message.guildId);
+            } catch (error) {
+                console.error('❌ Error in cache invalidation listener:', error.message);
+            }
         }
     }
 
     // Cache management methods
     getStats() {
-        const cacheStats = this.cache.getStats();
+        const backendStats = this.cache.getStats();
         
         return {
             // Our custom stats
             ...this.stats,
             
-            // NodeCache built-in stats
-            keys: cacheStats.keys,
-            ksize: cacheStats.ksize,
-            vsize: cacheStats.vsize,
+            // Backend stats (key counts are only known for the memory backend)
+            keys: backendStats.keys,
+            ksize: backendStats.ksize,
+            vsize: backendStats.vsize,
+            backend: backendStats,
             
             // Calculated metrics
             hitRate: this.stats.hits > 0 ? (this.stats.hits / (this.stats.hits + this.stats.misses) * 100).toFixed(2) + '%' : '0%',
             totalOperations: this.stats.hits + this.stats.misses + this.stats.sets + this.stats.deletes,
             
+            // Per-namespace Trello metadata stats
+            namespaces: Object.fromEntries(Object.entries(this.namespaceStats).map(([namespace, stats]) => [namespace, {
+                ...stats,
+                hitRate: stats.hits > 0 ? (stats.hits / (stats.hits + stats.misses) * 100).toFixed(2) + '%' : '0%',
+                ttl: TRELLO_NAMESPACES[namespace]
+            }])),
+            
             // Configuration
             ttl: this.ttl,
             maxKeys: this.maxKeys,
@@ -284,7 +518,7 @@ class ConfigCache {
 
     async clear() {
         try {
-            this.cache.flushAll();
+            await this.cache.flush();
             console.log('🧹 Cache cleared completely');
             
             // Reset stats
@@ -295,6 +529,7 @@ class ConfigCache {
                 deletes: 0,
                 errors: 0
             };
+            this.namespaceStats = this.createNamespaceStats();
             
             return true;
         } catch (error) {
@@ -306,17 +541,21 @@ class ConfigCache {
 
     async healthCheck() {
         try {
-            const testKey = 'health:check';
+            const testKey = `health:check:${this.instanceId}`;
             const testValue = { timestamp: new Date().toISOString() };
             
             // Test set operation
-            this.cache.set(testKey, testValue, 5);
+            await this.cache.set(testKey, testValue, 5);
             
             // Test get operation
-            const retrieved = this.cache.get(testKey);
+            const retrieved = await this.cache.get(testKey);
             
             // Test delete operation
-            this.cache.del(testKey);
+            await this.cache.del(testKey);
+            
+            if (!retrieved || retrieved.timestamp !== testValue.timestamp) {
+                throw new Error('Cached value could not be read back');
+            }
             
             return {
                 healthy: true,
@@ -333,14 +572,21 @@ class ConfigCache {
     }
 
     // Utility methods
+    createNamespaceStats() {
+        return Object.fromEntries(Object.keys(TRELLO_NAMESPACES).map(namespace => [
+            namespace,
+            { hits: 0, misses: 0, sets: 0, invalidations: 0 }
+        ]));
+    }
+
     maskKey(key) {
         // Mask sensitive parts of keys for logging
         return key.replace(/:\d{17,19}/g, ':***');
     }
 
-    close() {
+    async close() {
         try {
-            this.cache.close();
+            await this.cache.close();
             console.log('📦 Cache connection closed');
         } catch (error) {
             console.error('❌ Error closing cache:', error.message);
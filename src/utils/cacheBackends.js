@@ -0,0 +1,479 @@
+const net = require('net');
+const { EventEmitter } = require('events');
+const NodeCache = require('node-cache');
+
+/**
+ * Storage backends for ConfigCache. Every backend implements the same async
+ * interface (get, set, del, keys, flush, publish, subscribe, close) and emits
+ * 'set', 'del' and 'expired' events with the affected key. Values are plain
+ * JSON-serializable objects.
+ */
+
+/**
+ * Single-process backend on node-cache. Invalidations have nowhere to go, so
+ * publish and subscribe are no-ops.
+ */
+class MemoryCacheBackend extends EventEmitter {
+    constructor(options = {}) {
+        super();
+        this.type = 'memory';
+
+        this.cache = new NodeCache({
+            stdTTL: options.ttl,
+            maxKeys: options.maxKeys,
+            checkperiod: options.checkPeriod,
+            useClones: false, // For better performance
+            deleteOnExpire: true
+        });
+
+        this.cache.on('set', key => this.emit('set', key));
+        this.cache.on('del', key => this.emit('del', key));
+        this.cache.on('expired', key => this.emit('expired', key));
+    }
+
+    async get(key) {
+        return this.cache.get(key);
+    }
+
+    async set(key, value, ttl) {
+        return ttl !== undefined ? this.cache.set(key, value, ttl) : this.cache.set(key, value);
+    }
+
+    /**
+     * Delete one key or an array of keys; returns the number removed
+     */
+    async del(keys) {
+        return this.cache.del(keys);
+    }
+
+    async keys(prefix = '') {
+        return this.cache.keys().filter(key => key.startsWith(prefix));
+    }
+
+    async flush() {
+        this.cache.flushAll();
+    }
+
+    async publish() {}
+
+    async subscribe() {}
+
+    getStats() {
+        const stats = this.cache.getStats();
+        return {
+            type: this.type,
+            keys: stats.keys,
+            ksize: stats.ksize,
+            vsize: stats.vsize
+        };
+    }
+
+    async close() {
+        this.cache.close();
+    }
+}
+
+/**
+ * Minimal RESP2 client over a single socket: enough for string commands,
+ * SCAN and pub/sub. Replies are matched to commands in order; in subscriber
+ * mode pushed messages are emitted as 'message' events.
+ */
+class RespConnection extends EventEmitter {
+    constructor(url, options = {}) {
+        super();
+        const parsed = new URL(url);
+        this.host = parsed.hostname || '127.0.0.1';
+        this.port = parseInt(parsed.port) || 6379;
+        this.username = parsed.username ? decodeURIComponent(parsed.username) : null;
+        this.password = parsed.password ? decodeURIComponent(parsed.password) : null;
+        this.database = parseInt(parsed.pathname.replace('/', '')) || 0;
+        this.commandTimeout = options.commandTimeout || 2000;
+
+        this.socket = null;
+        this.ready = null;
+        this.buffer = Buffer.alloc(0);
+        this.pending = [];
+        this.subscribed = false;
+    }
+
+    connect() {
+        if (this.ready) return this.ready;
+
+        this.ready = new Promise((resolve, reject) => {
+            const socket = net.createConnection({ host: this.host, port: this.port });
+            socket.setNoDelay(true);
+            socket.setTimeout(this.commandTimeout, () => {
+                if (!this.socket) socket.destroy(new Error(`Connection to ${this.host}:${this.port} timed out`));
+            });
+
+            socket.once('connect', async () => {
+                socket.setTimeout(0);
+                this.socket = socket;
+                try {
+                    if (this.password) {
+                        await this.send(this.username ? ['AUTH', this.username, this.password] : ['AUTH', this.password]);
+                    }
+                    if (this.database) {
+                        await this.send(['SELECT', String(this.database)]);
+                    }
+                    resolve();
+                } catch (error) {
+                    socket.destroy(error);
+                }
+            });
+
+            socket.on('data', chunk => this.onData(chunk));
+            let socketError = null;
+            socket.on('error', error => {
+                socketError = error;
+                this.emit('error', error);
+            });
+            socket.once('close', () => {
+                const wasConnected = !!this.socket;
+                this.socket = null;
+                this.ready = null;
+                this.buffer = Buffer.alloc(0);
+                this.subscribed = false;
+
+                const error = new Error(`Cache server connection closed${socketError ? `: ${socketError.message}` : ''}`);
+                reject(error);
+                for (const entry of this.pending.splice(0)) {
+                    clearTimeout(entry.timer);
+                    entry.reject(error);
+                }
+                if (wasConnected) this.emit('close');
+            });
+        });
+
+        // Keep an unobserved failed connect from becoming an unhandled rejection
+        this.ready.catch(() => {});
+        return this.ready;
+    }
+
+    async command(args) {
+        await this.connect();
+        return this.send(args);
+    }
+
+    send(args) {
+        return new Promise((resolve, reject) => {
+            if (!this.socket) {
+                reject(new Error('Cache server connection closed'));
+                return;
+            }
+
+            const entry = { resolve, reject, timer: null };
+            entry.timer = setTimeout(() => {
+                const index = this.pending.indexOf(entry);
+                if (index !== -1) this.pending.splice(index, 1);
+                reject(new Error(`Cache command ${args[0]} timed out`));
+                // Replies are matched by position, so the connection can't be reused after a lost reply
+                if (this.socket) this.socket.destroy();
+            }, this.commandTimeout);
+
+            this.pending.push(entry);
+            this.socket.write(this.encode(args));
+        });
+    }
+
+    encode(args) {
+        let output = `*${args.length}\r\n`;
+        for (const arg of args) {
+            const value = String(arg);
+            output += `$${Buffer.byteLength(value)}\r\n${value}\r\n`;
+        }
+        return output;
+    }
+
+    onData(chunk) {
+        this.buffer = this.buffer.length > 0 ? Buffer.concat([this.buffer, chunk]) : chunk;
+
+        while (this.buffer.length > 0) {
+            let parsed;
+            try {
+                parsed = this.parse(this.buffer, 0);
+            } catch (error) {
+                // The stream can't be resynchronized after a malformed reply; closing fails the pending commands
+                if (this.socket) this.socket.destroy(error);
+                return;
+            }
+            if (!parsed) return; // Wait for the rest of the reply
+
+            this.buffer = this.buffer.subarray(parsed.offset);
+            this.onReply(parsed.value);
+        }
+    }
+
+    onReply(reply) {
+        if (this.subscribed && Array.isArray(reply) && reply[0] === 'message') {
+            this.emit('message', reply[1], reply[2]);
+            return;
+        }
+
+        const entry = this.pending.shift();
+        if (!entry) return;
+
+        clearTimeout(entry.timer);
+        if (reply instanceof Error) {
+            entry.reject(reply);
+        } else {
+            entry.resolve(reply);
+        }
+    }
+
+    /**
+     * Parse one RESP value at offset; returns { value, offset } or null when incomplete
+     */
+    parse(buffer, offset) {
+        const lineEnd = buffer.indexOf('\r\n', offset);
+        if (lineEnd === -1) return null;
+
+        const type = String.fromCharCode(buffer[offset]);
+        const line = buffer.toString('utf8', offset + 1, lineEnd);
+        const next = lineEnd + 2;
+
+        switch (type) {
+            case '+':
+                return { value: line, offset: next };
+            case '-':
+                return { value: new Error(line), offset: next };
+            case ':':
+                return { value: parseInt(line), offset: next };
+            case '$': {
+                const length = this.parseLength(line);
+                if (length === -1) return { value: null, offset: next };
+                if (buffer.length < next + length + 2) return null;
+                return { value: buffer.toString('utf8', next, next + length), offset: next + length + 2 };
+            }
+            case '*': {
+                const count = this.parseLength(line);
+                if (count === -1) return { value: null, offset: next };
+
+                const items = [];
+                let position = next;
+                for (let i = 0; i < count; i++) {
+                    const item = this.parse(buffer, position);
+                    if (!item) return null;
+                    items.push(item.value);
+                    position = item.offset;
+                }
+                return { value: items, offset: position };
+            }
+            default:
+                throw new Error(`Unexpected reply type from cache server: ${type}`);
+        }
+    }
+
+    parseLength(line) {
+        const length = parseInt(line);
+        if (Number.isNaN(length) || length < -1) {
+            throw new Error(`Invalid length from cache server: ${line}`);
+        }
+        return length;
+    }
+
+    async subscribe(channel) {
+        await this.connect();
+        await this.send(['SUBSCRIBE', channel]);
+        this.subscribed = true;
+    }
+
+    close() {
+        if (this.socket) {
+            this.socket.end();
+        }
+    }
+}
+
+/**
+ * Shared backend for any server speaking the Redis protocol. Keys are stored
+ * under CACHE_KEY_PREFIX so several bots can share a server; maxKeys isn't
+ * enforced here, so configure the server's maxmemory policy instead.
+ */
+class RedisCacheBackend extends EventEmitter {
+    constructor(options = {}) {
+        super();
+        this.type = 'redis';
+        this.url = options.url || process.env.REDIS_URL || 'redis://127.0.0.1:6379';
+        this.prefix = options.prefix || process.env.CACHE_KEY_PREFIX || 'discord-trello:';
+        this.channel = `${this.prefix}invalidations`;
+        this.ttl = options.ttl;
+        this.reconnectDelay = 1000;
+        this.maxReconnectDelay = 30000;
+
+        this.client = new RespConnection(this.url);
+        this.client.on('error', error => this.onConnectionError(error));
+
+        this.subscriber = null;
+        this.subscriptionHandler = null;
+        this.reconnectTimer = null;
+        this.closed = false;
+        this.lastError = null;
+        this.stats = {
+            commands: 0,
+            errors: 0,
+            published: 0,
+            received: 0
+        };
+    }
+
+    async command(args) {
+        this.stats.commands++;
+        try {
+            return await this.client.command(args);
+        } catch (error) {
+            this.stats.errors++;
+            this.lastError = error.message;
+            throw error;
+        }
+    }
+
+    async get(key) {
+        const value = await this.command(['GET', this.prefix + key]);
+        return value === null ? undefined : JSON.parse(value);
+    }
+
+    async set(key, value, ttl = this.ttl) {
+        const args = ['SET', this.prefix + key, JSON.stringify(value)];
+        if (ttl) args.push('EX', ttl);
+
+        await this.command(args);
+        this.emit('set', key);
+        return true;
+    }
+
+    /**
+     * Delete one key or an array of keys; returns the number removed
+     */
+    async del(keys) {
+        const list = Array.isArray(keys) ? keys : [keys];
+        const results = await Promise.all(list.map(key => this.command(['DEL', this.prefix + key])));
+
+        let removed = 0;
+        results.forEach((count, index) => {
+            if (count > 0) {
+                removed += count;
+                this.emit('del', list[index]);
+            }
+        });
+        return removed;
+    }
+
+    async keys(prefix = '') {
+        const pattern = (this.prefix + prefix).replace(/[*?[\]\\]/g, '\\$&') + '*';
+        const keys = [];
+        let cursor = '0';
+
+        do {
+            const [nextCursor, batch] = await this.command(['SCAN', cursor, 'MATCH', pattern, 'COUNT', 200]);
+            keys.push(...batch.map(key => key.substring(this.prefix.length)));
+            cursor = nextCursor;
+        } while (cursor !== '0');
+
+        return keys;
+    }
+
+    /**
+     * Remove this bot's keys only; the server may be shared
+     */
+    async flush() {
+        const keys = await this.keys();
+        if (keys.length > 0) {
+            await this.del(keys);
+        }
+    }
+
+    async publish(message) {
+        await this.command(['PUBLISH', this.channel, JSON.stringify(message)]);
+        this.stats.published++;
+    }
+
+    /**
+     * Receive messages published by other instances; the subscription is restored after reconnecting
+     */
+    async subscribe(handler) {
+        this.subscriptionHandler = handler;
+        if (!this.subscriber) {
+            this.subscriber = new RespConnection(this.url);
+            this.subscriber.on('error', error => this.onConnectionError(error));
+            this.subscriber.on('close', () => this.scheduleResubscribe());
+            this.subscriber.on('message', (channel, payload) => {
+                if (channel !== this.channel) return;
+                this.stats.received++;
+                try {
+                    this.subscriptionHandler(JSON.parse(payload));
+                } catch (error) {
+                    console.error('❌ Error handling cache invalidation message:', error.message);
+                }
+            });
+        }
+
+        try {
+            await this.subscriber.subscribe(this.channel);
+            this.reconnectDelay = 1000;
+            console.log(`📡 Subscribed to cache invalidations on ${this.channel}`);
+        } catch (error) {
+            this.lastError = error.message;
+            console.error(`❌ Cache invalidation subscription failed: ${error.message}`);
+            this.scheduleResubscribe();
+        }
+    }
+
+    scheduleResubscribe() {
+        if (this.closed || this.reconnectTimer) return;
+
+        this.reconnectTimer = setTimeout(() => {
+            this.reconnectTimer = null;
+            this.subscribe(this.subscriptionHandler);
+        }, this.reconnectDelay);
+        this.reconnectDelay = Math.min(this.reconnectDelay * 2, this.maxReconnectDelay);
+    }
+
+    onConnectionError(error) {
+        this.lastError = error.message;
+    }
+
+    getStats() {
+        return {
+            type: this.type,
+            keys: null, // Not tracked locally; the server is shared
+            url: this.url.replace(/\/\/[^@/]*@/, '//***@'),
+            prefix: this.prefix,
+            connected: !!this.client.socket,
+            subscribed: !!this.subscriber && this.subscriber.subscribed,
+            lastError: this.lastError,
+            ...this.stats
+        };
+    }
+
+    async close() {
+        this.closed = true;
+        clearTimeout(this.reconnectTimer);
+        this.client.close();
+        if (this.subscriber) {
+            this.subscriber.close();
+        }
+    }
+}
+
+/**
+ * Backend selected by CACHE_BACKEND ('memory' by default, or 'redis')
+ */
+function createCacheBackend(options = {}) {
+    const type = (options.type || process.env.CACHE_BACKEND || 'memory').toLowerCase();
+
+    switch (type) {
+        case 'memory':
+            return new MemoryCacheBackend(options);
+        case 'redis':
+            return new RedisCacheBackend(options);
+        default:
+            throw new Error(`Unknown CACHE_BACKEND "${type}" (expected memory or redis)`);
+    }
+}
+
+module.exports = {
+    MemoryCacheBackend,
+    RedisCacheBackend,
+    createCacheBackend
+};
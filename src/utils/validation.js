@@ -71,14 +71,37 @@ class ValidationUtils {
         const optionalVars = [
             'TRELLO_BOARD_ID',
             'TRELLO_LIST_ID',
+            'TRELLO_RATE_LIMIT',
             'COMMAND_PREFIX',
             'GEMINI_API_KEY',
             'GEMINI_MODEL',
+            'GEMINI_TIMEOUT',
+            'OPENAI_API_KEY',
+            'OPENAI_BASE_URL',
+            'OPENAI_MODEL',
+            'OPENAI_TIMEOUT',
+            'AI_PROVIDERS',
+            'AI_TIMEOUT',
+            'AI_ALLOW_MOCK',
             'WEBHOOK_PORT',
             'WEBHOOK_SECRET',
+            'WEBHOOK_SECRET_PREVIOUS',
+            'WEBHOOK_SECRET_GRACE_HOURS',
             'WEBHOOK_URL',
+            'WEBHOOK_MAX_ATTEMPTS',
+            'WEBHOOK_DEDUPE_TTL',
             'DATABASE_PATH',
-            'CONFIG_CACHE_TTL'
+            'CONFIG_CACHE_TTL',
+            'CACHE_BACKEND',
+            'REDIS_URL',
+            'CACHE_KEY_PREFIX',
+            'LEADER_LEASE_TTL',
+            'INSTANCE_ID',
+            'ATTACHMENT_MAX_SIZE_MB',
+            'SLASH_COMMANDS_ENABLED',
+            'AUTOCOMPLETE_CACHE_TTL',
+            'REMINDER_CHECK_INTERVAL',
+            'NOTIFICATION_BATCH_WINDOW'
         ];
 
         const missingRequired = requiredVars.filter(varName => !process.env[varName]);
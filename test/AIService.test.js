@@ -0,0 +1,159 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { AIProvider, MockAIProvider } = require('../src/services/AIProviders');
+const { AIService } = require('../src/services/AIService');
+
+/**
+ * Configured provider whose completion is supplied by the test
+ */
+class StubProvider extends AIProvider {
+    constructor(name, complete, options = {}) {
+        super(name, options);
+        this.completeWith = complete;
+        this.signals = [];
+    }
+
+    isConfigured() {
+        return true;
+    }
+
+    async complete(prompt, signal) {
+        this.signals.push(signal);
+        return this.completeWith(prompt, signal);
+    }
+}
+
+function createPermissionManager(settings = {}) {
+    const guilds = new Map(Object.entries(settings));
+    return {
+        getGuildSettings: async guildId => guilds.get(guildId) || {},
+        updateGuildSettings: async (guildId, changes) => {
+            guilds.set(guildId, { ...(guilds.get(guildId) || {}), ...changes });
+        }
+    };
+}
+
+describe('AIService', () => {
+    const savedEnv = {};
+
+    beforeEach(() => {
+        for (const name of ['AI_PROVIDERS', 'AI_ALLOW_MOCK']) {
+            savedEnv[name] = process.env[name];
+            delete process.env[name];
+        }
+    });
+
+    afterEach(() => {
+        for (const [name, value] of Object.entries(savedEnv)) {
+            if (value === undefined) delete process.env[name];
+            else process.env[name] = value;
+        }
+    });
+
+    describe('provider chain', () => {
+        it('falls back to the next provider when one fails', async () => {
+            const failing = new StubProvider('primary', async () => { throw new Error('quota exceeded'); });
+            const backup = new StubProvider('backup', async () => 'from backup');
+            const service = new AIService([failing, backup]);
+
+            const result = await service.generate('prompt');
+
+            assert.equal(result.text, 'from backup');
+            assert.equal(result.provider, 'backup');
+            assert.equal(service.stats.primary.failures, 1);
+            assert.equal(service.stats.backup.fallbacks, 1);
+        });
+
+        it('treats an empty response as a failure', async () => {
+            const empty = new StubProvider('primary', async () => '  ');
+            const backup = new StubProvider('backup', async () => 'ok');
+            const service = new AIService([empty, backup]);
+
+            assert.equal((await service.generate('prompt')).provider, 'backup');
+        });
+
+        it('reports every provider error when the whole chain fails', async () => {
+            const service = new AIService([
+                new StubProvider('primary', async () => { throw new Error('down'); }),
+                new StubProvider('backup', async () => { throw new Error('also down'); })
+            ]);
+
+            await assert.rejects(service.generate('prompt'), /primary: down; backup: also down/);
+        });
+
+        it('uses the chain a guild picked before the default one', async () => {
+            const first = new StubProvider('first', async () => 'first');
+            const second = new StubProvider('second', async () => 'second');
+            const service = new AIService([first, second]);
+            service.setPermissionManager(createPermissionManager({ guild: { aiProviders: ['second', 'first'] } }));
+
+            assert.equal((await service.generate('prompt', { guildId: 'guild' })).provider, 'second');
+            assert.equal((await service.generate('prompt', { guildId: 'other' })).provider, 'first');
+        });
+    });
+
+    describe('timeouts', () => {
+        it('aborts a provider that exceeds its timeout and falls back', async () => {
+            const slow = new StubProvider('slow', (prompt, signal) => new Promise((resolve, reject) => {
+                signal.addEventListener('abort', () => reject(new Error('aborted')));
+            }), { timeout: 20 });
+            const fast = new StubProvider('fast', async () => 'fast');
+            const service = new AIService([slow, fast]);
+
+            const result = await service.generate('prompt');
+
+            assert.equal(result.provider, 'fast');
+            assert.equal(slow.signals[0].aborted, true);
+            assert.equal(service.stats.slow.timeouts, 1);
+        });
+
+        it('rejects with an AI_TIMEOUT error', async () => {
+            const provider = new MockAIProvider({ timeout: 20, responder: () => new Promise(() => {}) });
+
+            await assert.rejects(provider.generate('prompt'), error => error.code === 'AI_TIMEOUT');
+        });
+
+        it('does not abort a provider that answers in time', async () => {
+            const provider = new StubProvider('quick', async () => 'done', { timeout: 1000 });
+
+            assert.equal(await provider.generate('prompt'), 'done');
+            assert.equal(provider.signals[0].aborted, false);
+        });
+    });
+
+    describe('test-only providers', () => {
+        it('keeps the mock provider out of the default chain', () => {
+            const service = new AIService([new StubProvider('real', async () => 'real'), new MockAIProvider()]);
+
+            assert.deepEqual(service.defaultChain, ['real']);
+        });
+
+        it('does not let a guild pick the mock provider without AI_ALLOW_MOCK', async () => {
+            const service = new AIService([new StubProvider('real', async () => 'real'), new MockAIProvider()]);
+            service.setPermissionManager(createPermissionManager({ guild: { aiProviders: ['mock'] } }));
+
+            assert.deepEqual(service.parseChain('mock real', true), { chain: ['real'], invalid: ['mock'] });
+            assert.deepEqual(service.getSelectableProviders().map(provider => provider.name), ['real']);
+            assert.equal(await service.getGuildChain('guild'), null);
+            assert.equal((await service.generate('prompt', { guildId: 'guild' })).provider, 'real');
+        });
+
+        it('lets a guild pick the mock provider with AI_ALLOW_MOCK=true', async () => {
+            process.env.AI_ALLOW_MOCK = 'true';
+            const service = new AIService([new StubProvider('real', async () => 'real'), new MockAIProvider()]);
+            service.setPermissionManager(createPermissionManager({ guild: { aiProviders: ['mock'] } }));
+
+            assert.deepEqual(service.parseChain('mock real', true), { chain: ['mock', 'real'], invalid: [] });
+            assert.deepEqual(service.getSelectableProviders().map(provider => provider.name), ['real', 'mock']);
+            assert.deepEqual(await service.getGuildChain('guild'), ['mock']);
+            assert.equal((await service.generate('prompt', { guildId: 'guild' })).provider, 'mock');
+        });
+
+        it('still allows the mock provider in AI_PROVIDERS', () => {
+            process.env.AI_PROVIDERS = 'mock';
+            const service = new AIService([new StubProvider('real', async () => 'real'), new MockAIProvider()]);
+
+            assert.deepEqual(service.defaultChain, ['mock']);
+        });
+    });
+});
@@ -0,0 +1,212 @@
+const { describe, it, before, after, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const net = require('net');
+const { once } = require('events');
+const { RedisCacheBackend } = require('../src/utils/cacheBackends');
+
+/**
+ * In-process server speaking just enough RESP2 for the backend: string commands,
+ * paged SCAN and pub/sub. Tests can drop every connection or queue a raw reply.
+ */
+class StubRespServer {
+    constructor() {
+        this.store = new Map();
+        this.sockets = new Set();
+        this.subscribers = new Map();
+        this.rawReplies = [];
+        this.server = net.createServer(socket => this.onConnection(socket));
+    }
+
+    async listen() {
+        this.server.listen(0, '127.0.0.1');
+        await once(this.server, 'listening');
+        return `redis://127.0.0.1:${this.server.address().port}`;
+    }
+
+    onConnection(socket) {
+        this.sockets.add(socket);
+        let buffer = '';
+        socket.on('close', () => {
+            this.sockets.delete(socket);
+            for (const sockets of this.subscribers.values()) sockets.delete(socket);
+        });
+        socket.on('error', () => {});
+        socket.on('data', chunk => {
+            buffer += chunk.toString('utf8');
+            let parsed;
+            while ((parsed = this.parseCommand(buffer))) {
+                buffer = buffer.substring(parsed.offset);
+                socket.write(this.rawReplies.shift() || this.execute(socket, parsed.args));
+            }
+        });
+    }
+
+    parseCommand(buffer) {
+        const lines = buffer.split('\r\n');
+        if (lines.length < 2) return null;
+
+        const count = parseInt(lines[0].substring(1));
+        if (lines.length < 1 + count * 2 + 1) return null;
+
+        const args = [];
+        for (let i = 0; i < count; i++) {
+            args.push(lines[2 + i * 2]);
+        }
+        const offset = lines.slice(0, 1 + count * 2).join('\r\n').length + 2;
+        return { args, offset };
+    }
+
+    execute(socket, [name, ...args]) {
+        switch (name.toUpperCase()) {
+            case 'GET':
+                return this.bulk(this.store.has(args[0]) ? this.store.get(args[0]) : null);
+            case 'SET':
+                this.store.set(args[0], args[1]);
+                return '+OK\r\n';
+            case 'DEL':
+                return `:${this.store.delete(args[0]) ? 1 : 0}\r\n`;
+            case 'SCAN': {
+                // Two keys per page so the client has to follow the cursor
+                const prefix = args[2].slice(0, -1).replace(/\\(.)/g, '$1');
+                const matches = [...this.store.keys()].filter(key => key.startsWith(prefix));
+                const start = parseInt(args[0]);
+                const page = matches.slice(start, start + 2);
+                const next = start + 2 < matches.length ? String(start + 2) : '0';
+                return `*2\r\n${this.bulk(next)}${this.array(page)}`;
+            }
+            case 'SUBSCRIBE': {
+                if (!this.subscribers.has(args[0])) this.subscribers.set(args[0], new Set());
+                this.subscribers.get(args[0]).add(socket);
+                return `*3\r\n${this.bulk('subscribe')}${this.bulk(args[0])}:1\r\n`;
+            }
+            case 'PUBLISH': {
+                const sockets = this.subscribers.get(args[0]) || new Set();
+                for (const subscriber of sockets) {
+                    subscriber.write(`*3\r\n${this.bulk('message')}${this.bulk(args[0])}${this.bulk(args[1])}`);
+                }
+                return `:${sockets.size}\r\n`;
+            }
+            default:
+                return `-ERR unknown command '${name}'\r\n`;
+        }
+    }
+
+    bulk(value) {
+        return value === null ? '$-1\r\n' : `$${Buffer.byteLength(value)}\r\n${value}\r\n`;
+    }
+
+    array(values) {
+        return `*${values.length}\r\n${values.map(value => this.bulk(value)).join('')}`;
+    }
+
+    dropConnections() {
+        for (const socket of this.sockets) socket.destroy();
+    }
+
+    async close() {
+        this.dropConnections();
+        this.server.close();
+        await once(this.server, 'close');
+    }
+}
+
+async function waitFor(condition, timeout = 2000) {
+    const deadline = Date.now() + timeout;
+    while (!(await condition())) {
+        if (Date.now() > deadline) throw new Error('Timed out waiting for condition');
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+}
+
+describe('RedisCacheBackend', () => {
+    let server;
+    let url;
+    let backend;
+
+    before(async () => {
+        // Keep subscription logs off stdout, which the test runner also reads its results from
+        mock.method(console, 'log', () => {});
+        mock.method(console, 'error', () => {});
+        server = new StubRespServer();
+        url = await server.listen();
+    });
+
+    after(async () => {
+        if (backend) await backend.close();
+        await server.close();
+        mock.restoreAll();
+    });
+
+    beforeEach(async () => {
+        if (backend) await backend.close();
+        server.store.clear();
+        server.rawReplies = [];
+        backend = new RedisCacheBackend({ url, prefix: 'test:' });
+    });
+
+    it('stores JSON values under the key prefix', async () => {
+        await backend.set('guild:1', { boardId: 'b1' });
+
+        assert.deepEqual(await backend.get('guild:1'), { boardId: 'b1' });
+        assert.equal(server.store.get('test:guild:1'), '{"boardId":"b1"}');
+        assert.equal(await backend.get('missing'), undefined);
+    });
+
+    it('deletes keys and reports how many were removed', async () => {
+        await backend.set('a', 1);
+        await backend.set('b', 2);
+
+        assert.equal(await backend.del(['a', 'b', 'c']), 2);
+        assert.equal(await backend.get('a'), undefined);
+    });
+
+    it('follows the SCAN cursor and strips the prefix', async () => {
+        for (const key of ['autocomplete:1', 'autocomplete:2', 'autocomplete:3', 'guild:1']) {
+            await backend.set(key, true);
+        }
+        server.store.set('other:autocomplete:4', 'true');
+
+        assert.deepEqual((await backend.keys('autocomplete:')).sort(), ['autocomplete:1', 'autocomplete:2', 'autocomplete:3']);
+        assert.equal((await backend.keys()).length, 4);
+    });
+
+    it('delivers published messages to subscribers', async () => {
+        const received = [];
+        await backend.subscribe(message => received.push(message));
+
+        await backend.publish({ type: 'invalidate', key: 'guild:1' });
+
+        await waitFor(() => received.length === 1);
+        assert.deepEqual(received[0], { type: 'invalidate', key: 'guild:1' });
+    });
+
+    it('reconnects for the next command after the connection drops', async () => {
+        await backend.set('a', 1);
+        server.dropConnections();
+        await waitFor(() => !backend.client.socket);
+
+        assert.equal(await backend.get('a'), 1);
+    });
+
+    it('restores the subscription after the connection drops', async () => {
+        const received = [];
+        await backend.subscribe(message => received.push(message));
+        backend.reconnectDelay = 10;
+
+        server.dropConnections();
+        await waitFor(() => !backend.subscriber.subscribed);
+        await waitFor(() => backend.subscriber.subscribed);
+
+        await backend.publish({ type: 'invalidate' });
+        await waitFor(() => received.length === 1);
+    });
+
+    it('fails the command on a malformed reply and recovers on a new connection', async () => {
+        server.rawReplies.push('?garbage\r\n');
+
+        await assert.rejects(backend.get('a'), /Unexpected reply type/);
+
+        await backend.set('a', 2);
+        assert.equal(await backend.get('a'), 2);
+    });
+});